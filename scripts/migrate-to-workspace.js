@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+/**
+ * Moves the items of a table written before workspaces existed into a workspace
+ * (the default one unless WORKSPACE is set). Tasks are rewritten under the
+ * workspace with all their index keys, tag and search index items and counts,
+ * and their comments, history and dependencies are moved along; until then they
+ * are invisible to the API. This also covers tables created before the list and
+ * composite indexes or the task counters were added. Safe to re-run.
+ *
+ * Usage: TABLE_NAME=engineering-tasks [WORKSPACE=default] node scripts/migrate-to-workspace.js
+ */
+const { migrateLegacyItems } = require('../src/lib/dynamodb');
+const { validateWorkspace } = require('../src/lib/validation');
+const { DEFAULT_WORKSPACE } = require('../src/lib/workspace');
+
+const PAGE_SIZE = 100;
+
+/**
+ * Migrates every page of the table
+ * @returns {Promise<void>}
+ */
+async function main() {
+  const workspace = process.env.WORKSPACE || DEFAULT_WORKSPACE;
+  const validationError = validateWorkspace(workspace);
+  if (validationError) {
+    throw new Error(validationError);
+  }
+
+  let nextToken;
+  let total = 0;
+
+  do {
+    const page = await migrateLegacyItems(workspace, PAGE_SIZE, nextToken);
+    total += page.migrated;
+    nextToken = page.nextToken;
+    console.log(`Migrated ${total} tasks so far`);
+  } while (nextToken);
+
+  console.log(`✅ Done: ${total} tasks migrated into workspace ${workspace}`);
+}
+
+main().catch(err => {
+  console.error('❌ Migration failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,134 @@
+const { validateDependencyInput } = require('../lib/validation');
+const { success, error, formatTask } = require('../lib/response');
+const { getTask, putDependency, queryBlockedIds } = require('../lib/dynamodb');
+const { validateApiKey, getCaller, getCallerIdentity, getWorkspace } = require('../lib/auth');
+const { workspaceConfig } = require('../lib/workspace');
+const { checkPolicy } = require('../lib/policy');
+
+/**
+ * Checks whether one task already (transitively) blocks another
+ * @param {string} workspace - Workspace ID
+ * @param {string} fromId - Task to start walking from
+ * @param {string} targetId - Task to look for downstream
+ * @returns {Promise<boolean>} True if targetId is reachable through BLOCKS edges
+ */
+async function blocksTransitively(workspace, fromId, targetId) {
+  const visited = new Set([fromId]);
+  let frontier = [fromId];
+
+  while (frontier.length > 0) {
+    const next = [];
+    for (const id of frontier) {
+      const blockedIds = await queryBlockedIds(workspace, id);
+      for (const blockedId of blockedIds) {
+        if (blockedId === targetId) {
+          return true;
+        }
+        if (!visited.has(blockedId)) {
+          visited.add(blockedId);
+          next.push(blockedId);
+        }
+      }
+    }
+    frontier = next;
+  }
+
+  return false;
+}
+
+/**
+ * Lambda handler for adding a "blocker blocks task" dependency
+ * @param {Object} event - API Gateway event
+ * @returns {Promise<Object>} API Gateway response
+ */
+exports.handler = async (event) => {
+  // Validate API key
+  const authError = await validateApiKey(event, 'tasks:write');
+  if (authError) {
+    return authError;
+  }
+
+  try {
+    const workspace = getWorkspace(event);
+
+    // Extract task ID from path parameters
+    const taskId = event.pathParameters?.id;
+
+    if (!taskId) {
+      return error(400, 'Task ID is required');
+    }
+
+    // Parse request body
+    let requestBody;
+    try {
+      requestBody = JSON.parse(event.body || '{}');
+    } catch (parseError) {
+      return error(400, 'Invalid JSON in request body');
+    }
+
+    // Validate input
+    const validation = validateDependencyInput(requestBody);
+    if (!validation.valid) {
+      return error(400, validation.errors.join(', '));
+    }
+
+    const { blockerId } = requestBody;
+    if (blockerId === taskId) {
+      return error(400, 'Task cannot block itself');
+    }
+
+    // Both ends of the dependency must exist
+    const task = await getTask(workspace, taskId);
+    if (!task) {
+      return error(404, 'Task not found');
+    }
+
+    // Check the caller may change the blocked task
+    const policyError = checkPolicy(getCaller(event), 'update', { task });
+    if (policyError) {
+      return error(403, policyError);
+    }
+
+    const blocker = await getTask(workspace, blockerId);
+    if (!blocker) {
+      return error(404, 'Blocker task not found');
+    }
+
+    // Reject the edge if the task already blocks its new blocker
+    if (await blocksTransitively(workspace, taskId, blockerId)) {
+      return error(409, 'Dependency would create a cycle');
+    }
+
+    // An unfinished blocker moves the task to blocked, in workspaces that use that status.
+    // The edge and the status change are written together so neither outlives a conflict
+    let updatedTask = task;
+    const blockedAllowed = workspaceConfig(workspace).statuses.includes('blocked');
+    if (blockedAllowed && blocker.status !== 'done' && task.status !== 'blocked') {
+      updatedTask = {
+        ...task,
+        status: 'blocked',
+        updatedAt: new Date().toISOString(),
+        version: (task.version || 0) + 1
+      };
+      await putDependency(workspace, blockerId, taskId, {
+        task: updatedTask,
+        previousTask: task,
+        actor: getCallerIdentity(event)
+      });
+    } else {
+      await putDependency(workspace, blockerId, taskId);
+    }
+
+    return success(201, {
+      blockerId,
+      blockedId: taskId,
+      task: formatTask(updatedTask)
+    });
+  } catch (err) {
+    if (err.name === 'VersionConflictError') {
+      return error(409, 'Task was modified concurrently; retry the request');
+    }
+    console.error('Error adding dependency:', err);
+    return error(500, 'Internal server error: adding dependency');
+  }
+};
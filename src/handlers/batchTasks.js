@@ -0,0 +1,338 @@
+const { v4: uuidv4 } = require('uuid');
+const { validateTaskInput } = require('../lib/validation');
+const { success, error, formatTask } = require('../lib/response');
+const {
+  getTask,
+  getTaskAncestorIds,
+  queryBlockerIds,
+  queryAllSubtasks,
+  writeTaskBatch
+} = require('../lib/dynamodb');
+const { authenticate, getCallerIdentity, getWorkspace } = require('../lib/auth');
+const { workspaceConfig } = require('../lib/workspace');
+const { checkPolicy } = require('../lib/policy');
+
+const MAX_BATCH_OPERATIONS = 100;
+const BATCH_OPERATIONS = ['create', 'update', 'delete'];
+
+// Operation named in the error of a write that could not be stored
+const WRITE_ERROR_OPERATIONS = { create: 'creating task', update: 'updating task', delete: 'deleting task' };
+
+/**
+ * Builds a failed operation outcome
+ * @param {number} statusCode - HTTP status code of the operation
+ * @param {string} message - Error message
+ * @returns {Object} Operation outcome
+ */
+function failed(statusCode, message) {
+  return { statusCode, error: message };
+}
+
+/**
+ * Validates a create operation and builds the new task
+ * @param {string} workspace - Workspace ID
+ * @param {Object} operation - { op: 'create', task }
+ * @returns {Promise<Object>} Outcome with the write to perform, or a failure
+ */
+async function prepareCreate(workspace, operation) {
+  const data = operation.task;
+  const config = workspaceConfig(workspace);
+
+  // Look up the parent chain so the hierarchy can be validated
+  const context = { statuses: config.statuses };
+  if (typeof data.parentId === 'string' && data.parentId) {
+    context.ancestorIds = await getTaskAncestorIds(workspace, data.parentId);
+  }
+
+  const validation = validateTaskInput(data, context);
+  if (!validation.valid) {
+    return failed(400, validation.errors.join(', '));
+  }
+
+  const now = new Date().toISOString();
+  const task = {
+    id: uuidv4(),
+    description: data.description,
+    assignee: data.assignee || null,
+    priority: data.priority || config.defaultPriority,
+    status: data.status || 'open',
+    dueDate: data.dueDate || null,
+    parentId: data.parentId || null,
+    labels: data.labels || [],
+    version: 1,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  return { statusCode: 201, write: { type: 'put', task } };
+}
+
+/**
+ * Validates an update operation and builds the updated task
+ * @param {string} workspace - Workspace ID
+ * @param {Object} operation - { op: 'update', id, task, version? }
+ * @param {Object} existingTask - Stored task
+ * @returns {Promise<Object>} Outcome with the write to perform, or a failure
+ */
+async function prepareUpdate(workspace, operation, existingTask) {
+  const data = operation.task;
+  const taskId = existingTask.id;
+
+  // Validate update data (description not required for updates)
+  const dataToValidate = {
+    description: data.description !== undefined ? data.description : existingTask.description,
+    ...data
+  };
+
+  // Look up the new parent chain so cycles can be rejected
+  const context = { taskId, statuses: workspaceConfig(workspace).statuses, currentStatus: existingTask.status };
+  if (typeof data.parentId === 'string' && data.parentId && data.parentId !== taskId) {
+    context.ancestorIds = await getTaskAncestorIds(workspace, data.parentId);
+  }
+
+  const validation = validateTaskInput(dataToValidate, context);
+  if (!validation.valid) {
+    return failed(400, validation.errors.join(', '));
+  }
+
+  // A task cannot be finished while any of its blockers is unfinished
+  if (data.status === 'done') {
+    const blockerIds = await queryBlockerIds(workspace, taskId);
+    const blockers = await Promise.all(blockerIds.map(blockerId => getTask(workspace, blockerId)));
+    const unfinishedIds = blockers
+      .filter(blocker => blocker && blocker.status !== 'done')
+      .map(blocker => blocker.id);
+
+    if (unfinishedIds.length > 0) {
+      return failed(409, `Task is blocked by unfinished tasks: ${unfinishedIds.join(', ')}`);
+    }
+  }
+
+  const task = {
+    ...existingTask,
+    updatedAt: new Date().toISOString(), // Auto-update
+    version: (existingTask.version || 0) + 1 // Auto-increment
+  };
+
+  // Apply updates for mutable fields only
+  ['description', 'assignee', 'priority', 'status', 'dueDate', 'parentId'].forEach(field => {
+    if (data[field] !== undefined) {
+      task[field] = data[field];
+    }
+  });
+  if (data.labels !== undefined) {
+    task.labels = data.labels || [];
+  }
+
+  return { statusCode: 200, write: { type: 'put', task, previousTask: existingTask } };
+}
+
+/**
+ * Validates a delete operation
+ * @param {string} workspace - Workspace ID
+ * @param {Object} existingTask - Stored task
+ * @returns {Promise<Object>} Outcome with the write to perform, or a failure
+ */
+async function prepareDelete(workspace, existingTask) {
+  const subtasks = await queryAllSubtasks(workspace, existingTask.id);
+  if (subtasks.length > 0) {
+    return failed(409, 'Task has subtasks; delete them first');
+  }
+
+  return { statusCode: 204, write: { type: 'delete', task: existingTask } };
+}
+
+/**
+ * Validates a single batch operation and works out the write it needs
+ * @param {string} workspace - Workspace ID
+ * @param {Object} operation - Batch operation
+ * @param {Set<string>} seenIds - IDs of tasks already touched by earlier operations
+ * @param {Object} caller - Authenticated caller, checked against the authorization rules
+ * @returns {Promise<Object>} Outcome: { statusCode, write } or { statusCode, error }
+ */
+async function prepareOperation(workspace, operation, seenIds, caller) {
+  if (typeof operation !== 'object' || operation === null || !BATCH_OPERATIONS.includes(operation.op)) {
+    return failed(400, `Operation must have an op of: ${BATCH_OPERATIONS.join(', ')}`);
+  }
+
+  if (operation.op !== 'delete' &&
+    (typeof operation.task !== 'object' || operation.task === null || Array.isArray(operation.task))) {
+    return failed(400, 'Operation requires a task object');
+  }
+
+  if (operation.op === 'create') {
+    const policyError = checkPolicy(caller, 'create', { changes: operation.task });
+    if (policyError) {
+      return failed(403, policyError);
+    }
+
+    return prepareCreate(workspace, operation);
+  }
+
+  if (typeof operation.id !== 'string' || !operation.id) {
+    return failed(400, 'Operation requires a task id');
+  }
+
+  // DynamoDB cannot write the same item twice in one request
+  if (seenIds.has(operation.id)) {
+    return failed(400, 'Task appears more than once in the batch');
+  }
+  seenIds.add(operation.id);
+
+  const existingTask = await getTask(workspace, operation.id);
+  if (!existingTask) {
+    return failed(404, 'Task not found');
+  }
+
+  if (operation.version !== undefined && operation.version !== (existingTask.version || 0)) {
+    return failed(412, 'Task has been modified; fetch the latest version and retry');
+  }
+
+  const policyError = checkPolicy(caller, operation.op, { task: existingTask, changes: operation.task });
+  if (policyError) {
+    return failed(403, policyError);
+  }
+
+  return operation.op === 'update'
+    ? prepareUpdate(workspace, operation, existingTask)
+    : prepareDelete(workspace, existingTask);
+}
+
+/**
+ * Builds the result reported for an operation
+ * @param {Object} operation - Batch operation
+ * @param {number} index - Position of the operation in the request
+ * @param {Object} outcome - Operation outcome
+ * @returns {Object} Operation result
+ */
+function toResult(operation, index, outcome) {
+  const result = {
+    index,
+    op: operation?.op ?? null,
+    id: outcome.write?.task.id ?? operation?.id ?? null,
+    statusCode: outcome.statusCode
+  };
+
+  if (outcome.error) {
+    result.error = outcome.error;
+  } else if (outcome.write.type === 'put') {
+    result.task = formatTask(outcome.write.task);
+  }
+
+  return result;
+}
+
+/**
+ * Lambda handler for creating, updating and deleting tasks in bulk
+ * @param {Object} event - API Gateway event
+ * @returns {Promise<Object>} API Gateway response
+ */
+exports.handler = async (event) => {
+  // Authenticate the caller; scopes are checked per operation below
+  const { caller, error: authError } = await authenticate(event);
+  if (authError) {
+    return authError;
+  }
+
+  try {
+    const workspace = getWorkspace(event);
+
+    // Parse request body
+    let requestBody;
+    try {
+      requestBody = JSON.parse(event.body || '{}');
+    } catch (parseError) {
+      return error(400, 'Invalid JSON in request body');
+    }
+
+    const { operations, transactional = false } = requestBody;
+
+    if (!Array.isArray(operations) || operations.length === 0) {
+      return error(400, 'Operations must be a non-empty array');
+    }
+
+    if (operations.length > MAX_BATCH_OPERATIONS) {
+      return error(400, `A batch must not contain more than ${MAX_BATCH_OPERATIONS} operations`);
+    }
+
+    if (typeof transactional !== 'boolean') {
+      return error(400, 'Transactional must be a boolean');
+    }
+
+    // Validate every operation before writing anything
+    const seenIds = new Set();
+    const outcomes = [];
+    for (const operation of operations) {
+      const scope = operation?.op === 'delete' ? 'tasks:delete' : 'tasks:write';
+      outcomes.push(caller.scopes.includes(scope)
+        ? await prepareOperation(workspace, operation, seenIds, caller)
+        : failed(403, `API key does not have the ${scope} scope`));
+    }
+
+    const pending = outcomes
+      .map((outcome, index) => ({ outcome, index }))
+      .filter(({ outcome }) => outcome.write);
+
+    // In transactional mode one invalid operation rejects the whole batch
+    if (transactional && pending.length < outcomes.length) {
+      return success(400, {
+        error: 'Batch rejected; no operations were applied',
+        results: outcomes.map((outcome, index) => toResult(
+          operations[index],
+          index,
+          outcome.write ? failed(424, 'Not applied') : outcome
+        ))
+      });
+    }
+
+    try {
+      const writeResults = await writeTaskBatch(
+        workspace,
+        pending.map(({ outcome }) => outcome.write),
+        { transactional, actor: getCallerIdentity(event) }
+      );
+
+      writeResults.forEach((writeResult, position) => {
+        const { index } = pending[position];
+        if (writeResult.conflict) {
+          // The task changed after it was read; the write was not applied
+          outcomes[index] = failed(409, 'Task was modified concurrently; retry the request');
+        } else if (!writeResult.ok) {
+          outcomes[index] = failed(500, `Internal server error: ${WRITE_ERROR_OPERATIONS[operations[index].op]}`);
+        }
+      });
+    } catch (writeErr) {
+      if (writeErr.name === 'BatchTooLargeError') {
+        return error(400, writeErr.message);
+      }
+      if (writeErr.name !== 'VersionConflictError') {
+        throw writeErr;
+      }
+
+      // A task changed between validation and the transaction
+      const conflictIndex = pending[writeErr.operationIndex]?.index;
+      return success(409, {
+        error: 'Batch rejected; no operations were applied',
+        results: outcomes.map((outcome, index) => toResult(
+          operations[index],
+          index,
+          index === conflictIndex
+            ? failed(412, 'Task has been modified; fetch the latest version and retry')
+            : failed(424, 'Not applied')
+        ))
+      });
+    }
+
+    const results = outcomes.map((outcome, index) => toResult(operations[index], index, outcome));
+    const failedCount = results.filter(result => result.error).length;
+
+    return success(200, {
+      results,
+      succeeded: results.length - failedCount,
+      failed: failedCount
+    });
+  } catch (err) {
+    console.error('Error processing task batch:', err);
+    return error(500, 'Internal server error: processing task batch');
+  }
+};
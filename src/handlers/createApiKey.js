@@ -0,0 +1,65 @@
+const { validateApiKeyInput } = require('../lib/validation');
+const { success, error, formatApiKey } = require('../lib/response');
+const { putApiKey } = require('../lib/dynamodb');
+const { validateApiKey, generateApiKey, getCaller, getCallerIdentity } = require('../lib/auth');
+const { administersWorkspace } = require('../lib/workspace');
+
+/**
+ * Lambda handler for issuing an API key
+ * @param {Object} event - API Gateway event
+ * @returns {Promise<Object>} API Gateway response
+ */
+exports.handler = async (event) => {
+  // Validate API key
+  const authError = await validateApiKey(event, 'keys:admin');
+  if (authError) {
+    return authError;
+  }
+
+  try {
+    // Parse request body
+    let requestBody;
+    try {
+      requestBody = JSON.parse(event.body || '{}');
+    } catch (parseError) {
+      return error(400, 'Invalid JSON in request body');
+    }
+
+    // Validate input
+    const validation = validateApiKeyInput(requestBody);
+    if (!validation.valid) {
+      return error(400, validation.errors.join(', '));
+    }
+
+    // Keys belong to the caller's workspace unless they name another one they administer
+    const caller = getCaller(event);
+    const workspace = requestBody.workspace || caller.workspace;
+    if (!administersWorkspace(caller, workspace)) {
+      return error(403, 'Cannot issue API keys for another workspace');
+    }
+
+    const { keyId, apiKey, hash } = generateApiKey();
+    const now = new Date().toISOString();
+    const record = {
+      keyId,
+      name: requestBody.name.trim(),
+      hash,
+      scopes: requestBody.scopes,
+      workspace,
+      expiresAt: requestBody.expiresAt || null,
+      disabled: false,
+      createdBy: getCallerIdentity(event),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    // Persist to DynamoDB
+    await putApiKey(record);
+
+    // The key itself is only ever returned here
+    return success(201, { ...formatApiKey(record), apiKey });
+  } catch (err) {
+    console.error('Error issuing API key:', err);
+    return error(500, 'Internal server error: issuing API key');
+  }
+};
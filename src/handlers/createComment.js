@@ -0,0 +1,75 @@
+const { v4: uuidv4 } = require('uuid');
+const { validateCommentInput } = require('../lib/validation');
+const { success, error, formatComment } = require('../lib/response');
+const { getTask, putComment } = require('../lib/dynamodb');
+const { validateApiKey, getCaller, getCallerName, getWorkspace } = require('../lib/auth');
+const { checkPolicy } = require('../lib/policy');
+
+/**
+ * Lambda handler for adding a comment to a task
+ * @param {Object} event - API Gateway event
+ * @returns {Promise<Object>} API Gateway response
+ */
+exports.handler = async (event) => {
+  // Validate API key
+  const authError = await validateApiKey(event, 'tasks:write');
+  if (authError) {
+    return authError;
+  }
+
+  try {
+    const workspace = getWorkspace(event);
+
+    // Extract task ID from path parameters
+    const taskId = event.pathParameters?.id;
+
+    if (!taskId) {
+      return error(400, 'Task ID is required');
+    }
+
+    // Parse request body
+    let requestBody;
+    try {
+      requestBody = JSON.parse(event.body || '{}');
+    } catch (parseError) {
+      return error(400, 'Invalid JSON in request body');
+    }
+
+    // Validate input
+    const validation = validateCommentInput(requestBody);
+    if (!validation.valid) {
+      return error(400, validation.errors.join(', '));
+    }
+
+    // Comments can only be attached to existing tasks
+    const existingTask = await getTask(workspace, taskId);
+    if (!existingTask) {
+      return error(404, 'Task not found');
+    }
+
+    // Check the caller may see the task, then comment on it
+    const caller = getCaller(event);
+    const policyError = checkPolicy(caller, 'read', { task: existingTask }) ||
+      checkPolicy(caller, 'comment', { task: existingTask });
+    if (policyError) {
+      return error(403, policyError);
+    }
+
+    const comment = {
+      id: uuidv4(),
+      taskId,
+      text: requestBody.text,
+      author: getCallerName(event),
+      createdAt: new Date().toISOString()
+    };
+
+    // Persist to DynamoDB
+    await putComment(workspace, comment);
+
+    // Return created comment
+    return success(201, formatComment(comment));
+  } catch (err) {
+    console.error('Error creating comment:', err);
+    return error(500, 'Internal server error: creating comment');
+  }
+};
@@ -1,8 +1,12 @@
 const { v4: uuidv4 } = require('uuid');
 const { validateTaskInput } = require('../lib/validation');
-const { success, error } = require('../lib/response');
-const { putTask } = require('../lib/dynamodb');
-const { validateApiKey } = require('../lib/auth');
+const { success, error, formatTask } = require('../lib/response');
+const { toETag } = require('../lib/concurrency');
+const { putTask, getTaskAncestorIds, getIdempotencyRecord } = require('../lib/dynamodb');
+const { validateApiKey, getCaller, getCallerIdentity, getWorkspace } = require('../lib/auth');
+const { workspaceConfig } = require('../lib/workspace');
+const { checkPolicy } = require('../lib/policy');
+const { validateIdempotencyKey, getIdempotencyContext, replayResponse } = require('../lib/idempotency');
 
 /**
  * Lambda handler for creating a new task
@@ -11,12 +15,28 @@ const { validateApiKey } = require('../lib/auth');
  */
 exports.handler = async (event) => {
   // Validate API key
-  const authError = validateApiKey(event);
+  const authError = await validateApiKey(event, 'tasks:write');
   if (authError) {
     return authError;
   }
 
   try {
+    const workspace = getWorkspace(event);
+
+    // Replay the stored response of a retried request
+    const idempotencyError = validateIdempotencyKey(event);
+    if (idempotencyError) {
+      return idempotencyError;
+    }
+
+    const idempotency = getIdempotencyContext(event);
+    if (idempotency) {
+      const record = await getIdempotencyRecord(workspace, idempotency.key);
+      if (record) {
+        return replayResponse(record, idempotency);
+      }
+    }
+
     // Parse request body
     let requestBody;
     try {
@@ -25,8 +45,21 @@ exports.handler = async (event) => {
       return error(400, 'Invalid JSON in request body');
     }
 
+    // Check the caller may create this task
+    const policyError = checkPolicy(getCaller(event), 'create', { changes: requestBody });
+    if (policyError) {
+      return error(403, policyError);
+    }
+
+    // Look up the parent chain so the hierarchy can be validated
+    const config = workspaceConfig(workspace);
+    const context = { statuses: config.statuses };
+    if (typeof requestBody.parentId === 'string' && requestBody.parentId) {
+      context.ancestorIds = await getTaskAncestorIds(workspace, requestBody.parentId);
+    }
+
     // Validate input
-    const validation = validateTaskInput(requestBody);
+    const validation = validateTaskInput(requestBody, context);
     if (!validation.valid) {
       return error(400, validation.errors.join(', '));
     }
@@ -37,18 +70,38 @@ exports.handler = async (event) => {
       id: uuidv4(),
       description: requestBody.description,
       assignee: requestBody.assignee || null,
-      priority: requestBody.priority || 'P2',
+      priority: requestBody.priority || config.defaultPriority,
       status: requestBody.status || 'open',
       dueDate: requestBody.dueDate || null,
+      parentId: requestBody.parentId || null,
+      labels: requestBody.labels || [],
+      version: 1,
       createdAt: now,
       updatedAt: now
     };
 
-    // Persist to DynamoDB
-    await putTask(task);
+    const response = success(201, formatTask(task), { ETag: toETag(task) });
+
+    // Persist to DynamoDB, storing the response for replays in the same write
+    try {
+      await putTask(workspace, task, {
+        actor: getCallerIdentity(event),
+        idempotency: idempotency && { ...idempotency, response }
+      });
+    } catch (putErr) {
+      // A concurrent request with the same key won the race
+      if (putErr.name === 'IdempotencyConflictError') {
+        const record = await getIdempotencyRecord(workspace, idempotency.key);
+        if (record) {
+          return replayResponse(record, idempotency);
+        }
+        return error(409, 'A request with this Idempotency-Key is already in progress');
+      }
+      throw putErr;
+    }
 
     // Return created task
-    return success(201, task);
+    return response;
   } catch (err) {
     console.error('Error creating task:', err);
     return error(500, 'Internal server error: creating task');
@@ -0,0 +1,64 @@
+const { error } = require('../lib/response');
+const { getTask, deleteComment } = require('../lib/dynamodb');
+const { validateApiKey, getCaller, getWorkspace } = require('../lib/auth');
+const { checkPolicy } = require('../lib/policy');
+
+/**
+ * Lambda handler for deleting a comment from a task
+ * @param {Object} event - API Gateway event
+ * @returns {Promise<Object>} API Gateway response
+ */
+exports.handler = async (event) => {
+  // Validate API key
+  const authError = await validateApiKey(event, 'tasks:delete');
+  if (authError) {
+    return authError;
+  }
+
+  try {
+    const workspace = getWorkspace(event);
+
+    // Extract task and comment IDs from path parameters
+    const taskId = event.pathParameters?.id;
+    const commentId = event.pathParameters?.commentId;
+
+    if (!taskId) {
+      return error(400, 'Task ID is required');
+    }
+
+    if (!commentId) {
+      return error(400, 'Comment ID is required');
+    }
+
+    // Comments only exist on existing tasks, whose ownership decides who may remove them
+    const existingTask = await getTask(workspace, taskId);
+    if (!existingTask) {
+      return error(404, 'Task not found');
+    }
+
+    // Check the caller may see the task, then remove its comments
+    const caller = getCaller(event);
+    const policyError = checkPolicy(caller, 'read', { task: existingTask }) ||
+      checkPolicy(caller, 'comment', { task: existingTask });
+    if (policyError) {
+      return error(403, policyError);
+    }
+
+    const deleted = await deleteComment(workspace, taskId, commentId);
+    if (!deleted) {
+      return error(404, 'Comment not found');
+    }
+
+    // Return 204 No Content
+    return {
+      statusCode: 204,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: ''
+    };
+  } catch (err) {
+    console.error('Error deleting comment:', err);
+    return error(500, 'Internal server error: deleting comment');
+  }
+};
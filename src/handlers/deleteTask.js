@@ -1,6 +1,40 @@
 const { error } = require('../lib/response');
-const { getTask, deleteTask } = require('../lib/dynamodb');
-const { validateApiKey } = require('../lib/auth');
+const { getTask, deleteTask, queryAllSubtasks } = require('../lib/dynamodb');
+const { validateApiKey, getCaller, getCallerIdentity, getWorkspace } = require('../lib/auth');
+const { checkPolicy } = require('../lib/policy');
+const { validateIfMatch } = require('../lib/concurrency');
+
+/**
+ * Collects every descendant of a task, deepest first
+ * @param {string} workspace - Workspace ID
+ * @param {string} taskId - Root task ID
+ * @returns {Promise<string[]>} Descendant task IDs ordered so children precede parents
+ */
+async function collectDescendantIds(workspace, taskId) {
+  const levels = [];
+  const visited = new Set([taskId]);
+  let frontier = [taskId];
+
+  while (frontier.length > 0) {
+    const children = [];
+    for (const id of frontier) {
+      const subtasks = await queryAllSubtasks(workspace, id);
+      subtasks
+        .filter(subtask => !visited.has(subtask.id))
+        .forEach(subtask => {
+          visited.add(subtask.id);
+          children.push(subtask.id);
+        });
+    }
+
+    if (children.length > 0) {
+      levels.push(children);
+    }
+    frontier = children;
+  }
+
+  return levels.reverse().flat();
+}
 
 /**
  * Lambda handler for deleting a task
@@ -9,12 +43,14 @@ const { validateApiKey } = require('../lib/auth');
  */
 exports.handler = async (event) => {
   // Validate API key
-  const authError = validateApiKey(event);
+  const authError = await validateApiKey(event, 'tasks:delete');
   if (authError) {
     return authError;
   }
 
   try {
+    const workspace = getWorkspace(event);
+
     // Extract task ID from path parameters
     const taskId = event.pathParameters?.id;
     
@@ -22,14 +58,43 @@ exports.handler = async (event) => {
       return error(400, 'Task ID is required');
     }
 
+    // Validate cascade parameter
+    const cascade = event.queryStringParameters?.cascade;
+    if (cascade !== undefined && cascade !== 'true' && cascade !== 'false') {
+      return error(400, 'Cascade must be true or false');
+    }
+
     // Check if task exists
-    const existingTask = await getTask(taskId);
+    const existingTask = await getTask(workspace, taskId);
     if (!existingTask) {
       return error(404, 'Task not found');
     }
 
-    // Delete task from DynamoDB
-    await deleteTask(taskId);
+    // Reject deletes based on a stale version of the task
+    const preconditionError = validateIfMatch(event, existingTask);
+    if (preconditionError) {
+      return preconditionError;
+    }
+
+    // Check the caller may delete the task
+    const policyError = checkPolicy(getCaller(event), 'delete', { task: existingTask });
+    if (policyError) {
+      return error(403, policyError);
+    }
+
+    // Parents are only deleted together with their subtasks when asked to
+    const descendantIds = await collectDescendantIds(workspace, taskId);
+    if (descendantIds.length > 0 && cascade !== 'true') {
+      return error(409, 'Task has subtasks; use cascade=true to delete them as well');
+    }
+
+    const actor = getCallerIdentity(event);
+    for (const descendantId of descendantIds) {
+      await deleteTask(workspace, descendantId, { actor });
+    }
+
+    // Delete task from DynamoDB, provided it is still the version checked above
+    await deleteTask(workspace, taskId, { actor, expectedVersion: existingTask.version || 0 });
 
     // Return 204 No Content
     return {
@@ -40,6 +105,9 @@ exports.handler = async (event) => {
       body: ''
     };
   } catch (err) {
+    if (err.name === 'VersionConflictError') {
+      return error(412, 'Task has been modified; fetch the latest version and retry');
+    }
     console.error('Error deleting task:', err);
     return error(500, 'Internal server error: deleting task');
   }
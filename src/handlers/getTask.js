@@ -1,7 +1,51 @@
 const { error, success } = require('../lib/response');
-const { getTask } = require('../lib/dynamodb');
+const {
+  getTask,
+  batchGetTasks,
+  countComments,
+  queryAllSubtasks,
+  queryBlockerIds,
+  queryBlockedIds
+} = require('../lib/dynamodb');
 const { formatTask } = require('../lib/response');
-const { validateApiKey } = require('../lib/auth');
+const { validateApiKey, getCaller, getWorkspace } = require('../lib/auth');
+const { checkPolicy, seesOwnTasksOnly } = require('../lib/policy');
+const { validateFields, TASK_FIELDS } = require('../lib/validation');
+const { toETag, isNotModified, notModified } = require('../lib/concurrency');
+
+// Optional related data that can be requested with ?include=a,b
+const VALID_INCLUDES = ['commentCount', 'dependencies'];
+
+// Fields that can be selected with ?fields=a,b: the task attributes and the subtask rollup
+const SELECTABLE_FIELDS = [...TASK_FIELDS, 'subtaskProgress'];
+
+/**
+ * Loads and formats the tasks on the other end of a task's dependencies, leaving out
+ * those the caller may not see
+ * @param {string} workspace - Workspace ID
+ * @param {string} taskId - Task ID
+ * @param {Object|null} caller - Caller from getCaller
+ * @returns {Promise<Object>} { blockedBy: Object[], blocks: Object[] }
+ */
+async function expandDependencies(workspace, taskId, caller) {
+  const [blockerIds, blockedIds] = await Promise.all([
+    queryBlockerIds(workspace, taskId),
+    queryBlockedIds(workspace, taskId)
+  ]);
+
+  // Read both ends in one batch; edges may briefly outlive a deleted task, so drop missing ends
+  const { items } = await batchGetTasks(workspace, [...blockerIds, ...blockedIds]);
+  const visibleTasks = items.filter(task => !checkPolicy(caller, 'read', { task }));
+  const tasksById = new Map(visibleTasks.map(task => [task.id, task]));
+  const formatTasks = (ids) => ids
+    .filter(id => tasksById.has(id))
+    .map(id => formatTask(tasksById.get(id)));
+
+  return {
+    blockedBy: formatTasks(blockerIds),
+    blocks: formatTasks(blockedIds)
+  };
+}
 
 /**
  * Lambda handler for retrieving a task by ID
@@ -10,12 +54,14 @@ const { validateApiKey } = require('../lib/auth');
  */
 exports.handler = async (event) => {
   // Validate API key
-  const authError = validateApiKey(event);
+  const authError = await validateApiKey(event, 'tasks:read');
   if (authError) {
     return authError;
   }
 
   try {
+    const workspace = getWorkspace(event);
+
     // Extract task ID from path parameters
     const taskId = event.pathParameters?.id;
     
@@ -23,16 +69,63 @@ exports.handler = async (event) => {
       return error(400, 'Task ID is required');
     }
 
-    // Retrieve task from DynamoDB
-    const task = await getTask(taskId);
+    // Parse and validate include parameter
+    const include = event.queryStringParameters?.include;
+    const includes = include ? include.split(',').map(value => value.trim()) : [];
+    const invalidInclude = includes.find(value => !VALID_INCLUDES.includes(value));
+    if (invalidInclude !== undefined) {
+      return error(400, `Include must be one of: ${VALID_INCLUDES.join(', ')}`);
+    }
+
+    // Parse and validate fields parameter
+    const fields = event.queryStringParameters?.fields;
+    if (fields !== undefined && validateFields(fields, SELECTABLE_FIELDS)) {
+      return error(400, validateFields(fields, SELECTABLE_FIELDS));
+    }
+    const selectedFields = fields !== undefined ? fields.split(',').map(field => field.trim()) : undefined;
+
+    // Retrieve task from DynamoDB, reading only the selected attributes (and the version for the
+    // ETag, and the assignee when the caller may only see their own tasks)
+    const task = selectedFields
+      ? await getTask(workspace, taskId, {
+        attributes: [
+          ...selectedFields.filter(field => TASK_FIELDS.includes(field)),
+          'version',
+          ...(seesOwnTasksOnly(getCaller(event)) ? ['assignee'] : [])
+        ]
+      })
+      : await getTask(workspace, taskId);
 
     if (!task) {
       return error(404, 'Task not found');
     }
 
-    // Format and return task
-    const formattedTask = formatTask(task);
-    return success(200, formattedTask);
+    // Check the caller may see the task
+    const policyError = checkPolicy(getCaller(event), 'read', { task });
+    if (policyError) {
+      return error(403, policyError);
+    }
+
+    if (isNotModified(event, task)) {
+      return notModified(task);
+    }
+
+    // Format and return task with its subtask progress rolled up, unless not selected
+    const related = {};
+    if (!selectedFields || selectedFields.includes('subtaskProgress')) {
+      related.subtasks = await queryAllSubtasks(workspace, taskId);
+    }
+    const formattedTask = formatTask(task, related, selectedFields);
+
+    if (includes.includes('commentCount')) {
+      formattedTask.commentCount = await countComments(workspace, taskId);
+    }
+
+    if (includes.includes('dependencies')) {
+      formattedTask.dependencies = await expandDependencies(workspace, taskId, getCaller(event));
+    }
+
+    return success(200, formattedTask, { ETag: toETag(task) });
   } catch (err) {
     console.error('Error retrieving task:', err);
     return error(500, 'Internal server error: retrieving task');
@@ -0,0 +1,84 @@
+const { error, success, formatHistoryEntry } = require('../lib/response');
+const { validateLimit, validateNextToken } = require('../lib/validation');
+const { getTask, queryTaskHistory } = require('../lib/dynamodb');
+const { validateApiKey, getCaller, getWorkspace } = require('../lib/auth');
+const { checkPolicy, seesOwnTasksOnly } = require('../lib/policy');
+const { signNextToken, openNextToken } = require('../lib/pagination');
+
+/**
+ * Lambda handler for listing the change history of a task
+ * @param {Object} event - API Gateway event
+ * @returns {Promise<Object>} API Gateway response
+ */
+exports.handler = async (event) => {
+  // Validate API key
+  const authError = await validateApiKey(event, 'tasks:read');
+  if (authError) {
+    return authError;
+  }
+
+  try {
+    const workspace = getWorkspace(event);
+
+    // Extract task ID from path parameters
+    const taskId = event.pathParameters?.id;
+
+    if (!taskId) {
+      return error(400, 'Task ID is required');
+    }
+
+    const { limit, nextToken } = event.queryStringParameters || {};
+
+    // Validate and parse limit
+    const parsedLimit = limit ? Number(limit) : 20;
+    if (limit) {
+      const limitError = validateLimit(limit);
+      if (limitError) {
+        return error(400, limitError);
+      }
+    }
+
+    // Validate nextToken parameter and unwrap the DynamoDB token it carries
+    const tokenBinding = { list: 'history', workspace, taskId };
+    let pageToken;
+    if (nextToken) {
+      const nextTokenError = validateNextToken(nextToken);
+      if (nextTokenError) {
+        return error(400, nextTokenError);
+      }
+
+      const opened = openNextToken(nextToken, tokenBinding);
+      if (opened.error) {
+        return error(400, opened.error);
+      }
+      pageToken = opened.key;
+    }
+
+    // History of a deleted task has no assignee to match, so it stays hidden
+    const caller = getCaller(event);
+    if (seesOwnTasksOnly(caller)) {
+      const policyError = checkPolicy(caller, 'read', { task: await getTask(workspace, taskId) });
+      if (policyError) {
+        return error(403, policyError);
+      }
+    }
+
+    const result = await queryTaskHistory(workspace, taskId, parsedLimit, pageToken);
+
+    // History outlives deleted tasks, so only an empty first page means unknown task
+    if (!nextToken && result.items.length === 0 && !(await getTask(workspace, taskId))) {
+      return error(404, 'Task not found');
+    }
+
+    // Build response
+    const responseBody = { history: result.items.map(entry => formatHistoryEntry(entry)) };
+    if (result.nextToken) {
+      responseBody.nextToken = signNextToken(result.nextToken, tokenBinding);
+    }
+
+    return success(200, responseBody);
+  } catch (err) {
+    console.error('Error retrieving task history:', err);
+    return error(500, 'Internal server error: retrieving task history');
+  }
+};
@@ -0,0 +1,65 @@
+const { error, success, formatApiKey } = require('../lib/response');
+const { validateLimit, validateNextToken } = require('../lib/validation');
+const { queryApiKeys } = require('../lib/dynamodb');
+const { validateApiKey, getCaller } = require('../lib/auth');
+const { DEFAULT_WORKSPACE } = require('../lib/workspace');
+const { signNextToken, openNextToken } = require('../lib/pagination');
+
+/**
+ * Lambda handler for listing API keys
+ * @param {Object} event - API Gateway event
+ * @returns {Promise<Object>} API Gateway response
+ */
+exports.handler = async (event) => {
+  // Validate API key
+  const authError = await validateApiKey(event, 'keys:admin');
+  if (authError) {
+    return authError;
+  }
+
+  try {
+    const { limit, nextToken } = event.queryStringParameters || {};
+
+    // Validate and parse limit
+    const parsedLimit = limit ? Number(limit) : 20;
+    if (limit) {
+      const limitError = validateLimit(limit);
+      if (limitError) {
+        return error(400, limitError);
+      }
+    }
+
+    // Administrators of the default workspace see the keys of every workspace
+    const callerWorkspace = getCaller(event).workspace;
+    const workspace = callerWorkspace === DEFAULT_WORKSPACE ? undefined : callerWorkspace;
+
+    // Validate nextToken parameter and unwrap the DynamoDB token it carries
+    const tokenBinding = { list: 'apiKeys', workspace };
+    let pageToken;
+    if (nextToken) {
+      const nextTokenError = validateNextToken(nextToken);
+      if (nextTokenError) {
+        return error(400, nextTokenError);
+      }
+
+      const opened = openNextToken(nextToken, tokenBinding);
+      if (opened.error) {
+        return error(400, opened.error);
+      }
+      pageToken = opened.key;
+    }
+
+    const result = await queryApiKeys(parsedLimit, pageToken, { workspace });
+
+    // Build response
+    const responseBody = { apiKeys: result.items.map(item => formatApiKey(item)) };
+    if (result.nextToken) {
+      responseBody.nextToken = signNextToken(result.nextToken, tokenBinding);
+    }
+
+    return success(200, responseBody);
+  } catch (err) {
+    console.error('Error listing API keys:', err);
+    return error(500, 'Internal server error: listing API keys');
+  }
+};
@@ -0,0 +1,81 @@
+const { error, success, formatComment } = require('../lib/response');
+const { validateLimit, validateNextToken } = require('../lib/validation');
+const { getTask, queryComments } = require('../lib/dynamodb');
+const { validateApiKey, getCaller, getWorkspace } = require('../lib/auth');
+const { checkPolicy } = require('../lib/policy');
+const { signNextToken, openNextToken } = require('../lib/pagination');
+
+/**
+ * Lambda handler for listing the comments of a task
+ * @param {Object} event - API Gateway event
+ * @returns {Promise<Object>} API Gateway response
+ */
+exports.handler = async (event) => {
+  // Validate API key
+  const authError = await validateApiKey(event, 'tasks:read');
+  if (authError) {
+    return authError;
+  }
+
+  try {
+    const workspace = getWorkspace(event);
+
+    // Extract task ID from path parameters
+    const taskId = event.pathParameters?.id;
+
+    if (!taskId) {
+      return error(400, 'Task ID is required');
+    }
+
+    const { limit, nextToken } = event.queryStringParameters || {};
+
+    // Validate and parse limit
+    const parsedLimit = limit ? Number(limit) : 20;
+    if (limit) {
+      const limitError = validateLimit(limit);
+      if (limitError) {
+        return error(400, limitError);
+      }
+    }
+
+    // Validate nextToken parameter and unwrap the DynamoDB token it carries
+    const tokenBinding = { list: 'comments', workspace, taskId };
+    let pageToken;
+    if (nextToken) {
+      const nextTokenError = validateNextToken(nextToken);
+      if (nextTokenError) {
+        return error(400, nextTokenError);
+      }
+
+      const opened = openNextToken(nextToken, tokenBinding);
+      if (opened.error) {
+        return error(400, opened.error);
+      }
+      pageToken = opened.key;
+    }
+
+    // Check if task exists
+    const existingTask = await getTask(workspace, taskId);
+    if (!existingTask) {
+      return error(404, 'Task not found');
+    }
+
+    const policyError = checkPolicy(getCaller(event), 'read', { task: existingTask });
+    if (policyError) {
+      return error(403, policyError);
+    }
+
+    const result = await queryComments(workspace, taskId, parsedLimit, pageToken);
+
+    // Build response
+    const responseBody = { comments: result.items.map(comment => formatComment(comment)) };
+    if (result.nextToken) {
+      responseBody.nextToken = signNextToken(result.nextToken, tokenBinding);
+    }
+
+    return success(200, responseBody);
+  } catch (err) {
+    console.error('Error listing comments:', err);
+    return error(500, 'Internal server error: listing comments');
+  }
+};
@@ -0,0 +1,83 @@
+const { error, success, formatTask } = require('../lib/response');
+const { validateLimit, validateNextToken } = require('../lib/validation');
+const { getTask, querySubtasks } = require('../lib/dynamodb');
+const { validateApiKey, getCaller, getWorkspace } = require('../lib/auth');
+const { checkPolicy } = require('../lib/policy');
+const { signNextToken, openNextToken } = require('../lib/pagination');
+
+/**
+ * Lambda handler for listing the direct subtasks of a task
+ * @param {Object} event - API Gateway event
+ * @returns {Promise<Object>} API Gateway response
+ */
+exports.handler = async (event) => {
+  // Validate API key
+  const authError = await validateApiKey(event, 'tasks:read');
+  if (authError) {
+    return authError;
+  }
+
+  try {
+    const workspace = getWorkspace(event);
+
+    // Extract task ID from path parameters
+    const taskId = event.pathParameters?.id;
+
+    if (!taskId) {
+      return error(400, 'Task ID is required');
+    }
+
+    const { limit, nextToken } = event.queryStringParameters || {};
+
+    // Validate and parse limit
+    const parsedLimit = limit ? Number(limit) : 20;
+    if (limit) {
+      const limitError = validateLimit(limit);
+      if (limitError) {
+        return error(400, limitError);
+      }
+    }
+
+    // Validate nextToken parameter and unwrap the DynamoDB token it carries
+    const tokenBinding = { list: 'subtasks', workspace, taskId };
+    let pageToken;
+    if (nextToken) {
+      const nextTokenError = validateNextToken(nextToken);
+      if (nextTokenError) {
+        return error(400, nextTokenError);
+      }
+
+      const opened = openNextToken(nextToken, tokenBinding);
+      if (opened.error) {
+        return error(400, opened.error);
+      }
+      pageToken = opened.key;
+    }
+
+    // Check if parent task exists
+    const parentTask = await getTask(workspace, taskId);
+    if (!parentTask) {
+      return error(404, 'Task not found');
+    }
+
+    const caller = getCaller(event);
+    const policyError = checkPolicy(caller, 'read', { task: parentTask });
+    if (policyError) {
+      return error(403, policyError);
+    }
+
+    const result = await querySubtasks(workspace, taskId, parsedLimit, pageToken);
+
+    // Build response
+    const visibleTasks = result.items.filter(task => !checkPolicy(caller, 'read', { task }));
+    const responseBody = { tasks: visibleTasks.map(task => formatTask(task)) };
+    if (result.nextToken) {
+      responseBody.nextToken = signNextToken(result.nextToken, tokenBinding);
+    }
+
+    return success(200, responseBody);
+  } catch (err) {
+    console.error('Error listing subtasks:', err);
+    return error(500, 'Internal server error: listing subtasks');
+  }
+};
@@ -1,12 +1,159 @@
 const { error, success, formatTask } = require('../lib/response');
-const { validatePriority, validateStatus, validateDateFormat, validateLimit, validateNextToken } = require('../lib/validation');
+const {
+  validatePriority,
+  validateStatus,
+  validateDateFormat,
+  validateLabel,
+  validateTaskIds,
+  validateLimit,
+  validateSort,
+  validateFields,
+  validateNextToken,
+  VALID_PRIORITIES,
+  VALID_STATUSES
+} = require('../lib/validation');
 const { 
-  scanTasks, 
+  queryTaskList,
   queryTasksByAssignee, 
   queryTasksByStatus, 
-  queryTasksByPriority 
+  queryTasksByPriority,
+  queryTasksByAssigneeStatus,
+  queryTasksByStatusPriority,
+  queryTasksInPriorityOrder,
+  queryTasksByTag,
+  queryTaskCounters,
+  batchGetTasks
 } = require('../lib/dynamodb');
-const { validateApiKey } = require('../lib/auth');
+const { validateApiKey, getCaller, getWorkspace } = require('../lib/auth');
+const { checkPolicy, seesOwnTasksOnly } = require('../lib/policy');
+const { fillPage, sortPage, signNextToken, openNextToken } = require('../lib/pagination');
+const { parseQuery, planQuery } = require('../lib/query');
+
+// Inclusive date range parameters, grouped by the task field they filter on
+const DATE_RANGES = [
+  { field: 'dueDate', after: 'dueDateAfter', before: 'dueDateBefore' },
+  { field: 'createdAt', after: 'createdAfter', before: 'createdBefore' },
+  { field: 'updatedAt', after: 'updatedAfter', before: 'updatedBefore' }
+];
+
+// Composite index strategies and the filter parameters their keys combine
+const COMPOSITE_KEYS = {
+  assigneeStatus: ['assignee', 'status'],
+  statusPriority: ['status', 'priority']
+};
+
+// Strategies reading an index whose range key is createdAt
+const CREATED_AT_STRATEGIES = ['status', 'priority', 'list', 'assigneeStatus', 'statusPriority'];
+
+// Filter parameters and the task attributes they test
+const FILTER_ATTRIBUTES = {
+  assignee: 'assignee',
+  tag: 'labels',
+  priority: 'priority',
+  status: 'status',
+  ...Object.fromEntries(DATE_RANGES.flatMap(range => [[range.after, range.field], [range.before, range.field]])),
+  hasDueDate: 'dueDate'
+};
+
+// Filter parameters that the q query language replaces
+const FILTER_PARAMS = Object.keys(FILTER_ATTRIBUTES);
+
+// Fields that can be counted with ?facets=a,b, and the values always listed for each
+const FACET_VALUES = {
+  status: VALID_STATUSES,
+  priority: VALID_PRIORITIES,
+  assignee: []
+};
+
+/**
+ * Names the counter that holds the number of tasks matching the filters of a
+ * request. Only no filter, a single status, priority or assignee filter and the
+ * filter pairs of the composite indexes have a counter.
+ * @param {Object} queryParams - Query parameters
+ * @returns {string|null} Counter name, or null if the filters have none
+ */
+function totalCounter(queryParams) {
+  const { assignee, status, priority, q } = queryParams;
+  const filters = FILTER_PARAMS.filter(param => queryParams[param]).sort().join(',');
+
+  if (q !== undefined) {
+    return null;
+  }
+
+  return {
+    '': 'TOTAL',
+    assignee: `assignee#${assignee}`,
+    status: `status#${status}`,
+    priority: `priority#${priority}`,
+    'assignee,status': `assigneeStatus#${assignee}#${status}`,
+    'priority,status': `statusPriority#${status}#${priority}`
+  }[filters] || null;
+}
+
+/**
+ * Groups counters into facet counts. Every status and priority is listed, with
+ * zero counts; assignees only while they have tasks.
+ * @param {Object} counts - Map of counter name to count
+ * @param {string[]} fields - Facet fields
+ * @returns {Object} Map of field to a map of value to task count
+ */
+function facetCounts(counts, fields) {
+  return Object.fromEntries(fields.map(field => {
+    const values = Object.fromEntries(FACET_VALUES[field].map(value => [value, 0]));
+
+    Object.entries(counts)
+      .filter(([name, count]) => name.startsWith(`${field}#`) && count > 0)
+      .forEach(([name, count]) => {
+        values[name.slice(field.length + 1)] = count;
+      });
+
+    return [field, values];
+  }));
+}
+
+/**
+ * Reads the value a task is sorted on; priorities sort by rank, not by name
+ * @param {Object} task - Task (or pagination cursor)
+ * @param {string} field - Sort field
+ * @returns {string|number|null} Comparable value, null if the task has none
+ */
+function sortValue(task, field) {
+  if (field === 'priority') {
+    return VALID_PRIORITIES.indexOf(task.priority);
+  }
+
+  return task[field] || null;
+}
+
+/**
+ * Builds a comparator for a task order. Tasks without a value come last in
+ * either direction and ties are broken on the ID, so the order is total.
+ * @param {string} field - Sort field
+ * @param {boolean} descending - Whether to reverse the order of values
+ * @returns {Function} Comparator
+ */
+function compareTasks(field, descending) {
+  return (a, b) => {
+    const valueA = sortValue(a, field);
+    const valueB = sortValue(b, field);
+
+    if (valueA !== valueB) {
+      if (valueA === null) {
+        return 1;
+      }
+      if (valueB === null) {
+        return -1;
+      }
+      const order = valueA < valueB ? -1 : 1;
+      return descending ? -order : order;
+    }
+
+    if (a.id === b.id) {
+      return 0;
+    }
+    return a.id < b.id ? -1 : 1;
+  };
+}
 
 /**
  * Lambda handler for listing and filtering tasks
@@ -15,15 +162,86 @@ const { validateApiKey } = require('../lib/auth');
  */
 exports.handler = async (event) => {
   // Validate API key
-  const authError = validateApiKey(event);
+  const authError = await validateApiKey(event, 'tasks:read');
   if (authError) {
     return authError;
   }
 
   try {
+    const workspace = getWorkspace(event);
+
     // Extract query parameters
-    const queryParams = event.queryStringParameters || {};
-    const { assignee, priority, status, dueDateBefore, limit, nextToken } = queryParams;
+    const queryParams = { ...(event.queryStringParameters || {}) };
+
+    // Callers restricted to their own tasks always filter on themselves as assignee;
+    // q expressions and ID lookups are filtered in code instead. Facets count every
+    // task, so they are not available to them.
+    const caller = getCaller(event);
+    const ownTasksOnly = seesOwnTasksOnly(caller);
+    let assigneeImplied = false;
+    if (ownTasksOnly) {
+      const visibleAssignee = queryParams.facets === undefined ? (queryParams.assignee ?? caller.email) : null;
+      const policyError = checkPolicy(caller, 'read', { task: { assignee: visibleAssignee } });
+      if (policyError) {
+        return error(403, policyError);
+      }
+      if (queryParams.ids === undefined && queryParams.q === undefined) {
+        assigneeImplied = queryParams.assignee === undefined;
+        queryParams.assignee = visibleAssignee;
+      }
+    }
+    const {
+      ids,
+      assignee,
+      tag,
+      priority,
+      status,
+      dueDateAfter,
+      dueDateBefore,
+      createdAfter,
+      createdBefore,
+      updatedAfter,
+      updatedBefore,
+      hasDueDate,
+      q,
+      sort,
+      fields,
+      includeTotal,
+      facets,
+      limit,
+      nextToken
+    } = queryParams;
+
+    // Validate the fields selected for a sparse response
+    if (fields !== undefined && validateFields(fields)) {
+      return error(400, validateFields(fields));
+    }
+    const selectedFields = fields !== undefined ? fields.split(',').map(field => field.trim()) : undefined;
+
+    // Fetch specific tasks by ID instead of listing
+    if (ids !== undefined) {
+      if (Object.keys(queryParams).some(param => param !== 'ids' && param !== 'fields')) {
+        return error(400, 'ids cannot be combined with other query parameters');
+      }
+
+      const taskIds = ids.split(',').map(id => id.trim());
+      const idsError = validateTaskIds(taskIds);
+      if (idsError) {
+        return error(400, idsError);
+      }
+
+      const { items, notFoundIds } = selectedFields
+        ? await batchGetTasks(workspace, taskIds, { attributes: [...selectedFields, ...(ownTasksOnly ? ['assignee'] : [])] })
+        : await batchGetTasks(workspace, taskIds);
+
+      // Tasks the caller may not see are reported as not found
+      const hiddenIds = items.filter(task => checkPolicy(caller, 'read', { task })).map(task => task.id);
+
+      return success(200, {
+        tasks: items.filter(task => !hiddenIds.includes(task.id)).map(task => formatTask(task, {}, selectedFields)),
+        notFound: [...notFoundIds, ...hiddenIds]
+      });
+    }
 
     // Validate filter parameters
     if (priority && validatePriority(priority)) {
@@ -32,8 +250,44 @@ exports.handler = async (event) => {
     if (status && validateStatus(status)) {
       return error(400, validateStatus(status));
     }
-    if (dueDateBefore && validateDateFormat(dueDateBefore)) {
-      return error(400, validateDateFormat(dueDateBefore));
+    if (tag && validateLabel(tag)) {
+      return error(400, validateLabel(tag));
+    }
+    for (const range of DATE_RANGES) {
+      for (const param of [range.after, range.before]) {
+        if (queryParams[param] && validateDateFormat(queryParams[param])) {
+          return error(400, `${param}: ${validateDateFormat(queryParams[param])}`);
+        }
+      }
+      if (queryParams[range.after] && queryParams[range.before] &&
+        new Date(queryParams[range.after]) > new Date(queryParams[range.before])) {
+        return error(400, `${range.after} must not be later than ${range.before}`);
+      }
+    }
+    if (hasDueDate !== undefined && hasDueDate !== 'true' && hasDueDate !== 'false') {
+      return error(400, 'hasDueDate must be true or false');
+    }
+    if (hasDueDate === 'false' && (dueDateAfter || dueDateBefore)) {
+      return error(400, 'hasDueDate=false cannot be combined with a due date range');
+    }
+    if (sort !== undefined && validateSort(sort)) {
+      return error(400, validateSort(sort));
+    }
+
+    // Validate the counts to return alongside the page
+    if (includeTotal !== undefined && includeTotal !== 'true' && includeTotal !== 'false') {
+      return error(400, 'includeTotal must be true or false');
+    }
+    const totalCounterName = includeTotal === 'true' ? totalCounter(queryParams) : null;
+    if (includeTotal === 'true' && !totalCounterName) {
+      return error(
+        400,
+        'includeTotal can only be combined with no filters, one of status, priority or assignee, assignee and status, or status and priority'
+      );
+    }
+    const facetFields = facets !== undefined ? [...new Set(facets.split(',').map(field => field.trim()))] : [];
+    if (facetFields.some(field => !FACET_VALUES[field])) {
+      return error(400, `Facets must be a comma-separated list of: ${Object.keys(FACET_VALUES).join(', ')}`);
     }
 
     // Validate and parse limit
@@ -45,74 +299,245 @@ exports.handler = async (event) => {
       }
     }
 
-    // Validate nextToken parameter
+    // Validate nextToken parameter and unwrap the DynamoDB token it carries
+    const tokenBinding = {
+      list: 'tasks',
+      workspace,
+      assignee,
+      tag,
+      priority,
+      status,
+      dueDateAfter,
+      dueDateBefore,
+      createdAfter,
+      createdBefore,
+      updatedAfter,
+      updatedBefore,
+      hasDueDate,
+      q,
+      sort
+    };
+    let pageToken;
     if (nextToken) {
       const nextTokenError = validateNextToken(nextToken);
       if (nextTokenError) {
         return error(400, nextTokenError);
       }
-    }
 
-    let result;
+      const opened = openNextToken(nextToken, tokenBinding);
+      if (opened.error) {
+        return error(400, opened.error);
+      }
+      pageToken = opened.key;
+    }
 
     // Determine which query strategy to use based on filters
-    const filterCount = [assignee, priority, status].filter(f => f).length;
-
-    if (filterCount === 0) {
-      // No filters - scan all tasks
-      result = await scanTasks(parsedLimit, nextToken);
-    } else if (filterCount === 1) {
-      // Single filter - use appropriate GSI
-      if (assignee) {
-        result = await queryTasksByAssignee(assignee, parsedLimit, nextToken);
-      } else if (status) {
-        result = await queryTasksByStatus(status, parsedLimit, nextToken);
-      } else if (priority) {
-        result = await queryTasksByPriority(priority, parsedLimit, nextToken);
+    // An exact composite index (assignee#status, status#priority) wins when both of its
+    // filters are given; otherwise assignee > tag > status > priority (most selective
+    // key query first).
+    // GSI1 only holds tasks with a due date, so it cannot answer hasDueDate=false, nor
+    // list all of a restricted caller's own tasks when they did not ask for an assignee.
+    // A q expression is planned separately: its key, key range and FilterExpression.
+    // Without a key the list index is read, newest task first.
+    const sortField = sort && sort.replace(/^-/, '');
+    const descending = Boolean(sort && sort.startsWith('-'));
+    let strategy = 'list';
+    let plan = null;
+    if (q !== undefined) {
+      if (FILTER_PARAMS.some(param => queryParams[param] !== undefined)) {
+        return error(400, 'q cannot be combined with other filter parameters');
       }
-    } else {
-      // Multiple filters - use most selective GSI and filter in code
-      // Priority: assignee > status > priority (assignee typically most selective)
-      if (assignee) {
-        result = await queryTasksByAssignee(assignee, parsedLimit, nextToken);
-        
-        // Apply additional filters in code
-        if (status) {
-          result.items = result.items.filter(task => task.status === status);
-        }
-        if (priority) {
-          result.items = result.items.filter(task => task.priority === priority);
-        }
-      } else if (status) {
-        result = await queryTasksByStatus(status, parsedLimit, nextToken);
-        
-        // Apply priority filter in code
-        if (priority) {
-          result.items = result.items.filter(task => task.priority === priority);
+
+      try {
+        // Without a key term, priority order is read from GSI3, whose range key is createdAt
+        plan = planQuery(parseQuery(q), { unkeyedRangeField: sortField === 'priority' ? 'created' : undefined });
+      } catch (queryErr) {
+        if (queryErr.name === 'QueryError') {
+          return error(400, `Invalid q: ${queryErr.message}`);
         }
-      } else {
-        // Only priority filter remains
-        result = await queryTasksByPriority(priority, parsedLimit, nextToken);
+        throw queryErr;
+      }
+      strategy = plan.index || 'list';
+    } else if (assignee && status) {
+      strategy = 'assigneeStatus';
+    } else if (status && priority) {
+      strategy = 'statusPriority';
+    } else if (assignee && hasDueDate !== 'false' && !assigneeImplied) {
+      strategy = 'assignee';
+    } else if (tag) {
+      strategy = 'tag';
+    } else if (status) {
+      strategy = 'status';
+    } else if (priority) {
+      strategy = 'priority';
+    }
+
+    // Work out whether an index range key already returns the requested order:
+    // GSI1 is ordered by dueDate, GSI2, GSI3 and GSI5-7 by createdAt. Without a narrower
+    // key to query, priority order comes from reading the GSI3 partitions in rank order.
+    if (sortField === 'priority' && (strategy === 'list' || (strategy === 'status' && !plan))) {
+      strategy = 'priorityOrder';
+    }
+    const indexOrdered = !sort ||
+      (sortField === 'dueDate' && strategy === 'assignee') ||
+      (sortField === 'createdAt' && CREATED_AT_STRATEGIES.includes(strategy)) ||
+      (sortField === 'priority' && ['priority', 'priorityOrder', 'statusPriority'].includes(strategy));
+    const queryOptions = {};
+    if (sort && indexOrdered) {
+      queryOptions.ascending = !descending;
+    }
+
+    // Push date ranges on the index range key into the key condition. createdAt is
+    // always a full UTC timestamp, so normalised bounds compare exactly. Due dates may
+    // be date-only or timestamps, so the key condition is widened to whole days and
+    // the exact bounds are still checked in code.
+    let coveredRange = null;
+    if (plan) {
+      if (plan.range) {
+        queryOptions.range = plan.range;
+      }
+      if (plan.filter) {
+        queryOptions.filter = plan.filter;
       }
+    } else if (strategy === 'assignee' && (dueDateAfter || dueDateBefore)) {
+      queryOptions.range = {
+        after: dueDateAfter ? dueDateAfter.slice(0, 10) : undefined,
+        before: dueDateBefore ? `${dueDateBefore.slice(0, 10)}~` : undefined
+      };
+    } else if (['status', 'priority', 'priorityOrder', 'assigneeStatus', 'statusPriority'].includes(strategy) &&
+      (createdAfter || createdBefore)) {
+      queryOptions.range = {
+        after: createdAfter ? new Date(createdAfter).toISOString() : undefined,
+        before: createdBefore ? new Date(createdBefore).toISOString() : undefined
+      };
+      coveredRange = 'createdAt';
     }
 
-    // Apply due date filter in application code
-    if (dueDateBefore) {
-      const filterDate = new Date(dueDateBefore);
-      result.items = result.items.filter(task => {
-        if (!task.dueDate) return false;
-        const taskDate = new Date(task.dueDate);
-        return taskDate <= filterDate;
+    // Read only the selected fields, plus the ID and whatever filtering and sorting use
+    if (selectedFields) {
+      queryOptions.attributes = [...new Set([
+        'id',
+        ...selectedFields,
+        ...FILTER_PARAMS.filter(param => queryParams[param] !== undefined).map(param => FILTER_ATTRIBUTES[param]),
+        ...(ownTasksOnly ? ['assignee'] : []),
+        ...(plan && plan.check ? plan.check.attributes : []),
+        ...(sortField ? [sortField] : [])
+      ])];
+    }
+    const orderArgs = Object.keys(queryOptions).length > 0 ? [queryOptions] : [];
+
+    // Composite strategies are keyed by both of their values
+    const keyValue = plan ? plan.keyValue : {
+      assignee,
+      tag,
+      status,
+      priority,
+      assigneeStatus: [assignee, status],
+      statusPriority: [status, priority]
+    }[strategy];
+
+    let fetchPage;
+    if (strategy === 'assignee') {
+      fetchPage = (pageLimit, pageToken) => queryTasksByAssignee(workspace, keyValue, pageLimit, pageToken, ...orderArgs);
+    } else if (strategy === 'tag') {
+      fetchPage = (pageLimit, pageToken) => queryTasksByTag(workspace, keyValue, pageLimit, pageToken, ...orderArgs);
+    } else if (strategy === 'status') {
+      fetchPage = (pageLimit, pageToken) => queryTasksByStatus(workspace, keyValue, pageLimit, pageToken, ...orderArgs);
+    } else if (strategy === 'priority') {
+      fetchPage = (pageLimit, pageToken) => queryTasksByPriority(workspace, keyValue, pageLimit, pageToken, ...orderArgs);
+    } else if (strategy === 'assigneeStatus') {
+      fetchPage = (pageLimit, pageToken) => queryTasksByAssigneeStatus(workspace, ...keyValue, pageLimit, pageToken, ...orderArgs);
+    } else if (strategy === 'statusPriority') {
+      fetchPage = (pageLimit, pageToken) => queryTasksByStatusPriority(workspace, ...keyValue, pageLimit, pageToken, ...orderArgs);
+    } else if (strategy === 'priorityOrder') {
+      fetchPage = (pageLimit, pageToken) => queryTasksInPriorityOrder(workspace, pageLimit, pageToken, ...orderArgs);
+    } else {
+      // No key to query - read the list index of all tasks
+      fetchPage = (pageLimit, pageToken) => queryTaskList(workspace, pageLimit, pageToken, ...orderArgs);
+    }
+
+    // Collect the filters the chosen query does not cover; they are applied in code
+    const keyFields = COMPOSITE_KEYS[strategy] || [strategy];
+    const filters = [];
+    if (assignee && !keyFields.includes('assignee')) {
+      filters.push(task => task.assignee === assignee);
+    }
+    if (tag && !keyFields.includes('tag')) {
+      filters.push(task => (task.labels || []).includes(tag));
+    }
+    if (status && !keyFields.includes('status')) {
+      filters.push(task => task.status === status);
+    }
+    if (priority && !keyFields.includes('priority')) {
+      filters.push(task => task.priority === priority);
+    }
+    DATE_RANGES
+      .filter(range => range.field !== coveredRange)
+      .forEach(({ field, after, before }) => {
+        if (queryParams[after]) {
+          const afterDate = new Date(queryParams[after]);
+          filters.push(task => Boolean(task[field]) && new Date(task[field]) >= afterDate);
+        }
+        if (queryParams[before]) {
+          const beforeDate = new Date(queryParams[before]);
+          filters.push(task => Boolean(task[field]) && new Date(task[field]) <= beforeDate);
+        }
       });
+    if (hasDueDate !== undefined) {
+      filters.push(task => Boolean(task.dueDate) === (hasDueDate === 'true'));
+    }
+    if (plan && plan.check) {
+      filters.push(plan.check.matches);
+    }
+    if (ownTasksOnly) {
+      filters.push(task => !checkPolicy(caller, 'read', { task }));
+    }
+    const filter = task => filters.every(matches => matches(task));
+
+    let result;
+    if (indexOrdered) {
+      // Keep reading until the page is full, the data runs out or the read budget is spent
+      result = await fillPage(fetchPage, { limit: parsedLimit, nextToken: pageToken, filter });
+    } else {
+      // No index gives this order, so sort the matching tasks in memory
+      try {
+        result = await sortPage(fetchPage, {
+          limit: parsedLimit,
+          nextToken: pageToken,
+          filter,
+          compare: compareTasks(sortField, descending),
+          cursorOf: task => ({ id: task.id, [sortField]: task[sortField] ?? null })
+        });
+      } catch (sortErr) {
+        if (sortErr.name === 'SortBudgetError') {
+          return error(400, sortErr.message);
+        }
+        throw sortErr;
+      }
     }
 
     // Format tasks
-    const formattedTasks = result.items.map(task => formatTask(task));
+    const formattedTasks = result.items.map(task => formatTask(task, {}, selectedFields));
 
     // Build response
-    const responseBody = { tasks: formattedTasks };
+    const responseBody = { tasks: formattedTasks, truncated: result.truncated };
     if (result.nextToken) {
-      responseBody.nextToken = result.nextToken;
+      responseBody.nextToken = signNextToken(result.nextToken, tokenBinding);
+    }
+
+    // Counts are read from the counter items kept up to date by every task write
+    if (totalCounterName || facetFields.length > 0) {
+      const counts = await queryTaskCounters(workspace, [
+        ...(totalCounterName ? [totalCounterName] : []),
+        ...facetFields.map(field => `${field}#`)
+      ]);
+
+      if (totalCounterName) {
+        responseBody.total = counts[totalCounterName] || 0;
+      }
+      if (facetFields.length > 0) {
+        responseBody.facets = facetCounts(counts, facetFields);
+      }
     }
 
     return success(200, responseBody);
@@ -0,0 +1,186 @@
+const { validateTaskInput } = require('../lib/validation');
+const { error, success, formatTask } = require('../lib/response');
+const { getTask, updateTaskAttributes, getTaskAncestorIds, queryBlockerIds } = require('../lib/dynamodb');
+const { validateApiKey, getCaller, getCallerIdentity, getWorkspace } = require('../lib/auth');
+const { workspaceConfig } = require('../lib/workspace');
+const { checkPolicy } = require('../lib/policy');
+const { toETag, validateIfMatch } = require('../lib/concurrency');
+const {
+  MERGE_PATCH_CONTENT_TYPE,
+  JSON_PATCH_CONTENT_TYPE,
+  applyMergePatch,
+  applyJsonPatch
+} = require('../lib/patch');
+
+// Fields of the task document that a patch may change
+const MUTABLE_FIELDS = ['description', 'assignee', 'priority', 'status', 'dueDate', 'parentId', 'labels'];
+
+// Fields that must stay present after the patch
+const REQUIRED_FIELDS = ['description', 'priority', 'status'];
+
+// Fields of the task document that a patch must leave untouched
+const READ_ONLY_FIELDS = ['id', 'createdAt', 'updatedAt'];
+
+/**
+ * Lambda handler for patching a task with a JSON Merge Patch or JSON Patch document
+ * @param {Object} event - API Gateway event
+ * @returns {Promise<Object>} API Gateway response
+ */
+exports.handler = async (event) => {
+  // Validate API key
+  const authError = await validateApiKey(event, 'tasks:write');
+  if (authError) {
+    return authError;
+  }
+
+  try {
+    const workspace = getWorkspace(event);
+
+    // Extract task ID from path parameters
+    const taskId = event.pathParameters?.id;
+
+    if (!taskId) {
+      return error(400, 'Task ID is required');
+    }
+
+    // The media type selects the patch format
+    const contentType = (event.headers?.['content-type'] || event.headers?.['Content-Type'] || '')
+      .split(';')[0]
+      .trim()
+      .toLowerCase();
+
+    if (contentType !== MERGE_PATCH_CONTENT_TYPE && contentType !== JSON_PATCH_CONTENT_TYPE) {
+      return error(415, `Content-Type must be ${MERGE_PATCH_CONTENT_TYPE} or ${JSON_PATCH_CONTENT_TYPE}`);
+    }
+
+    // Parse request body
+    let patch;
+    try {
+      patch = JSON.parse(event.body || '');
+    } catch (parseError) {
+      return error(400, 'Invalid JSON in request body');
+    }
+
+    // Check if task exists
+    const existingTask = await getTask(workspace, taskId);
+    if (!existingTask) {
+      return error(404, 'Task not found');
+    }
+
+    // Reject writes based on a stale version of the task
+    const preconditionError = validateIfMatch(event, existingTask);
+    if (preconditionError) {
+      return preconditionError;
+    }
+
+    // Patch the task as clients see it
+    const currentDocument = formatTask(existingTask);
+    let patchedDocument;
+    try {
+      patchedDocument = contentType === MERGE_PATCH_CONTENT_TYPE
+        ? applyMergePatch(currentDocument, patch)
+        : applyJsonPatch(currentDocument, patch);
+    } catch (patchErr) {
+      if (patchErr.name === 'PatchTestFailedError') {
+        return error(409, patchErr.message);
+      }
+      if (patchErr.name === 'PatchError') {
+        return error(400, patchErr.message);
+      }
+      throw patchErr;
+    }
+
+    if (typeof patchedDocument !== 'object' || patchedDocument === null || Array.isArray(patchedDocument)) {
+      return error(400, 'Patched task must be an object');
+    }
+
+    const unknownField = Object.keys(patchedDocument)
+      .find(field => !MUTABLE_FIELDS.includes(field) && !READ_ONLY_FIELDS.includes(field));
+    if (unknownField) {
+      return error(400, `Unknown task field: ${unknownField}`);
+    }
+
+    const readOnlyField = READ_ONLY_FIELDS
+      .find(field => patchedDocument[field] !== currentDocument[field]);
+    if (readOnlyField) {
+      return error(400, `Field is read-only: ${readOnlyField}`);
+    }
+
+    const removedField = REQUIRED_FIELDS
+      .find(field => patchedDocument[field] === undefined || patchedDocument[field] === null);
+    if (removedField) {
+      return error(400, `Field cannot be removed: ${removedField}`);
+    }
+
+    // Missing optional fields are cleared
+    const patchedFields = {};
+    MUTABLE_FIELDS.forEach(field => {
+      patchedFields[field] = patchedDocument[field] === undefined ? null : patchedDocument[field];
+    });
+    if (patchedFields.labels === null) {
+      patchedFields.labels = [];
+    }
+
+    // Look up the new parent chain so cycles can be rejected
+    const context = { taskId, statuses: workspaceConfig(workspace).statuses, currentStatus: existingTask.status };
+    if (typeof patchedFields.parentId === 'string' && patchedFields.parentId &&
+      patchedFields.parentId !== taskId && patchedFields.parentId !== currentDocument.parentId) {
+      context.ancestorIds = await getTaskAncestorIds(workspace, patchedFields.parentId);
+    }
+
+    const validation = validateTaskInput(patchedFields, context);
+    if (!validation.valid) {
+      return error(400, validation.errors.join(', '));
+    }
+
+    const changes = {};
+    MUTABLE_FIELDS.forEach(field => {
+      if (JSON.stringify(patchedFields[field]) !== JSON.stringify(currentDocument[field])) {
+        changes[field] = patchedFields[field];
+      }
+    });
+
+    // Check the caller may make these changes to the task
+    const policyError = checkPolicy(getCaller(event), 'update', { task: existingTask, changes });
+    if (policyError) {
+      return error(403, policyError);
+    }
+
+    // Nothing to write
+    if (Object.keys(changes).length === 0) {
+      return success(200, currentDocument, { ETag: toETag(existingTask) });
+    }
+
+    // A task cannot be finished while any of its blockers is unfinished
+    if (changes.status === 'done') {
+      const blockerIds = await queryBlockerIds(workspace, taskId);
+      const blockers = await Promise.all(blockerIds.map(blockerId => getTask(workspace, blockerId)));
+      const unfinishedIds = blockers
+        .filter(blocker => blocker && blocker.status !== 'done')
+        .map(blocker => blocker.id);
+
+      if (unfinishedIds.length > 0) {
+        return error(409, `Task is blocked by unfinished tasks: ${unfinishedIds.join(', ')}`);
+      }
+    }
+
+    // Write only the changed attributes
+    const updatedTask = await updateTaskAttributes(workspace, existingTask, {
+      ...changes,
+      updatedAt: new Date().toISOString(), // Auto-update
+      version: (existingTask.version || 0) + 1 // Auto-increment
+    }, {
+      actor: getCallerIdentity(event)
+    });
+
+    // Return patched task
+    const formattedTask = formatTask(updatedTask);
+    return success(200, formattedTask, { ETag: toETag(updatedTask) });
+  } catch (err) {
+    if (err.name === 'VersionConflictError') {
+      return error(412, 'Task has been modified; fetch the latest version and retry');
+    }
+    console.error('Error patching task:', err);
+    return error(500, 'Internal server error: patching task');
+  }
+};
@@ -0,0 +1,61 @@
+const { error } = require('../lib/response');
+const { getTask, deleteDependency } = require('../lib/dynamodb');
+const { validateApiKey, getCaller, getWorkspace } = require('../lib/auth');
+const { checkPolicy } = require('../lib/policy');
+
+/**
+ * Lambda handler for removing a "blocker blocks task" dependency
+ * @param {Object} event - API Gateway event
+ * @returns {Promise<Object>} API Gateway response
+ */
+exports.handler = async (event) => {
+  // Validate API key
+  const authError = await validateApiKey(event, 'tasks:write');
+  if (authError) {
+    return authError;
+  }
+
+  try {
+    const workspace = getWorkspace(event);
+
+    // Extract task and blocker IDs from path parameters
+    const taskId = event.pathParameters?.id;
+    const blockerId = event.pathParameters?.blockerId;
+
+    if (!taskId) {
+      return error(400, 'Task ID is required');
+    }
+
+    if (!blockerId) {
+      return error(400, 'Blocker ID is required');
+    }
+
+    const task = await getTask(workspace, taskId);
+    if (!task) {
+      return error(404, 'Task not found');
+    }
+
+    // Check the caller may change the blocked task
+    const policyError = checkPolicy(getCaller(event), 'update', { task });
+    if (policyError) {
+      return error(403, policyError);
+    }
+
+    const deleted = await deleteDependency(workspace, blockerId, taskId);
+    if (!deleted) {
+      return error(404, 'Dependency not found');
+    }
+
+    // Return 204 No Content
+    return {
+      statusCode: 204,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: ''
+    };
+  } catch (err) {
+    console.error('Error removing dependency:', err);
+    return error(500, 'Internal server error: removing dependency');
+  }
+};
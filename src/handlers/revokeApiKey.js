@@ -0,0 +1,44 @@
+const { success, error, formatApiKey } = require('../lib/response');
+const { getApiKey, updateApiKey } = require('../lib/dynamodb');
+const { validateApiKey, getCaller } = require('../lib/auth');
+const { DEFAULT_WORKSPACE, administersWorkspace } = require('../lib/workspace');
+
+/**
+ * Lambda handler for revoking an API key. The record is kept, disabled, so
+ * the key remains listed for auditing.
+ * @param {Object} event - API Gateway event
+ * @returns {Promise<Object>} API Gateway response
+ */
+exports.handler = async (event) => {
+  // Validate API key
+  const authError = await validateApiKey(event, 'keys:admin');
+  if (authError) {
+    return authError;
+  }
+
+  try {
+    // Extract key ID from path parameters
+    const keyId = event.pathParameters?.id;
+
+    if (!keyId) {
+      return error(400, 'API key ID is required');
+    }
+
+    // Keys of workspaces the caller does not administer are hidden from them
+    const existingKey = await getApiKey(keyId);
+    if (!existingKey || !administersWorkspace(getCaller(event), existingKey.workspace || DEFAULT_WORKSPACE)) {
+      return error(404, 'API key not found');
+    }
+
+    const now = new Date().toISOString();
+    const revokedKey = await updateApiKey(keyId, { disabled: true, revokedAt: now, updatedAt: now });
+    if (!revokedKey) {
+      return error(404, 'API key not found');
+    }
+
+    return success(200, formatApiKey(revokedKey));
+  } catch (err) {
+    console.error('Error revoking API key:', err);
+    return error(500, 'Internal server error: revoking API key');
+  }
+};
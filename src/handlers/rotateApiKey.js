@@ -0,0 +1,51 @@
+const { success, error, formatApiKey } = require('../lib/response');
+const { getApiKey, updateApiKey } = require('../lib/dynamodb');
+const { validateApiKey, generateApiKey, getCaller } = require('../lib/auth');
+const { DEFAULT_WORKSPACE, administersWorkspace } = require('../lib/workspace');
+
+/**
+ * Lambda handler for rotating an API key. The key keeps its ID, name and
+ * scopes; the previous secret stops working immediately.
+ * @param {Object} event - API Gateway event
+ * @returns {Promise<Object>} API Gateway response
+ */
+exports.handler = async (event) => {
+  // Validate API key
+  const authError = await validateApiKey(event, 'keys:admin');
+  if (authError) {
+    return authError;
+  }
+
+  try {
+    // Extract key ID from path parameters
+    const keyId = event.pathParameters?.id;
+
+    if (!keyId) {
+      return error(400, 'API key ID is required');
+    }
+
+    // Keys of workspaces the caller does not administer are hidden from them
+    const existingKey = await getApiKey(keyId);
+    if (!existingKey || !administersWorkspace(getCaller(event), existingKey.workspace || DEFAULT_WORKSPACE)) {
+      return error(404, 'API key not found');
+    }
+
+    // Revocation is permanent; issue a new key instead
+    if (existingKey.disabled) {
+      return error(409, 'API key has been revoked');
+    }
+
+    const { apiKey, hash } = generateApiKey(keyId);
+    const now = new Date().toISOString();
+    const updatedKey = await updateApiKey(keyId, { hash, rotatedAt: now, updatedAt: now });
+    if (!updatedKey) {
+      return error(404, 'API key not found');
+    }
+
+    // The new key is only ever returned here
+    return success(200, { ...formatApiKey(updatedKey), apiKey });
+  } catch (err) {
+    console.error('Error rotating API key:', err);
+    return error(500, 'Internal server error: rotating API key');
+  }
+};
@@ -0,0 +1,145 @@
+const { error, success, formatTask } = require('../lib/response');
+const { validateLimit, validateNextToken } = require('../lib/validation');
+const { queryTermPostings, batchGetTasks } = require('../lib/dynamodb');
+const { validateApiKey, getCaller, getWorkspace } = require('../lib/auth');
+const { checkPolicy } = require('../lib/policy');
+const { signNextToken, openNextToken } = require('../lib/pagination');
+const { tokenize, taskTerms, highlight } = require('../lib/search');
+
+const MAX_SEARCH_QUERY_LENGTH = 200;
+const MAX_SEARCH_TERMS = 10;
+
+// BM25 parameters: term frequency saturation and length normalisation
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * Ranks the tasks that contain every query term with BM25. The posting lists
+ * stand in for the corpus: document counts and the average length are taken
+ * from the tasks containing any of the terms.
+ * @param {Object[][]} postingLists - Postings ({ taskId, frequency, length }) per query term
+ * @returns {Object[]} Matching tasks as { taskId, score }, best first
+ */
+function rankTasks(postingLists) {
+  const lengths = new Map();
+  postingLists.flat().forEach(posting => lengths.set(posting.taskId, posting.length));
+
+  const corpusSize = lengths.size;
+  const averageLength = [...lengths.values()].reduce((sum, length) => sum + length, 0) / (corpusSize || 1);
+  const scores = new Map([...lengths.keys()].map(taskId => [taskId, 0]));
+  const matchedTerms = new Map();
+
+  postingLists.forEach(postings => {
+    const idf = Math.log(1 + (corpusSize - postings.length + 0.5) / (postings.length + 0.5));
+
+    postings.forEach(({ taskId, frequency, length }) => {
+      const normalisedLength = 1 - BM25_B + BM25_B * (length / averageLength);
+      const termScore = idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * normalisedLength);
+
+      scores.set(taskId, scores.get(taskId) + termScore);
+      matchedTerms.set(taskId, (matchedTerms.get(taskId) || 0) + 1);
+    });
+  });
+
+  return [...scores]
+    .filter(([taskId]) => matchedTerms.get(taskId) === postingLists.length)
+    .map(([taskId, score]) => ({ taskId, score }))
+    .sort((a, b) => b.score - a.score || (a.taskId < b.taskId ? -1 : 1));
+}
+
+/**
+ * Lambda handler for full-text search over tasks
+ * @param {Object} event - API Gateway event
+ * @returns {Promise<Object>} API Gateway response
+ */
+exports.handler = async (event) => {
+  // Validate API key
+  const authError = await validateApiKey(event, 'tasks:read');
+  if (authError) {
+    return authError;
+  }
+
+  try {
+    const workspace = getWorkspace(event);
+
+    const { q, limit, nextToken } = event.queryStringParameters || {};
+
+    if (typeof q !== 'string' || q.trim().length === 0) {
+      return error(400, 'Search query (q) is required');
+    }
+    if (q.length > MAX_SEARCH_QUERY_LENGTH) {
+      return error(400, `Search query must not exceed ${MAX_SEARCH_QUERY_LENGTH} characters`);
+    }
+
+    const terms = [...new Set(tokenize(q))];
+    if (terms.length === 0) {
+      return error(400, 'Search query must contain at least one searchable word');
+    }
+    if (terms.length > MAX_SEARCH_TERMS) {
+      return error(400, `Search query must not contain more than ${MAX_SEARCH_TERMS} words`);
+    }
+
+    // Validate and parse limit
+    const parsedLimit = limit ? Number(limit) : 20;
+    if (limit) {
+      const limitError = validateLimit(limit);
+      if (limitError) {
+        return error(400, limitError);
+      }
+    }
+
+    // Validate nextToken parameter and unwrap the result offset it carries
+    const tokenBinding = { list: 'search', workspace, q };
+    let offset = 0;
+    if (nextToken) {
+      const nextTokenError = validateNextToken(nextToken);
+      if (nextTokenError) {
+        return error(400, nextTokenError);
+      }
+
+      const opened = openNextToken(nextToken, tokenBinding);
+      if (opened.error) {
+        return error(400, opened.error);
+      }
+      offset = JSON.parse(Buffer.from(opened.key, 'base64').toString()).offset;
+    }
+
+    const termPostings = await Promise.all(terms.map(term => queryTermPostings(workspace, term)));
+    const ranked = rankTasks(termPostings.map(({ postings }) => postings));
+    const page = ranked.slice(offset, offset + parsedLimit);
+
+    const { items } = await batchGetTasks(workspace, page.map(match => match.taskId));
+    const tasksById = new Map(items.map(task => [task.id, task]));
+
+    // Skip tasks whose index items are stale (changed or deleted since indexing)
+    // and tasks the caller may not see
+    const caller = getCaller(event);
+    const results = page
+      .filter(match => {
+        const task = tasksById.get(match.taskId);
+        return task &&
+          terms.every(term => taskTerms(task).terms.has(term)) &&
+          !checkPolicy(caller, 'read', { task });
+      })
+      .map(match => {
+        const task = tasksById.get(match.taskId);
+        return {
+          task: formatTask(task),
+          score: Math.round(match.score * 10000) / 10000,
+          snippet: highlight(task.description, terms)
+        };
+      });
+
+    // Build response; results are incomplete when a term has more postings than are read
+    const responseBody = { results, truncated: termPostings.some(({ truncated }) => truncated) };
+    if (offset + parsedLimit < ranked.length) {
+      const pageKey = Buffer.from(JSON.stringify({ offset: offset + parsedLimit })).toString('base64');
+      responseBody.nextToken = signNextToken(pageKey, tokenBinding);
+    }
+
+    return success(200, responseBody);
+  } catch (err) {
+    console.error('Error searching tasks:', err);
+    return error(500, 'Internal server error: searching tasks');
+  }
+};
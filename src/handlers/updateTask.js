@@ -1,7 +1,10 @@
 const { validateTaskInput } = require('../lib/validation');
 const { error, success, formatTask } = require('../lib/response');
-const { getTask, putTask } = require('../lib/dynamodb');
-const { validateApiKey } = require('../lib/auth');
+const { getTask, putTask, getTaskAncestorIds, queryBlockerIds } = require('../lib/dynamodb');
+const { validateApiKey, getCaller, getCallerIdentity, getWorkspace } = require('../lib/auth');
+const { workspaceConfig } = require('../lib/workspace');
+const { checkPolicy } = require('../lib/policy');
+const { toETag, validateIfMatch } = require('../lib/concurrency');
 
 /**
  * Lambda handler for updating a task
@@ -10,12 +13,14 @@ const { validateApiKey } = require('../lib/auth');
  */
 exports.handler = async (event) => {
   // Validate API key
-  const authError = validateApiKey(event);
+  const authError = await validateApiKey(event, 'tasks:write');
   if (authError) {
     return authError;
   }
 
   try {
+    const workspace = getWorkspace(event);
+
     // Extract task ID from path parameters
     const taskId = event.pathParameters?.id;
     
@@ -32,28 +37,60 @@ exports.handler = async (event) => {
     }
 
     // Check if task exists
-    const existingTask = await getTask(taskId);
+    const existingTask = await getTask(workspace, taskId);
     if (!existingTask) {
       return error(404, 'Task not found');
     }
 
+    // Reject writes based on a stale version of the task
+    const preconditionError = validateIfMatch(event, existingTask);
+    if (preconditionError) {
+      return preconditionError;
+    }
+
+    // Check the caller may make these changes to the task
+    const policyError = checkPolicy(getCaller(event), 'update', { task: existingTask, changes: requestBody });
+    if (policyError) {
+      return error(403, policyError);
+    }
+
     // Validate update data (description not required for updates)
     const dataToValidate = {
       description: requestBody.description !== undefined ? requestBody.description : existingTask.description,
       ...requestBody
     };
     
-    const validation = validateTaskInput(dataToValidate);
+    // Look up the new parent chain so cycles can be rejected
+    const context = { taskId, statuses: workspaceConfig(workspace).statuses, currentStatus: existingTask.status };
+    if (typeof requestBody.parentId === 'string' && requestBody.parentId && requestBody.parentId !== taskId) {
+      context.ancestorIds = await getTaskAncestorIds(workspace, requestBody.parentId);
+    }
+
+    const validation = validateTaskInput(dataToValidate, context);
     if (!validation.valid) {
       return error(400, validation.errors.join(', '));
     }
 
+    // A task cannot be finished while any of its blockers is unfinished
+    if (requestBody.status === 'done') {
+      const blockerIds = await queryBlockerIds(workspace, taskId);
+      const blockers = await Promise.all(blockerIds.map(blockerId => getTask(workspace, blockerId)));
+      const unfinishedIds = blockers
+        .filter(blocker => blocker && blocker.status !== 'done')
+        .map(blocker => blocker.id);
+
+      if (unfinishedIds.length > 0) {
+        return error(409, `Task is blocked by unfinished tasks: ${unfinishedIds.join(', ')}`);
+      }
+    }
+
     // Build updated task (preserve immutable fields)
     const updatedTask = {
       ...existingTask,
       id: existingTask.id, // Immutable
       createdAt: existingTask.createdAt, // Immutable
-      updatedAt: new Date().toISOString() // Auto-update
+      updatedAt: new Date().toISOString(), // Auto-update
+      version: (existingTask.version || 0) + 1 // Auto-increment
     };
 
     // Apply updates for mutable fields only
@@ -72,14 +109,26 @@ exports.handler = async (event) => {
     if (requestBody.dueDate !== undefined) {
       updatedTask.dueDate = requestBody.dueDate;
     }
+    if (requestBody.parentId !== undefined) {
+      updatedTask.parentId = requestBody.parentId;
+    }
+    if (requestBody.labels !== undefined) {
+      updatedTask.labels = requestBody.labels || [];
+    }
 
     // Persist to DynamoDB
-    await putTask(updatedTask);
+    await putTask(workspace, updatedTask, {
+      previousTask: existingTask,
+      actor: getCallerIdentity(event)
+    });
 
     // Return updated task
     const formattedTask = formatTask(updatedTask);
-    return success(200, formattedTask);
+    return success(200, formattedTask, { ETag: toETag(updatedTask) });
   } catch (err) {
+    if (err.name === 'VersionConflictError') {
+      return error(412, 'Task has been modified; fetch the latest version and retry');
+    }
     console.error('Error updating task:', err);
     return error(500, 'Internal server error: updating task');
   }
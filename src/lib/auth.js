@@ -1,30 +1,451 @@
+const crypto = require('crypto');
 const { error } = require('./response');
+const { getApiKey, claimSigningNonce } = require('./dynamodb');
+const { API_KEY_SCOPES, validateWorkspace } = require('./validation');
+const { jwtConfig, verifyJwt } = require('./jwt');
+const { DEFAULT_WORKSPACE } = require('./workspace');
+const { getHeader } = require('./concurrency');
+
+// Issued keys look like tk_<12 hex key ID>_<secret>; the ID locates the stored record
+const API_KEY_PATTERN = /^tk_([0-9a-f]{12})_([A-Za-z0-9_-]+)$/;
+
+// Scopes of users signed in with a bearer token, unless JWT_SCOPES says otherwise
+const DEFAULT_USER_SCOPES = ['tasks:read', 'tasks:write', 'tasks:delete'];
+
+// How far, in seconds, a signed request's timestamp may be from the server's clock,
+// unless SIGNATURE_MAX_AGE_SECONDS says otherwise
+const DEFAULT_SIGNATURE_MAX_AGE = 300;
+
+// Nonces are embedded in keys, so they can never contain the # delimiter
+const SIGNATURE_NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+// Callers authenticated per request, so handlers can look up who is calling
+const callers = new WeakMap();
 
 /**
- * Validates API key from request headers
+ * Reads the API key sent with a request
  * @param {Object} event - Lambda event object
- * @returns {Object|null} Error response if invalid, null if valid
+ * @returns {string} API key, empty if none was sent
  */
-function validateApiKey(event) {
-  const apiKey = event.headers?.['x-api-key'] || event.headers?.['X-Api-Key'];
-  const expectedKey = process.env.API_KEY;
+function requestApiKey(event) {
+  return event?.headers?.['x-api-key'] || event?.headers?.['X-Api-Key'] || '';
+}
 
-  if (!expectedKey) {
-    console.error('API_KEY environment variable not configured');
-    return error(500, 'Internal server error');
-  }
+/**
+ * Reads the bearer token sent with a request
+ * @param {Object} event - Lambda event object
+ * @returns {string|null} Token, or null if the request has no bearer Authorization header
+ */
+function requestBearerToken(event) {
+  const authorization = event?.headers?.authorization || event?.headers?.Authorization || '';
+  const match = /^Bearer\s+(\S+)$/i.exec(authorization);
+
+  return match ? match[1] : null;
+}
+
+/**
+ * Fingerprints an API key so the caller can be identified without recording the key
+ * @param {string} apiKey - API key
+ * @returns {string} First 12 hex characters of the key's SHA-256 hash
+ */
+function fingerprintApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 12);
+}
+
+/**
+ * Hashes an API key for storage; keys are random, so a plain SHA-256 suffices
+ * @param {string} apiKey - API key
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Compares two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+  return crypto.timingSafeEqual(
+    crypto.createHash('sha256').update(a).digest(),
+    crypto.createHash('sha256').update(b).digest()
+  );
+}
+
+/**
+ * Generates a new API key. Only its hash is stored; the key itself is shown once.
+ * @param {string} [keyId] - ID to keep (when rotating); a new one is generated when omitted
+ * @returns {Object} { keyId, apiKey, hash }
+ */
+function generateApiKey(keyId = crypto.randomBytes(6).toString('hex')) {
+  const apiKey = `tk_${keyId}_${crypto.randomBytes(32).toString('base64url')}`;
+
+  return { keyId, apiKey, hash: hashApiKey(apiKey) };
+}
+
+/**
+ * Authenticates the API key of a request. Issued keys are checked against their
+ * stored record (hash, revocation and expiry). The key in the API_KEY environment
+ * variable, where set, is accepted with every scope in the default workspace so the
+ * first keys can be issued. Issued keys belong to the workspace they were issued for.
+ * @param {Object} event - Lambda event object
+ * @returns {Promise<Object>} { caller: { type, id, name, scopes, workspace } } or { error } with the error response
+ */
+async function authenticateApiKey(event) {
+  const apiKey = requestApiKey(event);
+  const bootstrapKey = process.env.API_KEY;
 
   if (!apiKey) {
-    return error(401, 'Missing API key');
+    return { error: error(401, 'Missing API key') };
+  }
+
+  if (bootstrapKey && safeEqual(apiKey, bootstrapKey)) {
+    return {
+      caller: { type: 'apiKey', id: fingerprintApiKey(apiKey), scopes: API_KEY_SCOPES, workspace: DEFAULT_WORKSPACE }
+    };
   }
 
-  if (apiKey !== expectedKey) {
-    return error(401, 'Invalid API key');
+  const match = API_KEY_PATTERN.exec(apiKey);
+  if (!match) {
+    return { error: error(401, 'Invalid API key') };
+  }
+
+  let record;
+  try {
+    record = await getApiKey(match[1]);
+  } catch (err) {
+    console.error('Error validating API key:', err);
+    return { error: error(500, 'Internal server error: validating API key') };
+  }
+
+  if (!record || !safeEqual(hashApiKey(apiKey), record.hash)) {
+    return { error: error(401, 'Invalid API key') };
+  }
+  if (record.disabled) {
+    return { error: error(401, 'API key has been revoked') };
+  }
+  if (record.expiresAt && new Date(record.expiresAt) <= new Date()) {
+    return { error: error(401, 'API key has expired') };
+  }
+
+  // Keys issued before workspaces existed belong to the default workspace
+  return {
+    caller: {
+      type: 'apiKey',
+      id: record.keyId,
+      name: record.name || null,
+      scopes: record.scopes || [],
+      workspace: record.workspace || DEFAULT_WORKSPACE
+    }
+  };
+}
+
+/**
+ * Authenticates the bearer token of a request against the configured issuer. The
+ * user's workspace is read from the workspace claim (or the claim named in
+ * JWT_WORKSPACE_CLAIM); tokens without one are for the default workspace.
+ * @param {string} token - Bearer token
+ * @returns {Promise<Object>} { caller: { type, id, email, groups, scopes, workspace } } or
+ * { error } with the error response
+ */
+async function authenticateBearerToken(token) {
+  const config = jwtConfig();
+  if (!config) {
+    return { error: error(401, 'Bearer tokens are not accepted') };
+  }
+
+  let claims;
+  try {
+    claims = await verifyJwt(token, config);
+  } catch (err) {
+    if (err.name === 'TokenError') {
+      return { error: error(401, err.message) };
+    }
+    if (err.name === 'JwksUnavailableError') {
+      // Without the issuer's keys no token can be trusted; the caller may retry
+      console.error('Error loading the JWKS:', err);
+      return { error: error(503, 'Service temporarily unavailable') };
+    }
+    console.error('Error validating bearer token:', err);
+    return { error: error(500, 'Internal server error: validating bearer token') };
+  }
+
+  const workspace = claims[process.env.JWT_WORKSPACE_CLAIM || 'workspace'] ?? DEFAULT_WORKSPACE;
+  if (validateWorkspace(workspace)) {
+    return { error: error(401, 'Bearer token workspace is invalid') };
+  }
+
+  const groups = claims[process.env.JWT_GROUPS_CLAIM || 'groups'];
+  const scopes = process.env.JWT_SCOPES
+    ? process.env.JWT_SCOPES.split(',').map(scope => scope.trim()).filter(scope => API_KEY_SCOPES.includes(scope))
+    : DEFAULT_USER_SCOPES;
+
+  return {
+    caller: {
+      type: 'user',
+      id: claims.sub,
+      // An email the issuer says is unverified may belong to someone else, so it is not
+      // used to match the user to their tasks
+      email: typeof claims.email === 'string' && claims.email_verified !== false ? claims.email : null,
+      groups: Array.isArray(groups) ? groups.filter(group => typeof group === 'string') : [],
+      scopes,
+      workspace
+    }
+  };
+}
+
+/**
+ * Reads the signing keys from SIGNING_KEYS, a JSON object of key ID to
+ * { secret, scopes, workspace }
+ * @returns {Object|null} Signing keys by ID, or null if signed requests are not accepted
+ * @throws {Error} If SIGNING_KEYS is not valid JSON
+ */
+function signingKeys() {
+  if (!process.env.SIGNING_KEYS) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(process.env.SIGNING_KEYS);
+  } catch (err) {
+    throw new Error(`SIGNING_KEYS is not valid JSON: ${err.message}`);
+  }
+}
+
+/**
+ * Builds the string a signed request's signature covers: the method, path, query
+ * (sorted, percent-encoded name=value pairs), SHA-256 hash of the body, timestamp and
+ * nonce, one per line
+ * @param {Object} event - Lambda event object
+ * @param {string} timestamp - Unix time in seconds the request was signed at
+ * @param {string} nonce - Value unique to the request
+ * @returns {string} String to sign
+ */
+function signedRequestString(event, timestamp, nonce) {
+  const multiValueQuery = event.multiValueQueryStringParameters;
+  const query = multiValueQuery
+    ? Object.entries(multiValueQuery).flatMap(([name, values]) => values.map(value => [name, value]))
+    : Object.entries(event.queryStringParameters || {});
+  const sortedQuery = query
+    .map(([name, value]) => `${encodeURIComponent(name)}=${encodeURIComponent(value)}`)
+    .sort()
+    .join('&');
+  const body = Buffer.from(event.body || '', event.isBase64Encoded ? 'base64' : 'utf8');
+
+  return [
+    (event.httpMethod || '').toUpperCase(),
+    event.path || '/',
+    sortedQuery,
+    crypto.createHash('sha256').update(body).digest('hex'),
+    timestamp,
+    nonce
+  ].join('\n');
+}
+
+/**
+ * Authenticates a request signed with HMAC-SHA256 by a shared secret from
+ * SIGNING_KEYS. The timestamp must be within SIGNATURE_MAX_AGE_SECONDS (default 300)
+ * of the current time, and each nonce is accepted once while it is; only verified
+ * requests claim their nonce, so others cannot use it up.
+ * @param {Object} event - Lambda event object
+ * @param {string} signature - Hex-encoded signature from the x-signature header
+ * @returns {Promise<Object>} { caller: { type, id, scopes, workspace } } or { error } with the error response
+ */
+async function authenticateSignedRequest(event, signature) {
+  let keys;
+  try {
+    keys = signingKeys();
+  } catch (err) {
+    console.error('Error validating signed request:', err);
+    return { error: error(500, 'Internal server error: validating signed request') };
+  }
+  if (!keys) {
+    return { error: error(401, 'Signed requests are not accepted') };
+  }
+
+  const keyId = getHeader(event, 'x-signature-key-id');
+  const timestamp = getHeader(event, 'x-signature-timestamp');
+  const nonce = getHeader(event, 'x-signature-nonce');
+  if (!keyId || !timestamp || !nonce) {
+    return { error: error(401, 'Signed requests need x-signature-key-id, x-signature-timestamp and x-signature-nonce headers') };
+  }
+
+  const key = Object.hasOwn(keys, keyId) ? keys[keyId] : null;
+  if (!key?.secret) {
+    return { error: error(401, 'Signing key is unknown') };
+  }
+
+  const maxAge = parseInt(process.env.SIGNATURE_MAX_AGE_SECONDS, 10) || DEFAULT_SIGNATURE_MAX_AGE;
+  if (!/^\d+$/.test(timestamp) || Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp)) > maxAge) {
+    return { error: error(401, 'Signature timestamp is outside the accepted window') };
+  }
+  if (!SIGNATURE_NONCE_PATTERN.test(nonce)) {
+    return { error: error(401, 'Signature nonce must be 16-128 letters, digits, hyphens or underscores') };
+  }
+
+  const expected = crypto.createHmac('sha256', key.secret)
+    .update(signedRequestString(event, timestamp, nonce))
+    .digest('hex');
+  if (!safeEqual(signature.toLowerCase(), expected)) {
+    return { error: error(401, 'Invalid signature') };
+  }
+
+  const workspace = key.workspace ?? DEFAULT_WORKSPACE;
+  if (validateWorkspace(workspace)) {
+    return { error: error(401, 'Signing key workspace is invalid') };
+  }
+
+  // The nonce is remembered until the timestamp leaves the window, after which the
+  // request would be refused anyway
+  let fresh;
+  try {
+    fresh = await claimSigningNonce(workspace, keyId, nonce, Number(timestamp) + maxAge);
+  } catch (err) {
+    console.error('Error validating signed request:', err);
+    return { error: error(500, 'Internal server error: validating signed request') };
+  }
+  if (!fresh) {
+    return { error: error(401, 'Signature nonce has already been used') };
+  }
+
+  return {
+    caller: { type: 'signingKey', id: keyId, scopes: Array.isArray(key.scopes) ? key.scopes : [], workspace }
+  };
+}
+
+/**
+ * Authenticates a request by its bearer token, if it sends one, or else its signature,
+ * if it is signed, or else its API key. The caller is remembered for getCaller and
+ * getCallerIdentity.
+ * @param {Object} event - Lambda event object
+ * @returns {Promise<Object>} { caller } or { error } with the error response
+ */
+async function authenticate(event) {
+  const token = requestBearerToken(event);
+  const signature = getHeader(event, 'x-signature');
+
+  let result;
+  if (token) {
+    result = await authenticateBearerToken(token);
+  } else if (signature) {
+    result = await authenticateSignedRequest(event, signature);
+  } else {
+    result = await authenticateApiKey(event);
+  }
+
+  if (result.caller && typeof event === 'object' && event !== null) {
+    callers.set(event, result.caller);
+  }
+
+  return result;
+}
+
+/**
+ * Checks that an authenticated caller holds a scope
+ * @param {Object} caller - Caller from authenticateApiKey
+ * @param {string} scope - Required scope
+ * @returns {Object|null} 403 error response if the scope is missing, null otherwise
+ */
+function requireScope(caller, scope) {
+  if (!caller.scopes.includes(scope)) {
+    return error(403, `API key does not have the ${scope} scope`);
   }
 
   return null;
 }
 
+/**
+ * Validates the credentials of a request (API key, bearer token or signature) and the
+ * scope the handler requires
+ * @param {Object} event - Lambda event object
+ * @param {string} scope - Scope the handler requires
+ * @returns {Promise<Object|null>} Error response if invalid, null if valid
+ */
+async function validateApiKey(event, scope) {
+  const { caller, error: authError } = await authenticate(event);
+  if (authError) {
+    return authError;
+  }
+
+  return requireScope(caller, scope);
+}
+
+/**
+ * Returns the caller authenticated for a request
+ * @param {Object} event - Lambda event object
+ * @returns {Object|null} { type, id, scopes, workspace } plus, for users, { email, groups };
+ * null if the request has not been authenticated
+ */
+function getCaller(event) {
+  return (typeof event === 'object' && event !== null && callers.get(event)) || null;
+}
+
+/**
+ * Returns the workspace of the caller authenticated for a request. Handlers read and
+ * write only inside it.
+ * @param {Object} event - Lambda event object
+ * @returns {string} Workspace ID
+ * @throws {Error} If the request has not been authenticated
+ */
+function getWorkspace(event) {
+  const caller = getCaller(event);
+  if (!caller) {
+    throw new Error('Request has not been authenticated');
+  }
+
+  return caller.workspace;
+}
+
+/**
+ * Identifies the caller of an authenticated request for audit purposes
+ * @param {Object} event - Lambda event object
+ * @returns {Object} { type: string, id: string } caller identity
+ */
+function getCallerIdentity(event) {
+  const caller = getCaller(event);
+  if (caller) {
+    return { type: caller.type, id: caller.id };
+  }
+
+  const apiKey = requestApiKey(event);
+  const match = API_KEY_PATTERN.exec(apiKey);
+
+  // Issued keys are identified by their key ID, which survives rotation
+  if (match) {
+    return { type: 'apiKey', id: match[1] };
+  }
+
+  // Record a fingerprint of the key, never the key itself
+  return {
+    type: 'apiKey',
+    id: fingerprintApiKey(apiKey)
+  };
+}
+
+/**
+ * Names the caller of an authenticated request as shown to other users, e.g. as the
+ * author of a comment: a user's email, an API key's name, otherwise the caller's ID
+ * @param {Object} event - Lambda event object
+ * @returns {string|null} Caller name, null if the request has not been authenticated
+ */
+function getCallerName(event) {
+  const caller = getCaller(event);
+  if (!caller) {
+    return null;
+  }
+
+  return caller.email || caller.name || caller.id;
+}
+
 module.exports = {
-  validateApiKey
+  validateApiKey,
+  authenticate,
+  requireScope,
+  generateApiKey,
+  getCaller,
+  getWorkspace,
+  getCallerIdentity,
+  getCallerName
 };
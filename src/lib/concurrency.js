@@ -0,0 +1,94 @@
+const { error } = require('./response');
+
+/**
+ * Reads a request header regardless of its casing
+ * @param {Object} event - Lambda event object
+ * @param {string} name - Lower-case header name
+ * @returns {string|undefined} Header value
+ */
+function getHeader(event, name) {
+  const headers = event?.headers || {};
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+}
+
+/**
+ * Builds the ETag of a task from its version
+ * @param {Object} task - Task item
+ * @returns {string} Strong entity tag, e.g. "3"
+ */
+function toETag(task) {
+  return `"${task.version || 0}"`;
+}
+
+/**
+ * Checks whether an If-Match / If-None-Match header value matches a task
+ * @param {string} headerValue - Comma-separated list of entity tags or *
+ * @param {Object} task - Task item
+ * @returns {boolean} True if any listed tag matches the task's ETag
+ */
+function matchesETag(headerValue, task) {
+  const etag = toETag(task);
+
+  return headerValue
+    .split(',')
+    .map(tag => tag.trim().replace(/^W\//, ''))
+    .some(tag => tag === '*' || tag === etag);
+}
+
+/**
+ * Validates the If-Match precondition of a write request
+ * @param {Object} event - Lambda event object
+ * @param {Object} task - Stored task the write applies to
+ * @returns {Object|null} Error response if the precondition fails, null otherwise
+ */
+function validateIfMatch(event, task) {
+  const ifMatch = getHeader(event, 'if-match');
+
+  if (!ifMatch) {
+    if (process.env.REQUIRE_IF_MATCH === 'true') {
+      return error(428, 'If-Match header is required');
+    }
+    return null;
+  }
+
+  if (!matchesETag(ifMatch, task)) {
+    return error(412, 'Task has been modified; fetch the latest version and retry');
+  }
+
+  return null;
+}
+
+/**
+ * Checks whether a conditional GET can be answered with 304 Not Modified
+ * @param {Object} event - Lambda event object
+ * @param {Object} task - Stored task
+ * @returns {boolean} True if If-None-Match matches the task's ETag
+ */
+function isNotModified(event, task) {
+  const ifNoneMatch = getHeader(event, 'if-none-match');
+  return Boolean(ifNoneMatch) && matchesETag(ifNoneMatch, task);
+}
+
+/**
+ * Creates a 304 Not Modified response
+ * @param {Object} task - Stored task
+ * @returns {Object} Lambda response object
+ */
+function notModified(task) {
+  return {
+    statusCode: 304,
+    headers: {
+      ETag: toETag(task)
+    },
+    body: ''
+  };
+}
+
+module.exports = {
+  getHeader,
+  toETag,
+  validateIfMatch,
+  isNotModified,
+  notModified
+};
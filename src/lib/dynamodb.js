@@ -1,91 +1,1769 @@
+const { createHash } = require('crypto');
+const { v4: uuidv4 } = require('uuid');
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, PutCommand, GetCommand, DeleteCommand, ScanCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const {
+  DynamoDBDocumentClient,
+  PutCommand,
+  GetCommand,
+  BatchGetCommand,
+  DeleteCommand,
+  UpdateCommand,
+  ScanCommand,
+  QueryCommand,
+  BatchWriteCommand,
+  TransactWriteCommand
+} = require('@aws-sdk/lib-dynamodb');
+const { VALID_PRIORITIES, WORKSPACE_PATTERN } = require('./validation');
+const { INDEXED_FIELDS, taskTerms } = require('./search');
+const { DEFAULT_WORKSPACE } = require('./workspace');
 
 const client = new DynamoDBClient({});
 const docClient = DynamoDBDocumentClient.from(client);
 
 const TABLE_NAME = process.env.TABLE_NAME || 'engineering-tasks';
+const BATCH_WRITE_LIMIT = 25;
+const BATCH_GET_LIMIT = 100;
+const TRANSACT_WRITE_LIMIT = 100;
+const MAX_BATCH_RETRIES = 5;
+const MAX_HIERARCHY_DEPTH = 50;
+const IDEMPOTENCY_TTL_SECONDS = 24 * 60 * 60;
+const MAX_TERM_POSTINGS = 1000;
+
+// Tasks are spread over this many GSI5 (and counter) partitions so writes do not all hit one key
+const LIST_SHARD_COUNT = 4;
+
+// Task attributes (and derived index keys) with a counter per value, besides the total
+const COUNTED_FIELDS = ['status', 'priority', 'assignee', 'assigneeStatus', 'statusPriority'];
+
+// GSI key attributes must be omitted rather than stored as NULL
+const OPTIONAL_INDEX_KEYS = ['workspaceAssignee', 'dueDate', 'workspaceParentId', 'assigneeStatus', 'assignee', 'parentId'];
+
+// Task attributes whose changes are recorded in the history
+const HISTORY_FIELDS = ['description', 'assignee', 'priority', 'status', 'dueDate', 'parentId', 'labels'];
+
+/**
+ * Encodes a DynamoDB LastEvaluatedKey as a pagination token
+ * @param {Object|undefined} lastEvaluatedKey - Key returned by DynamoDB
+ * @returns {string|null} Base64-encoded token or null when there are no more results
+ */
+function encodeNextToken(lastEvaluatedKey) {
+  return lastEvaluatedKey
+    ? Buffer.from(JSON.stringify(lastEvaluatedKey)).toString('base64')
+    : null;
+}
+
+/**
+ * Decodes a pagination token into a DynamoDB ExclusiveStartKey
+ * @param {string} nextToken - Base64-encoded token
+ * @returns {Object} ExclusiveStartKey
+ */
+function decodeNextToken(nextToken) {
+  return JSON.parse(Buffer.from(nextToken, 'base64').toString());
+}
+
+/**
+ * Scopes a partition or index key to a workspace. Every item of a workspace lives
+ * under WS#<workspace>#, so no read can reach another workspace's items.
+ * @param {string} workspace - Workspace ID
+ * @param {string} key - Key inside the workspace, e.g. TASK#<id>
+ * @returns {string} WS#<workspace>#<key>
+ * @throws {Error} If the workspace ID is missing or invalid
+ */
+function workspaceKey(workspace, key) {
+  if (typeof workspace !== 'string' || !WORKSPACE_PATTERN.test(workspace)) {
+    throw new Error(`Invalid workspace: ${workspace}`);
+  }
+
+  return `WS#${workspace}#${key}`;
+}
+
+/**
+ * Builds the primary key of a task item
+ * @param {string} workspace - Workspace ID
+ * @param {string} taskId - Task ID
+ * @returns {Object} { PK: WS#<workspace>#TASK#<id>, SK: TASK#<id> }
+ */
+function taskKey(workspace, taskId) {
+  return { PK: workspaceKey(workspace, `TASK#${taskId}`), SK: `TASK#${taskId}` };
+}
+
+/**
+ * Sends BatchWrite put/delete requests in chunks, retrying unprocessed items
+ * @param {Object[]} writeRequests - PutRequest / DeleteRequest entries
+ * @returns {Promise<void>}
+ */
+async function batchWriteRequests(writeRequests) {
+  for (let i = 0; i < writeRequests.length; i += BATCH_WRITE_LIMIT) {
+    let requests = writeRequests.slice(i, i + BATCH_WRITE_LIMIT);
+
+    for (let attempt = 0; requests.length > 0; attempt++) {
+      if (attempt >= MAX_BATCH_RETRIES) {
+        throw new Error(`Unable to write ${requests.length} items after ${MAX_BATCH_RETRIES} attempts`);
+      }
+
+      const result = await docClient.send(new BatchWriteCommand({
+        RequestItems: { [TABLE_NAME]: requests }
+      }));
+
+      requests = result.UnprocessedItems?.[TABLE_NAME] || [];
+    }
+  }
+}
+
+/**
+ * Deletes items by key in chunks, retrying unprocessed items
+ * @param {Object[]} keys - Primary keys ({ PK, SK }) to delete
+ * @returns {Promise<void>}
+ */
+async function batchDeleteKeys(keys) {
+  await batchWriteRequests(keys.map(key => ({ DeleteRequest: { Key: key } })));
+}
+
+/**
+ * Collects the primary keys of items in a task's partition with a given sort key prefix
+ * @param {string} workspace - Workspace ID
+ * @param {string} taskId - Task ID
+ * @param {string} prefix - Sort key prefix (e.g. COMMENT#)
+ * @returns {Promise<Object[]>} Item keys
+ */
+async function queryItemKeys(workspace, taskId, prefix) {
+  const keys = [];
+  let exclusiveStartKey;
+
+  do {
+    const result = await docClient.send(new QueryCommand({
+      TableName: TABLE_NAME,
+      KeyConditionExpression: 'PK = :pk AND begins_with(SK, :prefix)',
+      ExpressionAttributeValues: {
+        ':pk': taskKey(workspace, taskId).PK,
+        ':prefix': prefix
+      },
+      ProjectionExpression: 'PK, SK',
+      ExclusiveStartKey: exclusiveStartKey
+    }));
+
+    keys.push(...(result.Items || []));
+    exclusiveStartKey = result.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+
+  return keys;
+}
+
+/**
+ * Builds the keys of both edges of a dependency
+ * @param {string} workspace - Workspace ID
+ * @param {string} blockerId - ID of the blocking task
+ * @param {string} blockedId - ID of the blocked task
+ * @returns {Object[]} Forward (BLOCKS) and reverse (BLOCKEDBY) edge keys
+ */
+function dependencyKeys(workspace, blockerId, blockedId) {
+  return [
+    { PK: taskKey(workspace, blockerId).PK, SK: `BLOCKS#${blockedId}` },
+    { PK: taskKey(workspace, blockedId).PK, SK: `BLOCKEDBY#${blockerId}` }
+  ];
+}
+
+/**
+ * Collects the keys of the items that must go when a task is deleted:
+ * its comments and both edges of each of its dependencies
+ * @param {string} workspace - Workspace ID
+ * @param {string} id - Task ID
+ * @returns {Promise<Object[]>} Item keys
+ */
+async function taskChildKeys(workspace, id) {
+  const commentKeys = await queryItemKeys(workspace, id, 'COMMENT#');
+  const blocksKeys = await queryItemKeys(workspace, id, 'BLOCKS#');
+  const blockedByKeys = await queryItemKeys(workspace, id, 'BLOCKEDBY#');
+
+  const edgeKeys = [
+    ...blocksKeys.flatMap(key => dependencyKeys(workspace, id, key.SK.slice('BLOCKS#'.length))),
+    ...blockedByKeys.flatMap(key => dependencyKeys(workspace, key.SK.slice('BLOCKEDBY#'.length), id))
+  ];
+
+  return [...commentKeys, ...edgeKeys];
+}
+
+/**
+ * Finds the transaction item whose condition cancelled a transaction
+ * @param {Error} error - Error thrown by the DynamoDB client
+ * @returns {number} Index of the failed item, or -1 if no condition failed
+ */
+function failedConditionIndex(error) {
+  if (error.name !== 'TransactionCanceledException') {
+    return -1;
+  }
+
+  return (error.CancellationReasons || []).findIndex(reason => reason.Code === 'ConditionalCheckFailed');
+}
+
+/**
+ * Checks whether a transaction was cancelled by its first item's condition
+ * @param {Error} error - Error thrown by the DynamoDB client
+ * @returns {boolean} True if the first transaction item failed its condition
+ */
+function isConditionFailure(error) {
+  return failedConditionIndex(error) === 0;
+}
+
+/**
+ * Creates the error thrown when an idempotency key was claimed by a concurrent request
+ * @returns {Error} Error named IdempotencyConflictError
+ */
+function idempotencyConflictError() {
+  const conflict = new Error('Idempotency key is already in use');
+  conflict.name = 'IdempotencyConflictError';
+  return conflict;
+}
+
+/**
+ * Builds the key of an idempotency record
+ * @param {string} workspace - Workspace ID
+ * @param {string} key - Caller-scoped idempotency key
+ * @returns {Object} Idempotency item key
+ */
+function idempotencyKey(workspace, key) {
+  return { PK: workspaceKey(workspace, `IDEMPOTENCY#${key}`), SK: `IDEMPOTENCY#${key}` };
+}
+
+/**
+ * Builds the transaction entry that claims an idempotency key and stores the
+ * response to replay. The item expires through the table's TTL; an expired
+ * record that TTL has not removed yet may be overwritten.
+ * @param {string} workspace - Workspace ID
+ * @param {Object} idempotency - { key, requestHash, response }
+ * @returns {Object} Transaction Put entry for the idempotency record
+ */
+function idempotencyPut(workspace, idempotency) {
+  const now = Math.floor(Date.now() / 1000);
+
+  return {
+    Put: {
+      TableName: TABLE_NAME,
+      Item: {
+        ...idempotencyKey(workspace, idempotency.key),
+        requestHash: idempotency.requestHash,
+        response: idempotency.response,
+        createdAt: new Date().toISOString(),
+        expiresAt: now + IDEMPOTENCY_TTL_SECONDS
+      },
+      ConditionExpression: 'attribute_not_exists(PK) OR expiresAt < :now',
+      ExpressionAttributeValues: { ':now': now }
+    }
+  };
+}
+
+/**
+ * Creates the error thrown when a task changed since it was read
+ * @returns {Error} Error named VersionConflictError
+ */
+function versionConflictError() {
+  const conflict = new Error('Task has been modified concurrently');
+  conflict.name = 'VersionConflictError';
+  return conflict;
+}
+
+/**
+ * Builds the condition that the stored task still has the version that was read
+ * @param {Object|null} storedTask - Task as read before the write, null on create
+ * @returns {Object} ConditionExpression and attribute maps for a transaction item
+ */
+function versionCondition(storedTask) {
+  if (!storedTask) {
+    return { ConditionExpression: 'attribute_not_exists(PK)' };
+  }
+
+  // Items written before versioning have no version attribute yet
+  if (storedTask.version === undefined) {
+    return { ConditionExpression: 'attribute_not_exists(version)' };
+  }
+
+  return {
+    ConditionExpression: 'version = :currentVersion',
+    ExpressionAttributeValues: { ':currentVersion': storedTask.version }
+  };
+}
+
+/**
+ * Builds the key of a tag index item
+ * @param {string} workspace - Workspace ID
+ * @param {string} label - Label value
+ * @param {string} taskId - Task ID
+ * @returns {Object} Tag index item key
+ */
+function tagKey(workspace, label, taskId) {
+  return { PK: workspaceKey(workspace, `TAG#${label}`), SK: `TASK#${taskId}` };
+}
+
+/**
+ * Picks the shard of a task's list index entry and counters from its ID
+ * @param {string} taskId - Task ID
+ * @returns {number} Shard number, 0 to LIST_SHARD_COUNT - 1
+ */
+function taskShard(taskId) {
+  return createHash('sha256').update(taskId).digest()[0] % LIST_SHARD_COUNT;
+}
+
+/**
+ * Builds the composite values of a task that are indexed and counted
+ * @param {Object} task - Task
+ * @returns {Object} { assigneeStatus, statusPriority }; assigneeStatus is null for unassigned tasks
+ */
+function compositeValues(task) {
+  return {
+    assigneeStatus: task.assignee ? `${task.assignee}#${task.status}` : null,
+    statusPriority: `${task.status}#${task.priority}`
+  };
+}
+
+/**
+ * Builds the index key attributes derived from other task attributes, each GSI
+ * hash key scoped to the workspace: GSI1-GSI4 on the assignee, status, priority
+ * and parent, the GSI5 list shard (chosen from the ID) and sort key (creation
+ * time, then ID), and the composite GSI6 assignee#status and GSI7 status#priority keys
+ * @param {string} workspace - Workspace ID
+ * @param {Object} task - Task
+ * @returns {Object} { workspaceAssignee, workspaceStatus, workspacePriority, workspaceParentId,
+ *   listShard, listKey, assigneeStatus, statusPriority }; keys of unset fields are null
+ */
+function indexKeys(workspace, task) {
+  const scoped = value => (value ? workspaceKey(workspace, value) : null);
+  const { assigneeStatus, statusPriority } = compositeValues(task);
+
+  return {
+    workspaceAssignee: scoped(task.assignee),
+    workspaceStatus: scoped(task.status),
+    workspacePriority: scoped(task.priority),
+    workspaceParentId: scoped(task.parentId),
+    listShard: scoped(`TASKS#${taskShard(task.id)}`),
+    listKey: `${task.createdAt}#${task.id}`,
+    assigneeStatus: scoped(assigneeStatus),
+    statusPriority: scoped(statusPriority)
+  };
+}
+
+/**
+ * Builds the transaction entries that keep the task counters in step with
+ * task writes. Each write counts its task in (+1 on the total and on the
+ * counter of each counted field value) and counts the stored task out; the
+ * changes are summed so that every counter item is updated at most once.
+ * Counters live in PK=WS#<workspace>#COUNTS#<shard> (the task's list shard),
+ * SK=TOTAL or <field>#<value>, and are summed over the shards when read.
+ * @param {string} workspace - Workspace ID
+ * @param {Object[]} writes - Task writes, each { task, previousTask } with null
+ *   for a task that is created or deleted. A previous task is only counted out
+ *   if it was counted in (tasks written before the counters existed are not).
+ * @returns {Object[]} Transaction Update entries for the counters that change
+ */
+function counterUpdates(workspace, writes) {
+  const deltas = new Map();
+  const count = (task, delta) => {
+    const values = { ...task, ...compositeValues(task) };
+    const key = name => ({ PK: workspaceKey(workspace, `COUNTS#${taskShard(task.id)}`), SK: name });
+
+    ['TOTAL', ...COUNTED_FIELDS.filter(field => values[field]).map(field => `${field}#${values[field]}`)]
+      .map(key)
+      .forEach(counterKey => {
+        const id = `${counterKey.PK}|${counterKey.SK}`;
+        deltas.set(id, { key: counterKey, delta: (deltas.get(id)?.delta || 0) + delta });
+      });
+  };
+
+  writes.forEach(({ task, previousTask }) => {
+    if (task) {
+      count(task, 1);
+    }
+    if (previousTask?.counted) {
+      count(previousTask, -1);
+    }
+  });
+
+  return [...deltas.values()]
+    .filter(({ delta }) => delta !== 0)
+    .map(({ key, delta }) => ({
+      Update: {
+        TableName: TABLE_NAME,
+        Key: key,
+        UpdateExpression: 'ADD #count :delta',
+        ExpressionAttributeNames: { '#count': 'count' },
+        ExpressionAttributeValues: { ':delta': delta }
+      }
+    }));
+}
+
+/**
+ * Builds the key of a search index item
+ * @param {string} workspace - Workspace ID
+ * @param {string} term - Index term
+ * @param {string} taskId - Task ID
+ * @returns {Object} Primary key of the term item
+ */
+function termKey(workspace, term, taskId) {
+  return { PK: workspaceKey(workspace, `TERM#${term}`), SK: `TASK#${taskId}` };
+}
+
+/**
+ * Builds the BatchWrite requests that bring a task's search index items up to date
+ * @param {string} workspace - Workspace ID
+ * @param {Object|null} task - Task after the write, null on delete
+ * @param {Object|null} previousTask - Task before the write, null on create
+ * @returns {Object[]} Puts for every current term and deletes for terms no longer used
+ */
+function searchTermRequests(workspace, task, previousTask) {
+  const taskId = (task || previousTask).id;
+  const current = task ? taskTerms(task) : { terms: new Map(), length: 0 };
+  const previousTerms = previousTask ? [...taskTerms(previousTask).terms.keys()] : [];
+
+  return [
+    ...[...current.terms].map(([term, count]) => ({
+      PutRequest: {
+        Item: { ...termKey(workspace, term, taskId), taskId, frequency: count, length: current.length }
+      }
+    })),
+    ...previousTerms
+      .filter(term => !current.terms.has(term))
+      .map(term => ({ DeleteRequest: { Key: termKey(workspace, term, taskId) } }))
+  ];
+}
+
+/**
+ * Updates the search index after a task write has been committed. A task can
+ * have more terms than fit in its transaction, so the index is written
+ * separately; failures are logged rather than thrown because the task itself
+ * is stored and its terms are rewritten on its next write.
+ * @param {string} workspace - Workspace ID
+ * @param {Object|null} task - Task after the write, null on delete
+ * @param {Object|null} previousTask - Task before the write, null on create
+ * @returns {Promise<void>}
+ */
+async function indexSearchTerms(workspace, task, previousTask) {
+  try {
+    await batchWriteRequests(searchTermRequests(workspace, task, previousTask));
+  } catch (error) {
+    console.error('DynamoDB search index error:', error);
+  }
+}
+
+/**
+ * Computes the before/after values of the tracked fields that differ
+ * @param {Object|null} before - Task before the write (null on create)
+ * @param {Object|null} after - Task after the write (null on delete)
+ * @returns {Object} Map of field name to { before, after }
+ */
+function diffTaskFields(before, after) {
+  const changes = {};
+
+  HISTORY_FIELDS.forEach(field => {
+    const beforeValue = before?.[field] ?? null;
+    const afterValue = after?.[field] ?? null;
+
+    if (JSON.stringify(beforeValue) !== JSON.stringify(afterValue)) {
+      changes[field] = { before: beforeValue, after: afterValue };
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Builds an immutable history item for a task write
+ * @param {string} workspace - Workspace ID
+ * @param {string} taskId - Task ID
+ * @param {string} action - create, update or delete
+ * @param {Object} changes - Changed fields, see diffTaskFields
+ * @param {Object|null} actor - Caller identity
+ * @returns {Object} Transaction Put entry for the history item
+ */
+function historyPut(workspace, taskId, action, changes, actor) {
+  const timestamp = new Date().toISOString();
+
+  return {
+    Put: {
+      TableName: TABLE_NAME,
+      Item: {
+        PK: taskKey(workspace, taskId).PK,
+        SK: `HISTORY#${timestamp}#${uuidv4()}`,
+        taskId,
+        action,
+        changes,
+        actor: actor || null,
+        timestamp
+      },
+      // History entries are never overwritten
+      ConditionExpression: 'attribute_not_exists(PK)'
+    }
+  };
+}
+
+/**
+ * Builds the tag index writes for a task whose labels were (re)set
+ * @param {string} workspace - Workspace ID
+ * @param {Object} task - Task after the write
+ * @param {string[]} previousLabels - Labels before the write
+ * @returns {Object[]} Transaction entries putting current and deleting removed tag items
+ */
+function tagWrites(workspace, task, previousLabels) {
+  // Current labels are always (re)written so the tag index heals itself
+  const labels = task.labels || [];
+  const removedLabels = previousLabels.filter(label => !labels.includes(label));
+
+  return [
+    ...labels.map(label => ({
+      Put: {
+        TableName: TABLE_NAME,
+        Item: { ...tagKey(workspace, label, task.id), taskId: task.id, createdAt: task.createdAt }
+      }
+    })),
+    ...removedLabels.map(label => ({
+      Delete: { TableName: TABLE_NAME, Key: tagKey(workspace, label, task.id) }
+    }))
+  ];
+}
+
+/**
+ * Builds the stored item of a task, with its derived index keys
+ * @param {string} workspace - Workspace ID
+ * @param {Object} task - Task object to store
+ * @returns {Object} Task item
+ */
+function taskItem(workspace, task) {
+  const item = {
+    ...taskKey(workspace, task.id),
+    ...task,
+    ...indexKeys(workspace, task),
+    // Written together with counterUpdates, so the task is included in the counters
+    counted: true
+  };
+
+  OPTIONAL_INDEX_KEYS.forEach(key => {
+    if (item[key] === null || item[key] === '') {
+      delete item[key];
+    }
+  });
+
+  return item;
+}
+
+/**
+ * Builds the transaction entries that store a task: the task item (conditioned
+ * on the version of previousTask), its tag index items and a history entry
+ * @param {string} workspace - Workspace ID
+ * @param {Object} task - Task object to store
+ * @param {Object|null} previousTask - Stored version of the task, null on create
+ * @param {Object|null} actor - Caller identity recorded in the history
+ * @returns {Object[]} Transaction entries
+ */
+function taskPutItems(workspace, task, previousTask, actor) {
+  return [
+    { Put: { TableName: TABLE_NAME, Item: taskItem(workspace, task), ...versionCondition(previousTask) } },
+    ...tagWrites(workspace, task, previousTask?.labels || []),
+    historyPut(workspace, task.id, previousTask ? 'update' : 'create', diffTaskFields(previousTask, task), actor)
+  ];
+}
+
+/**
+ * Builds the transaction entries that remove a task: the task item (conditioned
+ * on its stored version), its tag index items and a final history entry
+ * @param {string} workspace - Workspace ID
+ * @param {Object} task - Stored task
+ * @param {Object|null} actor - Caller identity recorded in the history
+ * @returns {Object[]} Transaction entries
+ */
+function taskDeleteItems(workspace, task, actor) {
+  return [
+    {
+      Delete: {
+        TableName: TABLE_NAME,
+        Key: taskKey(workspace, task.id),
+        ...versionCondition(task)
+      }
+    },
+    ...(task.labels || []).map(label => ({
+      Delete: { TableName: TABLE_NAME, Key: tagKey(workspace, label, task.id) }
+    })),
+    historyPut(workspace, task.id, 'delete', diffTaskFields(task, null), actor)
+  ];
+}
+
+/**
+ * Puts a task in DynamoDB (create or update) together with its tag index
+ * items and a history entry, in a single transaction. The write only succeeds
+ * if the stored task still has the version of previousTask (or does not exist
+ * yet on create); otherwise a VersionConflictError is thrown.
+ *
+ * When an idempotency record is given it is claimed in the same transaction;
+ * if another request already holds the key an IdempotencyConflictError is
+ * thrown and nothing is written.
+ *
+ * The task counters are updated in the same transaction; the task's search
+ * index items are updated once it has committed.
+ * @param {string} workspace - Workspace ID
+ * @param {Object} task - Task object to store, including its new version
+ * @param {Object} [options] - Write options
+ * @param {Object} [options.previousTask] - Stored version of the task; omitted on create
+ * @param {Object} [options.actor] - Caller identity recorded in the history
+ * @param {Object} [options.idempotency] - { key, requestHash, response } to store for replays
+ * @returns {Promise<Object>} The stored task
+ */
+async function putTask(workspace, task, options = {}) {
+  const { previousTask = null, actor = null, idempotency = null } = options;
+  const transactItems = [
+    ...taskPutItems(workspace, task, previousTask, actor),
+    ...counterUpdates(workspace, [{ task, previousTask }])
+  ];
+
+  if (idempotency) {
+    transactItems.push(idempotencyPut(workspace, idempotency));
+  }
+
+  try {
+    await docClient.send(new TransactWriteCommand({
+      TransactItems: transactItems
+    }));
+  } catch (error) {
+    const failedItem = failedConditionIndex(error);
+    if (failedItem === 0) {
+      throw versionConflictError();
+    }
+    if (idempotency && failedItem === transactItems.length - 1) {
+      throw idempotencyConflictError();
+    }
+    console.error('DynamoDB putTask error:', error);
+    throw new Error('Service temporarily unavailable');
+  }
+
+  await indexSearchTerms(workspace, task, previousTask);
+
+  return task;
+}
+
+/**
+ * Updates only the given attributes of a stored task. Attributes set to null
+ * are removed from the item. Tag index items (when labels change), counter changes
+ * and a history entry are written in the same transaction, which only succeeds if the stored
+ * task still has the version of previousTask; otherwise a VersionConflictError
+ * is thrown. Search index items are updated afterwards if the description changed.
+ * @param {string} workspace - Workspace ID
+ * @param {Object} previousTask - Stored task the changes apply to
+ * @param {Object} changes - Map of attribute name to new value, including updatedAt and version
+ * @param {Object} [options] - Write options
+ * @param {Object} [options.actor] - Caller identity recorded in the history
+ * @returns {Promise<Object>} The updated task
+ */
+async function updateTaskAttributes(workspace, previousTask, changes, options = {}) {
+  const { actor = null } = options;
+  const task = { ...previousTask, ...changes };
+  const setClauses = [];
+  const removeClauses = [];
+  const names = {};
+  const values = {};
+
+  // Derived index keys are rewritten on every update so they follow the fields they
+  // are built from, and so items written before an index existed catch up
+  Object.entries({ ...changes, ...indexKeys(workspace, task), counted: true }).forEach(([field, value], index) => {
+    names[`#a${index}`] = field;
+
+    if (value === null || value === undefined || (value === '' && OPTIONAL_INDEX_KEYS.includes(field))) {
+      removeClauses.push(`#a${index}`);
+      delete task[field];
+    } else {
+      setClauses.push(`#a${index} = :a${index}`);
+      values[`:a${index}`] = value;
+    }
+  });
+
+  const condition = versionCondition(previousTask);
+  const updateExpression = [
+    setClauses.length > 0 ? `SET ${setClauses.join(', ')}` : '',
+    removeClauses.length > 0 ? `REMOVE ${removeClauses.join(', ')}` : ''
+  ].filter(Boolean).join(' ');
+
+  try {
+    await docClient.send(new TransactWriteCommand({
+      TransactItems: [
+        {
+          Update: {
+            TableName: TABLE_NAME,
+            Key: taskKey(workspace, previousTask.id),
+            UpdateExpression: updateExpression,
+            ConditionExpression: condition.ConditionExpression,
+            ExpressionAttributeNames: names,
+            ExpressionAttributeValues: { ...values, ...condition.ExpressionAttributeValues }
+          }
+        },
+        ...('labels' in changes ? tagWrites(workspace, task, previousTask.labels || []) : []),
+        historyPut(workspace, previousTask.id, 'update', diffTaskFields(previousTask, task), actor),
+        ...counterUpdates(workspace, [{ task, previousTask }])
+      ]
+    }));
+  } catch (error) {
+    if (isConditionFailure(error)) {
+      throw versionConflictError();
+    }
+    console.error('DynamoDB updateTaskAttributes error:', error);
+    throw new Error('Service temporarily unavailable');
+  }
+
+  if (INDEXED_FIELDS.some(field => field in changes)) {
+    await indexSearchTerms(workspace, task, previousTask);
+  }
+
+  return task;
+}
+
+/**
+ * Gets a task by ID from DynamoDB
+ * @param {string} workspace - Workspace ID
+ * @param {string} id - Task ID
+ * @param {Object} [options] - Read options
+ * @param {string[]} [options.attributes] - Attributes to read (ProjectionExpression); all when omitted
+ * @returns {Promise<Object|null>} Task object or null if not found
+ */
+async function getTask(workspace, id, options = {}) {
+  try {
+    const params = {
+      TableName: TABLE_NAME,
+      Key: taskKey(workspace, id)
+    };
+
+    applyProjection(params, options.attributes);
+
+    const result = await docClient.send(new GetCommand(params));
+
+    return result.Item || null;
+  } catch (error) {
+    console.error('DynamoDB getTask error:', error);
+    throw new Error('Service temporarily unavailable');
+  }
+}
+
+/**
+ * Gets the stored outcome of an earlier request with the same idempotency key
+ * @param {string} workspace - Workspace ID
+ * @param {string} key - Caller-scoped idempotency key
+ * @returns {Promise<Object|null>} { requestHash, response } or null if none or expired
+ */
+async function getIdempotencyRecord(workspace, key) {
+  try {
+    const result = await docClient.send(new GetCommand({
+      TableName: TABLE_NAME,
+      Key: idempotencyKey(workspace, key)
+    }));
+
+    // TTL deletes expired items lazily, so check the expiry as well
+    const record = result.Item;
+    if (!record || record.expiresAt < Math.floor(Date.now() / 1000)) {
+      return null;
+    }
+
+    return {
+      requestHash: record.requestHash,
+      response: record.response
+    };
+  } catch (error) {
+    console.error('DynamoDB getIdempotencyRecord error:', error);
+    throw new Error('Service temporarily unavailable');
+  }
+}
+
+/**
+ * Gets several tasks by ID, reading up to 100 keys per request and retrying
+ * unprocessed keys
+ * @param {string} workspace - Workspace ID
+ * @param {string[]} ids - Task IDs; duplicates are read once
+ * @param {Object} [options] - Read options
+ * @param {string[]} [options.attributes] - Attributes to read besides the ID; all when omitted
+ * @returns {Promise<Object>} { items, notFoundIds } with found tasks in request order
+ */
+async function batchGetTasks(workspace, ids, options = {}) {
+  try {
+    const uniqueIds = [...new Set(ids)];
+    const found = new Map();
+
+    for (let i = 0; i < uniqueIds.length; i += BATCH_GET_LIMIT) {
+      let keys = uniqueIds.slice(i, i + BATCH_GET_LIMIT).map(id => taskKey(workspace, id));
+
+      for (let attempt = 0; keys.length > 0; attempt++) {
+        if (attempt >= MAX_BATCH_RETRIES) {
+          throw new Error(`Unable to read ${keys.length} items after ${MAX_BATCH_RETRIES} attempts`);
+        }
+
+        const tableRequest = { Keys: keys };
+        applyProjection(tableRequest, options.attributes && [...new Set(['id', ...options.attributes])]);
+
+        const result = await docClient.send(new BatchGetCommand({
+          RequestItems: { [TABLE_NAME]: tableRequest }
+        }));
+
+        (result.Responses?.[TABLE_NAME] || []).forEach(item => found.set(item.id, item));
+        keys = result.UnprocessedKeys?.[TABLE_NAME]?.Keys || [];
+      }
+    }
+
+    // BatchGet returns items in no particular order
+    return {
+      items: uniqueIds.filter(id => found.has(id)).map(id => found.get(id)),
+      notFoundIds: uniqueIds.filter(id => !found.has(id))
+    };
+  } catch (error) {
+    console.error('DynamoDB batchGetTasks error:', error);
+    throw new Error('Service temporarily unavailable');
+  }
+}
+
+/**
+ * Deletes a task, its comments, dependency edges, tag and search index items from
+ * DynamoDB and counts it out of the task counters. History entries are kept and a
+ * final delete entry is added. Comments and dependency edges are only removed once
+ * the task's version-conditioned delete has committed; deleting a task that is
+ * already gone removes any left behind by an interrupted delete.
+ * @param {string} workspace - Workspace ID
+ * @param {string} id - Task ID
+ * @param {Object} [options] - Write options
+ * @param {Object} [options.actor] - Caller identity recorded in the history
+ * @param {number} [options.expectedVersion] - Version the caller expects; a mismatch throws VersionConflictError
+ * @returns {Promise<void>}
+ */
+async function deleteTask(workspace, id, options = {}) {
+  try {
+    const task = await getTask(workspace, id);
+    if (!task) {
+      await batchDeleteKeys(await taskChildKeys(workspace, id));
+      return;
+    }
+
+    if (options.expectedVersion !== undefined && (task.version || 0) !== options.expectedVersion) {
+      throw versionConflictError();
+    }
+
+    await docClient.send(new TransactWriteCommand({
+      TransactItems: [
+        ...taskDeleteItems(workspace, task, options.actor),
+        ...counterUpdates(workspace, [{ task: null, previousTask: task }])
+      ]
+    }));
+
+    // Remove comments and dependency edges (both directions) only now, so a failed
+    // or refused delete leaves the task whole
+    await batchDeleteKeys(await taskChildKeys(workspace, id));
+
+    await indexSearchTerms(workspace, null, task);
+  } catch (error) {
+    if (error.name === 'VersionConflictError') {
+      throw error;
+    }
+    if (isConditionFailure(error)) {
+      throw versionConflictError();
+    }
+    console.error('DynamoDB deleteTask error:', error);
+    throw new Error('Service temporarily unavailable');
+  }
+}
+
+/**
+ * Creates the error thrown when a transactional batch needs more writes than
+ * a single DynamoDB transaction allows
+ * @param {number} itemCount - Number of writes the batch needs
+ * @returns {Error} Error named BatchTooLargeError
+ */
+function batchTooLargeError(itemCount) {
+  const tooLarge = new Error(`Transactional batch needs ${itemCount} writes; the limit is ${TRANSACT_WRITE_LIMIT}`);
+  tooLarge.name = 'BatchTooLargeError';
+  return tooLarge;
+}
+
+/**
+ * Describes the writes of a batch as counter changes (see counterUpdates)
+ * @param {Object[]} writes - Batch writes, see writeTaskBatch
+ * @returns {Object[]} { task, previousTask } per write
+ */
+function countedWrites(writes) {
+  return writes.map(write => (
+    write.type === 'delete'
+      ? { task: null, previousTask: write.task }
+      : { task: write.task, previousTask: write.previousTask || null }
+  ));
+}
+
+/**
+ * Updates the search index for one write of a batch
+ * @param {string} workspace - Workspace ID
+ * @param {Object} write - { type: 'put', task, previousTask } or { type: 'delete', task }
+ * @returns {Promise<void>}
+ */
+async function indexWrittenTask(workspace, write) {
+  if (write.type === 'delete') {
+    await indexSearchTerms(workspace, null, write.task);
+  } else {
+    await indexSearchTerms(workspace, write.task, write.previousTask || null);
+  }
+}
+
+/**
+ * Writes several task puts and deletes at once.
+ *
+ * Transactional batches are all-or-nothing: every write, including the removal
+ * of deleted tasks' comments and dependency edges and the counter changes, goes
+ * into one transaction with the usual version conditions. If a condition fails a
+ * VersionConflictError is thrown whose operationIndex points at the offending write.
+ *
+ * Other batches write each task in a transaction of its own, with the same
+ * version condition and counter changes as putTask and deleteTask, and report
+ * a result per write. A write whose task changed since it was read fails with
+ * conflict set and leaves the counters untouched.
+ * @param {string} workspace - Workspace ID
+ * @param {Object[]} writes - Writes, each { type: 'put', task, previousTask } or { type: 'delete', task }
+ * @param {Object} [options] - Write options
+ * @param {boolean} [options.transactional] - Apply all writes atomically
+ * @param {Object} [options.actor] - Caller identity recorded in the history
+ * @returns {Promise<Object[]>} Per-write results, each { ok: true } or { ok: false, error, conflict }
+ */
+async function writeTaskBatch(workspace, writes, options = {}) {
+  const { transactional = false, actor = null } = options;
+
+  const itemsPerWrite = writes.map(write => (
+    write.type === 'delete'
+      ? taskDeleteItems(workspace, write.task, actor)
+      : taskPutItems(workspace, write.task, write.previousTask || null, actor)
+  ));
+
+  if (transactional) {
+    try {
+      const childKeys = await Promise.all(writes.map(write => (
+        write.type === 'delete' ? taskChildKeys(workspace, write.task.id) : []
+      )));
+
+      // An edge between two deleted tasks is found from both ends, but a
+      // transaction may only touch each item once
+      const seenKeys = new Set();
+      const writeIndexes = [];
+      const transactItems = [];
+      itemsPerWrite.forEach((items, index) => {
+        const newChildKeys = childKeys[index].filter(key => {
+          const id = `${key.PK}|${key.SK}`;
+          const isNew = !seenKeys.has(id);
+          seenKeys.add(id);
+          return isNew;
+        });
+        const entries = [
+          ...items,
+          ...newChildKeys.map(key => ({ Delete: { TableName: TABLE_NAME, Key: key } }))
+        ];
+        transactItems.push(...entries);
+        writeIndexes.push(...entries.map(() => index));
+      });
+
+      // Counter changes are summed over the batch; they carry no condition
+      transactItems.push(...counterUpdates(workspace, countedWrites(writes)));
+
+      if (transactItems.length > TRANSACT_WRITE_LIMIT) {
+        throw batchTooLargeError(transactItems.length);
+      }
+
+      try {
+        await docClient.send(new TransactWriteCommand({ TransactItems: transactItems }));
+      } catch (error) {
+        const failedItem = failedConditionIndex(error);
+
+        if (failedItem === -1) {
+          throw error;
+        }
+
+        const conflict = versionConflictError();
+        conflict.operationIndex = writeIndexes[failedItem];
+        throw conflict;
+      }
+
+      for (const write of writes) {
+        await indexWrittenTask(workspace, write);
+      }
+
+      return writes.map(() => ({ ok: true }));
+    } catch (error) {
+      if (error.name === 'VersionConflictError' || error.name === 'BatchTooLargeError') {
+        throw error;
+      }
+      console.error('DynamoDB writeTaskBatch error:', error);
+      throw new Error('Service temporarily unavailable');
+    }
+  }
+
+  const results = writes.map(() => ({ ok: true }));
+  const failWrite = (index, error) => {
+    console.error('DynamoDB writeTaskBatch error:', error);
+    results[index] = { ok: false, error: 'Service temporarily unavailable', conflict: false };
+  };
+
+  for (let index = 0; index < writes.length; index++) {
+    try {
+      await docClient.send(new TransactWriteCommand({
+        TransactItems: [
+          ...itemsPerWrite[index],
+          ...counterUpdates(workspace, countedWrites([writes[index]]))
+        ]
+      }));
+    } catch (error) {
+      if (failedConditionIndex(error) === 0) {
+        results[index] = { ok: false, error: 'Version conflict', conflict: true };
+      } else {
+        failWrite(index, error);
+      }
+    }
+  }
+
+  for (let index = 0; index < writes.length; index++) {
+    if (results[index].ok) {
+      await indexWrittenTask(workspace, writes[index]);
+    }
+  }
+
+  // Remove comments and dependency edges of deleted tasks once the tasks are gone, as
+  // deleteTask does; a failure here is reported, and deleting the task again finishes it
+  for (let index = 0; index < writes.length; index++) {
+    if (writes[index].type === 'delete' && results[index].ok) {
+      try {
+        await batchDeleteKeys(await taskChildKeys(workspace, writes[index].task.id));
+      } catch (error) {
+        failWrite(index, error);
+      }
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Narrows an index query to a range of the index range key
+ * @param {Object} params - Query parameters to extend
+ * @param {string} rangeKey - Name of the index range key
+ * @param {Object} [range] - { after, before } inclusive bounds, either of which may be
+ *   omitted, or a single comparison { operator, value } with <, <=, > or >=
+ */
+function applyRangeCondition(params, rangeKey, range) {
+  const { after, before, operator, value } = range || {};
+
+  if (after === undefined && before === undefined && operator === undefined) {
+    return;
+  }
+
+  params.ExpressionAttributeNames = { ...params.ExpressionAttributeNames, '#rangeKey': rangeKey };
+
+  if (operator !== undefined) {
+    params.KeyConditionExpression += ` AND #rangeKey ${operator} :rangeValue`;
+    params.ExpressionAttributeValues[':rangeValue'] = value;
+  } else if (after !== undefined && before !== undefined) {
+    params.KeyConditionExpression += ' AND #rangeKey BETWEEN :rangeAfter AND :rangeBefore';
+    params.ExpressionAttributeValues[':rangeAfter'] = after;
+    params.ExpressionAttributeValues[':rangeBefore'] = before;
+  } else if (after !== undefined) {
+    params.KeyConditionExpression += ' AND #rangeKey >= :rangeAfter';
+    params.ExpressionAttributeValues[':rangeAfter'] = after;
+  } else {
+    params.KeyConditionExpression += ' AND #rangeKey <= :rangeBefore';
+    params.ExpressionAttributeValues[':rangeBefore'] = before;
+  }
+}
+
+/**
+ * Adds a FilterExpression to a scan or query, on top of any filter it already has
+ * @param {Object} params - Scan or query parameters to extend
+ * @param {Object} [filter] - { expression, names, values }
+ */
+function applyFilterExpression(params, filter) {
+  if (!filter) {
+    return;
+  }
+
+  params.FilterExpression = params.FilterExpression
+    ? `(${params.FilterExpression}) AND (${filter.expression})`
+    : filter.expression;
+  params.ExpressionAttributeNames = { ...params.ExpressionAttributeNames, ...filter.names };
+  params.ExpressionAttributeValues = { ...params.ExpressionAttributeValues, ...filter.values };
+}
+
+/**
+ * Limits the attributes a read returns with a ProjectionExpression
+ * @param {Object} params - Get, query or scan parameters (or BatchGet table request) to extend
+ * @param {string[]} [attributes] - Attribute names to read; all when omitted
+ */
+function applyProjection(params, attributes) {
+  if (!attributes) {
+    return;
+  }
+
+  const names = Object.fromEntries(attributes.map((attribute, index) => [`#p${index}`, attribute]));
+  params.ProjectionExpression = Object.keys(names).join(', ');
+  params.ExpressionAttributeNames = { ...params.ExpressionAttributeNames, ...names };
+}
+
+/**
+ * Scans all tasks of a workspace from DynamoDB
+ * @param {string} workspace - Workspace ID
+ * @param {number} limit - Maximum number of items to return
+ * @param {string} nextToken - Pagination token
+ * @param {Object} [options] - Scan options
+ * @param {Object} [options.filter] - Additional { expression, names, values } filter
+ * @param {string[]} [options.attributes] - Attributes to read (ProjectionExpression); all when omitted
+ * @returns {Promise<Object>} Object with items and nextToken
+ */
+async function scanTasks(workspace, limit, nextToken, options = {}) {
+  try {
+    const params = {
+      TableName: TABLE_NAME,
+      FilterExpression: 'begins_with(PK, :prefix) AND begins_with(SK, :sortPrefix)',
+      ExpressionAttributeValues: {
+        ':prefix': workspaceKey(workspace, 'TASK#'),
+        ':sortPrefix': 'TASK#'
+      }
+    };
+
+    if (limit) {
+      params.Limit = limit;
+    }
+
+    applyFilterExpression(params, options.filter);
+
+    applyProjection(params, options.attributes);
+
+    if (nextToken) {
+      params.ExclusiveStartKey = JSON.parse(Buffer.from(nextToken, 'base64').toString());
+    }
+
+    const result = await docClient.send(new ScanCommand(params));
+
+    return {
+      items: result.Items || [],
+      nextToken: result.LastEvaluatedKey 
+        ? Buffer.from(JSON.stringify(result.LastEvaluatedKey)).toString('base64')
+        : null
+    };
+  } catch (error) {
+    console.error('DynamoDB scanTasks error:', error);
+    throw new Error('Service temporarily unavailable');
+  }
+}
+
+/**
+ * Stores a task written before workspaces existed in a workspace: its item with the
+ * index keys, its tag index items and its counts, then its search index items. A
+ * task already stored there by an earlier, interrupted run is only reindexed.
+ * @param {string} workspace - Workspace ID
+ * @param {Object} legacyTask - Task attributes of the legacy item, without its key
+ * @returns {Promise<boolean>} True if the task was stored, false if it already was
+ */
+async function migrateLegacyTask(workspace, legacyTask) {
+  // Legacy index keys and counted flag are rebuilt for the workspace
+  const { listShard, listKey, assigneeStatus, statusPriority, counted, ...task } = legacyTask;
+
+  let stored = true;
+  try {
+    await docClient.send(new TransactWriteCommand({
+      TransactItems: [
+        { Put: { TableName: TABLE_NAME, Item: taskItem(workspace, task), ConditionExpression: 'attribute_not_exists(PK)' } },
+        ...tagWrites(workspace, task, []),
+        ...counterUpdates(workspace, [{ task, previousTask: null }])
+      ]
+    }));
+  } catch (error) {
+    if (!isConditionFailure(error)) {
+      throw error;
+    }
+    stored = false;
+  }
+
+  await indexSearchTerms(workspace, task, null);
+
+  return stored;
+}
+
+/**
+ * Moves one page of the items written before workspaces existed into a workspace.
+ * Tasks are stored there with their index keys, tags, counts and search terms (see
+ * migrateLegacyTask); comments, history entries and dependency edges are copied
+ * under the workspace's task partitions. Legacy tag, search term and counter items
+ * are dropped, as they are rebuilt from the tasks, and so are idempotency records,
+ * which expire within a day. Each legacy item is deleted once it has been moved.
+ * API key records are shared by all workspaces and stay where they are. Run
+ * repeatedly, passing the returned token, until it returns no token; safe to re-run.
+ * @param {string} workspace - Workspace ID to move the items into
+ * @param {number} limit - Maximum number of items to examine
+ * @param {string} [nextToken] - Pagination token from the previous call
+ * @returns {Promise<Object>} { migrated: number of tasks moved, nextToken }
+ */
+async function migrateLegacyItems(workspace, limit, nextToken) {
+  try {
+    const params = {
+      TableName: TABLE_NAME,
+      FilterExpression: 'NOT begins_with(PK, :scoped) AND PK <> :apiKeys',
+      ExpressionAttributeValues: {
+        ':scoped': 'WS#',
+        ':apiKeys': 'APIKEYS'
+      },
+      Limit: limit
+    };
+
+    if (nextToken) {
+      params.ExclusiveStartKey = decodeNextToken(nextToken);
+    }
+
+    const result = await docClient.send(new ScanCommand(params));
+
+    let migrated = 0;
+    for (const item of result.Items || []) {
+      const { PK, SK, ...attributes } = item;
+
+      if (PK.startsWith('TASK#') && SK.startsWith('TASK#')) {
+        if (await migrateLegacyTask(workspace, attributes)) {
+          migrated++;
+        }
+      } else if (PK.startsWith('TASK#')) {
+        await docClient.send(new PutCommand({
+          TableName: TABLE_NAME,
+          Item: { ...item, PK: workspaceKey(workspace, PK) }
+        }));
+      }
+
+      await docClient.send(new DeleteCommand({ TableName: TABLE_NAME, Key: { PK, SK } }));
+    }
+
+    return { migrated, nextToken: encodeNextToken(result.LastEvaluatedKey) };
+  } catch (error) {
+    console.error('DynamoDB migrateLegacyItems error:', error);
+    throw new Error('Service temporarily unavailable');
+  }
+}
+
+/**
+ * Queries tasks by assignee using GSI1
+ * @param {string} workspace - Workspace ID
+ * @param {string} assignee - Assignee identifier
+ * @param {number} limit - Maximum number of items to return
+ * @param {string} nextToken - Pagination token
+ * @param {Object} [options] - Query options
+ * @param {boolean} [options.ascending=true] - Read in ascending dueDate order
+ * @param {Object} [options.range] - Bounds or comparison on dueDate (see applyRangeCondition)
+ * @param {Object} [options.filter] - { expression, names, values } FilterExpression
+ * @param {string[]} [options.attributes] - Attributes to read (ProjectionExpression); all when omitted
+ * @returns {Promise<Object>} Object with items and nextToken
+ */
+async function queryTasksByAssignee(workspace, assignee, limit, nextToken, options = {}) {
+  try {
+    const params = {
+      TableName: TABLE_NAME,
+      IndexName: 'GSI1',
+      KeyConditionExpression: 'workspaceAssignee = :assignee',
+      ExpressionAttributeValues: {
+        ':assignee': workspaceKey(workspace, assignee)
+      }
+    };
+
+    if (limit) {
+      params.Limit = limit;
+    }
+
+    applyRangeCondition(params, 'dueDate', options.range);
+
+    applyFilterExpression(params, options.filter);
+
+    applyProjection(params, options.attributes);
+
+    if (options.ascending === false) {
+      params.ScanIndexForward = false;
+    }
+
+    if (nextToken) {
+      params.ExclusiveStartKey = JSON.parse(Buffer.from(nextToken, 'base64').toString());
+    }
+
+    const result = await docClient.send(new QueryCommand(params));
+
+    return {
+      items: result.Items || [],
+      nextToken: result.LastEvaluatedKey 
+        ? Buffer.from(JSON.stringify(result.LastEvaluatedKey)).toString('base64')
+        : null
+    };
+  } catch (error) {
+    console.error('DynamoDB queryTasksByAssignee error:', error);
+    throw new Error('Service temporarily unavailable');
+  }
+}
+
+/**
+ * Queries tasks by status using GSI2
+ * @param {string} workspace - Workspace ID
+ * @param {string} status - Task status
+ * @param {number} limit - Maximum number of items to return
+ * @param {string} nextToken - Pagination token
+ * @param {Object} [options] - Query options
+ * @param {boolean} [options.ascending=true] - Read in ascending createdAt order
+ * @param {Object} [options.range] - Bounds or comparison on createdAt (see applyRangeCondition)
+ * @param {Object} [options.filter] - { expression, names, values } FilterExpression
+ * @param {string[]} [options.attributes] - Attributes to read (ProjectionExpression); all when omitted
+ * @returns {Promise<Object>} Object with items and nextToken
+ */
+async function queryTasksByStatus(workspace, status, limit, nextToken, options = {}) {
+  try {
+    const params = {
+      TableName: TABLE_NAME,
+      IndexName: 'GSI2',
+      KeyConditionExpression: 'workspaceStatus = :status',
+      ExpressionAttributeValues: {
+        ':status': workspaceKey(workspace, status)
+      }
+    };
+
+    if (limit) {
+      params.Limit = limit;
+    }
+
+    applyRangeCondition(params, 'createdAt', options.range);
+
+    applyFilterExpression(params, options.filter);
+
+    applyProjection(params, options.attributes);
+
+    if (options.ascending === false) {
+      params.ScanIndexForward = false;
+    }
+
+    if (nextToken) {
+      params.ExclusiveStartKey = JSON.parse(Buffer.from(nextToken, 'base64').toString());
+    }
+
+    const result = await docClient.send(new QueryCommand(params));
+
+    return {
+      items: result.Items || [],
+      nextToken: result.LastEvaluatedKey 
+        ? Buffer.from(JSON.stringify(result.LastEvaluatedKey)).toString('base64')
+        : null
+    };
+  } catch (error) {
+    console.error('DynamoDB queryTasksByStatus error:', error);
+    throw new Error('Service temporarily unavailable');
+  }
+}
+
+/**
+ * Queries tasks by priority using GSI3
+ * @param {string} workspace - Workspace ID
+ * @param {string} priority - Task priority
+ * @param {number} limit - Maximum number of items to return
+ * @param {string} nextToken - Pagination token
+ * @param {Object} [options] - Query options
+ * @param {boolean} [options.ascending=true] - Read in ascending createdAt order
+ * @param {Object} [options.range] - Bounds or comparison on createdAt (see applyRangeCondition)
+ * @param {Object} [options.filter] - { expression, names, values } FilterExpression
+ * @param {string[]} [options.attributes] - Attributes to read (ProjectionExpression); all when omitted
+ * @returns {Promise<Object>} Object with items and nextToken
+ */
+async function queryTasksByPriority(workspace, priority, limit, nextToken, options = {}) {
+  try {
+    const params = {
+      TableName: TABLE_NAME,
+      IndexName: 'GSI3',
+      KeyConditionExpression: 'workspacePriority = :priority',
+      ExpressionAttributeValues: {
+        ':priority': workspaceKey(workspace, priority)
+      }
+    };
+
+    if (limit) {
+      params.Limit = limit;
+    }
+
+    applyRangeCondition(params, 'createdAt', options.range);
+
+    applyFilterExpression(params, options.filter);
+
+    applyProjection(params, options.attributes);
+
+    if (options.ascending === false) {
+      params.ScanIndexForward = false;
+    }
+
+    if (nextToken) {
+      params.ExclusiveStartKey = JSON.parse(Buffer.from(nextToken, 'base64').toString());
+    }
+
+    const result = await docClient.send(new QueryCommand(params));
+
+    return {
+      items: result.Items || [],
+      nextToken: result.LastEvaluatedKey 
+        ? Buffer.from(JSON.stringify(result.LastEvaluatedKey)).toString('base64')
+        : null
+    };
+  } catch (error) {
+    console.error('DynamoDB queryTasksByPriority error:', error);
+    throw new Error('Service temporarily unavailable');
+  }
+}
+
+/**
+ * Queries tasks by assignee and status using the composite GSI6 key, assignee#status
+ * @param {string} workspace - Workspace ID
+ * @param {string} assignee - Assignee identifier
+ * @param {string} status - Task status
+ * @param {number} limit - Maximum number of items to return
+ * @param {string} nextToken - Pagination token
+ * @param {Object} [options] - Query options
+ * @param {boolean} [options.ascending=true] - Read in ascending createdAt order
+ * @param {Object} [options.range] - Bounds or comparison on createdAt (see applyRangeCondition)
+ * @param {Object} [options.filter] - { expression, names, values } FilterExpression
+ * @param {string[]} [options.attributes] - Attributes to read (ProjectionExpression); all when omitted
+ * @returns {Promise<Object>} Object with items and nextToken
+ */
+async function queryTasksByAssigneeStatus(workspace, assignee, status, limit, nextToken, options = {}) {
+  try {
+    const params = {
+      TableName: TABLE_NAME,
+      IndexName: 'GSI6',
+      KeyConditionExpression: 'assigneeStatus = :assigneeStatus',
+      ExpressionAttributeValues: {
+        ':assigneeStatus': workspaceKey(workspace, `${assignee}#${status}`)
+      }
+    };
+
+    if (limit) {
+      params.Limit = limit;
+    }
+
+    applyRangeCondition(params, 'createdAt', options.range);
+
+    applyFilterExpression(params, options.filter);
+
+    applyProjection(params, options.attributes);
+
+    if (options.ascending === false) {
+      params.ScanIndexForward = false;
+    }
+
+    if (nextToken) {
+      params.ExclusiveStartKey = decodeNextToken(nextToken);
+    }
+
+    const result = await docClient.send(new QueryCommand(params));
+
+    return {
+      items: result.Items || [],
+      nextToken: encodeNextToken(result.LastEvaluatedKey)
+    };
+  } catch (error) {
+    console.error('DynamoDB queryTasksByAssigneeStatus error:', error);
+    throw new Error('Service temporarily unavailable');
+  }
+}
+
+/**
+ * Queries tasks by status and priority using the composite GSI7 key, status#priority
+ * @param {string} workspace - Workspace ID
+ * @param {string} status - Task status
+ * @param {string} priority - Task priority
+ * @param {number} limit - Maximum number of items to return
+ * @param {string} nextToken - Pagination token
+ * @param {Object} [options] - Query options
+ * @param {boolean} [options.ascending=true] - Read in ascending createdAt order
+ * @param {Object} [options.range] - Bounds or comparison on createdAt (see applyRangeCondition)
+ * @param {Object} [options.filter] - { expression, names, values } FilterExpression
+ * @param {string[]} [options.attributes] - Attributes to read (ProjectionExpression); all when omitted
+ * @returns {Promise<Object>} Object with items and nextToken
+ */
+async function queryTasksByStatusPriority(workspace, status, priority, limit, nextToken, options = {}) {
+  try {
+    const params = {
+      TableName: TABLE_NAME,
+      IndexName: 'GSI7',
+      KeyConditionExpression: 'statusPriority = :statusPriority',
+      ExpressionAttributeValues: {
+        ':statusPriority': workspaceKey(workspace, `${status}#${priority}`)
+      }
+    };
+
+    if (limit) {
+      params.Limit = limit;
+    }
+
+    applyRangeCondition(params, 'createdAt', options.range);
+
+    applyFilterExpression(params, options.filter);
+
+    applyProjection(params, options.attributes);
+
+    if (options.ascending === false) {
+      params.ScanIndexForward = false;
+    }
+
+    if (nextToken) {
+      params.ExclusiveStartKey = decodeNextToken(nextToken);
+    }
+
+    const result = await docClient.send(new QueryCommand(params));
+
+    return {
+      items: result.Items || [],
+      nextToken: encodeNextToken(result.LastEvaluatedKey)
+    };
+  } catch (error) {
+    console.error('DynamoDB queryTasksByStatusPriority error:', error);
+    throw new Error('Service temporarily unavailable');
+  }
+}
+
+/**
+ * Queries all tasks in priority order (P0 first when ascending) by reading the
+ * GSI3 partition of each priority in turn, oldest task first within a priority
+ * @param {string} workspace - Workspace ID
+ * @param {number} limit - Maximum number of items to return
+ * @param {string} nextToken - Pagination token
+ * @param {Object} [options] - Query options
+ * @param {boolean} [options.ascending=true] - Highest priority first; false reverses the whole order
+ * @param {Object} [options.range] - Bounds or comparison on createdAt
+ * @param {Object} [options.filter] - { expression, names, values } FilterExpression
+ * @param {string[]} [options.attributes] - Attributes to read (ProjectionExpression); all when omitted
+ * @returns {Promise<Object>} Object with items and nextToken
+ */
+async function queryTasksInPriorityOrder(workspace, limit, nextToken, options = {}) {
+  const priorities = options.ascending === false ? [...VALID_PRIORITIES].reverse() : VALID_PRIORITIES;
+
+  // The token remembers which partition to read and where to resume inside it
+  const position = nextToken ? decodeNextToken(nextToken) : { priority: priorities[0] };
+  const page = await queryTasksByPriority(workspace, position.priority, limit, position.key, options);
+
+  if (page.nextToken) {
+    return {
+      items: page.items,
+      nextToken: encodeNextToken({ priority: position.priority, key: page.nextToken })
+    };
+  }
+
+  const nextPriority = priorities[priorities.indexOf(position.priority) + 1];
+  return {
+    items: page.items,
+    nextToken: nextPriority ? encodeNextToken({ priority: nextPriority }) : null
+  };
+}
+
+/**
+ * Queries all tasks in creation order using the GSI5 list index, newest first
+ * unless ascending. The shards are read side by side and merged on their sort
+ * key; a page only holds tasks that sort before everything a shard has left
+ * unread, so it can come back short while later pages still have tasks.
+ * @param {string} workspace - Workspace ID
+ * @param {number} limit - Maximum number of items to return
+ * @param {string} nextToken - Pagination token
+ * @param {Object} [options] - Query options
+ * @param {boolean} [options.ascending=false] - Read oldest first
+ * @param {Object} [options.filter] - { expression, names, values } FilterExpression
+ * @param {string[]} [options.attributes] - Attributes to read (ProjectionExpression); all when omitted
+ * @returns {Promise<Object>} Object with items and nextToken
+ */
+async function queryTaskList(workspace, limit, nextToken, options = {}) {
+  try {
+    const ascending = options.ascending === true;
+    const cursor = nextToken ? decodeNextToken(nextToken).listKey : null;
+    const shards = Array.from({ length: LIST_SHARD_COUNT }, (_, shard) => workspaceKey(workspace, `TASKS#${shard}`));
+
+    const results = await Promise.all(shards.map(shard => {
+      const params = {
+        TableName: TABLE_NAME,
+        IndexName: 'GSI5',
+        KeyConditionExpression: 'listShard = :shard',
+        ExpressionAttributeValues: {
+          ':shard': shard
+        },
+        ScanIndexForward: ascending
+      };
+
+      if (limit) {
+        params.Limit = limit;
+      }
+
+      if (cursor) {
+        params.KeyConditionExpression += ascending ? ' AND listKey > :cursor' : ' AND listKey < :cursor';
+        params.ExpressionAttributeValues[':cursor'] = cursor;
+      }
+
+      applyFilterExpression(params, options.filter);
+      // The merge below orders items on their list key
+      applyProjection(params, options.attributes && [...new Set([...options.attributes, 'listKey'])]);
+
+      return docClient.send(new QueryCommand(params));
+    }));
+
+    // Everything up to the least advanced unfinished shard has been read
+    const before = (a, b) => (ascending ? a < b : a > b);
+    const horizon = results
+      .filter(result => result.LastEvaluatedKey)
+      .map(result => result.LastEvaluatedKey.listKey)
+      .reduce((least, listKey) => (least === null || before(listKey, least) ? listKey : least), null);
+
+    const merged = results
+      .flatMap(result => result.Items || [])
+      .filter(item => horizon === null || !before(horizon, item.listKey))
+      .sort((a, b) => (before(a.listKey, b.listKey) ? -1 : 1));
+    const items = limit ? merged.slice(0, limit) : merged;
+
+    let nextListKey = horizon;
+    if (items.length < merged.length) {
+      nextListKey = items[items.length - 1].listKey;
+    }
+
+    return {
+      items,
+      nextToken: nextListKey ? encodeNextToken({ listKey: nextListKey }) : null
+    };
+  } catch (error) {
+    console.error('DynamoDB queryTaskList error:', error);
+    throw new Error('Service temporarily unavailable');
+  }
+}
 
 /**
- * Puts a task in DynamoDB (create or update)
- * @param {Object} task - Task object to store
- * @returns {Promise<Object>} The stored task
+ * Reads the task counters of a workspace (see counterUpdates), summed over their shards
+ * @param {string} workspace - Workspace ID
+ * @param {string[]} prefixes - Counter names or name prefixes, e.g. TOTAL, status#open or assignee#
+ * @returns {Promise<Object>} Map of counter name to count; counters never written are absent
  */
-async function putTask(task) {
+async function queryTaskCounters(workspace, prefixes) {
   try {
-    const item = {
-      PK: `TASK#${task.id}`,
-      SK: `TASK#${task.id}`,
-      ...task
-    };
+    const counts = {};
+    const shards = Array.from({ length: LIST_SHARD_COUNT }, (_, shard) => workspaceKey(workspace, `COUNTS#${shard}`));
 
-    await docClient.send(new PutCommand({
-      TableName: TABLE_NAME,
-      Item: item
-    }));
+    // A prefix that starts with another one reads nothing new
+    const distinct = [...new Set(prefixes)].filter(prefix => (
+      !prefixes.some(other => other !== prefix && prefix.startsWith(other))
+    ));
 
-    return task;
+    await Promise.all(shards.flatMap(shard => distinct.map(async prefix => {
+      let exclusiveStartKey;
+
+      do {
+        const result = await docClient.send(new QueryCommand({
+          TableName: TABLE_NAME,
+          KeyConditionExpression: 'PK = :pk AND begins_with(SK, :prefix)',
+          ExpressionAttributeValues: {
+            ':pk': shard,
+            ':prefix': prefix
+          },
+          ExclusiveStartKey: exclusiveStartKey
+        }));
+
+        (result.Items || []).forEach(item => {
+          counts[item.SK] = (counts[item.SK] || 0) + item.count;
+        });
+        exclusiveStartKey = result.LastEvaluatedKey;
+      } while (exclusiveStartKey);
+    })));
+
+    return counts;
   } catch (error) {
-    console.error('DynamoDB putTask error:', error);
+    console.error('DynamoDB queryTaskCounters error:', error);
     throw new Error('Service temporarily unavailable');
   }
 }
 
 /**
- * Gets a task by ID from DynamoDB
- * @param {string} id - Task ID
- * @returns {Promise<Object|null>} Task object or null if not found
+ * Reads the search index items of a term (up to 1000)
+ * @param {string} workspace - Workspace ID
+ * @param {string} term - Index term, as produced by the search tokenizer
+ * @returns {Promise<Object>} { postings, truncated } with postings as { taskId, frequency, length };
+ *   truncated is true if the term has more postings than were read
  */
-async function getTask(id) {
+async function queryTermPostings(workspace, term) {
   try {
-    const result = await docClient.send(new GetCommand({
-      TableName: TABLE_NAME,
-      Key: {
-        PK: `TASK#${id}`,
-        SK: `TASK#${id}`
-      }
-    }));
+    const postings = [];
+    let exclusiveStartKey;
 
-    return result.Item || null;
+    do {
+      const result = await docClient.send(new QueryCommand({
+        TableName: TABLE_NAME,
+        KeyConditionExpression: 'PK = :pk',
+        ExpressionAttributeValues: {
+          ':pk': workspaceKey(workspace, `TERM#${term}`)
+        },
+        Limit: MAX_TERM_POSTINGS - postings.length,
+        ExclusiveStartKey: exclusiveStartKey
+      }));
+
+      postings.push(...(result.Items || []).map(item => ({
+        taskId: item.taskId,
+        frequency: item.frequency,
+        length: item.length
+      })));
+      exclusiveStartKey = result.LastEvaluatedKey;
+    } while (exclusiveStartKey && postings.length < MAX_TERM_POSTINGS);
+
+    return { postings, truncated: Boolean(exclusiveStartKey) };
   } catch (error) {
-    console.error('DynamoDB getTask error:', error);
+    console.error('DynamoDB queryTermPostings error:', error);
     throw new Error('Service temporarily unavailable');
   }
 }
 
 /**
- * Deletes a task from DynamoDB
- * @param {string} id - Task ID
- * @returns {Promise<void>}
+ * Queries tasks carrying a label using the tag index items
+ * @param {string} workspace - Workspace ID
+ * @param {string} tag - Label value
+ * @param {number} limit - Maximum number of items to return
+ * @param {string} nextToken - Pagination token
+ * @param {Object} [options] - Query options
+ * @param {string[]} [options.attributes] - Task attributes to read; all when omitted
+ * @returns {Promise<Object>} Object with items and nextToken
  */
-async function deleteTask(id) {
+async function queryTasksByTag(workspace, tag, limit, nextToken, options = {}) {
   try {
-    await docClient.send(new DeleteCommand({
+    const params = {
       TableName: TABLE_NAME,
-      Key: {
-        PK: `TASK#${id}`,
-        SK: `TASK#${id}`
+      KeyConditionExpression: 'PK = :pk',
+      ExpressionAttributeValues: {
+        ':pk': tagKey(workspace, tag, '').PK
       }
-    }));
+    };
+
+    if (limit) {
+      params.Limit = limit;
+    }
+
+    if (nextToken) {
+      params.ExclusiveStartKey = decodeNextToken(nextToken);
+    }
+
+    const result = await docClient.send(new QueryCommand(params));
+
+    // Index items only carry the task ID, so resolve the tasks themselves in batches
+    const { items } = await batchGetTasks(
+      workspace,
+      (result.Items || []).map(tagItem => tagItem.taskId),
+      { attributes: options.attributes }
+    );
+
+    return {
+      items,
+      nextToken: encodeNextToken(result.LastEvaluatedKey)
+    };
   } catch (error) {
-    console.error('DynamoDB deleteTask error:', error);
+    console.error('DynamoDB queryTasksByTag error:', error);
     throw new Error('Service temporarily unavailable');
   }
 }
 
 /**
- * Scans all tasks from DynamoDB
+ * Queries the direct subtasks of a task using GSI4
+ * @param {string} workspace - Workspace ID
+ * @param {string} parentId - Parent task ID
  * @param {number} limit - Maximum number of items to return
  * @param {string} nextToken - Pagination token
  * @returns {Promise<Object>} Object with items and nextToken
  */
-async function scanTasks(limit, nextToken) {
+async function querySubtasks(workspace, parentId, limit, nextToken) {
   try {
     const params = {
       TableName: TABLE_NAME,
-      FilterExpression: 'begins_with(PK, :prefix)',
+      IndexName: 'GSI4',
+      KeyConditionExpression: 'workspaceParentId = :parentId',
       ExpressionAttributeValues: {
-        ':prefix': 'TASK#'
+        ':parentId': workspaceKey(workspace, parentId)
       }
     };
 
@@ -94,38 +1772,213 @@ async function scanTasks(limit, nextToken) {
     }
 
     if (nextToken) {
-      params.ExclusiveStartKey = JSON.parse(Buffer.from(nextToken, 'base64').toString());
+      params.ExclusiveStartKey = decodeNextToken(nextToken);
     }
 
-    const result = await docClient.send(new ScanCommand(params));
+    const result = await docClient.send(new QueryCommand(params));
 
     return {
       items: result.Items || [],
-      nextToken: result.LastEvaluatedKey 
-        ? Buffer.from(JSON.stringify(result.LastEvaluatedKey)).toString('base64')
-        : null
+      nextToken: encodeNextToken(result.LastEvaluatedKey)
     };
   } catch (error) {
-    console.error('DynamoDB scanTasks error:', error);
+    console.error('DynamoDB querySubtasks error:', error);
     throw new Error('Service temporarily unavailable');
   }
 }
 
 /**
- * Queries tasks by assignee using GSI1
- * @param {string} assignee - Assignee identifier
+ * Retrieves every direct subtask of a task (ID and status only)
+ * @param {string} workspace - Workspace ID
+ * @param {string} parentId - Parent task ID
+ * @returns {Promise<Object[]>} Subtask items with id and status
+ */
+async function queryAllSubtasks(workspace, parentId) {
+  try {
+    const items = [];
+    let exclusiveStartKey;
+
+    do {
+      const result = await docClient.send(new QueryCommand({
+        TableName: TABLE_NAME,
+        IndexName: 'GSI4',
+        KeyConditionExpression: 'workspaceParentId = :parentId',
+        ProjectionExpression: 'id, #status',
+        ExpressionAttributeNames: {
+          '#status': 'status'
+        },
+        ExpressionAttributeValues: {
+          ':parentId': workspaceKey(workspace, parentId)
+        },
+        ExclusiveStartKey: exclusiveStartKey
+      }));
+
+      items.push(...(result.Items || []));
+      exclusiveStartKey = result.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+
+    return items;
+  } catch (error) {
+    console.error('DynamoDB queryAllSubtasks error:', error);
+    throw new Error('Service temporarily unavailable');
+  }
+}
+
+/**
+ * Walks up the parent chain starting at a task
+ * @param {string} workspace - Workspace ID
+ * @param {string} taskId - ID of the first task in the chain
+ * @returns {Promise<string[]|null>} IDs from taskId up to the root, or null if taskId does not exist
+ */
+async function getTaskAncestorIds(workspace, taskId) {
+  const ancestorIds = [];
+  let currentId = taskId;
+
+  // Stop on an already-visited ID so a corrupted chain cannot loop forever
+  while (currentId && !ancestorIds.includes(currentId) && ancestorIds.length < MAX_HIERARCHY_DEPTH) {
+    const task = await getTask(workspace, currentId);
+    if (!task) {
+      return ancestorIds.length === 0 ? null : ancestorIds;
+    }
+
+    ancestorIds.push(currentId);
+    currentId = task.parentId;
+  }
+
+  return ancestorIds;
+}
+
+/**
+ * Stores a "blocker blocks blocked" dependency as a pair of adjacency items.
+ * When options.task is given, the blocked task's new state (e.g. its switch to
+ * blocked) is written in the same transaction, so the edge is only stored if
+ * the stored task still has the version of options.previousTask; otherwise a
+ * VersionConflictError is thrown and nothing is written.
+ * @param {string} workspace - Workspace ID
+ * @param {string} blockerId - ID of the blocking task
+ * @param {string} blockedId - ID of the blocked task
+ * @param {Object} [options] - Write options
+ * @param {Object} [options.task] - Updated blocked task to store, including its new version
+ * @param {Object} [options.previousTask] - Stored version of the blocked task
+ * @param {Object} [options.actor] - Caller identity recorded in the history
+ * @returns {Promise<void>}
+ */
+async function putDependency(workspace, blockerId, blockedId, options = {}) {
+  const { task = null, previousTask = null, actor = null } = options;
+  const [forwardKey, reverseKey] = dependencyKeys(workspace, blockerId, blockedId);
+  const createdAt = new Date().toISOString();
+  const transactItems = [];
+
+  if (task) {
+    transactItems.push(
+      ...taskPutItems(workspace, task, previousTask, actor),
+      ...counterUpdates(workspace, [{ task, previousTask }])
+    );
+  }
+  transactItems.push(
+    { Put: { TableName: TABLE_NAME, Item: { ...forwardKey, blockerId, blockedId, createdAt } } },
+    { Put: { TableName: TABLE_NAME, Item: { ...reverseKey, blockerId, blockedId, createdAt } } }
+  );
+
+  try {
+    await docClient.send(new TransactWriteCommand({
+      TransactItems: transactItems
+    }));
+  } catch (error) {
+    if (task && failedConditionIndex(error) === 0) {
+      throw versionConflictError();
+    }
+    console.error('DynamoDB putDependency error:', error);
+    throw new Error('Service temporarily unavailable');
+  }
+
+  if (task) {
+    await indexSearchTerms(workspace, task, previousTask);
+  }
+}
+
+/**
+ * Removes both adjacency items of a dependency
+ * @param {string} workspace - Workspace ID
+ * @param {string} blockerId - ID of the blocking task
+ * @param {string} blockedId - ID of the blocked task
+ * @returns {Promise<boolean>} True if the dependency existed and was removed
+ */
+async function deleteDependency(workspace, blockerId, blockedId) {
+  try {
+    const [forwardKey, reverseKey] = dependencyKeys(workspace, blockerId, blockedId);
+
+    await docClient.send(new TransactWriteCommand({
+      TransactItems: [
+        {
+          Delete: {
+            TableName: TABLE_NAME,
+            Key: forwardKey,
+            ConditionExpression: 'attribute_exists(PK)'
+          }
+        },
+        { Delete: { TableName: TABLE_NAME, Key: reverseKey } }
+      ]
+    }));
+
+    return true;
+  } catch (error) {
+    if (isConditionFailure(error)) {
+      return false;
+    }
+    console.error('DynamoDB deleteDependency error:', error);
+    throw new Error('Service temporarily unavailable');
+  }
+}
+
+/**
+ * Lists the IDs of the tasks that block a task
+ * @param {string} workspace - Workspace ID
+ * @param {string} taskId - Task ID
+ * @returns {Promise<string[]>} Blocker task IDs
+ */
+async function queryBlockerIds(workspace, taskId) {
+  try {
+    const keys = await queryItemKeys(workspace, taskId, 'BLOCKEDBY#');
+    return keys.map(key => key.SK.slice('BLOCKEDBY#'.length));
+  } catch (error) {
+    console.error('DynamoDB queryBlockerIds error:', error);
+    throw new Error('Service temporarily unavailable');
+  }
+}
+
+/**
+ * Lists the IDs of the tasks blocked by a task
+ * @param {string} workspace - Workspace ID
+ * @param {string} taskId - Task ID
+ * @returns {Promise<string[]>} Blocked task IDs
+ */
+async function queryBlockedIds(workspace, taskId) {
+  try {
+    const keys = await queryItemKeys(workspace, taskId, 'BLOCKS#');
+    return keys.map(key => key.SK.slice('BLOCKS#'.length));
+  } catch (error) {
+    console.error('DynamoDB queryBlockedIds error:', error);
+    throw new Error('Service temporarily unavailable');
+  }
+}
+
+/**
+ * Queries the history of a task, oldest first
+ * @param {string} workspace - Workspace ID
+ * @param {string} taskId - Task ID
  * @param {number} limit - Maximum number of items to return
  * @param {string} nextToken - Pagination token
  * @returns {Promise<Object>} Object with items and nextToken
  */
-async function queryTasksByAssignee(assignee, limit, nextToken) {
+async function queryTaskHistory(workspace, taskId, limit, nextToken) {
   try {
     const params = {
       TableName: TABLE_NAME,
-      IndexName: 'GSI1',
-      KeyConditionExpression: 'assignee = :assignee',
+      KeyConditionExpression: 'PK = :pk AND begins_with(SK, :prefix)',
       ExpressionAttributeValues: {
-        ':assignee': assignee
+        ':pk': taskKey(workspace, taskId).PK,
+        ':prefix': 'HISTORY#'
       }
     };
 
@@ -134,41 +1987,63 @@ async function queryTasksByAssignee(assignee, limit, nextToken) {
     }
 
     if (nextToken) {
-      params.ExclusiveStartKey = JSON.parse(Buffer.from(nextToken, 'base64').toString());
+      params.ExclusiveStartKey = decodeNextToken(nextToken);
     }
 
     const result = await docClient.send(new QueryCommand(params));
 
     return {
       items: result.Items || [],
-      nextToken: result.LastEvaluatedKey 
-        ? Buffer.from(JSON.stringify(result.LastEvaluatedKey)).toString('base64')
-        : null
+      nextToken: encodeNextToken(result.LastEvaluatedKey)
     };
   } catch (error) {
-    console.error('DynamoDB queryTasksByAssignee error:', error);
+    console.error('DynamoDB queryTaskHistory error:', error);
     throw new Error('Service temporarily unavailable');
   }
 }
 
 /**
- * Queries tasks by status using GSI2
- * @param {string} status - Task status
+ * Puts a comment in DynamoDB next to its task
+ * @param {string} workspace - Workspace ID
+ * @param {Object} comment - Comment object to store
+ * @returns {Promise<Object>} The stored comment
+ */
+async function putComment(workspace, comment) {
+  try {
+    const item = {
+      PK: taskKey(workspace, comment.taskId).PK,
+      SK: `COMMENT#${comment.createdAt}#${comment.id}`,
+      ...comment
+    };
+
+    await docClient.send(new PutCommand({
+      TableName: TABLE_NAME,
+      Item: item
+    }));
+
+    return comment;
+  } catch (error) {
+    console.error('DynamoDB putComment error:', error);
+    throw new Error('Service temporarily unavailable');
+  }
+}
+
+/**
+ * Queries the comments of a task, oldest first
+ * @param {string} workspace - Workspace ID
+ * @param {string} taskId - Task ID
  * @param {number} limit - Maximum number of items to return
  * @param {string} nextToken - Pagination token
  * @returns {Promise<Object>} Object with items and nextToken
  */
-async function queryTasksByStatus(status, limit, nextToken) {
+async function queryComments(workspace, taskId, limit, nextToken) {
   try {
     const params = {
       TableName: TABLE_NAME,
-      IndexName: 'GSI2',
-      KeyConditionExpression: '#status = :status',
-      ExpressionAttributeNames: {
-        '#status': 'status'
-      },
+      KeyConditionExpression: 'PK = :pk AND begins_with(SK, :prefix)',
       ExpressionAttributeValues: {
-        ':status': status
+        ':pk': taskKey(workspace, taskId).PK,
+        ':prefix': 'COMMENT#'
       }
     };
 
@@ -177,38 +2052,171 @@ async function queryTasksByStatus(status, limit, nextToken) {
     }
 
     if (nextToken) {
-      params.ExclusiveStartKey = JSON.parse(Buffer.from(nextToken, 'base64').toString());
+      params.ExclusiveStartKey = decodeNextToken(nextToken);
     }
 
     const result = await docClient.send(new QueryCommand(params));
 
     return {
       items: result.Items || [],
-      nextToken: result.LastEvaluatedKey 
-        ? Buffer.from(JSON.stringify(result.LastEvaluatedKey)).toString('base64')
-        : null
+      nextToken: encodeNextToken(result.LastEvaluatedKey)
     };
   } catch (error) {
-    console.error('DynamoDB queryTasksByStatus error:', error);
+    console.error('DynamoDB queryComments error:', error);
     throw new Error('Service temporarily unavailable');
   }
 }
 
 /**
- * Queries tasks by priority using GSI3
- * @param {string} priority - Task priority
+ * Deletes a single comment from a task
+ * @param {string} workspace - Workspace ID
+ * @param {string} taskId - Task ID
+ * @param {string} commentId - Comment ID
+ * @returns {Promise<boolean>} True if the comment existed and was deleted
+ */
+async function deleteComment(workspace, taskId, commentId) {
+  try {
+    // The sort key embeds the creation timestamp, so locate the comment by ID first
+    let exclusiveStartKey;
+    let comment = null;
+
+    do {
+      const result = await docClient.send(new QueryCommand({
+        TableName: TABLE_NAME,
+        KeyConditionExpression: 'PK = :pk AND begins_with(SK, :prefix)',
+        FilterExpression: 'id = :commentId',
+        ExpressionAttributeValues: {
+          ':pk': taskKey(workspace, taskId).PK,
+          ':prefix': 'COMMENT#',
+          ':commentId': commentId
+        },
+        ExclusiveStartKey: exclusiveStartKey
+      }));
+
+      comment = (result.Items || [])[0] || null;
+      exclusiveStartKey = result.LastEvaluatedKey;
+    } while (!comment && exclusiveStartKey);
+
+    if (!comment) {
+      return false;
+    }
+
+    await docClient.send(new DeleteCommand({
+      TableName: TABLE_NAME,
+      Key: {
+        PK: comment.PK,
+        SK: comment.SK
+      }
+    }));
+
+    return true;
+  } catch (error) {
+    console.error('DynamoDB deleteComment error:', error);
+    throw new Error('Service temporarily unavailable');
+  }
+}
+
+/**
+ * Counts the comments on a task
+ * @param {string} workspace - Workspace ID
+ * @param {string} taskId - Task ID
+ * @returns {Promise<number>} Number of comments
+ */
+async function countComments(workspace, taskId) {
+  try {
+    let count = 0;
+    let exclusiveStartKey;
+
+    do {
+      const result = await docClient.send(new QueryCommand({
+        TableName: TABLE_NAME,
+        KeyConditionExpression: 'PK = :pk AND begins_with(SK, :prefix)',
+        ExpressionAttributeValues: {
+          ':pk': taskKey(workspace, taskId).PK,
+          ':prefix': 'COMMENT#'
+        },
+        Select: 'COUNT',
+        ExclusiveStartKey: exclusiveStartKey
+      }));
+
+      count += result.Count || 0;
+      exclusiveStartKey = result.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+
+    return count;
+  } catch (error) {
+    console.error('DynamoDB countComments error:', error);
+    throw new Error('Service temporarily unavailable');
+  }
+}
+
+/**
+ * Builds the key of an API key record. All records share a partition, outside any
+ * workspace, so a key can be looked up before its workspace is known and all keys
+ * can be listed with a query.
+ * @param {string} keyId - API key ID
+ * @returns {Object} Primary key of the record
+ */
+function apiKeyKey(keyId) {
+  return { PK: 'APIKEYS', SK: `APIKEY#${keyId}` };
+}
+
+/**
+ * Stores a new API key record
+ * @param {Object} record - Key record ({ keyId, name, hash, scopes, ... })
+ * @returns {Promise<Object>} The stored record
+ */
+async function putApiKey(record) {
+  try {
+    await docClient.send(new PutCommand({
+      TableName: TABLE_NAME,
+      Item: { ...apiKeyKey(record.keyId), ...record },
+      ConditionExpression: 'attribute_not_exists(PK)'
+    }));
+
+    return record;
+  } catch (error) {
+    console.error('DynamoDB putApiKey error:', error);
+    throw new Error('Service temporarily unavailable');
+  }
+}
+
+/**
+ * Gets an API key record by key ID
+ * @param {string} keyId - API key ID
+ * @returns {Promise<Object|null>} Key record or null if not found
+ */
+async function getApiKey(keyId) {
+  try {
+    const result = await docClient.send(new GetCommand({
+      TableName: TABLE_NAME,
+      Key: apiKeyKey(keyId)
+    }));
+
+    return result.Item || null;
+  } catch (error) {
+    console.error('DynamoDB getApiKey error:', error);
+    throw new Error('Service temporarily unavailable');
+  }
+}
+
+/**
+ * Queries the API key records, ordered by key ID
  * @param {number} limit - Maximum number of items to return
  * @param {string} nextToken - Pagination token
+ * @param {Object} [options] - Query options
+ * @param {string} [options.workspace] - Only return the keys of this workspace (a
+ *   filter, so pages can come back short); keys of every workspace when omitted
  * @returns {Promise<Object>} Object with items and nextToken
  */
-async function queryTasksByPriority(priority, limit, nextToken) {
+async function queryApiKeys(limit, nextToken, options = {}) {
   try {
     const params = {
       TableName: TABLE_NAME,
-      IndexName: 'GSI3',
-      KeyConditionExpression: 'priority = :priority',
+      KeyConditionExpression: 'PK = :pk AND begins_with(SK, :prefix)',
       ExpressionAttributeValues: {
-        ':priority': priority
+        ':pk': 'APIKEYS',
+        ':prefix': 'APIKEY#'
       }
     };
 
@@ -216,30 +2224,137 @@ async function queryTasksByPriority(priority, limit, nextToken) {
       params.Limit = limit;
     }
 
+    if (options.workspace) {
+      // Keys issued before workspaces existed have none and belong to the default workspace
+      applyFilterExpression(params, {
+        expression: options.workspace === DEFAULT_WORKSPACE
+          ? 'attribute_not_exists(#workspace) OR #workspace = :workspace'
+          : '#workspace = :workspace',
+        names: { '#workspace': 'workspace' },
+        values: { ':workspace': options.workspace }
+      });
+    }
+
     if (nextToken) {
-      params.ExclusiveStartKey = JSON.parse(Buffer.from(nextToken, 'base64').toString());
+      params.ExclusiveStartKey = decodeNextToken(nextToken);
     }
 
     const result = await docClient.send(new QueryCommand(params));
 
     return {
       items: result.Items || [],
-      nextToken: result.LastEvaluatedKey 
-        ? Buffer.from(JSON.stringify(result.LastEvaluatedKey)).toString('base64')
-        : null
+      nextToken: encodeNextToken(result.LastEvaluatedKey)
     };
   } catch (error) {
-    console.error('DynamoDB queryTasksByPriority error:', error);
+    console.error('DynamoDB queryApiKeys error:', error);
+    throw new Error('Service temporarily unavailable');
+  }
+}
+
+/**
+ * Updates attributes of an existing API key record
+ * @param {string} keyId - API key ID
+ * @param {Object} changes - Map of attribute name to new value
+ * @returns {Promise<Object|null>} The updated record, or null if there is no such key
+ */
+async function updateApiKey(keyId, changes) {
+  const entries = Object.entries(changes);
+
+  try {
+    const result = await docClient.send(new UpdateCommand({
+      TableName: TABLE_NAME,
+      Key: apiKeyKey(keyId),
+      UpdateExpression: `SET ${entries.map((_, index) => `#k${index} = :k${index}`).join(', ')}`,
+      ConditionExpression: 'attribute_exists(PK)',
+      ExpressionAttributeNames: Object.fromEntries(entries.map(([field], index) => [`#k${index}`, field])),
+      ExpressionAttributeValues: Object.fromEntries(entries.map(([, value], index) => [`:k${index}`, value])),
+      ReturnValues: 'ALL_NEW'
+    }));
+
+    return result.Attributes;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return null;
+    }
+    console.error('DynamoDB updateApiKey error:', error);
+    throw new Error('Service temporarily unavailable');
+  }
+}
+
+/**
+ * Builds the key of a signed request's nonce record
+ * @param {string} workspace - Workspace ID of the signing key
+ * @param {string} keyId - Signing key ID
+ * @param {string} nonce - Nonce of the request
+ * @returns {Object} Nonce item key
+ */
+function signingNonceKey(workspace, keyId, nonce) {
+  return { PK: workspaceKey(workspace, `NONCE#${keyId}#${nonce}`), SK: `NONCE#${nonce}` };
+}
+
+/**
+ * Claims the nonce of a signed request so the request cannot be replayed. A nonce
+ * whose record has expired (but not yet been removed by TTL) can be claimed again.
+ * @param {string} workspace - Workspace ID of the signing key
+ * @param {string} keyId - Signing key ID
+ * @param {string} nonce - Nonce of the request
+ * @param {number} expiresAt - Unix time in seconds after which the nonce is forgotten
+ * @returns {Promise<boolean>} True if the nonce was claimed, false if it was already used
+ */
+async function claimSigningNonce(workspace, keyId, nonce, expiresAt) {
+  try {
+    await docClient.send(new PutCommand({
+      TableName: TABLE_NAME,
+      Item: { ...signingNonceKey(workspace, keyId, nonce), expiresAt },
+      ConditionExpression: 'attribute_not_exists(PK) OR expiresAt < :now',
+      ExpressionAttributeValues: { ':now': Math.floor(Date.now() / 1000) }
+    }));
+
+    return true;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    console.error('DynamoDB claimSigningNonce error:', error);
     throw new Error('Service temporarily unavailable');
   }
 }
 
 module.exports = {
   putTask,
+  updateTaskAttributes,
   getTask,
+  batchGetTasks,
+  getIdempotencyRecord,
   deleteTask,
+  writeTaskBatch,
   scanTasks,
+  queryTaskList,
+  migrateLegacyItems,
   queryTasksByAssignee,
   queryTasksByStatus,
-  queryTasksByPriority
+  queryTasksByPriority,
+  queryTasksByAssigneeStatus,
+  queryTasksByStatusPriority,
+  queryTasksInPriorityOrder,
+  queryTasksByTag,
+  queryTermPostings,
+  queryTaskCounters,
+  querySubtasks,
+  queryAllSubtasks,
+  getTaskAncestorIds,
+  putDependency,
+  deleteDependency,
+  queryBlockerIds,
+  queryBlockedIds,
+  queryTaskHistory,
+  putComment,
+  queryComments,
+  deleteComment,
+  countComments,
+  putApiKey,
+  getApiKey,
+  queryApiKeys,
+  updateApiKey,
+  claimSigningNonce
 };
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const { error } = require('./response');
+const { getCallerIdentity } = require('./auth');
+const { getHeader } = require('./concurrency');
+
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+/**
+ * Reads the Idempotency-Key header of a request, whatever its casing
+ * @param {Object} event - Lambda event object
+ * @returns {string|undefined} Header value
+ */
+function getIdempotencyKey(event) {
+  return getHeader(event, 'idempotency-key');
+}
+
+/**
+ * Validates the Idempotency-Key header, if the request sent one
+ * @param {Object} event - Lambda event object
+ * @returns {Object|null} Error response if invalid, null if valid or absent
+ */
+function validateIdempotencyKey(event) {
+  const key = getIdempotencyKey(event);
+
+  if (key === undefined) {
+    return null;
+  }
+
+  if (typeof key !== 'string' || key.trim().length === 0) {
+    return error(400, 'Idempotency-Key must not be empty');
+  }
+
+  if (key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+    return error(400, `Idempotency-Key must not exceed ${MAX_IDEMPOTENCY_KEY_LENGTH} characters`);
+  }
+
+  return null;
+}
+
+/**
+ * Builds the idempotency context of a request: the key, scoped to the caller so
+ * different clients can never collide, and a hash of the request body
+ * @param {Object} event - Lambda event object
+ * @returns {Object|null} { key, requestHash }, or null if the request sent no key
+ */
+function getIdempotencyContext(event) {
+  const key = getIdempotencyKey(event);
+
+  if (key === undefined) {
+    return null;
+  }
+
+  return {
+    key: `${getCallerIdentity(event).id}#${key}`,
+    requestHash: crypto.createHash('sha256').update(event.body || '').digest('hex')
+  };
+}
+
+/**
+ * Builds the response to an idempotent replay
+ * @param {Object} record - Stored record ({ requestHash, response })
+ * @param {Object} context - Idempotency context of the current request
+ * @returns {Object} The stored response, or 422 if the key was used with a different body
+ */
+function replayResponse(record, context) {
+  if (record.requestHash !== context.requestHash) {
+    return error(422, 'Idempotency-Key was already used with a different request body');
+  }
+
+  return record.response;
+}
+
+module.exports = {
+  validateIdempotencyKey,
+  getIdempotencyContext,
+  replayResponse
+};
@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Signature algorithms accepted, with the JWK key type each requires
+const ALGORITHMS = {
+  RS256: { kty: 'RSA' },
+  ES256: { kty: 'EC', crv: 'P-256', dsaEncoding: 'ieee-p1363' }
+};
+
+// Default tolerance for clock differences between the issuer and this service
+const DEFAULT_CLOCK_SKEW_SECONDS = 60;
+
+// How long a JWKS fetched from a URL is reused
+const JWKS_CACHE_SECONDS = 10 * 60;
+
+// A token signed by an unknown key refetches the JWKS at most this often
+const JWKS_REFRESH_SECONDS = 60;
+
+// How long a JWKS request may take before the token is turned away
+const JWKS_FETCH_TIMEOUT_MS = 3000;
+
+const jwksCache = new Map();
+
+/**
+ * Creates the error thrown for a token that cannot be accepted
+ * @param {string} message - Reason the token was rejected
+ * @returns {Error} Error named TokenError
+ */
+function tokenError(message) {
+  const rejected = new Error(message);
+  rejected.name = 'TokenError';
+  return rejected;
+}
+
+/**
+ * Creates the error thrown when the issuer's JWKS cannot be fetched
+ * @param {string} message - What went wrong
+ * @returns {Error} Error named JwksUnavailableError
+ */
+function jwksUnavailableError(message) {
+  const unavailable = new Error(message);
+  unavailable.name = 'JwksUnavailableError';
+  return unavailable;
+}
+
+/**
+ * Reads the bearer token settings from the environment
+ * @returns {Object|null} { jwksFile, jwksUrl, issuer, audience, clockSkew }, or null if
+ * bearer tokens are not enabled
+ */
+function jwtConfig() {
+  const { JWKS_FILE, JWKS_URL, JWT_ISSUER, JWT_AUDIENCE, JWT_CLOCK_SKEW_SECONDS } = process.env;
+
+  if (!(JWKS_FILE || JWKS_URL) || !JWT_ISSUER || !JWT_AUDIENCE) {
+    return null;
+  }
+
+  return {
+    jwksFile: JWKS_FILE,
+    jwksUrl: JWKS_URL,
+    issuer: JWT_ISSUER,
+    audience: JWT_AUDIENCE,
+    clockSkew: JWT_CLOCK_SKEW_SECONDS ? Number(JWT_CLOCK_SKEW_SECONDS) : DEFAULT_CLOCK_SKEW_SECONDS
+  };
+}
+
+/**
+ * Loads the signing keys of the token issuer. A local file is read once; a URL is
+ * fetched and cached, and refetched early when asked for a key it does not have.
+ * @param {Object} config - Settings from jwtConfig
+ * @param {boolean} [refresh] - Refetch a cached URL if it is old enough
+ * @returns {Promise<Object[]>} JWKs
+ * @throws {Error} JwksUnavailableError if the URL fails or does not answer in time
+ */
+async function loadJwks(config, refresh = false) {
+  const source = config.jwksFile ? path.resolve(config.jwksFile) : config.jwksUrl;
+  const cached = jwksCache.get(source);
+  const age = cached ? (Date.now() - cached.loadedAt) / 1000 : Infinity;
+
+  if (cached && (config.jwksFile || (age < JWKS_CACHE_SECONDS && !(refresh && age >= JWKS_REFRESH_SECONDS)))) {
+    return cached.keys;
+  }
+
+  let jwks;
+  if (config.jwksFile) {
+    jwks = JSON.parse(fs.readFileSync(source, 'utf8'));
+  } else {
+    let response;
+    try {
+      response = await fetch(source, { signal: AbortSignal.timeout(JWKS_FETCH_TIMEOUT_MS) });
+    } catch (err) {
+      throw jwksUnavailableError(`JWKS request failed: ${err.message}`);
+    }
+    if (!response.ok) {
+      throw jwksUnavailableError(`JWKS request failed with status ${response.status}`);
+    }
+    jwks = await response.json();
+  }
+
+  const keys = Array.isArray(jwks.keys) ? jwks.keys : [];
+  jwksCache.set(source, { keys, loadedAt: Date.now() });
+
+  return keys;
+}
+
+/**
+ * Decodes one base64url-encoded JSON segment of a token
+ * @param {string} segment - Token segment
+ * @returns {Object} Decoded JSON
+ * @throws {Error} TokenError if the segment is not JSON
+ */
+function decodeSegment(segment) {
+  try {
+    const decoded = JSON.parse(Buffer.from(segment, 'base64url').toString());
+    if (typeof decoded !== 'object' || decoded === null) {
+      throw new Error('Not an object');
+    }
+    return decoded;
+  } catch (err) {
+    throw tokenError('Malformed bearer token');
+  }
+}
+
+/**
+ * Checks the signature of a token against the candidate keys for its algorithm
+ * @param {Object} header - Token header
+ * @param {string} signedPart - "<header>.<payload>" as sent
+ * @param {Buffer} signature - Decoded signature
+ * @param {Object[]} keys - JWKs of the issuer
+ * @returns {boolean|null} Whether a key verified the signature; null if no key matches the token
+ */
+function verifySignature(header, signedPart, signature, keys) {
+  const algorithm = ALGORITHMS[header.alg];
+  const candidates = keys.filter(jwk =>
+    (header.kid === undefined || jwk.kid === header.kid) &&
+    jwk.kty === algorithm.kty &&
+    (algorithm.crv === undefined || jwk.crv === algorithm.crv) &&
+    (jwk.alg === undefined || jwk.alg === header.alg) &&
+    (jwk.use === undefined || jwk.use === 'sig'));
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  return candidates.some(jwk => crypto.verify(
+    'sha256',
+    Buffer.from(signedPart),
+    { key: crypto.createPublicKey({ key: jwk, format: 'jwk' }), dsaEncoding: algorithm.dsaEncoding },
+    signature
+  ));
+}
+
+/**
+ * Checks the registered claims of a verified token
+ * @param {Object} claims - Token payload
+ * @param {Object} config - Settings from jwtConfig
+ * @throws {Error} TokenError naming the claim that failed
+ */
+function validateClaims(claims, config) {
+  const now = Math.floor(Date.now() / 1000);
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+
+  if (claims.iss !== config.issuer) {
+    throw tokenError('Bearer token issuer is not trusted');
+  }
+  if (!audiences.includes(config.audience)) {
+    throw tokenError('Bearer token audience does not match');
+  }
+  if (typeof claims.exp !== 'number') {
+    throw tokenError('Bearer token must have an expiry');
+  }
+  if (now - config.clockSkew >= claims.exp) {
+    throw tokenError('Bearer token has expired');
+  }
+  if (claims.nbf !== undefined && (typeof claims.nbf !== 'number' || now + config.clockSkew < claims.nbf)) {
+    throw tokenError('Bearer token is not yet valid');
+  }
+  if (typeof claims.sub !== 'string' || claims.sub.length === 0) {
+    throw tokenError('Bearer token must have a subject');
+  }
+}
+
+/**
+ * Verifies a JWT: an RS256 or ES256 signature by a key of the configured JWKS, the
+ * issuer and audience, and the expiry and not-before times within the clock skew
+ * @param {string} token - Compact JWT
+ * @param {Object} config - Settings from jwtConfig
+ * @returns {Promise<Object>} The token's claims
+ * @throws {Error} TokenError if the token is rejected; JwksUnavailableError if the JWKS
+ *   URL cannot be fetched; other errors if the JWKS cannot be loaded
+ */
+async function verifyJwt(token, config) {
+  const segments = token.split('.');
+  if (segments.length !== 3) {
+    throw tokenError('Malformed bearer token');
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = segments;
+  const header = decodeSegment(encodedHeader);
+  const claims = decodeSegment(encodedPayload);
+
+  if (!Object.hasOwn(ALGORITHMS, header.alg)) {
+    throw tokenError(`Bearer token algorithm must be one of: ${Object.keys(ALGORITHMS).join(', ')}`);
+  }
+
+  const signedPart = `${encodedHeader}.${encodedPayload}`;
+  const signature = Buffer.from(encodedSignature, 'base64url');
+
+  let verified = verifySignature(header, signedPart, signature, await loadJwks(config));
+  if (verified === null) {
+    // The issuer may have rotated its keys since the JWKS was cached
+    verified = verifySignature(header, signedPart, signature, await loadJwks(config, true));
+  }
+
+  if (verified === null) {
+    throw tokenError('Bearer token signing key is unknown');
+  }
+  if (!verified) {
+    throw tokenError('Bearer token signature is invalid');
+  }
+
+  validateClaims(claims, config);
+
+  return claims;
+}
+
+module.exports = {
+  jwtConfig,
+  verifyJwt
+};
@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+
+// Maximum number of items a single list request may read from DynamoDB
+const DEFAULT_READ_BUDGET = 1000;
+
+// Maximum number of reads a single filtered page may take
+const DEFAULT_MAX_READS = 25;
+
+// How long a pagination token stays valid
+const NEXT_TOKEN_TTL_SECONDS = 24 * 60 * 60;
+
+/**
+ * Creates the error thrown when a source is too large to sort in memory
+ * @param {number} readBudget - Number of items that may be read
+ * @returns {Error} Error named SortBudgetError
+ */
+function sortBudgetError(readBudget) {
+  const tooLarge = new Error(`Too many tasks to sort (more than ${readBudget}); narrow the filters`);
+  tooLarge.name = 'SortBudgetError';
+  return tooLarge;
+}
+
+/**
+ * Reads a whole paginated source, sorts the matching items and returns the page
+ * after a cursor. Used for orders no index provides.
+ *
+ * The token is the sort key of the last returned item rather than a position,
+ * so pages stay stable when tasks are added or removed between requests. The
+ * comparator must be a total order (break ties on a unique field).
+ * @param {Function} fetchPage - (limit, nextToken) => Promise<{ items, nextToken }>
+ * @param {Object} options - Page options
+ * @param {number} options.limit - Number of items wanted
+ * @param {string} [options.nextToken] - Token returned with the previous page
+ * @param {Function} [options.filter] - Predicate for items the source cannot filter itself
+ * @param {Function} options.compare - Comparator defining the order
+ * @param {Function} options.cursorOf - Extracts the fields compare needs from an item
+ * @param {number} [options.readBudget] - Maximum number of items to read
+ * @returns {Promise<Object>} { items, nextToken, truncated }
+ * @throws {Error} SortBudgetError if the source holds more items than the budget
+ */
+async function sortPage(fetchPage, options) {
+  const { limit, filter = () => true, compare, cursorOf, readBudget = DEFAULT_READ_BUDGET } = options;
+  const matching = [];
+  let sourceToken;
+  let budget = readBudget;
+
+  do {
+    if (budget <= 0) {
+      throw sortBudgetError(readBudget);
+    }
+
+    const page = await fetchPage(budget, sourceToken);
+
+    budget -= page.items.length;
+    matching.push(...page.items.filter(filter));
+    sourceToken = page.nextToken;
+  } while (sourceToken);
+
+  matching.sort(compare);
+
+  // Resume right after the last item of the previous page
+  let start = 0;
+  if (options.nextToken) {
+    const after = JSON.parse(Buffer.from(options.nextToken, 'base64').toString('utf8'));
+    start = matching.findIndex(item => compare(item, after) > 0);
+    if (start === -1) {
+      start = matching.length;
+    }
+  }
+
+  const items = matching.slice(start, start + limit);
+  const hasMore = start + limit < matching.length;
+
+  return {
+    items,
+    nextToken: hasMore
+      ? Buffer.from(JSON.stringify(cursorOf(items[items.length - 1]))).toString('base64')
+      : null,
+    truncated: false
+  };
+}
+
+/**
+ * Reads the secret that pagination tokens are signed with
+ * @returns {string} Signing secret
+ */
+function getTokenSecret() {
+  const secret = process.env.PAGINATION_SECRET;
+
+  if (!secret) {
+    throw new Error('PAGINATION_SECRET environment variable not configured');
+  }
+
+  return secret;
+}
+
+/**
+ * Hashes the query a token belongs to, ignoring unset parameters and their order
+ * @param {Object} binding - Query parameters that produced the page
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+function hashBinding(binding) {
+  const entries = Object.keys(binding)
+    .filter(key => binding[key] !== undefined && binding[key] !== null && binding[key] !== '')
+    .sort()
+    .map(key => [key, String(binding[key])]);
+
+  return crypto.createHash('sha256').update(JSON.stringify(entries)).digest('hex');
+}
+
+/**
+ * Computes the signature of a token's contents
+ * @param {string} key - Inner DynamoDB pagination token
+ * @param {string} filters - Hash of the query the token belongs to
+ * @param {number} expiresAt - Expiry as epoch seconds
+ * @returns {string} Hex-encoded HMAC-SHA256
+ */
+function signature(key, filters, expiresAt) {
+  return crypto
+    .createHmac('sha256', getTokenSecret())
+    .update(`${key}.${filters}.${expiresAt}`)
+    .digest('hex');
+}
+
+/**
+ * Wraps a DynamoDB pagination token into a signed token bound to the query
+ * that produced it
+ * @param {string|null} key - Inner token returned by the data layer
+ * @param {Object} binding - Query parameters that produced the page
+ * @returns {string|null} Signed token, or null if there are no more pages
+ */
+function signNextToken(key, binding) {
+  if (!key) {
+    return null;
+  }
+
+  const filters = hashBinding(binding);
+  const expiresAt = Math.floor(Date.now() / 1000) + NEXT_TOKEN_TTL_SECONDS;
+
+  return Buffer.from(JSON.stringify({
+    k: key,
+    f: filters,
+    e: expiresAt,
+    s: signature(key, filters, expiresAt)
+  })).toString('base64');
+}
+
+/**
+ * Verifies a signed pagination token and unwraps the DynamoDB token inside it
+ * @param {string} token - Signed token sent by the client
+ * @param {Object} binding - Query parameters of the current request
+ * @returns {Object} { key } on success, or { error } describing why the token was rejected
+ */
+function openNextToken(token, binding) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(token, 'base64').toString('utf8'));
+  } catch (parseError) {
+    return { error: 'Invalid nextToken parameter' };
+  }
+
+  const { k: key, f: filters, e: expiresAt, s: tokenSignature } = payload || {};
+  if (typeof key !== 'string' || typeof filters !== 'string' ||
+    !Number.isInteger(expiresAt) || typeof tokenSignature !== 'string') {
+    return { error: 'Invalid nextToken parameter' };
+  }
+
+  const expected = Buffer.from(signature(key, filters, expiresAt), 'hex');
+  const actual = Buffer.from(tokenSignature, 'hex');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return { error: 'nextToken has been tampered with' };
+  }
+
+  if (filters !== hashBinding(binding)) {
+    return { error: 'nextToken was issued for a different query' };
+  }
+
+  if (expiresAt <= Math.floor(Date.now() / 1000)) {
+    return { error: 'nextToken has expired' };
+  }
+
+  return { key };
+}
+
+/**
+ * Reads pages from a paginated source until `limit` items pass the filter, the
+ * data runs out, or the read budget or the number of reads is spent.
+ *
+ * Each read asks for no more items than still fit on the page, so the source's
+ * token after the last read always resumes right after the last returned item.
+ * The budget is charged the full size of every read, which bounds the number
+ * of items DynamoDB evaluates for one request; small pages of a selective
+ * filter are bounded by maxReads instead, as each of their reads is small.
+ * @param {Function} fetchPage - (limit, nextToken) => Promise<{ items, nextToken }>
+ * @param {Object} options - Page options
+ * @param {number} options.limit - Number of matching items wanted
+ * @param {string} [options.nextToken] - Token to resume from
+ * @param {Function} [options.filter] - Predicate for items the source cannot filter itself
+ * @param {number} [options.readBudget] - Maximum number of items to read
+ * @param {number} [options.maxReads] - Maximum number of calls to fetchPage
+ * @returns {Promise<Object>} { items, nextToken, truncated } where truncated is true
+ *   if the budget or the reads ran out before the page was full
+ */
+async function fillPage(fetchPage, options) {
+  const { limit, filter = () => true, readBudget = DEFAULT_READ_BUDGET, maxReads = DEFAULT_MAX_READS } = options;
+  const items = [];
+  let nextToken = options.nextToken;
+  let budget = readBudget;
+  let reads = 0;
+
+  do {
+    const pageLimit = Math.min(limit - items.length, budget);
+    const page = await fetchPage(pageLimit, nextToken);
+
+    budget -= pageLimit;
+    reads += 1;
+    items.push(...page.items.filter(filter));
+    nextToken = page.nextToken;
+  } while (nextToken && items.length < limit && budget > 0 && reads < maxReads);
+
+  return {
+    items,
+    nextToken: nextToken || null,
+    truncated: Boolean(nextToken) && items.length < limit
+  };
+}
+
+module.exports = {
+  fillPage,
+  sortPage,
+  signNextToken,
+  openNextToken
+};
@@ -0,0 +1,303 @@
+const MERGE_PATCH_CONTENT_TYPE = 'application/merge-patch+json';
+const JSON_PATCH_CONTENT_TYPE = 'application/json-patch+json';
+
+const JSON_PATCH_OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+/**
+ * Creates the error thrown for a malformed or inapplicable patch
+ * @param {string} message - Error message
+ * @returns {Error} Error named PatchError
+ */
+function patchError(message) {
+  const invalid = new Error(message);
+  invalid.name = 'PatchError';
+  return invalid;
+}
+
+/**
+ * Creates the error thrown when a JSON Patch test operation fails
+ * @param {string} path - JSON Pointer of the tested value
+ * @returns {Error} Error named PatchTestFailedError
+ */
+function testFailedError(path) {
+  const failed = new Error(`Patch test failed at ${path || '/'}`);
+  failed.name = 'PatchTestFailedError';
+  return failed;
+}
+
+/**
+ * Checks whether a value is a plain JSON object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for non-null, non-array objects
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Deep-copies a JSON value
+ * @param {*} value - JSON value
+ * @returns {*} Copy of the value
+ */
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Compares two JSON values structurally, ignoring object key order
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if the values are equal
+ */
+function deepEqual(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => deepEqual(item, b[index]));
+  }
+
+  if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length &&
+      keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+  }
+
+  return a === b;
+}
+
+/**
+ * Applies a JSON Merge Patch (RFC 7396) to a document
+ * @param {*} target - Document to patch (not modified)
+ * @param {*} patch - Merge patch; null members remove the corresponding member
+ * @returns {*} Patched document
+ */
+function applyMergePatch(target, patch) {
+  if (!isObject(patch)) {
+    return clone(patch);
+  }
+
+  const result = isObject(target) ? clone(target) : {};
+
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Splits a JSON Pointer (RFC 6901) into unescaped reference tokens
+ * @param {string} pointer - JSON Pointer, e.g. /labels/0
+ * @returns {string[]} Reference tokens
+ */
+function parsePointer(pointer) {
+  if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+    throw patchError(`Invalid JSON Pointer: ${pointer}`);
+  }
+
+  if (pointer === '') {
+    return [];
+  }
+
+  return pointer
+    .slice(1)
+    .split('/')
+    .map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Resolves an array index token
+ * @param {string} token - Reference token
+ * @param {Array} array - Array the token indexes into
+ * @param {boolean} allowEnd - Whether "-" and the index one past the end are allowed (add)
+ * @param {string} pointer - Full pointer, for error messages
+ * @returns {number} Array index
+ */
+function arrayIndex(token, array, allowEnd, pointer) {
+  if (allowEnd && token === '-') {
+    return array.length;
+  }
+
+  if (!/^(0|[1-9][0-9]*)$/.test(token)) {
+    throw patchError(`Invalid array index in path: ${pointer}`);
+  }
+
+  const index = Number(token);
+  if (index > array.length || (!allowEnd && index === array.length)) {
+    throw patchError(`Array index out of bounds in path: ${pointer}`);
+  }
+
+  return index;
+}
+
+/**
+ * Looks up the value a JSON Pointer refers to
+ * @param {*} document - Document to read
+ * @param {string} pointer - JSON Pointer
+ * @returns {*} Referenced value
+ */
+function getValue(document, pointer) {
+  return parsePointer(pointer).reduce((current, token) => {
+    if (Array.isArray(current)) {
+      return current[arrayIndex(token, current, false, pointer)];
+    }
+
+    if (isObject(current) && Object.prototype.hasOwnProperty.call(current, token)) {
+      return current[token];
+    }
+
+    throw patchError(`Path does not exist: ${pointer}`);
+  }, document);
+}
+
+/**
+ * Resolves the container and final token a JSON Pointer refers to
+ * @param {*} document - Document to modify
+ * @param {string} pointer - JSON Pointer (not the root)
+ * @returns {Object} { parent, token }
+ */
+function resolveParent(document, pointer) {
+  const tokens = parsePointer(pointer);
+  const token = tokens.pop();
+  const parentPointer = tokens.length > 0
+    ? `/${tokens.map(part => part.replace(/~/g, '~0').replace(/\//g, '~1')).join('/')}`
+    : '';
+  const parent = getValue(document, parentPointer);
+
+  if (!Array.isArray(parent) && !isObject(parent)) {
+    throw patchError(`Path does not exist: ${pointer}`);
+  }
+
+  return { parent, token };
+}
+
+/**
+ * Adds a value at a JSON Pointer location
+ * @param {*} document - Document to modify in place
+ * @param {string} pointer - Target location
+ * @param {*} value - Value to add
+ * @returns {*} Resulting document (replaced when the pointer is the root)
+ */
+function addValue(document, pointer, value) {
+  if (pointer === '') {
+    return value;
+  }
+
+  const { parent, token } = resolveParent(document, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(token, parent, true, pointer), 0, value);
+  } else {
+    parent[token] = value;
+  }
+
+  return document;
+}
+
+/**
+ * Removes the value at a JSON Pointer location
+ * @param {*} document - Document to modify in place
+ * @param {string} pointer - Location to remove
+ * @returns {*} Resulting document
+ */
+function removeValue(document, pointer) {
+  if (pointer === '') {
+    throw patchError('Cannot remove the whole document');
+  }
+
+  const { parent, token } = resolveParent(document, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(token, parent, false, pointer), 1);
+  } else if (Object.prototype.hasOwnProperty.call(parent, token)) {
+    delete parent[token];
+  } else {
+    throw patchError(`Path does not exist: ${pointer}`);
+  }
+
+  return document;
+}
+
+/**
+ * Validates the shape of a single JSON Patch operation
+ * @param {Object} operation - Operation object
+ * @param {number} index - Position in the patch, for error messages
+ */
+function validateOperation(operation, index) {
+  if (!isObject(operation)) {
+    throw patchError(`Operation ${index} must be an object`);
+  }
+
+  if (!JSON_PATCH_OPERATIONS.includes(operation.op)) {
+    throw patchError(`Operation ${index} has an unsupported op: ${operation.op}`);
+  }
+
+  if (typeof operation.path !== 'string') {
+    throw patchError(`Operation ${index} requires a path`);
+  }
+
+  if (['add', 'replace', 'test'].includes(operation.op) && !('value' in operation)) {
+    throw patchError(`Operation ${index} requires a value`);
+  }
+
+  if (['move', 'copy'].includes(operation.op) && typeof operation.from !== 'string') {
+    throw patchError(`Operation ${index} requires a from location`);
+  }
+}
+
+/**
+ * Applies a JSON Patch (RFC 6902) to a document. Operations are applied in
+ * order and the patch is atomic: any failing operation aborts the whole patch.
+ * @param {*} document - Document to patch (not modified)
+ * @param {Object[]} operations - Patch operations
+ * @returns {*} Patched document
+ */
+function applyJsonPatch(document, operations) {
+  if (!Array.isArray(operations)) {
+    throw patchError('JSON Patch must be an array of operations');
+  }
+
+  return operations.reduce((current, operation, index) => {
+    validateOperation(operation, index);
+    const { op, path, from } = operation;
+
+    switch (op) {
+      case 'add':
+        return addValue(current, path, clone(operation.value));
+      case 'remove':
+        return removeValue(current, path);
+      case 'replace':
+        getValue(current, path);
+        return addValue(path === '' ? current : removeValue(current, path), path, clone(operation.value));
+      case 'move': {
+        if (path.startsWith(`${from}/`)) {
+          throw patchError(`Cannot move ${from} into one of its children`);
+        }
+        const value = getValue(current, from);
+        return addValue(removeValue(current, from), path, value);
+      }
+      case 'copy':
+        return addValue(current, path, clone(getValue(current, from)));
+      default: {
+        let actual;
+        try {
+          actual = getValue(current, path);
+        } catch (lookupError) {
+          // A missing value never equals the expected one
+          throw testFailedError(path);
+        }
+        if (!deepEqual(actual, operation.value)) {
+          throw testFailedError(path);
+        }
+        return current;
+      }
+    }
+  }, clone(document));
+}
+
+module.exports = {
+  MERGE_PATCH_CONTENT_TYPE,
+  JSON_PATCH_CONTENT_TYPE,
+  applyMergePatch,
+  applyJsonPatch
+};
@@ -0,0 +1,129 @@
+const { ROLES } = require('./validation');
+
+/**
+ * Reads ROLE_GROUPS, a JSON object of group to role
+ * @returns {Object} Role by group
+ * @throws {Error} If ROLE_GROUPS is not valid JSON
+ */
+function roleGroups() {
+  try {
+    return JSON.parse(process.env.ROLE_GROUPS);
+  } catch (err) {
+    throw new Error(`ROLE_GROUPS is not valid JSON: ${err.message}`);
+  }
+}
+
+/**
+ * Works out the role of a caller. API and signing keys take theirs from a role:<name>
+ * scope; users take the most privileged role mapped to one of their groups by
+ * ROLE_GROUPS (a JSON object of group to role), and are viewers if none is. Callers
+ * without a role (service keys, or users while ROLE_GROUPS is unset) are not restricted.
+ * @param {Object|null} caller - Caller from getCaller
+ * @returns {string|null} Role, or null if the caller has none
+ * @throws {Error} If ROLE_GROUPS is not valid JSON
+ */
+function callerRole(caller) {
+  if (!caller) {
+    return null;
+  }
+
+  if (caller.type !== 'user') {
+    const roleScope = caller.scopes.find(scope => scope.startsWith('role:'));
+    return roleScope ? roleScope.slice('role:'.length) : null;
+  }
+
+  if (!process.env.ROLE_GROUPS) {
+    return null;
+  }
+
+  const groupRoles = roleGroups();
+  const ranks = (caller.groups || [])
+    .map(group => ROLES.indexOf(groupRoles[group]))
+    .filter(rank => rank >= 0);
+
+  return ROLES[Math.max(0, ...ranks)];
+}
+
+/**
+ * Checks whether a caller's role may only see tasks assigned to them. The roles are
+ * listed, comma-separated, in OWN_TASKS_ONLY_ROLES.
+ * @param {Object|null} caller - Caller from getCaller
+ * @returns {boolean} True if the caller only sees their own tasks
+ */
+function seesOwnTasksOnly(caller) {
+  const role = callerRole(caller);
+  const restrictedRoles = (process.env.OWN_TASKS_ONLY_ROLES || '').split(',').map(name => name.trim());
+
+  return role !== null && restrictedRoles.includes(role);
+}
+
+/**
+ * Checks whether a task is assigned to the caller. Only users have an email to
+ * match, so no task is assigned to an API key.
+ * @param {Object} caller - Caller from getCaller
+ * @param {Object} [task] - Task
+ * @returns {boolean} True if the task is assigned to the caller
+ */
+function isAssignee(caller, task) {
+  return Boolean(caller.email) && task?.assignee === caller.email;
+}
+
+// Rules are checked in order; the first that denies the action is reported
+const POLICY_RULES = [
+  {
+    name: 'viewers-are-read-only',
+    description: 'viewers cannot change tasks',
+    denies: ({ role, action }) => role === 'viewer' && action !== 'read'
+  },
+  {
+    name: 'own-tasks-only',
+    description: 'this role can only see tasks assigned to the caller',
+    denies: ({ caller, action, task }) => action === 'read' && seesOwnTasksOnly(caller) && !isAssignee(caller, task)
+  },
+  {
+    name: 'leads-delete-tasks',
+    description: 'only leads can delete tasks',
+    denies: ({ role, action }) => action === 'delete' && role !== null && role !== 'lead'
+  },
+  {
+    name: 'members-update-own-tasks',
+    description: 'members can only update tasks assigned to them',
+    denies: ({ caller, role, action, task }) => action === 'update' && role === 'member' && !isAssignee(caller, task)
+  },
+  {
+    name: 'leads-reassign-tasks',
+    description: 'only leads can assign tasks to someone else',
+    denies: ({ caller, role, action, task, changes }) => ['create', 'update'].includes(action) &&
+      role === 'member' &&
+      changes?.assignee !== undefined &&
+      (changes.assignee || null) !== (task?.assignee || null) &&
+      changes.assignee !== caller.email
+  }
+];
+
+/**
+ * Checks an action against the authorization rules
+ * @param {Object|null} caller - Caller from getCaller
+ * @param {string} action - read, create, update, comment or delete
+ * @param {Object} [resource] - What the action applies to
+ * @param {Object} [resource.task] - Stored task (an assignee-only stand-in when listing)
+ * @param {Object} [resource.changes] - Task fields being written
+ * @returns {string|null} Message naming the rule that denied the action, or null if allowed
+ */
+function checkPolicy(caller, action, resource = {}) {
+  if (!caller) {
+    return null;
+  }
+
+  const context = { caller, role: callerRole(caller), action, ...resource };
+  const rule = POLICY_RULES.find(candidate => candidate.denies(context));
+
+  return rule ? `Denied by rule ${rule.name}: ${rule.description}` : null;
+}
+
+module.exports = {
+  callerRole,
+  seesOwnTasksOnly,
+  checkPolicy,
+  POLICY_RULES
+};
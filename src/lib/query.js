@@ -0,0 +1,557 @@
+const {
+  VALID_STATUSES,
+  VALID_PRIORITIES,
+  validateDateFormat,
+  validateLabel
+} = require('./validation');
+
+const MAX_QUERY_LENGTH = 1000;
+
+// Query fields and the task attributes they refer to
+const FIELD_ATTRIBUTES = {
+  status: 'status',
+  priority: 'priority',
+  assignee: 'assignee',
+  tag: 'labels',
+  due: 'dueDate',
+  created: 'createdAt',
+  updated: 'updatedAt'
+};
+
+const DATE_FIELDS = ['due', 'created', 'updated'];
+const COMPARISON_OPERATORS = ['<=', '>=', '<', '>'];
+const KEYWORDS = ['AND', 'OR', 'NOT'];
+
+// Fields that can be the hash key of an index query, most selective first
+const KEY_FIELDS = ['assignee', 'status', 'priority'];
+
+// Composite indexes and the fields their hash key combines; preferred over single fields
+const COMPOSITE_INDEXES = {
+  assigneeStatus: ['assignee', 'status'],
+  statusPriority: ['status', 'priority']
+};
+
+// Range key of each index
+const RANGE_FIELDS = {
+  assignee: 'due',
+  status: 'created',
+  priority: 'created',
+  assigneeStatus: 'created',
+  statusPriority: 'created'
+};
+
+/**
+ * Creates the error thrown for a malformed query
+ * @param {string} message - Error message
+ * @param {number} index - Zero-based offset in the query the error refers to
+ * @returns {Error} Error named QueryError with a 1-based position
+ */
+function queryError(message, index) {
+  const invalid = new Error(`Position ${index + 1}: ${message}`);
+  invalid.name = 'QueryError';
+  invalid.position = index + 1;
+  return invalid;
+}
+
+/**
+ * Checks a term value against the values its field allows
+ * @param {string} field - Query field
+ * @param {string} value - Value to check
+ * @returns {string|null} Error message or null if valid
+ */
+function validateValue(field, value) {
+  if (field === 'status' && !VALID_STATUSES.includes(value)) {
+    return `Invalid status "${value}"; expected one of: ${VALID_STATUSES.join(', ')}`;
+  }
+  if (field === 'priority' && !VALID_PRIORITIES.includes(value)) {
+    return `Invalid priority "${value}"; expected one of: ${VALID_PRIORITIES.join(', ')}`;
+  }
+  if (field === 'tag') {
+    return validateLabel(value);
+  }
+  if (DATE_FIELDS.includes(field)) {
+    return validateDateFormat(value);
+  }
+  return null;
+}
+
+/**
+ * Parses a task query such as
+ * `status:in-progress AND priority:(P0 OR P1) AND due<2026-11-01`.
+ *
+ * Terms are `field:value`, `field:(value OR value ...)` or, for the date fields
+ * due, created and updated, `field<value` with <, <=, > or >=. Terms combine with
+ * AND, OR and NOT (upper case, NOT binding tightest, then AND, then OR) and
+ * parentheses. Values containing spaces or parentheses can be double-quoted.
+ * @param {string} input - Query text
+ * @returns {Object} Syntax tree of { type: 'and'|'or', children }, { type: 'not', child }
+ *   and { type: 'term', field, operator, values, position } nodes
+ * @throws {Error} QueryError describing the problem and where it is
+ */
+function parseQuery(input) {
+  if (typeof input !== 'string' || input.trim().length === 0) {
+    throw queryError('Query must not be empty', 0);
+  }
+  if (input.length > MAX_QUERY_LENGTH) {
+    throw queryError(`Query must not exceed ${MAX_QUERY_LENGTH} characters`, MAX_QUERY_LENGTH);
+  }
+
+  let pos = 0;
+
+  /**
+   * Moves the cursor past whitespace
+   */
+  const skipSpace = () => {
+    while (pos < input.length && /\s/.test(input[pos])) {
+      pos++;
+    }
+  };
+
+  /**
+   * Checks whether a keyword starts at the cursor (and is not just the start of a
+   * longer word), skipping whitespace before it
+   * @param {string} keyword - AND, OR or NOT
+   * @returns {boolean} True if the keyword is next
+   */
+  const atKeyword = (keyword) => {
+    skipSpace();
+    const end = pos + keyword.length;
+    return input.startsWith(keyword, pos) && (end === input.length || /[\s()"]/.test(input[end]));
+  };
+
+  /**
+   * Reads a bare or double-quoted value at the cursor
+   * @param {string} field - Field the value belongs to, for error messages
+   * @returns {Object} { value, position } with the zero-based offset of the value
+   * @throws {Error} QueryError if no value follows or a quote is not closed
+   */
+  const readValue = (field) => {
+    skipSpace();
+    const start = pos;
+
+    if (input[pos] === '"') {
+      let value = '';
+      pos++;
+      while (pos < input.length && input[pos] !== '"') {
+        if (input[pos] === '\\' && pos + 1 < input.length) {
+          pos++;
+        }
+        value += input[pos];
+        pos++;
+      }
+      if (pos >= input.length) {
+        throw queryError('Unterminated quoted value', start);
+      }
+      pos++;
+      return { value, position: start };
+    }
+
+    while (pos < input.length && !/[\s()"]/.test(input[pos])) {
+      pos++;
+    }
+    const value = input.slice(start, pos);
+    if (!value || KEYWORDS.includes(value)) {
+      throw queryError(`Expected a value for "${field}"`, start);
+    }
+    return { value, position: start };
+  };
+
+  /**
+   * Reads a value at the cursor and checks it against the values its field allows
+   * @param {string} field - Field the value belongs to
+   * @returns {string} The value
+   * @throws {Error} QueryError if the value is missing or not allowed
+   */
+  const checkedValue = (field) => {
+    const { value, position } = readValue(field);
+    const valueError = validateValue(field, value);
+    if (valueError) {
+      throw queryError(valueError, position);
+    }
+    return value;
+  };
+
+  /**
+   * Parses a term: a field, its operator and one value or a parenthesised list of values
+   * @returns {Object} Term node
+   * @throws {Error} QueryError if the term is malformed
+   */
+  const parseTerm = () => {
+    skipSpace();
+    const start = pos;
+    while (pos < input.length && /[A-Za-z]/.test(input[pos])) {
+      pos++;
+    }
+    const field = input.slice(start, pos);
+
+    if (!field) {
+      throw queryError(pos >= input.length ? 'Unexpected end of query' : 'Expected a field name', start);
+    }
+    if (!FIELD_ATTRIBUTES[field]) {
+      throw queryError(
+        `Unknown field "${field}"; expected one of: ${Object.keys(FIELD_ATTRIBUTES).join(', ')}`,
+        start
+      );
+    }
+
+    const operatorStart = pos;
+    const operator = [':', ...COMPARISON_OPERATORS].find(candidate => input.startsWith(candidate, pos));
+    if (!operator) {
+      throw queryError(`Expected ":" or a comparison after "${field}"`, operatorStart);
+    }
+    if (operator !== ':' && !DATE_FIELDS.includes(field)) {
+      throw queryError(`Field "${field}" only supports ":"`, operatorStart);
+    }
+    if (operator === ':' && DATE_FIELDS.includes(field)) {
+      throw queryError(`Field "${field}" requires a comparison (<, <=, >, >=)`, operatorStart);
+    }
+    pos += operator.length;
+
+    const values = [];
+    skipSpace();
+    if (operator === ':' && input[pos] === '(') {
+      const groupStart = pos;
+      pos++;
+      values.push(checkedValue(field));
+      while (atKeyword('OR')) {
+        pos += 2;
+        values.push(checkedValue(field));
+      }
+      skipSpace();
+      if (input[pos] !== ')') {
+        throw queryError(`Expected OR or ")" to close the value list opened at position ${groupStart + 1}`, pos);
+      }
+      pos++;
+    } else {
+      values.push(checkedValue(field));
+    }
+
+    return { type: 'term', field, operator, values, position: start + 1 };
+  };
+
+  let parseOr;
+
+  /**
+   * Parses a term or parenthesised group, with any NOTs in front of it
+   * @returns {Object} Syntax tree node
+   * @throws {Error} QueryError if the expression is malformed
+   */
+  const parseNot = () => {
+    if (atKeyword('NOT')) {
+      pos += 3;
+      return { type: 'not', child: parseNot() };
+    }
+
+    skipSpace();
+    if (input[pos] === '(') {
+      const groupStart = pos;
+      pos++;
+      const node = parseOr();
+      skipSpace();
+      if (input[pos] !== ')') {
+        throw queryError(`Missing ")" for the parenthesis opened at position ${groupStart + 1}`, pos);
+      }
+      pos++;
+      return node;
+    }
+
+    return parseTerm();
+  };
+
+  /**
+   * Parses operands joined by AND
+   * @returns {Object} An 'and' node, or the single operand
+   * @throws {Error} QueryError if the expression is malformed
+   */
+  const parseAnd = () => {
+    const children = [parseNot()];
+    while (atKeyword('AND')) {
+      pos += 3;
+      children.push(parseNot());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+
+  /**
+   * Parses AND groups joined by OR
+   * @returns {Object} An 'or' node, or the single group
+   * @throws {Error} QueryError if the expression is malformed
+   */
+  parseOr = () => {
+    const children = [parseAnd()];
+    while (atKeyword('OR')) {
+      pos += 2;
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  const tree = parseOr();
+
+  skipSpace();
+  if (pos < input.length) {
+    throw queryError(input[pos] === ')' ? 'Unexpected ")"' : 'Expected AND or OR', pos);
+  }
+
+  return tree;
+}
+
+/**
+ * Converts a term value to the stored form it is compared with. A date without a
+ * time stands for the whole day, so as the bound of <= or > it is moved to the end
+ * of the day, as dueDateBefore is.
+ * @param {Object} node - Term node, for its field and operator
+ * @param {string} value - Term value
+ * @returns {string} Stored form; created and updated are full UTC timestamps
+ */
+function storedValue(node, value) {
+  const { field, operator } = node;
+  const wholeDay = DATE_FIELDS.includes(field) && !value.includes('T') && (operator === '<=' || operator === '>');
+
+  if (field === 'due') {
+    // Due dates may be date-only or timestamps; "~" sorts after any time of the day
+    return wholeDay ? `${value}~` : value;
+  }
+  if (field === 'created' || field === 'updated') {
+    return wholeDay ? `${value}T23:59:59.999Z` : new Date(value).toISOString();
+  }
+  return value;
+}
+
+/**
+ * Builds a DynamoDB FilterExpression for a syntax tree
+ * @param {Object} node - Syntax tree node
+ * @param {Object} context - { names, values } placeholders collected so far
+ * @returns {string} Filter expression
+ */
+function toFilterExpression(node, context) {
+  if (node.type === 'and' || node.type === 'or') {
+    return node.children
+      .map(child => (child.type === 'term' ? toFilterExpression(child, context) : `(${toFilterExpression(child, context)})`))
+      .join(node.type === 'and' ? ' AND ' : ' OR ');
+  }
+
+  if (node.type === 'not') {
+    return `NOT (${toFilterExpression(node.child, context)})`;
+  }
+
+  const attribute = FIELD_ATTRIBUTES[node.field];
+  let name = Object.keys(context.names).find(placeholder => context.names[placeholder] === attribute);
+  if (!name) {
+    name = `#q${Object.keys(context.names).length}`;
+    context.names[name] = attribute;
+  }
+
+  const placeholders = node.values.map(value => {
+    const placeholder = `:q${Object.keys(context.values).length}`;
+    context.values[placeholder] = storedValue(node, value);
+    return placeholder;
+  });
+
+  if (node.field === 'tag') {
+    const conditions = placeholders.map(placeholder => `contains(${name}, ${placeholder})`);
+    return conditions.length === 1 ? conditions[0] : `(${conditions.join(' OR ')})`;
+  }
+
+  if (node.operator !== ':') {
+    return `${name} ${node.operator} ${placeholders[0]}`;
+  }
+
+  return placeholders.length === 1
+    ? `${name} = ${placeholders[0]}`
+    : `${name} IN (${placeholders.join(', ')})`;
+}
+
+/**
+ * Compares two stored values the way DynamoDB compares strings
+ * @param {string} stored - Value stored on the task
+ * @param {string} operator - <, <=, > or >=
+ * @param {string} value - Value to compare against
+ * @returns {boolean} True if the comparison holds
+ */
+function compareValues(stored, operator, value) {
+  if (operator === '<') {
+    return stored < value;
+  }
+  if (operator === '<=') {
+    return stored <= value;
+  }
+  if (operator === '>') {
+    return stored > value;
+  }
+  return stored >= value;
+}
+
+/**
+ * Checks a task against a syntax tree in code, with the semantics of the
+ * FilterExpression toFilterExpression builds: a missing attribute equals and
+ * compares to nothing
+ * @param {Object} node - Syntax tree node
+ * @param {Object} task - Task to check
+ * @returns {boolean} True if the task matches
+ */
+function matchesNode(node, task) {
+  if (node.type === 'and') {
+    return node.children.every(child => matchesNode(child, task));
+  }
+  if (node.type === 'or') {
+    return node.children.some(child => matchesNode(child, task));
+  }
+  if (node.type === 'not') {
+    return !matchesNode(node.child, task);
+  }
+
+  const stored = task[FIELD_ATTRIBUTES[node.field]];
+  const values = node.values.map(value => storedValue(node, value));
+
+  if (node.field === 'tag') {
+    return values.some(value => (stored || []).includes(value));
+  }
+  if (stored === undefined || stored === null) {
+    return false;
+  }
+  if (node.operator === ':') {
+    return values.includes(stored);
+  }
+  return compareValues(stored, node.operator, values[0]);
+}
+
+/**
+ * Lists the query fields a syntax tree refers to
+ * @param {Object} node - Syntax tree node
+ * @returns {string[]} Query fields, possibly repeated
+ */
+function nodeFields(node) {
+  if (node.type === 'and' || node.type === 'or') {
+    return node.children.flatMap(nodeFields);
+  }
+  if (node.type === 'not') {
+    return nodeFields(node.child);
+  }
+  return [node.field];
+}
+
+/**
+ * Picks the tightest of several comparisons bounding the range key from one side
+ * @param {Object[]} comparisons - Comparison terms on the range key
+ * @param {string} strict - Strict operator of the side, < or >
+ * @param {string} inclusive - Inclusive operator of the side, <= or >=
+ * @returns {Object|null} Tightest comparison term, null if there is none
+ */
+function tightestBound(comparisons, strict, inclusive) {
+  return comparisons
+    .filter(node => node.operator === strict || node.operator === inclusive)
+    .reduce((best, node) => {
+      if (!best) {
+        return node;
+      }
+      const value = storedValue(node, node.values[0]);
+      const bestValue = storedValue(best, best.values[0]);
+      if (value === bestValue) {
+        return node.operator === strict ? node : best;
+      }
+      return compareValues(value, strict, bestValue) ? node : best;
+    }, null);
+}
+
+/**
+ * Chooses how to read the tasks a query matches. Single-value terms on the fields
+ * of a composite index, or else the most selective one on an indexed field, become
+ * the index hash key, comparisons on that index's range key become the key condition
+ * and everything else becomes a FilterExpression. Only terms joined to the rest of
+ * the query by AND can be used for the key.
+ *
+ * DynamoDB does not allow the range key in a FilterExpression, so the tightest lower
+ * and upper bounds on it form the key condition (BETWEEN when there are both) and
+ * whatever the key condition cannot express - strict bounds next to BETWEEN, or
+ * terms under NOT or OR - is returned as a check to run in code.
+ * @param {Object} tree - Syntax tree from parseQuery
+ * @param {Object} [options] - Planning options
+ * @param {string} [options.unkeyedRangeField] - Query field of the range key of the index
+ *   read when the query has no key term, if that index has one (e.g. created)
+ * @returns {Object} { index, keyValue, range, filter, check } where index is
+ *   assigneeStatus, statusPriority, assignee, status, priority or null for an unkeyed
+ *   read, keyValue is the key term's value (an array of both values for a composite
+ *   index), range is the key condition on the range key (or null), filter is
+ *   { expression, names, values } (or null) and check is { matches, attributes }
+ *   with a task predicate and the attributes it reads (or null)
+ */
+function planQuery(tree, options = {}) {
+  // Parenthesised groups of ANDs are still part of the top-level conjunction
+  const flatten = node => (node.type === 'and' ? node.children.flatMap(flatten) : [node]);
+  const conjuncts = flatten(tree);
+  const isEquality = (node, field) =>
+    node.type === 'term' && node.field === field && node.operator === ':' && node.values.length === 1;
+
+  const hasEquality = field => conjuncts.some(node => isEquality(node, field));
+  const composite = Object.keys(COMPOSITE_INDEXES).find(name => COMPOSITE_INDEXES[name].every(hasEquality));
+  const index = composite || KEY_FIELDS.find(hasEquality) || null;
+  let keyValue = null;
+  let range = null;
+  const checked = [];
+
+  if (index) {
+    const keyTerms = (COMPOSITE_INDEXES[index] || [index]).map(field => conjuncts.find(node => isEquality(node, field)));
+    keyValue = composite ? keyTerms.map(term => term.values[0]) : keyTerms[0].values[0];
+    keyTerms.forEach(term => conjuncts.splice(conjuncts.indexOf(term), 1));
+  }
+
+  const rangeField = index ? RANGE_FIELDS[index] : options.unkeyedRangeField;
+  if (rangeField) {
+    // A key condition allows a single comparison on the range key, or BETWEEN; the
+    // other comparisons are implied by the tightest bound on each side
+    const comparisons = conjuncts.filter(node => node.type === 'term' && node.field === rangeField);
+    const lower = tightestBound(comparisons, '>', '>=');
+    const upper = tightestBound(comparisons, '<', '<=');
+    const lowerValue = lower && storedValue(lower, lower.values[0]);
+    const upperValue = upper && storedValue(upper, upper.values[0]);
+
+    if (lower && upper && lowerValue <= upperValue) {
+      // BETWEEN is inclusive, so strict bounds are checked again in code
+      range = { after: lowerValue, before: upperValue };
+      checked.push(...[lower, upper].filter(node => node.operator === '>' || node.operator === '<'));
+    } else if (lower || upper) {
+      // Bounds that exclude each other cannot form a BETWEEN; the upper one is checked in code
+      const bound = lower || upper;
+      range = { operator: bound.operator, value: storedValue(bound, bound.values[0]) };
+      if (lower && upper) {
+        checked.push(upper);
+      }
+    }
+    comparisons.forEach(node => conjuncts.splice(conjuncts.indexOf(node), 1));
+
+    // Anything else on the range key is left to the check in code
+    conjuncts
+      .filter(node => nodeFields(node).includes(rangeField))
+      .forEach(node => {
+        conjuncts.splice(conjuncts.indexOf(node), 1);
+        checked.push(node);
+      });
+  }
+
+  let filter = null;
+  if (conjuncts.length > 0) {
+    const context = { names: {}, values: {} };
+    const remaining = conjuncts.length === 1 ? conjuncts[0] : { type: 'and', children: conjuncts };
+    filter = {
+      expression: toFilterExpression(remaining, context),
+      names: context.names,
+      values: context.values
+    };
+  }
+
+  let check = null;
+  if (checked.length > 0) {
+    check = {
+      matches: task => checked.every(node => matchesNode(node, task)),
+      attributes: [...new Set(checked.flatMap(nodeFields).map(field => FIELD_ATTRIBUTES[field]))]
+    };
+  }
+
+  return { index, keyValue, range, filter, check };
+}
+
+module.exports = {
+  parseQuery,
+  planQuery
+};
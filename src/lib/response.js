@@ -1,14 +1,19 @@
+const { VALID_STATUSES } = require('./validation');
+const { DEFAULT_WORKSPACE } = require('./workspace');
+
 /**
  * Creates a success response
  * @param {number} statusCode - HTTP status code
  * @param {Object} body - Response body
+ * @param {Object} [headers] - Additional response headers
  * @returns {Object} Lambda response object
  */
-function success(statusCode, body) {
+function success(statusCode, body, headers = {}) {
   return {
     statusCode,
     headers: {
-      'Content-Type': 'application/json'
+      'Content-Type': 'application/json',
+      ...headers
     },
     body: JSON.stringify(body)
   };
@@ -35,27 +40,132 @@ function error(statusCode, message) {
 /**
  * Formats a DynamoDB item to API task format
  * @param {Object} taskItem - DynamoDB item
+ * @param {Object} [related] - Related items to roll up into the response
+ * @param {Object[]} [related.subtasks] - Direct subtasks, used for the progress summary
+ * @param {string[]} [fields] - Fields to return (see TASK_FIELDS); all when omitted
  * @returns {Object} Formatted task object
  */
-function formatTask(taskItem) {
+function formatTask(taskItem, related = {}, fields) {
   if (!taskItem) {
     return null;
   }
 
-  return {
+  const formatted = {
     id: taskItem.id,
     description: taskItem.description,
     assignee: taskItem.assignee || null,
     priority: taskItem.priority,
     status: taskItem.status,
     dueDate: taskItem.dueDate || null,
+    parentId: taskItem.parentId || null,
+    labels: taskItem.labels || [],
     createdAt: taskItem.createdAt,
     updatedAt: taskItem.updatedAt
   };
+
+  if (related.subtasks) {
+    formatted.subtaskProgress = summarizeSubtasks(related.subtasks);
+  }
+
+  if (fields) {
+    return Object.fromEntries(Object.entries(formatted).filter(([field]) => fields.includes(field)));
+  }
+
+  return formatted;
+}
+
+/**
+ * Rolls subtasks up into counts by status
+ * @param {Object[]} subtasks - Subtask items
+ * @returns {Object} { total: number, byStatus: Object }
+ */
+function summarizeSubtasks(subtasks) {
+  const byStatus = {};
+  VALID_STATUSES.forEach(status => {
+    byStatus[status] = 0;
+  });
+
+  subtasks.forEach(subtask => {
+    if (byStatus[subtask.status] !== undefined) {
+      byStatus[subtask.status]++;
+    }
+  });
+
+  return {
+    total: subtasks.length,
+    byStatus
+  };
+}
+
+/**
+ * Formats a DynamoDB comment item to API comment format
+ * @param {Object} commentItem - DynamoDB item
+ * @returns {Object} Formatted comment object
+ */
+function formatComment(commentItem) {
+  if (!commentItem) {
+    return null;
+  }
+
+  return {
+    id: commentItem.id,
+    taskId: commentItem.taskId,
+    text: commentItem.text,
+    author: commentItem.author || null,
+    createdAt: commentItem.createdAt
+  };
+}
+
+/**
+ * Formats a DynamoDB history item to API history entry format
+ * @param {Object} historyItem - DynamoDB item
+ * @returns {Object} Formatted history entry
+ */
+function formatHistoryEntry(historyItem) {
+  if (!historyItem) {
+    return null;
+  }
+
+  return {
+    taskId: historyItem.taskId,
+    action: historyItem.action,
+    changes: historyItem.changes || {},
+    actor: historyItem.actor || null,
+    timestamp: historyItem.timestamp
+  };
+}
+
+/**
+ * Formats a DynamoDB API key item to API key format; the key hash is never returned
+ * @param {Object} apiKeyItem - DynamoDB item
+ * @returns {Object} Formatted API key object
+ */
+function formatApiKey(apiKeyItem) {
+  if (!apiKeyItem) {
+    return null;
+  }
+
+  return {
+    id: apiKeyItem.keyId,
+    name: apiKeyItem.name,
+    prefix: `tk_${apiKeyItem.keyId}`,
+    scopes: apiKeyItem.scopes || [],
+    workspace: apiKeyItem.workspace || DEFAULT_WORKSPACE,
+    disabled: Boolean(apiKeyItem.disabled),
+    expiresAt: apiKeyItem.expiresAt || null,
+    createdAt: apiKeyItem.createdAt,
+    updatedAt: apiKeyItem.updatedAt,
+    rotatedAt: apiKeyItem.rotatedAt || null,
+    revokedAt: apiKeyItem.revokedAt || null
+  };
 }
 
 module.exports = {
   success,
   error,
-  formatTask
+  formatTask,
+  summarizeSubtasks,
+  formatComment,
+  formatHistoryEntry,
+  formatApiKey
 };
@@ -0,0 +1,215 @@
+// Task fields whose text is searchable
+const INDEXED_FIELDS = ['description'];
+
+// Words too common to be worth indexing
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it',
+  'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'with'
+]);
+
+const SNIPPET_LENGTH = 160;
+
+/**
+ * Checks whether the letter at an index of a word acts as a consonant
+ * @param {string} word - Lowercase word
+ * @param {number} index - Letter index
+ * @returns {boolean} True for consonants (y after a consonant counts as a vowel)
+ */
+function isConsonant(word, index) {
+  const letter = word[index];
+
+  if ('aeiou'.includes(letter)) {
+    return false;
+  }
+  if (letter === 'y') {
+    return index === 0 || !isConsonant(word, index - 1);
+  }
+  return true;
+}
+
+/**
+ * Counts the vowel-consonant sequences of a stem (Porter's measure m)
+ * @param {string} stem - Lowercase stem
+ * @returns {number} Measure
+ */
+function measure(stem) {
+  let count = 0;
+  let previousVowel = false;
+
+  for (let i = 0; i < stem.length; i++) {
+    const vowel = !isConsonant(stem, i);
+    if (previousVowel && !vowel) {
+      count++;
+    }
+    previousVowel = vowel;
+  }
+
+  return count;
+}
+
+/**
+ * Checks whether a stem contains a vowel
+ * @param {string} stem - Lowercase stem
+ * @returns {boolean} True if any letter is a vowel
+ */
+function hasVowel(stem) {
+  return [...stem].some((_, index) => !isConsonant(stem, index));
+}
+
+/**
+ * Checks whether a stem ends consonant-vowel-consonant, the last not w, x or y
+ * @param {string} stem - Lowercase stem
+ * @returns {boolean} True for a cvc ending
+ */
+function endsCvc(stem) {
+  const last = stem.length - 1;
+
+  return stem.length >= 3 &&
+    isConsonant(stem, last - 2) && !isConsonant(stem, last - 1) && isConsonant(stem, last) &&
+    !'wxy'.includes(stem[last]);
+}
+
+/**
+ * Reduces a word to its stem with steps 1a-1c of the Porter stemmer, which fold
+ * plurals and -ed/-ing forms (tests, testing, tested -> test)
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+function stem(word) {
+  if (word.length <= 2 || !/^[a-z]+$/.test(word)) {
+    return word;
+  }
+
+  let result = word;
+
+  // Step 1a: plurals
+  if (result.endsWith('sses') || result.endsWith('ies')) {
+    result = result.slice(0, -2);
+  } else if (result.endsWith('s') && !result.endsWith('ss')) {
+    result = result.slice(0, -1);
+  }
+
+  // Step 1b: past tense and gerunds
+  if (result.endsWith('eed')) {
+    if (measure(result.slice(0, -3)) > 0) {
+      result = result.slice(0, -1);
+    }
+  } else {
+    const suffix = ['ed', 'ing'].find(ending => result.endsWith(ending) && hasVowel(result.slice(0, -ending.length)));
+    if (suffix) {
+      result = result.slice(0, -suffix.length);
+
+      const last = result[result.length - 1];
+      if (result.endsWith('at') || result.endsWith('bl') || result.endsWith('iz')) {
+        result += 'e';
+      } else if (last === result[result.length - 2] && isConsonant(result, result.length - 1) && !'lsz'.includes(last)) {
+        result = result.slice(0, -1);
+      } else if (measure(result) === 1 && endsCvc(result)) {
+        result += 'e';
+      }
+    }
+  }
+
+  // Step 1c: terminal y
+  if (result.endsWith('y') && hasVowel(result.slice(0, -1))) {
+    result = `${result.slice(0, -1)}i`;
+  }
+
+  return result;
+}
+
+/**
+ * Splits text into lowercase words with their offsets
+ * @param {string} text - Text to split
+ * @returns {Object[]} Words as { word, start, end }
+ */
+function words(text) {
+  const found = [];
+  const pattern = /[\p{L}\p{N}]+/gu;
+  let match;
+
+  while ((match = pattern.exec(text || '')) !== null) {
+    found.push({ word: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+  }
+
+  return found;
+}
+
+/**
+ * Turns text into index terms: lowercase, stemmed words without stop words
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Terms in order of appearance (with repeats)
+ */
+function tokenize(text) {
+  return words(text)
+    .filter(({ word }) => !STOP_WORDS.has(word))
+    .map(({ word }) => stem(word));
+}
+
+/**
+ * Computes the index terms of a task and how often each occurs
+ * @param {Object} task - Task
+ * @returns {Object} { terms: Map of term to count, length: number of terms }
+ */
+function taskTerms(task) {
+  const all = INDEXED_FIELDS.flatMap(field => tokenize(task[field]));
+  const terms = new Map();
+
+  all.forEach(term => terms.set(term, (terms.get(term) || 0) + 1));
+
+  return { terms, length: all.length };
+}
+
+/**
+ * Escapes text for use in HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Builds an HTML snippet of text around the first matching word, with every
+ * matching word wrapped in <mark>. The text is HTML-escaped.
+ * @param {string} text - Full text
+ * @param {string[]} terms - Query terms
+ * @returns {string} Snippet, with an ellipsis where text was cut off
+ */
+function highlight(text, terms) {
+  const source = text || '';
+  const matches = words(source).filter(({ word }) => terms.includes(stem(word)));
+
+  // Centre the window on the first match
+  const firstMatch = matches[0]?.start ?? 0;
+  let start = Math.max(0, Math.min(firstMatch - SNIPPET_LENGTH / 4, source.length - SNIPPET_LENGTH));
+  let end = Math.min(source.length, start + SNIPPET_LENGTH);
+
+  // Do not cut words in half
+  while (start > 0 && /[\p{L}\p{N}]/u.test(source[start - 1])) {
+    start--;
+  }
+  while (end < source.length && /[\p{L}\p{N}]/u.test(source[end])) {
+    end++;
+  }
+
+  let snippet = '';
+  let position = start;
+  matches
+    .filter(match => match.start >= start && match.end <= end)
+    .forEach(match => {
+      snippet += `${escapeHtml(source.slice(position, match.start))}<mark>${escapeHtml(source.slice(match.start, match.end))}</mark>`;
+      position = match.end;
+    });
+  snippet += escapeHtml(source.slice(position, end));
+
+  return `${start > 0 ? '…' : ''}${snippet}${end < source.length ? '…' : ''}`;
+}
+
+module.exports = {
+  INDEXED_FIELDS,
+  stem,
+  tokenize,
+  taskTerms,
+  highlight
+};
@@ -2,13 +2,48 @@ const VALID_PRIORITIES = ['P0', 'P1', 'P2', 'P3', 'P4'];
 const VALID_STATUSES = ['open', 'in-progress', 'blocked', 'done'];
 const MAX_DESCRIPTION_LENGTH = 1000;
 const MAX_ASSIGNEE_LENGTH = 255;
+const MAX_COMMENT_LENGTH = 2000;
+const MAX_LABELS = 10;
+const MAX_LABEL_LENGTH = 32;
+const MAX_BATCH_GET_IDS = 100;
+const SORT_FIELDS = ['dueDate', 'createdAt', 'priority', 'updatedAt'];
+const MAX_API_KEY_NAME_LENGTH = 100;
+
+// Scopes an API key can be granted
+const API_KEY_SCOPES = ['tasks:read', 'tasks:write', 'tasks:delete', 'keys:admin'];
+
+// Roles the policy module knows, least privileged first; a key takes one as a role:<name> scope
+const ROLES = ['viewer', 'member', 'lead'];
+const ROLE_SCOPES = ROLES.map(role => `role:${role}`);
+
+// Workspace IDs; they are embedded in keys, so they can never contain the # delimiter
+const WORKSPACE_PATTERN = /^[a-z0-9][a-z0-9-]{0,62}$/;
+
+// Task attributes that can be selected with the fields parameter
+const TASK_FIELDS = [
+  'id',
+  'description',
+  'assignee',
+  'priority',
+  'status',
+  'dueDate',
+  'parentId',
+  'labels',
+  'createdAt',
+  'updatedAt'
+];
 
 /**
  * Validates task input data
  * @param {Object} data - Task data to validate
+ * @param {Object} [context] - Stored state needed for relational checks
+ * @param {string} [context.taskId] - ID of the task being written
+ * @param {string[]|null} [context.ancestorIds] - Parent chain starting at data.parentId, null if the parent does not exist
+ * @param {string[]} [context.statuses] - Statuses the task's workspace allows; all when omitted
+ * @param {string} [context.currentStatus] - Stored status of the task, which it may keep
  * @returns {Object} { valid: boolean, errors: string[] }
  */
-function validateTaskInput(data) {
+function validateTaskInput(data, context = {}) {
   const errors = [];
 
   // Validate description
@@ -25,9 +60,9 @@ function validateTaskInput(data) {
     }
   }
 
-  // Validate status if provided
-  if (data.status !== undefined && data.status !== null) {
-    const statusError = validateStatus(data.status);
+  // Validate status if provided; a task may keep a status its workspace no longer allows
+  if (data.status !== undefined && data.status !== null && data.status !== context.currentStatus) {
+    const statusError = validateStatus(data.status, context.statuses);
     if (statusError) {
       errors.push(statusError);
     }
@@ -49,12 +84,106 @@ function validateTaskInput(data) {
     }
   }
 
+  // Validate labels if provided
+  if (data.labels !== undefined && data.labels !== null) {
+    const labelsError = validateLabels(data.labels);
+    if (labelsError) {
+      errors.push(labelsError);
+    }
+  }
+
+  // Validate parentId if provided
+  if (data.parentId !== undefined && data.parentId !== null) {
+    const parentError = validateParentId(data.parentId, context);
+    if (parentError) {
+      errors.push(parentError);
+    }
+  }
+
   return {
     valid: errors.length === 0,
     errors
   };
 }
 
+/**
+ * Validates a single label (also used for the tag query parameter)
+ * @param {string} label - Label to validate
+ * @returns {string|null} Error message or null if valid
+ */
+function validateLabel(label) {
+  if (typeof label !== 'string' || label.length === 0) {
+    return 'Label must be a non-empty string';
+  }
+
+  if (label.length > MAX_LABEL_LENGTH) {
+    return `Label must not exceed ${MAX_LABEL_LENGTH} characters`;
+  }
+
+  if (!/^[a-z0-9][a-z0-9_-]*$/.test(label)) {
+    return 'Label may only contain lowercase letters, digits, hyphens and underscores, and must start with a letter or digit';
+  }
+
+  return null;
+}
+
+/**
+ * Validates the labels of a task
+ * @param {string[]} labels - Labels to validate
+ * @returns {string|null} Error message or null if valid
+ */
+function validateLabels(labels) {
+  if (!Array.isArray(labels)) {
+    return 'Labels must be an array';
+  }
+
+  if (labels.length > MAX_LABELS) {
+    return `A task must not have more than ${MAX_LABELS} labels`;
+  }
+
+  for (const label of labels) {
+    const labelError = validateLabel(label);
+    if (labelError) {
+      return labelError;
+    }
+  }
+
+  if (new Set(labels).size !== labels.length) {
+    return 'Labels must be unique';
+  }
+
+  return null;
+}
+
+/**
+ * Validates a parent task reference
+ * @param {string} parentId - Parent task ID to validate
+ * @param {Object} [context] - See validateTaskInput
+ * @returns {string|null} Error message or null if valid
+ */
+function validateParentId(parentId, context = {}) {
+  const { taskId, ancestorIds } = context;
+
+  if (typeof parentId !== 'string' || parentId.trim().length === 0) {
+    return 'Parent ID must be a non-empty string';
+  }
+
+  if (taskId && parentId === taskId) {
+    return 'Task cannot be its own parent';
+  }
+
+  // ancestorIds is only checked when the caller looked up the parent chain
+  if (ancestorIds === null) {
+    return 'Parent task not found';
+  }
+
+  if (taskId && Array.isArray(ancestorIds) && ancestorIds.includes(taskId)) {
+    return 'Parent ID would create a cycle in the task hierarchy';
+  }
+
+  return null;
+}
+
 /**
  * Validates priority value
  * @param {string} priority - Priority to validate
@@ -70,11 +199,12 @@ function validatePriority(priority) {
 /**
  * Validates status value
  * @param {string} status - Status to validate
+ * @param {string[]} [statuses] - Statuses allowed; defaults to every status
  * @returns {string|null} Error message or null if valid
  */
-function validateStatus(status) {
-  if (!VALID_STATUSES.includes(status)) {
-    return `Status must be one of: ${VALID_STATUSES.join(', ')}`;
+function validateStatus(status, statuses = VALID_STATUSES) {
+  if (!statuses.includes(status)) {
+    return `Status must be one of: ${statuses.join(', ')}`;
   }
   return null;
 }
@@ -162,6 +292,134 @@ function validateAssignee(assignee) {
   return null;
 }
 
+/**
+ * Validates comment input data
+ * @param {Object} data - Comment data to validate
+ * @returns {Object} { valid: boolean, errors: string[] }
+ */
+function validateCommentInput(data) {
+  const errors = [];
+
+  if (data.text === undefined || data.text === null) {
+    errors.push('Comment text is required');
+  } else if (typeof data.text !== 'string') {
+    errors.push('Comment text must be a string');
+  } else if (data.text.trim().length === 0) {
+    errors.push('Comment text cannot be empty or whitespace only');
+  } else if (data.text.length > MAX_COMMENT_LENGTH) {
+    errors.push(`Comment text must not exceed ${MAX_COMMENT_LENGTH} characters`);
+  }
+
+  // The author is the authenticated caller, never a name the client supplies
+  if (data.author !== undefined) {
+    errors.push('Comment author is taken from the caller and cannot be set');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates the input for issuing an API key
+ * @param {Object} data - API key data to validate ({ name, scopes, expiresAt, workspace })
+ * @returns {Object} { valid: boolean, errors: string[] }
+ */
+function validateApiKeyInput(data) {
+  const errors = [];
+
+  if (typeof data.name !== 'string' || data.name.trim().length === 0) {
+    errors.push('Name is required');
+  } else if (data.name.length > MAX_API_KEY_NAME_LENGTH) {
+    errors.push(`Name must not exceed ${MAX_API_KEY_NAME_LENGTH} characters`);
+  }
+
+  if (!Array.isArray(data.scopes) || data.scopes.length === 0) {
+    errors.push('Scopes must be a non-empty array');
+  } else if (data.scopes.some(scope => !API_KEY_SCOPES.includes(scope) && !ROLE_SCOPES.includes(scope))) {
+    errors.push(`Scopes must be from: ${[...API_KEY_SCOPES, ...ROLE_SCOPES].join(', ')}`);
+  } else if (new Set(data.scopes).size !== data.scopes.length) {
+    errors.push('Scopes must not contain duplicates');
+  } else if (data.scopes.filter(scope => ROLE_SCOPES.includes(scope)).length > 1) {
+    errors.push('Scopes must not contain more than one role');
+  }
+
+  if (data.expiresAt !== undefined && data.expiresAt !== null) {
+    const dateError = validateDateFormat(data.expiresAt);
+    if (dateError) {
+      errors.push(`Expiry: ${dateError}`);
+    } else if (new Date(data.expiresAt) <= new Date()) {
+      errors.push('Expiry must be in the future');
+    }
+  }
+
+  if (data.workspace !== undefined) {
+    const workspaceError = validateWorkspace(data.workspace);
+    if (workspaceError) {
+      errors.push(workspaceError);
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates a workspace ID
+ * @param {string} workspace - Workspace ID to validate
+ * @returns {string|null} Error message or null if valid
+ */
+function validateWorkspace(workspace) {
+  if (typeof workspace !== 'string' || !WORKSPACE_PATTERN.test(workspace)) {
+    return 'Workspace must be 1-63 lowercase letters, digits or hyphens, starting with a letter or digit';
+  }
+  return null;
+}
+
+/**
+ * Validates dependency input data
+ * @param {Object} data - Dependency data to validate
+ * @returns {Object} { valid: boolean, errors: string[] }
+ */
+function validateDependencyInput(data) {
+  const errors = [];
+
+  if (data.blockerId === undefined || data.blockerId === null) {
+    errors.push('Blocker ID is required');
+  } else if (typeof data.blockerId !== 'string' || data.blockerId.trim().length === 0) {
+    errors.push('Blocker ID must be a non-empty string');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates a list of task IDs to fetch at once
+ * @param {string[]} ids - Task IDs
+ * @returns {string|null} Error message or null if valid
+ */
+function validateTaskIds(ids) {
+  if (!Array.isArray(ids) || ids.length === 0) {
+    return 'At least one task ID is required';
+  }
+
+  if (ids.length > MAX_BATCH_GET_IDS) {
+    return `Must not request more than ${MAX_BATCH_GET_IDS} task IDs`;
+  }
+
+  if (ids.some(id => typeof id !== 'string' || id.trim().length === 0)) {
+    return 'Task IDs must be non-empty strings';
+  }
+
+  return null;
+}
+
 /**
  * Validates pagination limit parameter
  * @param {string|number} limit - Limit value to validate
@@ -189,6 +447,37 @@ function validateLimit(limit) {
   return null;
 }
 
+/**
+ * Validates the sort parameter of a task listing
+ * @param {string} sort - Field to sort by, prefixed with "-" for descending order
+ * @returns {string|null} Error message or null if valid
+ */
+function validateSort(sort) {
+  const field = typeof sort === 'string' && sort.startsWith('-') ? sort.slice(1) : sort;
+
+  if (!SORT_FIELDS.includes(field)) {
+    return `Sort must be one of: ${SORT_FIELDS.join(', ')} (prefix with - for descending order)`;
+  }
+
+  return null;
+}
+
+/**
+ * Validates a fields parameter selecting which task attributes to return
+ * @param {string} fields - Comma-separated attribute names
+ * @param {string[]} [allowed] - Names that can be selected; defaults to the task attributes
+ * @returns {string|null} Error message or null if valid
+ */
+function validateFields(fields, allowed = TASK_FIELDS) {
+  const names = typeof fields === 'string' ? fields.split(',').map(name => name.trim()) : [''];
+
+  if (names.some(name => !allowed.includes(name))) {
+    return `Fields must be a comma-separated list of: ${allowed.join(', ')}`;
+  }
+
+  return null;
+}
+
 /**
  * Validates pagination nextToken parameter
  * @param {string} nextToken - Base64-encoded pagination token to validate
@@ -228,8 +517,22 @@ module.exports = {
   validateDateFormat,
   validateDescription,
   validateAssignee,
+  validateLabel,
+  validateLabels,
+  validateParentId,
+  validateCommentInput,
+  validateApiKeyInput,
+  validateWorkspace,
+  validateDependencyInput,
+  validateTaskIds,
   validateLimit,
+  validateSort,
+  validateFields,
   validateNextToken,
   VALID_PRIORITIES,
-  VALID_STATUSES
+  VALID_STATUSES,
+  TASK_FIELDS,
+  API_KEY_SCOPES,
+  ROLES,
+  WORKSPACE_PATTERN
 };
@@ -0,0 +1,70 @@
+const { VALID_PRIORITIES, VALID_STATUSES } = require('./validation');
+
+// Workspace of callers whose credential names none; its administrators manage every workspace's keys
+const DEFAULT_WORKSPACE = 'default';
+
+// Priority of new tasks in workspaces that do not configure one
+const DEFAULT_PRIORITY = 'P2';
+
+/**
+ * Reads WORKSPACE_CONFIG
+ * @returns {Object} Settings by workspace ID; empty when unset
+ * @throws {Error} If WORKSPACE_CONFIG is not valid JSON
+ */
+function workspaceConfigs() {
+  if (!process.env.WORKSPACE_CONFIG) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(process.env.WORKSPACE_CONFIG);
+  } catch (err) {
+    throw new Error(`WORKSPACE_CONFIG is not valid JSON: ${err.message}`);
+  }
+}
+
+/**
+ * Reads the settings of a workspace from WORKSPACE_CONFIG, a JSON object of workspace
+ * ID to { statuses, defaultPriority }. Workspaces left out allow every status and
+ * default to P2.
+ * @param {string} workspace - Workspace ID
+ * @returns {Object} { statuses, defaultPriority }, statuses in their usual order
+ * @throws {Error} If WORKSPACE_CONFIG or the workspace's settings are invalid
+ */
+function workspaceConfig(workspace) {
+  const configs = workspaceConfigs();
+  const config = (configs && Object.hasOwn(configs, workspace) && configs[workspace]) || {};
+  // Settings left null (as Terraform writes unset optional attributes) take the defaults too
+  const statuses = config.statuses ?? VALID_STATUSES;
+  const defaultPriority = config.defaultPriority ?? DEFAULT_PRIORITY;
+
+  // New tasks start out open, so no workspace can do without it
+  if (!Array.isArray(statuses) || !statuses.includes('open') || statuses.some(status => !VALID_STATUSES.includes(status))) {
+    throw new Error(`WORKSPACE_CONFIG statuses of ${workspace} must include open and be from: ${VALID_STATUSES.join(', ')}`);
+  }
+  if (!VALID_PRIORITIES.includes(defaultPriority)) {
+    throw new Error(`WORKSPACE_CONFIG defaultPriority of ${workspace} must be one of: ${VALID_PRIORITIES.join(', ')}`);
+  }
+
+  return {
+    statuses: VALID_STATUSES.filter(status => statuses.includes(status)),
+    defaultPriority
+  };
+}
+
+/**
+ * Checks whether a caller administers the API keys of a workspace: their own, or
+ * every workspace for administrators of the default workspace
+ * @param {Object} caller - Caller from getCaller
+ * @param {string} workspace - Workspace ID
+ * @returns {boolean} True if the caller may manage the workspace's keys
+ */
+function administersWorkspace(caller, workspace) {
+  return caller.workspace === DEFAULT_WORKSPACE || caller.workspace === workspace;
+}
+
+module.exports = {
+  DEFAULT_WORKSPACE,
+  workspaceConfig,
+  administersWorkspace
+};
@@ -15,6 +15,20 @@ resource "aws_api_gateway_resource" "tasks" {
   path_part   = "tasks"
 }
 
+# /tasks:batch resource
+resource "aws_api_gateway_resource" "tasks_batch" {
+  rest_api_id = aws_api_gateway_rest_api.task_api.id
+  parent_id   = aws_api_gateway_rest_api.task_api.root_resource_id
+  path_part   = "tasks:batch"
+}
+
+# /tasks/search resource
+resource "aws_api_gateway_resource" "tasks_search" {
+  rest_api_id = aws_api_gateway_rest_api.task_api.id
+  parent_id   = aws_api_gateway_resource.tasks.id
+  path_part   = "search"
+}
+
 # /tasks/{id} resource
 resource "aws_api_gateway_resource" "task_id" {
   rest_api_id = aws_api_gateway_rest_api.task_api.id
@@ -22,6 +36,69 @@ resource "aws_api_gateway_resource" "task_id" {
   path_part   = "{id}"
 }
 
+# /tasks/{id}/comments resource
+resource "aws_api_gateway_resource" "task_comments" {
+  rest_api_id = aws_api_gateway_rest_api.task_api.id
+  parent_id   = aws_api_gateway_resource.task_id.id
+  path_part   = "comments"
+}
+
+# /tasks/{id}/comments/{commentId} resource
+resource "aws_api_gateway_resource" "task_comment_id" {
+  rest_api_id = aws_api_gateway_rest_api.task_api.id
+  parent_id   = aws_api_gateway_resource.task_comments.id
+  path_part   = "{commentId}"
+}
+
+# /tasks/{id}/subtasks resource
+resource "aws_api_gateway_resource" "task_subtasks" {
+  rest_api_id = aws_api_gateway_rest_api.task_api.id
+  parent_id   = aws_api_gateway_resource.task_id.id
+  path_part   = "subtasks"
+}
+
+# /tasks/{id}/dependencies resource
+resource "aws_api_gateway_resource" "task_dependencies" {
+  rest_api_id = aws_api_gateway_rest_api.task_api.id
+  parent_id   = aws_api_gateway_resource.task_id.id
+  path_part   = "dependencies"
+}
+
+# /tasks/{id}/dependencies/{blockerId} resource
+resource "aws_api_gateway_resource" "task_dependency_id" {
+  rest_api_id = aws_api_gateway_rest_api.task_api.id
+  parent_id   = aws_api_gateway_resource.task_dependencies.id
+  path_part   = "{blockerId}"
+}
+
+# /tasks/{id}/history resource
+resource "aws_api_gateway_resource" "task_history" {
+  rest_api_id = aws_api_gateway_rest_api.task_api.id
+  parent_id   = aws_api_gateway_resource.task_id.id
+  path_part   = "history"
+}
+
+# /api-keys resource
+resource "aws_api_gateway_resource" "api_keys" {
+  rest_api_id = aws_api_gateway_rest_api.task_api.id
+  parent_id   = aws_api_gateway_rest_api.task_api.root_resource_id
+  path_part   = "api-keys"
+}
+
+# /api-keys/{id} resource
+resource "aws_api_gateway_resource" "api_key_id" {
+  rest_api_id = aws_api_gateway_rest_api.task_api.id
+  parent_id   = aws_api_gateway_resource.api_keys.id
+  path_part   = "{id}"
+}
+
+# /api-keys/{id}/rotate resource
+resource "aws_api_gateway_resource" "api_key_rotate" {
+  rest_api_id = aws_api_gateway_rest_api.task_api.id
+  parent_id   = aws_api_gateway_resource.api_key_id.id
+  path_part   = "rotate"
+}
+
 # /health resource
 resource "aws_api_gateway_resource" "health" {
   rest_api_id = aws_api_gateway_rest_api.task_api.id
@@ -63,6 +140,40 @@ resource "aws_api_gateway_integration" "list_tasks" {
   uri                     = aws_lambda_function.list_tasks.invoke_arn
 }
 
+# GET /tasks/search - Search Tasks
+resource "aws_api_gateway_method" "search_tasks" {
+  rest_api_id   = aws_api_gateway_rest_api.task_api.id
+  resource_id   = aws_api_gateway_resource.tasks_search.id
+  http_method   = "GET"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "search_tasks" {
+  rest_api_id             = aws_api_gateway_rest_api.task_api.id
+  resource_id             = aws_api_gateway_resource.tasks_search.id
+  http_method             = aws_api_gateway_method.search_tasks.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.search_tasks.invoke_arn
+}
+
+# POST /tasks:batch - Batch Create/Update/Delete Tasks
+resource "aws_api_gateway_method" "batch_tasks" {
+  rest_api_id   = aws_api_gateway_rest_api.task_api.id
+  resource_id   = aws_api_gateway_resource.tasks_batch.id
+  http_method   = "POST"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "batch_tasks" {
+  rest_api_id             = aws_api_gateway_rest_api.task_api.id
+  resource_id             = aws_api_gateway_resource.tasks_batch.id
+  http_method             = aws_api_gateway_method.batch_tasks.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.batch_tasks.invoke_arn
+}
+
 # GET /tasks/{id} - Get Task
 resource "aws_api_gateway_method" "get_task" {
   rest_api_id   = aws_api_gateway_rest_api.task_api.id
@@ -97,6 +208,23 @@ resource "aws_api_gateway_integration" "update_task" {
   uri                     = aws_lambda_function.update_task.invoke_arn
 }
 
+# PATCH /tasks/{id} - Patch Task
+resource "aws_api_gateway_method" "patch_task" {
+  rest_api_id   = aws_api_gateway_rest_api.task_api.id
+  resource_id   = aws_api_gateway_resource.task_id.id
+  http_method   = "PATCH"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "patch_task" {
+  rest_api_id             = aws_api_gateway_rest_api.task_api.id
+  resource_id             = aws_api_gateway_resource.task_id.id
+  http_method             = aws_api_gateway_method.patch_task.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.patch_task.invoke_arn
+}
+
 # DELETE /tasks/{id} - Delete Task
 resource "aws_api_gateway_method" "delete_task" {
   rest_api_id   = aws_api_gateway_rest_api.task_api.id
@@ -114,6 +242,193 @@ resource "aws_api_gateway_integration" "delete_task" {
   uri                     = aws_lambda_function.delete_task.invoke_arn
 }
 
+# POST /tasks/{id}/comments - Create Comment
+resource "aws_api_gateway_method" "create_comment" {
+  rest_api_id   = aws_api_gateway_rest_api.task_api.id
+  resource_id   = aws_api_gateway_resource.task_comments.id
+  http_method   = "POST"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "create_comment" {
+  rest_api_id             = aws_api_gateway_rest_api.task_api.id
+  resource_id             = aws_api_gateway_resource.task_comments.id
+  http_method             = aws_api_gateway_method.create_comment.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.create_comment.invoke_arn
+}
+
+# GET /tasks/{id}/comments - List Comments
+resource "aws_api_gateway_method" "list_comments" {
+  rest_api_id   = aws_api_gateway_rest_api.task_api.id
+  resource_id   = aws_api_gateway_resource.task_comments.id
+  http_method   = "GET"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "list_comments" {
+  rest_api_id             = aws_api_gateway_rest_api.task_api.id
+  resource_id             = aws_api_gateway_resource.task_comments.id
+  http_method             = aws_api_gateway_method.list_comments.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.list_comments.invoke_arn
+}
+
+# DELETE /tasks/{id}/comments/{commentId} - Delete Comment
+resource "aws_api_gateway_method" "delete_comment" {
+  rest_api_id   = aws_api_gateway_rest_api.task_api.id
+  resource_id   = aws_api_gateway_resource.task_comment_id.id
+  http_method   = "DELETE"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "delete_comment" {
+  rest_api_id             = aws_api_gateway_rest_api.task_api.id
+  resource_id             = aws_api_gateway_resource.task_comment_id.id
+  http_method             = aws_api_gateway_method.delete_comment.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.delete_comment.invoke_arn
+}
+
+# GET /tasks/{id}/subtasks - List Subtasks
+resource "aws_api_gateway_method" "list_subtasks" {
+  rest_api_id   = aws_api_gateway_rest_api.task_api.id
+  resource_id   = aws_api_gateway_resource.task_subtasks.id
+  http_method   = "GET"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "list_subtasks" {
+  rest_api_id             = aws_api_gateway_rest_api.task_api.id
+  resource_id             = aws_api_gateway_resource.task_subtasks.id
+  http_method             = aws_api_gateway_method.list_subtasks.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.list_subtasks.invoke_arn
+}
+
+# POST /tasks/{id}/dependencies - Add Dependency
+resource "aws_api_gateway_method" "add_dependency" {
+  rest_api_id   = aws_api_gateway_rest_api.task_api.id
+  resource_id   = aws_api_gateway_resource.task_dependencies.id
+  http_method   = "POST"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "add_dependency" {
+  rest_api_id             = aws_api_gateway_rest_api.task_api.id
+  resource_id             = aws_api_gateway_resource.task_dependencies.id
+  http_method             = aws_api_gateway_method.add_dependency.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.add_dependency.invoke_arn
+}
+
+# DELETE /tasks/{id}/dependencies/{blockerId} - Remove Dependency
+resource "aws_api_gateway_method" "remove_dependency" {
+  rest_api_id   = aws_api_gateway_rest_api.task_api.id
+  resource_id   = aws_api_gateway_resource.task_dependency_id.id
+  http_method   = "DELETE"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "remove_dependency" {
+  rest_api_id             = aws_api_gateway_rest_api.task_api.id
+  resource_id             = aws_api_gateway_resource.task_dependency_id.id
+  http_method             = aws_api_gateway_method.remove_dependency.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.remove_dependency.invoke_arn
+}
+
+# GET /tasks/{id}/history - Get Task History
+resource "aws_api_gateway_method" "get_task_history" {
+  rest_api_id   = aws_api_gateway_rest_api.task_api.id
+  resource_id   = aws_api_gateway_resource.task_history.id
+  http_method   = "GET"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "get_task_history" {
+  rest_api_id             = aws_api_gateway_rest_api.task_api.id
+  resource_id             = aws_api_gateway_resource.task_history.id
+  http_method             = aws_api_gateway_method.get_task_history.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.get_task_history.invoke_arn
+}
+
+# POST /api-keys - Issue API Key
+resource "aws_api_gateway_method" "create_api_key" {
+  rest_api_id   = aws_api_gateway_rest_api.task_api.id
+  resource_id   = aws_api_gateway_resource.api_keys.id
+  http_method   = "POST"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "create_api_key" {
+  rest_api_id             = aws_api_gateway_rest_api.task_api.id
+  resource_id             = aws_api_gateway_resource.api_keys.id
+  http_method             = aws_api_gateway_method.create_api_key.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.create_api_key.invoke_arn
+}
+
+# GET /api-keys - List API Keys
+resource "aws_api_gateway_method" "list_api_keys" {
+  rest_api_id   = aws_api_gateway_rest_api.task_api.id
+  resource_id   = aws_api_gateway_resource.api_keys.id
+  http_method   = "GET"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "list_api_keys" {
+  rest_api_id             = aws_api_gateway_rest_api.task_api.id
+  resource_id             = aws_api_gateway_resource.api_keys.id
+  http_method             = aws_api_gateway_method.list_api_keys.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.list_api_keys.invoke_arn
+}
+
+# POST /api-keys/{id}/rotate - Rotate API Key
+resource "aws_api_gateway_method" "rotate_api_key" {
+  rest_api_id   = aws_api_gateway_rest_api.task_api.id
+  resource_id   = aws_api_gateway_resource.api_key_rotate.id
+  http_method   = "POST"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "rotate_api_key" {
+  rest_api_id             = aws_api_gateway_rest_api.task_api.id
+  resource_id             = aws_api_gateway_resource.api_key_rotate.id
+  http_method             = aws_api_gateway_method.rotate_api_key.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.rotate_api_key.invoke_arn
+}
+
+# DELETE /api-keys/{id} - Revoke API Key
+resource "aws_api_gateway_method" "revoke_api_key" {
+  rest_api_id   = aws_api_gateway_rest_api.task_api.id
+  resource_id   = aws_api_gateway_resource.api_key_id.id
+  http_method   = "DELETE"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "revoke_api_key" {
+  rest_api_id             = aws_api_gateway_rest_api.task_api.id
+  resource_id             = aws_api_gateway_resource.api_key_id.id
+  http_method             = aws_api_gateway_method.revoke_api_key.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.revoke_api_key.invoke_arn
+}
+
 # Lambda Permissions for API Gateway
 resource "aws_lambda_permission" "create_task" {
   statement_id  = "AllowAPIGatewayInvoke"
@@ -123,6 +438,14 @@ resource "aws_lambda_permission" "create_task" {
   source_arn    = "${aws_api_gateway_rest_api.task_api.execution_arn}/*/*"
 }
 
+resource "aws_lambda_permission" "batch_tasks" {
+  statement_id  = "AllowAPIGatewayInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.batch_tasks.function_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_api_gateway_rest_api.task_api.execution_arn}/*/*"
+}
+
 resource "aws_lambda_permission" "get_task" {
   statement_id  = "AllowAPIGatewayInvoke"
   action        = "lambda:InvokeFunction"
@@ -139,6 +462,14 @@ resource "aws_lambda_permission" "update_task" {
   source_arn    = "${aws_api_gateway_rest_api.task_api.execution_arn}/*/*"
 }
 
+resource "aws_lambda_permission" "patch_task" {
+  statement_id  = "AllowAPIGatewayInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.patch_task.function_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_api_gateway_rest_api.task_api.execution_arn}/*/*"
+}
+
 resource "aws_lambda_permission" "delete_task" {
   statement_id  = "AllowAPIGatewayInvoke"
   action        = "lambda:InvokeFunction"
@@ -155,6 +486,102 @@ resource "aws_lambda_permission" "list_tasks" {
   source_arn    = "${aws_api_gateway_rest_api.task_api.execution_arn}/*/*"
 }
 
+resource "aws_lambda_permission" "search_tasks" {
+  statement_id  = "AllowAPIGatewayInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.search_tasks.function_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_api_gateway_rest_api.task_api.execution_arn}/*/*"
+}
+
+resource "aws_lambda_permission" "create_comment" {
+  statement_id  = "AllowAPIGatewayInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.create_comment.function_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_api_gateway_rest_api.task_api.execution_arn}/*/*"
+}
+
+resource "aws_lambda_permission" "list_comments" {
+  statement_id  = "AllowAPIGatewayInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.list_comments.function_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_api_gateway_rest_api.task_api.execution_arn}/*/*"
+}
+
+resource "aws_lambda_permission" "delete_comment" {
+  statement_id  = "AllowAPIGatewayInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.delete_comment.function_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_api_gateway_rest_api.task_api.execution_arn}/*/*"
+}
+
+resource "aws_lambda_permission" "list_subtasks" {
+  statement_id  = "AllowAPIGatewayInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.list_subtasks.function_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_api_gateway_rest_api.task_api.execution_arn}/*/*"
+}
+
+resource "aws_lambda_permission" "add_dependency" {
+  statement_id  = "AllowAPIGatewayInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.add_dependency.function_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_api_gateway_rest_api.task_api.execution_arn}/*/*"
+}
+
+resource "aws_lambda_permission" "remove_dependency" {
+  statement_id  = "AllowAPIGatewayInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.remove_dependency.function_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_api_gateway_rest_api.task_api.execution_arn}/*/*"
+}
+
+resource "aws_lambda_permission" "get_task_history" {
+  statement_id  = "AllowAPIGatewayInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.get_task_history.function_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_api_gateway_rest_api.task_api.execution_arn}/*/*"
+}
+
+resource "aws_lambda_permission" "create_api_key" {
+  statement_id  = "AllowAPIGatewayInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.create_api_key.function_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_api_gateway_rest_api.task_api.execution_arn}/*/*"
+}
+
+resource "aws_lambda_permission" "list_api_keys" {
+  statement_id  = "AllowAPIGatewayInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.list_api_keys.function_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_api_gateway_rest_api.task_api.execution_arn}/*/*"
+}
+
+resource "aws_lambda_permission" "rotate_api_key" {
+  statement_id  = "AllowAPIGatewayInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.rotate_api_key.function_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_api_gateway_rest_api.task_api.execution_arn}/*/*"
+}
+
+resource "aws_lambda_permission" "revoke_api_key" {
+  statement_id  = "AllowAPIGatewayInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.revoke_api_key.function_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_api_gateway_rest_api.task_api.execution_arn}/*/*"
+}
+
 # GET /health - Health Check
 resource "aws_api_gateway_method" "health" {
   rest_api_id   = aws_api_gateway_rest_api.task_api.id
@@ -188,8 +615,22 @@ resource "aws_api_gateway_deployment" "task_api" {
     aws_api_gateway_integration.create_task,
     aws_api_gateway_integration.get_task,
     aws_api_gateway_integration.update_task,
+    aws_api_gateway_integration.patch_task,
     aws_api_gateway_integration.delete_task,
     aws_api_gateway_integration.list_tasks,
+    aws_api_gateway_integration.search_tasks,
+    aws_api_gateway_integration.batch_tasks,
+    aws_api_gateway_integration.create_comment,
+    aws_api_gateway_integration.list_comments,
+    aws_api_gateway_integration.delete_comment,
+    aws_api_gateway_integration.list_subtasks,
+    aws_api_gateway_integration.add_dependency,
+    aws_api_gateway_integration.remove_dependency,
+    aws_api_gateway_integration.get_task_history,
+    aws_api_gateway_integration.create_api_key,
+    aws_api_gateway_integration.list_api_keys,
+    aws_api_gateway_integration.rotate_api_key,
+    aws_api_gateway_integration.revoke_api_key,
     aws_api_gateway_integration.health
   ]
 
@@ -29,8 +29,10 @@ resource "aws_iam_role_policy" "lambda_dynamodb_policy" {
         Action = [
           "dynamodb:PutItem",
           "dynamodb:GetItem",
+          "dynamodb:BatchGetItem",
           "dynamodb:UpdateItem",
           "dynamodb:DeleteItem",
+          "dynamodb:BatchWriteItem",
           "dynamodb:Query",
           "dynamodb:Scan"
         ]
@@ -61,6 +63,19 @@ resource "aws_lambda_layer_version" "shared_layer" {
   }
 }
 
+# Bearer token, request signing, authorization and workspace settings shared by every authenticated function
+locals {
+  auth_environment = {
+    JWKS_URL             = var.jwks_url
+    JWT_ISSUER           = var.jwt_issuer
+    JWT_AUDIENCE         = var.jwt_audience
+    ROLE_GROUPS          = length(var.role_groups) > 0 ? jsonencode(var.role_groups) : ""
+    OWN_TASKS_ONLY_ROLES = var.own_tasks_only_roles
+    WORKSPACE_CONFIG     = length(var.workspace_config) > 0 ? jsonencode(var.workspace_config) : ""
+    SIGNING_KEYS         = length(var.signing_keys) > 0 ? jsonencode(var.signing_keys) : ""
+  }
+}
+
 # Create Task Lambda
 resource "aws_lambda_function" "create_task" {
   filename         = "lambda-functions.zip"
@@ -74,9 +89,32 @@ resource "aws_lambda_function" "create_task" {
   layers = [aws_lambda_layer_version.shared_layer.arn]
 
   environment {
-    variables = {
+    variables = merge(local.auth_environment, {
+      TABLE_NAME = aws_dynamodb_table.engineering_tasks.name
+    })
+  }
+
+  lifecycle {
+    ignore_changes = [source_code_hash]
+  }
+}
+
+# Batch Tasks Lambda
+resource "aws_lambda_function" "batch_tasks" {
+  filename         = "lambda-functions.zip"
+  function_name    = "engineering-task-api-batch"
+  role            = aws_iam_role.lambda_role.arn
+  handler         = "handlers/batchTasks.handler"
+  runtime         = var.lambda_runtime
+  source_code_hash = fileexists("lambda-functions.zip") ? filebase64sha256("lambda-functions.zip") : null
+  timeout         = 60
+
+  layers = [aws_lambda_layer_version.shared_layer.arn]
+
+  environment {
+    variables = merge(local.auth_environment, {
       TABLE_NAME = aws_dynamodb_table.engineering_tasks.name
-    }
+    })
   }
 
   lifecycle {
@@ -97,9 +135,9 @@ resource "aws_lambda_function" "get_task" {
   layers = [aws_lambda_layer_version.shared_layer.arn]
 
   environment {
-    variables = {
+    variables = merge(local.auth_environment, {
       TABLE_NAME = aws_dynamodb_table.engineering_tasks.name
-    }
+    })
   }
 
   lifecycle {
@@ -120,9 +158,34 @@ resource "aws_lambda_function" "update_task" {
   layers = [aws_lambda_layer_version.shared_layer.arn]
 
   environment {
-    variables = {
-      TABLE_NAME = aws_dynamodb_table.engineering_tasks.name
-    }
+    variables = merge(local.auth_environment, {
+      TABLE_NAME       = aws_dynamodb_table.engineering_tasks.name
+      REQUIRE_IF_MATCH = var.require_if_match
+    })
+  }
+
+  lifecycle {
+    ignore_changes = [source_code_hash]
+  }
+}
+
+# Patch Task Lambda
+resource "aws_lambda_function" "patch_task" {
+  filename         = "lambda-functions.zip"
+  function_name    = "engineering-task-api-patch"
+  role            = aws_iam_role.lambda_role.arn
+  handler         = "handlers/patchTask.handler"
+  runtime         = var.lambda_runtime
+  source_code_hash = fileexists("lambda-functions.zip") ? filebase64sha256("lambda-functions.zip") : null
+  timeout         = 30
+
+  layers = [aws_lambda_layer_version.shared_layer.arn]
+
+  environment {
+    variables = merge(local.auth_environment, {
+      TABLE_NAME       = aws_dynamodb_table.engineering_tasks.name
+      REQUIRE_IF_MATCH = var.require_if_match
+    })
   }
 
   lifecycle {
@@ -143,9 +206,10 @@ resource "aws_lambda_function" "delete_task" {
   layers = [aws_lambda_layer_version.shared_layer.arn]
 
   environment {
-    variables = {
-      TABLE_NAME = aws_dynamodb_table.engineering_tasks.name
-    }
+    variables = merge(local.auth_environment, {
+      TABLE_NAME       = aws_dynamodb_table.engineering_tasks.name
+      REQUIRE_IF_MATCH = var.require_if_match
+    })
   }
 
   lifecycle {
@@ -166,9 +230,295 @@ resource "aws_lambda_function" "list_tasks" {
   layers = [aws_lambda_layer_version.shared_layer.arn]
 
   environment {
-    variables = {
+    variables = merge(local.auth_environment, {
+      TABLE_NAME        = aws_dynamodb_table.engineering_tasks.name
+      PAGINATION_SECRET = var.pagination_secret
+    })
+  }
+
+  lifecycle {
+    ignore_changes = [source_code_hash]
+  }
+}
+
+# Search Tasks Lambda
+resource "aws_lambda_function" "search_tasks" {
+  filename         = "lambda-functions.zip"
+  function_name    = "engineering-task-api-search"
+  role            = aws_iam_role.lambda_role.arn
+  handler         = "handlers/searchTasks.handler"
+  runtime         = var.lambda_runtime
+  source_code_hash = fileexists("lambda-functions.zip") ? filebase64sha256("lambda-functions.zip") : null
+  timeout         = 30
+
+  layers = [aws_lambda_layer_version.shared_layer.arn]
+
+  environment {
+    variables = merge(local.auth_environment, {
+      TABLE_NAME        = aws_dynamodb_table.engineering_tasks.name
+      PAGINATION_SECRET = var.pagination_secret
+    })
+  }
+
+  lifecycle {
+    ignore_changes = [source_code_hash]
+  }
+}
+
+# Create Comment Lambda
+resource "aws_lambda_function" "create_comment" {
+  filename         = "lambda-functions.zip"
+  function_name    = "engineering-task-api-create-comment"
+  role            = aws_iam_role.lambda_role.arn
+  handler         = "handlers/createComment.handler"
+  runtime         = var.lambda_runtime
+  source_code_hash = fileexists("lambda-functions.zip") ? filebase64sha256("lambda-functions.zip") : null
+  timeout         = 30
+
+  layers = [aws_lambda_layer_version.shared_layer.arn]
+
+  environment {
+    variables = merge(local.auth_environment, {
+      TABLE_NAME = aws_dynamodb_table.engineering_tasks.name
+    })
+  }
+
+  lifecycle {
+    ignore_changes = [source_code_hash]
+  }
+}
+
+# List Comments Lambda
+resource "aws_lambda_function" "list_comments" {
+  filename         = "lambda-functions.zip"
+  function_name    = "engineering-task-api-list-comments"
+  role            = aws_iam_role.lambda_role.arn
+  handler         = "handlers/listComments.handler"
+  runtime         = var.lambda_runtime
+  source_code_hash = fileexists("lambda-functions.zip") ? filebase64sha256("lambda-functions.zip") : null
+  timeout         = 30
+
+  layers = [aws_lambda_layer_version.shared_layer.arn]
+
+  environment {
+    variables = merge(local.auth_environment, {
+      TABLE_NAME        = aws_dynamodb_table.engineering_tasks.name
+      PAGINATION_SECRET = var.pagination_secret
+    })
+  }
+
+  lifecycle {
+    ignore_changes = [source_code_hash]
+  }
+}
+
+# Delete Comment Lambda
+resource "aws_lambda_function" "delete_comment" {
+  filename         = "lambda-functions.zip"
+  function_name    = "engineering-task-api-delete-comment"
+  role            = aws_iam_role.lambda_role.arn
+  handler         = "handlers/deleteComment.handler"
+  runtime         = var.lambda_runtime
+  source_code_hash = fileexists("lambda-functions.zip") ? filebase64sha256("lambda-functions.zip") : null
+  timeout         = 30
+
+  layers = [aws_lambda_layer_version.shared_layer.arn]
+
+  environment {
+    variables = merge(local.auth_environment, {
+      TABLE_NAME = aws_dynamodb_table.engineering_tasks.name
+    })
+  }
+
+  lifecycle {
+    ignore_changes = [source_code_hash]
+  }
+}
+
+# List Subtasks Lambda
+resource "aws_lambda_function" "list_subtasks" {
+  filename         = "lambda-functions.zip"
+  function_name    = "engineering-task-api-list-subtasks"
+  role            = aws_iam_role.lambda_role.arn
+  handler         = "handlers/listSubtasks.handler"
+  runtime         = var.lambda_runtime
+  source_code_hash = fileexists("lambda-functions.zip") ? filebase64sha256("lambda-functions.zip") : null
+  timeout         = 30
+
+  layers = [aws_lambda_layer_version.shared_layer.arn]
+
+  environment {
+    variables = merge(local.auth_environment, {
+      TABLE_NAME        = aws_dynamodb_table.engineering_tasks.name
+      PAGINATION_SECRET = var.pagination_secret
+    })
+  }
+
+  lifecycle {
+    ignore_changes = [source_code_hash]
+  }
+}
+
+# Add Dependency Lambda
+resource "aws_lambda_function" "add_dependency" {
+  filename         = "lambda-functions.zip"
+  function_name    = "engineering-task-api-add-dependency"
+  role            = aws_iam_role.lambda_role.arn
+  handler         = "handlers/addDependency.handler"
+  runtime         = var.lambda_runtime
+  source_code_hash = fileexists("lambda-functions.zip") ? filebase64sha256("lambda-functions.zip") : null
+  timeout         = 30
+
+  layers = [aws_lambda_layer_version.shared_layer.arn]
+
+  environment {
+    variables = merge(local.auth_environment, {
+      TABLE_NAME = aws_dynamodb_table.engineering_tasks.name
+    })
+  }
+
+  lifecycle {
+    ignore_changes = [source_code_hash]
+  }
+}
+
+# Remove Dependency Lambda
+resource "aws_lambda_function" "remove_dependency" {
+  filename         = "lambda-functions.zip"
+  function_name    = "engineering-task-api-remove-dependency"
+  role            = aws_iam_role.lambda_role.arn
+  handler         = "handlers/removeDependency.handler"
+  runtime         = var.lambda_runtime
+  source_code_hash = fileexists("lambda-functions.zip") ? filebase64sha256("lambda-functions.zip") : null
+  timeout         = 30
+
+  layers = [aws_lambda_layer_version.shared_layer.arn]
+
+  environment {
+    variables = merge(local.auth_environment, {
+      TABLE_NAME = aws_dynamodb_table.engineering_tasks.name
+    })
+  }
+
+  lifecycle {
+    ignore_changes = [source_code_hash]
+  }
+}
+
+# Get Task History Lambda
+resource "aws_lambda_function" "get_task_history" {
+  filename         = "lambda-functions.zip"
+  function_name    = "engineering-task-api-get-history"
+  role            = aws_iam_role.lambda_role.arn
+  handler         = "handlers/getTaskHistory.handler"
+  runtime         = var.lambda_runtime
+  source_code_hash = fileexists("lambda-functions.zip") ? filebase64sha256("lambda-functions.zip") : null
+  timeout         = 30
+
+  layers = [aws_lambda_layer_version.shared_layer.arn]
+
+  environment {
+    variables = merge(local.auth_environment, {
+      TABLE_NAME        = aws_dynamodb_table.engineering_tasks.name
+      PAGINATION_SECRET = var.pagination_secret
+    })
+  }
+
+  lifecycle {
+    ignore_changes = [source_code_hash]
+  }
+}
+
+# Issue API Key Lambda
+resource "aws_lambda_function" "create_api_key" {
+  filename         = "lambda-functions.zip"
+  function_name    = "engineering-task-api-create-api-key"
+  role            = aws_iam_role.lambda_role.arn
+  handler         = "handlers/createApiKey.handler"
+  runtime         = var.lambda_runtime
+  source_code_hash = fileexists("lambda-functions.zip") ? filebase64sha256("lambda-functions.zip") : null
+  timeout         = 30
+
+  layers = [aws_lambda_layer_version.shared_layer.arn]
+
+  environment {
+    variables = merge(local.auth_environment, {
+      TABLE_NAME = aws_dynamodb_table.engineering_tasks.name
+      API_KEY    = var.bootstrap_api_key
+    })
+  }
+
+  lifecycle {
+    ignore_changes = [source_code_hash]
+  }
+}
+
+# List API Keys Lambda
+resource "aws_lambda_function" "list_api_keys" {
+  filename         = "lambda-functions.zip"
+  function_name    = "engineering-task-api-list-api-keys"
+  role            = aws_iam_role.lambda_role.arn
+  handler         = "handlers/listApiKeys.handler"
+  runtime         = var.lambda_runtime
+  source_code_hash = fileexists("lambda-functions.zip") ? filebase64sha256("lambda-functions.zip") : null
+  timeout         = 30
+
+  layers = [aws_lambda_layer_version.shared_layer.arn]
+
+  environment {
+    variables = merge(local.auth_environment, {
+      TABLE_NAME        = aws_dynamodb_table.engineering_tasks.name
+      PAGINATION_SECRET = var.pagination_secret
+      API_KEY           = var.bootstrap_api_key
+    })
+  }
+
+  lifecycle {
+    ignore_changes = [source_code_hash]
+  }
+}
+
+# Rotate API Key Lambda
+resource "aws_lambda_function" "rotate_api_key" {
+  filename         = "lambda-functions.zip"
+  function_name    = "engineering-task-api-rotate-api-key"
+  role            = aws_iam_role.lambda_role.arn
+  handler         = "handlers/rotateApiKey.handler"
+  runtime         = var.lambda_runtime
+  source_code_hash = fileexists("lambda-functions.zip") ? filebase64sha256("lambda-functions.zip") : null
+  timeout         = 30
+
+  layers = [aws_lambda_layer_version.shared_layer.arn]
+
+  environment {
+    variables = merge(local.auth_environment, {
+      TABLE_NAME = aws_dynamodb_table.engineering_tasks.name
+      API_KEY    = var.bootstrap_api_key
+    })
+  }
+
+  lifecycle {
+    ignore_changes = [source_code_hash]
+  }
+}
+
+# Revoke API Key Lambda
+resource "aws_lambda_function" "revoke_api_key" {
+  filename         = "lambda-functions.zip"
+  function_name    = "engineering-task-api-revoke-api-key"
+  role            = aws_iam_role.lambda_role.arn
+  handler         = "handlers/revokeApiKey.handler"
+  runtime         = var.lambda_runtime
+  source_code_hash = fileexists("lambda-functions.zip") ? filebase64sha256("lambda-functions.zip") : null
+  timeout         = 30
+
+  layers = [aws_lambda_layer_version.shared_layer.arn]
+
+  environment {
+    variables = merge(local.auth_environment, {
       TABLE_NAME = aws_dynamodb_table.engineering_tasks.name
-    }
+      API_KEY    = var.bootstrap_api_key
+    })
   }
 
   lifecycle {
@@ -30,17 +30,17 @@ resource "aws_dynamodb_table" "engineering_tasks" {
   }
 
   attribute {
-    name = "assignee"
+    name = "workspaceAssignee"
     type = "S"
   }
 
   attribute {
-    name = "status"
+    name = "workspaceStatus"
     type = "S"
   }
 
   attribute {
-    name = "priority"
+    name = "workspacePriority"
     type = "S"
   }
 
@@ -54,10 +54,35 @@ resource "aws_dynamodb_table" "engineering_tasks" {
     type = "S"
   }
 
-  # GSI1 - Assignee Index
+  attribute {
+    name = "workspaceParentId"
+    type = "S"
+  }
+
+  attribute {
+    name = "listShard"
+    type = "S"
+  }
+
+  attribute {
+    name = "listKey"
+    type = "S"
+  }
+
+  attribute {
+    name = "assigneeStatus"
+    type = "S"
+  }
+
+  attribute {
+    name = "statusPriority"
+    type = "S"
+  }
+
+  # GSI1 - Assignee Index (hash keys of GSI1-GSI4 are scoped to the workspace: WS#<ws>#<value>)
   global_secondary_index {
     name            = "GSI1"
-    hash_key        = "assignee"
+    hash_key        = "workspaceAssignee"
     range_key       = "dueDate"
     projection_type = "ALL"
   }
@@ -65,7 +90,7 @@ resource "aws_dynamodb_table" "engineering_tasks" {
   # GSI2 - Status Index
   global_secondary_index {
     name            = "GSI2"
-    hash_key        = "status"
+    hash_key        = "workspaceStatus"
     range_key       = "createdAt"
     projection_type = "ALL"
   }
@@ -73,11 +98,49 @@ resource "aws_dynamodb_table" "engineering_tasks" {
   # GSI3 - Priority Index
   global_secondary_index {
     name            = "GSI3"
-    hash_key        = "priority"
+    hash_key        = "workspacePriority"
     range_key       = "createdAt"
     projection_type = "ALL"
   }
 
+  # GSI4 - Parent Index (sparse: only subtasks carry workspaceParentId)
+  global_secondary_index {
+    name            = "GSI4"
+    hash_key        = "workspaceParentId"
+    range_key       = "createdAt"
+    projection_type = "ALL"
+  }
+
+  # GSI5 - List Index (sparse: only task items carry listShard, sharded by task ID)
+  global_secondary_index {
+    name            = "GSI5"
+    hash_key        = "listShard"
+    range_key       = "listKey"
+    projection_type = "ALL"
+  }
+
+  # GSI6 - Assignee#Status Index (sparse: only assigned tasks carry assigneeStatus)
+  global_secondary_index {
+    name            = "GSI6"
+    hash_key        = "assigneeStatus"
+    range_key       = "createdAt"
+    projection_type = "ALL"
+  }
+
+  # GSI7 - Status#Priority Index
+  global_secondary_index {
+    name            = "GSI7"
+    hash_key        = "statusPriority"
+    range_key       = "createdAt"
+    projection_type = "ALL"
+  }
+
+  # Idempotency records expire after 24 hours, signed request nonces once their timestamp is too old to accept
+  ttl {
+    attribute_name = "expiresAt"
+    enabled        = true
+  }
+
   tags = {
     Name        = "engineering-tasks"
     Environment = var.environment
@@ -15,3 +15,72 @@ variable "lambda_runtime" {
   type        = string
   default     = "nodejs20.x"
 }
+
+variable "require_if_match" {
+  description = "Reject task updates and deletes that do not send an If-Match header"
+  type        = string
+  default     = "false"
+}
+
+variable "pagination_secret" {
+  description = "Secret used to sign list pagination tokens; changing it invalidates outstanding tokens"
+  type        = string
+  sensitive   = true
+}
+
+variable "bootstrap_api_key" {
+  description = "Key accepted with every scope by the API key admin endpoints, for issuing the first keys; empty disables it"
+  type        = string
+  default     = ""
+  sensitive   = true
+}
+
+variable "jwks_url" {
+  description = "URL of the JWKS used to verify bearer tokens; empty disables bearer tokens"
+  type        = string
+  default     = ""
+}
+
+variable "jwt_issuer" {
+  description = "Issuer (iss) bearer tokens must have"
+  type        = string
+  default     = ""
+}
+
+variable "jwt_audience" {
+  description = "Audience (aud) bearer tokens must include"
+  type        = string
+  default     = ""
+}
+
+variable "role_groups" {
+  description = "Bearer token groups mapped to roles (viewer, member or lead); empty leaves users without a role"
+  type        = map(string)
+  default     = {}
+}
+
+variable "own_tasks_only_roles" {
+  description = "Comma-separated roles that only see tasks assigned to the caller"
+  type        = string
+  default     = ""
+}
+
+variable "workspace_config" {
+  description = "Per-workspace settings by workspace ID; workspaces left out allow every status and default to P2"
+  type = map(object({
+    statuses        = optional(list(string))
+    defaultPriority = optional(string)
+  }))
+  default = {}
+}
+
+variable "signing_keys" {
+  description = "Shared secrets for HMAC-signed requests by signing key ID; empty disables signed requests"
+  type = map(object({
+    secret    = string
+    scopes    = list(string)
+    workspace = optional(string)
+  }))
+  default   = {}
+  sensitive = true
+}
@@ -1,9 +1,26 @@
-const { validateApiKey } = require('../../src/lib/auth');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  validateApiKey,
+  authenticate,
+  requireScope,
+  generateApiKey,
+  getCaller,
+  getCallerIdentity,
+  getCallerName,
+  getWorkspace
+} = require('../../src/lib/auth');
+const { getApiKey, claimSigningNonce } = require('../../src/lib/dynamodb');
+
+jest.mock('../../src/lib/dynamodb');
 
 describe('Auth Module', () => {
   const originalEnv = process.env;
 
   beforeEach(() => {
+    jest.clearAllMocks();
     process.env = { ...originalEnv };
     process.env.API_KEY = 'test-api-key-12345';
   });
@@ -13,118 +30,658 @@ describe('Auth Module', () => {
   });
 
   describe('validateApiKey', () => {
-    test('should return null for valid API key in lowercase header', () => {
+    test('should return null for valid API key in lowercase header', async () => {
       const event = {
         headers: {
           'x-api-key': 'test-api-key-12345'
         }
       };
-      const result = validateApiKey(event);
+      const result = await validateApiKey(event, 'tasks:read');
       expect(result).toBeNull();
     });
 
-    test('should return null for valid API key in mixed case header', () => {
+    test('should return null for valid API key in mixed case header', async () => {
       const event = {
         headers: {
           'X-Api-Key': 'test-api-key-12345'
         }
       };
-      const result = validateApiKey(event);
+      const result = await validateApiKey(event, 'tasks:read');
       expect(result).toBeNull();
     });
 
-    test('should return 401 for missing API key', () => {
+    test('should return 401 for missing API key', async () => {
       const event = {
         headers: {}
       };
-      const result = validateApiKey(event);
+      const result = await validateApiKey(event, 'tasks:read');
       expect(result.statusCode).toBe(401);
       expect(JSON.parse(result.body).error).toBe('Missing API key');
     });
 
-    test('should return 401 for missing headers object', () => {
+    test('should return 401 for missing headers object', async () => {
       const event = {};
-      const result = validateApiKey(event);
+      const result = await validateApiKey(event, 'tasks:read');
       expect(result.statusCode).toBe(401);
       expect(JSON.parse(result.body).error).toBe('Missing API key');
     });
 
-    test('should return 401 for invalid API key', () => {
+    test('should return 401 for invalid API key', async () => {
       const event = {
         headers: {
           'x-api-key': 'wrong-key'
         }
       };
-      const result = validateApiKey(event);
+      const result = await validateApiKey(event, 'tasks:read');
       expect(result.statusCode).toBe(401);
       expect(JSON.parse(result.body).error).toBe('Invalid API key');
     });
 
-    test('should return 401 for empty API key', () => {
+    test('should return 401 for empty API key', async () => {
       const event = {
         headers: {
           'x-api-key': ''
         }
       };
-      const result = validateApiKey(event);
+      const result = await validateApiKey(event, 'tasks:read');
       expect(result.statusCode).toBe(401);
       expect(JSON.parse(result.body).error).toBe('Missing API key');
     });
 
-    test('should return 500 if API_KEY environment variable is not set', () => {
+    test('should reject unissued keys if API_KEY environment variable is not set', async () => {
       delete process.env.API_KEY;
       const event = {
         headers: {
           'x-api-key': 'some-key'
         }
       };
-      const result = validateApiKey(event);
-      expect(result.statusCode).toBe(500);
-      expect(JSON.parse(result.body).error).toBe('Internal server error');
+      const result = await validateApiKey(event, 'tasks:read');
+      expect(result.statusCode).toBe(401);
+      expect(JSON.parse(result.body).error).toBe('Invalid API key');
+      expect(getApiKey).not.toHaveBeenCalled();
     });
 
-    test('should return 500 if API_KEY environment variable is empty', () => {
+    test('should reject unissued keys if API_KEY environment variable is empty', async () => {
       process.env.API_KEY = '';
       const event = {
         headers: {
           'x-api-key': 'some-key'
         }
       };
-      const result = validateApiKey(event);
-      expect(result.statusCode).toBe(500);
-      expect(JSON.parse(result.body).error).toBe('Internal server error');
+      const result = await validateApiKey(event, 'tasks:read');
+      expect(result.statusCode).toBe(401);
+      expect(JSON.parse(result.body).error).toBe('Invalid API key');
+      expect(getApiKey).not.toHaveBeenCalled();
     });
 
-    test('should handle null headers', () => {
+    test('should handle null headers', async () => {
       const event = {
         headers: null
       };
-      const result = validateApiKey(event);
+      const result = await validateApiKey(event, 'tasks:read');
       expect(result.statusCode).toBe(401);
       expect(JSON.parse(result.body).error).toBe('Missing API key');
     });
   });
 
+  describe('issued API keys', () => {
+    const { keyId, apiKey, hash } = generateApiKey();
+    const keyEvent = { headers: { 'x-api-key': apiKey } };
+
+    beforeEach(() => {
+      getApiKey.mockResolvedValue({ keyId, hash, scopes: ['tasks:read', 'tasks:write'], disabled: false, expiresAt: null });
+    });
+
+    test('should generate prefixed keys and store only their hash', () => {
+      expect(keyId).toMatch(/^[0-9a-f]{12}$/);
+      expect(apiKey.startsWith(`tk_${keyId}_`)).toBe(true);
+      expect(hash).toMatch(/^[0-9a-f]{64}$/);
+      expect(hash).not.toContain(apiKey);
+    });
+
+    test('should keep the key ID when rotating', () => {
+      const rotated = generateApiKey(keyId);
+
+      expect(rotated.keyId).toBe(keyId);
+      expect(rotated.apiKey).not.toBe(apiKey);
+      expect(rotated.hash).not.toBe(hash);
+    });
+
+    test('should accept a stored key with the required scope', async () => {
+      const result = await validateApiKey(keyEvent, 'tasks:write');
+
+      expect(result).toBeNull();
+      expect(getApiKey).toHaveBeenCalledWith(keyId);
+    });
+
+    test('should return the caller with its scopes', async () => {
+      const { caller } = await authenticate(keyEvent);
+
+      expect(caller).toEqual({ type: 'apiKey', id: keyId, name: null, scopes: ['tasks:read', 'tasks:write'], workspace: 'default' });
+    });
+
+    test('should place the caller in the workspace the key was issued for', async () => {
+      getApiKey.mockResolvedValue({ keyId, hash, scopes: ['tasks:read'], workspace: 'acme' });
+
+      await validateApiKey(keyEvent, 'tasks:read');
+
+      expect(getWorkspace(keyEvent)).toBe('acme');
+    });
+
+    test('should return 403 when the key lacks the scope', async () => {
+      const result = await validateApiKey(keyEvent, 'tasks:delete');
+
+      expect(result.statusCode).toBe(403);
+      expect(JSON.parse(result.body).error).toBe('API key does not have the tasks:delete scope');
+    });
+
+    test('should return 401 for a key whose secret does not match', async () => {
+      const result = await validateApiKey({ headers: { 'x-api-key': `tk_${keyId}_wrongsecret` } }, 'tasks:read');
+
+      expect(result.statusCode).toBe(401);
+      expect(JSON.parse(result.body).error).toBe('Invalid API key');
+    });
+
+    test('should return 401 for an unknown key', async () => {
+      getApiKey.mockResolvedValue(null);
+
+      const result = await validateApiKey(keyEvent, 'tasks:read');
+
+      expect(result.statusCode).toBe(401);
+      expect(JSON.parse(result.body).error).toBe('Invalid API key');
+    });
+
+    test('should return 401 for a revoked key', async () => {
+      getApiKey.mockResolvedValue({ keyId, hash, scopes: ['tasks:read'], disabled: true });
+
+      const result = await validateApiKey(keyEvent, 'tasks:read');
+
+      expect(result.statusCode).toBe(401);
+      expect(JSON.parse(result.body).error).toBe('API key has been revoked');
+    });
+
+    test('should return 401 for an expired key', async () => {
+      getApiKey.mockResolvedValue({ keyId, hash, scopes: ['tasks:read'], expiresAt: '2020-01-01T00:00:00.000Z' });
+
+      const result = await validateApiKey(keyEvent, 'tasks:read');
+
+      expect(result.statusCode).toBe(401);
+      expect(JSON.parse(result.body).error).toBe('API key has expired');
+    });
+
+    test('should return 500 when the key cannot be looked up', async () => {
+      getApiKey.mockRejectedValue(new Error('Service temporarily unavailable'));
+
+      const result = await validateApiKey(keyEvent, 'tasks:read');
+
+      expect(result.statusCode).toBe(500);
+      expect(JSON.parse(result.body).error).toBe('Internal server error: validating API key');
+    });
+
+    test('should grant every scope to the API_KEY environment key', async () => {
+      const event = { headers: { 'x-api-key': 'test-api-key-12345' } };
+      const result = await validateApiKey(event, 'keys:admin');
+
+      expect(result).toBeNull();
+      expect(getApiKey).not.toHaveBeenCalled();
+      expect(getWorkspace(event)).toBe('default');
+    });
+
+    test('should identify the caller by key ID', () => {
+      expect(getCallerIdentity(keyEvent)).toEqual({ type: 'apiKey', id: keyId });
+    });
+
+    test('should name the caller after the key, or its ID when it has no name', async () => {
+      getApiKey.mockResolvedValueOnce({ keyId, hash, name: 'CI pipeline', scopes: ['tasks:read'] });
+      const namedEvent = { headers: { 'x-api-key': apiKey } };
+      await validateApiKey(namedEvent, 'tasks:read');
+
+      expect(getCallerName(namedEvent)).toBe('CI pipeline');
+
+      await validateApiKey(keyEvent, 'tasks:read');
+      expect(getCallerName(keyEvent)).toBe(keyId);
+    });
+  });
+
+  describe('bearer tokens', () => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-jwks-'));
+    const jwksFile = path.join(tempDir, 'jwks.json');
+    const claims = {
+      iss: 'https://login.example.com',
+      aud: 'engineering-task-api',
+      sub: 'user-123',
+      email: 'alice@example.com',
+      groups: ['platform-team'],
+      exp: Math.floor(Date.now() / 1000) + 300
+    };
+
+    /**
+     * Builds an event carrying a bearer token signed with the test key
+     * @param {Object} tokenClaims - Token payload
+     * @returns {Object} Lambda event
+     */
+    const bearerEvent = (tokenClaims) => {
+      const header = Buffer.from(JSON.stringify({ alg: 'ES256', kid: 'test' })).toString('base64url');
+      const payload = Buffer.from(JSON.stringify(tokenClaims)).toString('base64url');
+      const signature = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), { key: privateKey, dsaEncoding: 'ieee-p1363' });
+
+      return { headers: { Authorization: `Bearer ${header}.${payload}.${signature.toString('base64url')}` } };
+    };
+
+    beforeAll(() => {
+      fs.writeFileSync(jwksFile, JSON.stringify({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test' }] }));
+    });
+
+    afterAll(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+      process.env.JWKS_FILE = jwksFile;
+      process.env.JWT_ISSUER = 'https://login.example.com';
+      process.env.JWT_AUDIENCE = 'engineering-task-api';
+    });
+
+    test('should accept a valid token and expose the user to handlers', async () => {
+      const event = bearerEvent(claims);
+
+      expect(await validateApiKey(event, 'tasks:write')).toBeNull();
+      expect(getCaller(event)).toEqual({
+        type: 'user',
+        id: 'user-123',
+        email: 'alice@example.com',
+        groups: ['platform-team'],
+        scopes: ['tasks:read', 'tasks:write', 'tasks:delete'],
+        workspace: 'default'
+      });
+      expect(getCallerIdentity(event)).toEqual({ type: 'user', id: 'user-123' });
+      expect(getCallerName(event)).toBe('alice@example.com');
+      expect(getApiKey).not.toHaveBeenCalled();
+    });
+
+    test('should not grant users the keys:admin scope by default', async () => {
+      const result = await validateApiKey(bearerEvent(claims), 'keys:admin');
+
+      expect(result.statusCode).toBe(403);
+    });
+
+    test('should grant the scopes configured in JWT_SCOPES', async () => {
+      process.env.JWT_SCOPES = 'tasks:read, keys:admin, unknown';
+      const event = bearerEvent(claims);
+
+      expect(await validateApiKey(event, 'tasks:read')).toBeNull();
+      expect(getCaller(event).scopes).toEqual(['tasks:read', 'keys:admin']);
+    });
+
+    test('should read groups from the claim named in JWT_GROUPS_CLAIM', async () => {
+      process.env.JWT_GROUPS_CLAIM = 'roles';
+      const event = bearerEvent({ ...claims, roles: ['lead', 42] });
+
+      await validateApiKey(event, 'tasks:read');
+
+      expect(getCaller(event).groups).toEqual(['lead']);
+    });
+
+    test('should read the workspace from the claim named in JWT_WORKSPACE_CLAIM', async () => {
+      const event = bearerEvent({ ...claims, workspace: 'acme' });
+      process.env.JWT_WORKSPACE_CLAIM = 'tenant';
+      const tenantEvent = bearerEvent({ ...claims, workspace: 'acme', tenant: 'globex' });
+
+      await validateApiKey(tenantEvent, 'tasks:read');
+      delete process.env.JWT_WORKSPACE_CLAIM;
+      await validateApiKey(event, 'tasks:read');
+
+      expect(getWorkspace(event)).toBe('acme');
+      expect(getWorkspace(tenantEvent)).toBe('globex');
+    });
+
+    test('should return 401 for a token naming an invalid workspace', async () => {
+      const result = await validateApiKey(bearerEvent({ ...claims, workspace: 'WS#acme' }), 'tasks:read');
+
+      expect(result.statusCode).toBe(401);
+      expect(JSON.parse(result.body).error).toBe('Bearer token workspace is invalid');
+    });
+
+    test('should return 401 for an invalid token', async () => {
+      const result = await validateApiKey(bearerEvent({ ...claims, exp: 1000 }), 'tasks:read');
+
+      expect(result.statusCode).toBe(401);
+      expect(JSON.parse(result.body).error).toBe('Bearer token has expired');
+    });
+
+    test('should return 401 when bearer tokens are not configured', async () => {
+      delete process.env.JWKS_FILE;
+
+      const result = await validateApiKey(bearerEvent(claims), 'tasks:read');
+
+      expect(result.statusCode).toBe(401);
+      expect(JSON.parse(result.body).error).toBe('Bearer tokens are not accepted');
+    });
+
+    test('should not trust an email the issuer has not verified', async () => {
+      const event = bearerEvent({ ...claims, email_verified: false });
+
+      expect(await validateApiKey(event, 'tasks:read')).toBeNull();
+      expect(getCaller(event).email).toBeNull();
+      expect(getCallerName(event)).toBe('user-123');
+
+      const verifiedEvent = bearerEvent({ ...claims, email_verified: true });
+      await validateApiKey(verifiedEvent, 'tasks:read');
+      expect(getCaller(verifiedEvent).email).toBe('alice@example.com');
+    });
+
+    test('should return 503 when the JWKS URL cannot be fetched', async () => {
+      delete process.env.JWKS_FILE;
+      process.env.JWKS_URL = 'https://login.example.com/unreachable-jwks.json';
+      const fetchSpy = jest.spyOn(global, 'fetch').mockRejectedValue(new Error('connect ETIMEDOUT'));
+
+      const result = await validateApiKey(bearerEvent(claims), 'tasks:read');
+
+      expect(result.statusCode).toBe(503);
+      expect(JSON.parse(result.body).error).toBe('Service temporarily unavailable');
+      fetchSpy.mockRestore();
+    });
+
+    test('should return 500 when the JWKS cannot be loaded', async () => {
+      process.env.JWKS_FILE = path.join(tempDir, 'missing.json');
+
+      const result = await validateApiKey(bearerEvent(claims), 'tasks:read');
+
+      expect(result.statusCode).toBe(500);
+      expect(JSON.parse(result.body).error).toBe('Internal server error: validating bearer token');
+    });
+  });
+
+  describe('signed requests', () => {
+    const secret = 'bot-shared-secret';
+    let nonceCount = 0;
+
+    /**
+     * Builds an event signed the way clients are told to sign requests
+     * @param {Object} [options] - Request parts and signing overrides
+     * @returns {Object} Lambda event
+     */
+    const signedEvent = (options = {}) => {
+      const {
+        method = 'POST',
+        path: requestPath = '/tasks',
+        query = null,
+        body = JSON.stringify({ description: 'Deploy' }),
+        timestamp = String(Math.floor(Date.now() / 1000)),
+        nonce = `nonce-${String(nonceCount += 1).padStart(12, '0')}`,
+        keyId = 'deploy-bot',
+        signingSecret = secret
+      } = options;
+      const sortedQuery = Object.entries(query || {})
+        .map(([name, value]) => `${encodeURIComponent(name)}=${encodeURIComponent(value)}`)
+        .sort()
+        .join('&');
+      const bodyHash = crypto.createHash('sha256').update(body || '').digest('hex');
+      const signature = crypto.createHmac('sha256', signingSecret)
+        .update([method, requestPath, sortedQuery, bodyHash, timestamp, nonce].join('\n'))
+        .digest('hex');
+
+      return {
+        httpMethod: method,
+        path: requestPath,
+        queryStringParameters: query,
+        body,
+        headers: {
+          'X-Signature-Key-Id': keyId,
+          'X-Signature-Timestamp': timestamp,
+          'X-Signature-Nonce': nonce,
+          'X-Signature': signature
+        }
+      };
+    };
+
+    /**
+     * Authenticates an event and returns the error message it is refused with
+     * @param {Object} event - Lambda event
+     * @returns {Promise<string>} Error message
+     */
+    const refusal = async (event) => JSON.parse((await authenticate(event)).error.body).error;
+
+    beforeEach(() => {
+      process.env.SIGNING_KEYS = JSON.stringify({
+        'deploy-bot': { secret, scopes: ['tasks:read', 'tasks:write'], workspace: 'acme' },
+        'report-bot': { secret: 'other-secret', scopes: ['tasks:read'] }
+      });
+      claimSigningNonce.mockResolvedValue(true);
+    });
+
+    test('should accept a signed request and expose the key to handlers', async () => {
+      const event = signedEvent();
+
+      expect(await validateApiKey(event, 'tasks:write')).toBeNull();
+      expect(getCaller(event)).toEqual({
+        type: 'signingKey',
+        id: 'deploy-bot',
+        scopes: ['tasks:read', 'tasks:write'],
+        workspace: 'acme'
+      });
+      expect(getCallerIdentity(event)).toEqual({ type: 'signingKey', id: 'deploy-bot' });
+      expect(getApiKey).not.toHaveBeenCalled();
+    });
+
+    test('should cover the sorted query string', async () => {
+      const event = signedEvent({ method: 'GET', body: null, query: { status: 'open', assignee: 'a b@example.com' } });
+
+      expect(await validateApiKey(event, 'tasks:read')).toBeNull();
+      expect(await refusal({ ...signedEvent({ method: 'GET', body: null, query: { status: 'open' } }), queryStringParameters: { status: 'done' } }))
+        .toBe('Invalid signature');
+    });
+
+    test('should sign every value of a repeated query parameter', async () => {
+      const event = signedEvent({ method: 'GET', body: null, query: { ids: '2' } });
+      const multiValue = {
+        ...signedEvent({ method: 'GET', body: null, query: { ids: '1' } }),
+        multiValueQueryStringParameters: { ids: ['2', '1'] }
+      };
+
+      expect(await validateApiKey(event, 'tasks:read')).toBeNull();
+      expect(await refusal(multiValue)).toBe('Invalid signature');
+    });
+
+    test('should reject a tampered body, path or method', async () => {
+      const event = signedEvent();
+
+      expect(await refusal({ ...event, body: JSON.stringify({ description: 'Drop tables' }) })).toBe('Invalid signature');
+      expect(await refusal({ ...event, path: '/tasks/batch' })).toBe('Invalid signature');
+      expect(await refusal({ ...event, httpMethod: 'PUT' })).toBe('Invalid signature');
+      expect(claimSigningNonce).not.toHaveBeenCalled();
+    });
+
+    test('should reject a signature made with another secret', async () => {
+      expect(await refusal(signedEvent({ signingSecret: 'guessed-secret' }))).toBe('Invalid signature');
+    });
+
+    test('should reject timestamps outside the accepted window', async () => {
+      const now = Math.floor(Date.now() / 1000);
+
+      expect(await refusal(signedEvent({ timestamp: String(now - 301) }))).toBe('Signature timestamp is outside the accepted window');
+      expect(await refusal(signedEvent({ timestamp: String(now + 301) }))).toBe('Signature timestamp is outside the accepted window');
+      expect((await authenticate(signedEvent({ timestamp: String(now - 200) }))).caller).toBeDefined();
+    });
+
+    test('should honour SIGNATURE_MAX_AGE_SECONDS', async () => {
+      process.env.SIGNATURE_MAX_AGE_SECONDS = '60';
+
+      const result = await authenticate(signedEvent({ timestamp: String(Math.floor(Date.now() / 1000) - 90) }));
+
+      expect(result.error.statusCode).toBe(401);
+    });
+
+    test('should reject a replayed nonce', async () => {
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      const event = signedEvent({ timestamp, nonce: 'replayed-nonce-0001' });
+      claimSigningNonce.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+      expect((await authenticate(event)).caller).toBeDefined();
+      expect(await refusal({ ...event })).toBe('Signature nonce has already been used');
+      expect(claimSigningNonce).toHaveBeenCalledWith('acme', 'deploy-bot', 'replayed-nonce-0001', Number(timestamp) + 300);
+    });
+
+    test('should place keys without a workspace in the default workspace', async () => {
+      const event = signedEvent({ keyId: 'report-bot', signingSecret: 'other-secret' });
+
+      expect(await validateApiKey(event, 'tasks:read')).toBeNull();
+      expect(getWorkspace(event)).toBe('default');
+      expect((await validateApiKey(signedEvent({ keyId: 'report-bot', signingSecret: 'other-secret' }), 'tasks:write')).statusCode)
+        .toBe(403);
+    });
+
+    test('should return 401 for an unknown signing key', async () => {
+      expect(await refusal(signedEvent({ keyId: 'retired-bot' }))).toBe('Signing key is unknown');
+    });
+
+    test('should return 401 when signed requests are not configured', async () => {
+      delete process.env.SIGNING_KEYS;
+
+      expect(await refusal(signedEvent())).toBe('Signed requests are not accepted');
+    });
+
+    test('should return 500 when SIGNING_KEYS is not valid JSON', async () => {
+      process.env.SIGNING_KEYS = 'deploy-bot=secret';
+
+      const result = await validateApiKey(signedEvent(), 'tasks:read');
+
+      expect(result.statusCode).toBe(500);
+      expect(JSON.parse(result.body).error).toBe('Internal server error: validating signed request');
+      expect(claimSigningNonce).not.toHaveBeenCalled();
+    });
+
+    test('should return 500 when the nonce cannot be recorded', async () => {
+      claimSigningNonce.mockRejectedValue(new Error('Service temporarily unavailable'));
+
+      const result = await authenticate(signedEvent());
+
+      expect(result.error.statusCode).toBe(500);
+      expect(JSON.parse(result.error.body).error).toBe('Internal server error: validating signed request');
+    });
+  });
+
+  describe('requireScope', () => {
+    test('should return null when the caller holds the scope', () => {
+      expect(requireScope({ type: 'apiKey', id: 'abc', scopes: ['tasks:read'] }, 'tasks:read')).toBeNull();
+    });
+
+    test('should return 403 when the caller lacks the scope', () => {
+      expect(requireScope({ type: 'apiKey', id: 'abc', scopes: [] }, 'keys:admin').statusCode).toBe(403);
+    });
+  });
+
+  describe('getCallerIdentity', () => {
+    test('should identify caller by API key fingerprint', () => {
+      const event = {
+        headers: {
+          'x-api-key': 'test-api-key-12345'
+        }
+      };
+      const identity = getCallerIdentity(event);
+      expect(identity.type).toBe('apiKey');
+      expect(identity.id).toMatch(/^[0-9a-f]{12}$/);
+      expect(identity.id).not.toContain('test-api-key');
+    });
+
+    test('should return the same identity for both header casings', () => {
+      const lower = getCallerIdentity({ headers: { 'x-api-key': 'abc' } });
+      const mixed = getCallerIdentity({ headers: { 'X-Api-Key': 'abc' } });
+      expect(lower).toEqual(mixed);
+    });
+  });
+
   describe('Edge Cases', () => {
-    test('should handle undefined event', () => {
-      const result = validateApiKey(undefined);
+    test('should refuse to name the workspace of an unauthenticated request', () => {
+      expect(() => getWorkspace({ headers: {} })).toThrow('Request has not been authenticated');
+    });
+
+    test('should identify caller without headers', () => {
+      expect(getCallerIdentity(undefined).type).toBe('apiKey');
+    });
+
+    test('should handle undefined event', async () => {
+      const result = await validateApiKey(undefined, 'tasks:read');
       expect(result.statusCode).toBe(401);
       expect(JSON.parse(result.body).error).toBe('Missing API key');
     });
 
-    test('should handle null event', () => {
-      const result = validateApiKey(null);
+    test('should handle null event', async () => {
+      const result = await validateApiKey(null, 'tasks:read');
       expect(result.statusCode).toBe(401);
       expect(JSON.parse(result.body).error).toBe('Missing API key');
     });
 
-    test('should handle whitespace-only API key', () => {
+    test('should not look up keys that only resemble issued keys', async () => {
+      const result = await validateApiKey({ headers: { 'x-api-key': 'tk_ABC_secret' } }, 'tasks:read');
+
+      expect(result.statusCode).toBe(401);
+      expect(getApiKey).not.toHaveBeenCalled();
+    });
+
+    test('should fall back to the API key for other Authorization schemes', async () => {
+      const event = { headers: { authorization: 'Basic dXNlcjpwYXNz', 'x-api-key': 'test-api-key-12345' } };
+
+      expect(await validateApiKey(event, 'tasks:read')).toBeNull();
+      expect(getCaller(event).type).toBe('apiKey');
+    });
+
+    test('should not expose a caller for unauthenticated requests', () => {
+      expect(getCaller({ headers: {} })).toBeNull();
+      expect(getCaller(null)).toBeNull();
+    });
+
+    test('should require every signature header', async () => {
+      process.env.SIGNING_KEYS = JSON.stringify({ 'deploy-bot': { secret: 's' } });
+      const event = { httpMethod: 'GET', path: '/tasks', headers: { 'x-signature': 'abc', 'x-signature-key-id': 'deploy-bot' } };
+
+      const result = await authenticate(event);
+
+      expect(result.error.statusCode).toBe(401);
+      expect(JSON.parse(result.error.body).error)
+        .toBe('Signed requests need x-signature-key-id, x-signature-timestamp and x-signature-nonce headers');
+    });
+
+    test('should not treat inherited object properties as signing keys', async () => {
+      process.env.SIGNING_KEYS = JSON.stringify({});
+      const event = {
+        headers: {
+          'x-signature': 'abc',
+          'x-signature-key-id': 'constructor',
+          'x-signature-timestamp': String(Math.floor(Date.now() / 1000)),
+          'x-signature-nonce': 'nonce-000000000000'
+        }
+      };
+
+      expect(JSON.parse((await authenticate(event)).error.body).error).toBe('Signing key is unknown');
+    });
+
+    test('should reject malformed timestamps and nonces before checking the signature', async () => {
+      process.env.SIGNING_KEYS = JSON.stringify({ 'deploy-bot': { secret: 's' } });
+      const headers = {
+        'x-signature': 'abc',
+        'x-signature-key-id': 'deploy-bot',
+        'x-signature-timestamp': String(Math.floor(Date.now() / 1000)),
+        'x-signature-nonce': 'nonce-000000000000'
+      };
+
+      const badTimestamp = await authenticate({ headers: { ...headers, 'x-signature-timestamp': '1e3' } });
+      const badNonce = await authenticate({ headers: { ...headers, 'x-signature-nonce': 'short#1' } });
+
+      expect(JSON.parse(badTimestamp.error.body).error).toBe('Signature timestamp is outside the accepted window');
+      expect(JSON.parse(badNonce.error.body).error)
+        .toBe('Signature nonce must be 16-128 letters, digits, hyphens or underscores');
+      expect(claimSigningNonce).not.toHaveBeenCalled();
+    });
+
+    test('should handle whitespace-only API key', async () => {
       const event = {
         headers: {
           'x-api-key': '   '
         }
       };
-      const result = validateApiKey(event);
+      const result = await validateApiKey(event, 'tasks:read');
       expect(result.statusCode).toBe(401);
     });
   });
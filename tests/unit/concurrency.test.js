@@ -0,0 +1,102 @@
+const { getHeader, toETag, validateIfMatch, isNotModified, notModified } = require('../../src/lib/concurrency');
+
+describe('Concurrency Module', () => {
+  const originalEnv = process.env;
+  const task = { id: '123', version: 4 };
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  describe('toETag', () => {
+    test('should quote the task version', () => {
+      expect(toETag(task)).toBe('"4"');
+    });
+  });
+
+  describe('validateIfMatch', () => {
+    test('should return null when If-Match matches', () => {
+      const event = { headers: { 'If-Match': '"4"' } };
+      expect(validateIfMatch(event, task)).toBeNull();
+    });
+
+    test('should accept any of several listed tags', () => {
+      const event = { headers: { 'if-match': '"2", "4"' } };
+      expect(validateIfMatch(event, task)).toBeNull();
+    });
+
+    test('should accept a wildcard', () => {
+      const event = { headers: { 'if-match': '*' } };
+      expect(validateIfMatch(event, task)).toBeNull();
+    });
+
+    test('should return 412 for a stale tag', () => {
+      const event = { headers: { 'if-match': '"3"' } };
+      const result = validateIfMatch(event, task);
+
+      expect(result.statusCode).toBe(412);
+      expect(JSON.parse(result.body).error).toBe('Task has been modified; fetch the latest version and retry');
+    });
+
+    test('should allow a missing header by default', () => {
+      expect(validateIfMatch({ headers: {} }, task)).toBeNull();
+    });
+
+    test('should return 428 for a missing header when required', () => {
+      process.env.REQUIRE_IF_MATCH = 'true';
+
+      const result = validateIfMatch({ headers: {} }, task);
+
+      expect(result.statusCode).toBe(428);
+      expect(JSON.parse(result.body).error).toBe('If-Match header is required');
+    });
+  });
+
+  describe('isNotModified', () => {
+    test('should return true when If-None-Match matches', () => {
+      expect(isNotModified({ headers: { 'If-None-Match': '"4"' } }, task)).toBe(true);
+    });
+
+    test('should return false when If-None-Match differs', () => {
+      expect(isNotModified({ headers: { 'if-none-match': '"3"' } }, task)).toBe(false);
+    });
+
+    test('should return false without the header', () => {
+      expect(isNotModified({ headers: {} }, task)).toBe(false);
+    });
+  });
+
+  describe('notModified', () => {
+    test('should create an empty 304 response with the ETag', () => {
+      expect(notModified(task)).toEqual({
+        statusCode: 304,
+        headers: { ETag: '"4"' },
+        body: ''
+      });
+    });
+  });
+
+  describe('Edge Cases', () => {
+    test('should read headers whatever their casing', () => {
+      expect(getHeader({ headers: { 'IF-MATCH': '"1"' } }, 'if-match')).toBe('"1"');
+      expect(getHeader({ headers: null }, 'if-match')).toBeUndefined();
+    });
+
+    test('should treat tasks without a version as version 0', () => {
+      expect(toETag({ id: '123' })).toBe('"0"');
+    });
+
+    test('should ignore the weak validator prefix', () => {
+      expect(isNotModified({ headers: { 'if-none-match': 'W/"4"' } }, task)).toBe(true);
+    });
+
+    test('should handle events without headers', () => {
+      expect(validateIfMatch({}, task)).toBeNull();
+      expect(isNotModified({}, task)).toBe(false);
+    });
+  });
+});
@@ -11,24 +11,74 @@ jest.mock('@aws-sdk/lib-dynamodb', () => ({
   },
   PutCommand: jest.fn((params) => params),
   GetCommand: jest.fn((params) => params),
+  BatchGetCommand: jest.fn((params) => params),
   DeleteCommand: jest.fn((params) => params),
   ScanCommand: jest.fn((params) => params),
-  QueryCommand: jest.fn((params) => params)
+  QueryCommand: jest.fn((params) => params),
+  BatchWriteCommand: jest.fn((params) => params),
+  TransactWriteCommand: jest.fn((params) => params),
+  UpdateCommand: jest.fn((params) => params)
 }));
 
 const {
   putTask,
+  updateTaskAttributes,
   getTask,
+  batchGetTasks,
+  getIdempotencyRecord,
   deleteTask,
+  writeTaskBatch,
   scanTasks,
+  queryTaskList,
+  migrateLegacyItems,
   queryTasksByAssignee,
   queryTasksByStatus,
-  queryTasksByPriority
+  queryTasksByPriority,
+  queryTasksByAssigneeStatus,
+  queryTasksByStatusPriority,
+  queryTasksInPriorityOrder,
+  queryTasksByTag,
+  queryTermPostings,
+  queryTaskCounters,
+  querySubtasks,
+  queryAllSubtasks,
+  getTaskAncestorIds,
+  putDependency,
+  deleteDependency,
+  queryBlockerIds,
+  queryBlockedIds,
+  queryTaskHistory,
+  putComment,
+  queryComments,
+  deleteComment,
+  countComments,
+  putApiKey,
+  getApiKey,
+  queryApiKeys,
+  updateApiKey,
+  claimSigningNonce
 } = require('../../src/lib/dynamodb');
 
 describe('DynamoDB Module', () => {
+  /**
+   * Finds the history entry among the entries of a transaction
+   * @param {Object[]} transactItems - Transaction entries
+   * @returns {Object} The entry putting a history item
+   */
+  const historyEntry = (transactItems) => transactItems.find(item => item.Put?.Item.SK.startsWith('HISTORY#'));
+
+  /**
+   * Collects the counter changes among the entries of a transaction
+   * @param {Object[]} transactItems - Transaction entries
+   * @returns {Object} Map of counter name to delta
+   */
+  const counterDeltas = (transactItems) => Object.fromEntries(transactItems
+    .filter(item => item.Update?.Key.PK.startsWith('WS#default#COUNTS#'))
+    .map(item => [item.Update.Key.SK, item.Update.ExpressionAttributeValues[':delta']]));
+
   beforeEach(() => {
     jest.clearAllMocks();
+    mockSend.mockReset();
   });
 
   describe('putTask', () => {
@@ -44,18 +94,395 @@ describe('DynamoDB Module', () => {
         updatedAt: '2024-01-01T00:00:00.000Z'
       };
 
-      const result = await putTask(task);
+      const result = await putTask('default', task);
 
       expect(result).toEqual(task);
       expect(mockSend).toHaveBeenCalled();
     });
 
+    test('should omit empty GSI key attributes', async () => {
+      mockSend.mockResolvedValue({});
+
+      await putTask('default', { id: '123', description: 'Test', assignee: null, dueDate: null, parentId: null });
+
+      const item = mockSend.mock.calls[0][0].TransactItems[0].Put.Item;
+      expect(item).not.toHaveProperty('assignee');
+      expect(item).not.toHaveProperty('dueDate');
+      expect(item).not.toHaveProperty('parentId');
+    });
+
+    test('should maintain tag index items in the same transaction', async () => {
+      mockSend.mockResolvedValue({});
+
+      const task = { id: '123', description: 'Test', labels: ['oncall', 'backend'], createdAt: '2024-01-01T00:00:00.000Z' };
+      await putTask('default', task, { previousTask: { ...task, labels: ['oncall', 'tech-debt'], counted: true } });
+
+      const transactItems = mockSend.mock.calls[0][0].TransactItems;
+      expect(transactItems).toHaveLength(5);
+      expect(transactItems[1].Put.Item).toEqual({
+        PK: 'WS#default#TAG#oncall',
+        SK: 'TASK#123',
+        taskId: '123',
+        createdAt: '2024-01-01T00:00:00.000Z'
+      });
+      expect(transactItems[2].Put.Item.PK).toBe('WS#default#TAG#backend');
+      expect(transactItems[3].Delete.Key).toEqual({ PK: 'WS#default#TAG#tech-debt', SK: 'TASK#123' });
+    });
+
+    test('should record a create history entry with all fields', async () => {
+      mockSend.mockResolvedValue({});
+
+      const actor = { type: 'apiKey', id: 'abc123' };
+      await putTask('default', { id: '123', description: 'Test', status: 'open' }, { actor });
+
+      const history = historyEntry(mockSend.mock.calls[0][0].TransactItems).Put;
+      expect(history.Item.PK).toBe('WS#default#TASK#123');
+      expect(history.Item.SK).toMatch(/^HISTORY#\d{4}-\d{2}-\d{2}T.*#[0-9a-f-]{36}$/);
+      expect(history.Item.action).toBe('create');
+      expect(history.Item.actor).toEqual(actor);
+      expect(history.Item.changes).toEqual({
+        description: { before: null, after: 'Test' },
+        status: { before: null, after: 'open' }
+      });
+      expect(history.ConditionExpression).toBe('attribute_not_exists(PK)');
+    });
+
+    test('should record only changed fields on update', async () => {
+      mockSend.mockResolvedValue({});
+
+      const previousTask = { id: '123', description: 'Test', status: 'open', labels: ['a'] };
+      await putTask('default', { ...previousTask, status: 'done', labels: ['a'] }, { previousTask });
+
+      const history = historyEntry(mockSend.mock.calls[0][0].TransactItems).Put.Item;
+      expect(history.action).toBe('update');
+      expect(history.actor).toBeNull();
+      expect(history.changes).toEqual({ status: { before: 'open', after: 'done' } });
+    });
+
+    test('should count a new task in the same transaction', async () => {
+      mockSend.mockResolvedValue({});
+
+      await putTask('default', { id: '123', description: 'Test', assignee: 'alice', status: 'open', priority: 'P1' });
+
+      const transactItems = mockSend.mock.calls[0][0].TransactItems;
+      expect(transactItems[0].Put.Item.counted).toBe(true);
+      expect(counterDeltas(transactItems)).toEqual({
+        TOTAL: 1,
+        'status#open': 1,
+        'priority#P1': 1,
+        'assignee#alice': 1,
+        'assigneeStatus#alice#open': 1,
+        'statusPriority#open#P1': 1
+      });
+      const counter = transactItems.find(item => item.Update?.Key.SK === 'TOTAL').Update;
+      expect(counter.Key.PK).toMatch(/^WS#default#COUNTS#[0-3]$/);
+      expect(counter.UpdateExpression).toBe('ADD #count :delta');
+      expect(counter.ExpressionAttributeNames).toEqual({ '#count': 'count' });
+    });
+
+    test('should move a counted task between the counters of changed fields', async () => {
+      mockSend.mockResolvedValue({});
+
+      const previousTask = { id: '123', description: 'Test', status: 'open', priority: 'P1', counted: true };
+      await putTask('default', { ...previousTask, status: 'done' }, { previousTask });
+
+      expect(counterDeltas(mockSend.mock.calls[0][0].TransactItems)).toEqual({
+        'status#open': -1,
+        'status#done': 1,
+        'statusPriority#open#P1': -1,
+        'statusPriority#done#P1': 1
+      });
+    });
+
+    test('should only create a task that does not exist yet', async () => {
+      mockSend.mockResolvedValue({});
+
+      await putTask('default', { id: '123', description: 'Test', version: 1 });
+
+      const taskPut = mockSend.mock.calls[0][0].TransactItems[0].Put;
+      expect(taskPut.ConditionExpression).toBe('attribute_not_exists(PK)');
+    });
+
+    test('should condition updates on the version that was read', async () => {
+      mockSend.mockResolvedValue({});
+
+      await putTask(
+        'default',
+        { id: '123', description: 'New', version: 4 },
+        { previousTask: { id: '123', description: 'Old', version: 3 } }
+      );
+
+      const taskPut = mockSend.mock.calls[0][0].TransactItems[0].Put;
+      expect(taskPut.ConditionExpression).toBe('version = :currentVersion');
+      expect(taskPut.ExpressionAttributeValues).toEqual({ ':currentVersion': 3 });
+    });
+
+    test('should throw VersionConflictError when the version check fails', async () => {
+      const cancelled = new Error('Transaction cancelled');
+      cancelled.name = 'TransactionCanceledException';
+      cancelled.CancellationReasons = [{ Code: 'ConditionalCheckFailed' }, { Code: 'None' }];
+      mockSend.mockRejectedValue(cancelled);
+
+      await expect(putTask(
+        'default',
+        { id: '123', description: 'New', version: 2 },
+        { previousTask: { id: '123', description: 'Old', version: 1 } }
+      )).rejects.toMatchObject({ name: 'VersionConflictError' });
+    });
+
+    test('should claim the idempotency key in the same transaction', async () => {
+      mockSend.mockResolvedValue({});
+      const response = { statusCode: 201, headers: {}, body: '{}' };
+
+      await putTask('default', { id: '123', description: 'Test', version: 1 }, {
+        idempotency: { key: 'caller#key-1', requestHash: 'abc', response }
+      });
+
+      const items = mockSend.mock.calls[0][0].TransactItems;
+      const claim = items[items.length - 1].Put;
+      expect(claim.Item).toMatchObject({
+        PK: 'WS#default#IDEMPOTENCY#caller#key-1',
+        SK: 'IDEMPOTENCY#caller#key-1',
+        requestHash: 'abc',
+        response
+      });
+      expect(claim.Item.expiresAt).toBeGreaterThan(Date.now() / 1000);
+      expect(claim.ConditionExpression).toBe('attribute_not_exists(PK) OR expiresAt < :now');
+    });
+
+    test('should throw IdempotencyConflictError when the key is already claimed', async () => {
+      mockSend.mockImplementation(async params => {
+        const cancelled = new Error('Transaction cancelled');
+        cancelled.name = 'TransactionCanceledException';
+        cancelled.CancellationReasons = params.TransactItems.map((_, index, items) => ({
+          Code: index === items.length - 1 ? 'ConditionalCheckFailed' : 'None'
+        }));
+        throw cancelled;
+      });
+
+      await expect(putTask('default', { id: '123', description: 'Test', version: 1 }, {
+        idempotency: { key: 'caller#key-1', requestHash: 'abc', response: {} }
+      })).rejects.toMatchObject({ name: 'IdempotencyConflictError' });
+    });
+
+    test('should add the derived index attributes to the task item', async () => {
+      mockSend.mockResolvedValue({});
+
+      await putTask('default', {
+        id: '123',
+        description: 'Test',
+        assignee: 'user@example.com',
+        status: 'open',
+        priority: 'P1',
+        createdAt: '2024-01-01T00:00:00.000Z',
+        version: 1
+      });
+
+      const item = mockSend.mock.calls[0][0].TransactItems[0].Put.Item;
+      expect(item.listKey).toBe('2024-01-01T00:00:00.000Z#123');
+      expect(item.listShard).toMatch(/^WS#default#TASKS#[0-3]$/);
+      expect(item.assigneeStatus).toBe('WS#default#user@example.com#open');
+      expect(item.statusPriority).toBe('WS#default#open#P1');
+    });
+
+    test('should omit the assignee#status key of unassigned tasks', async () => {
+      mockSend.mockResolvedValue({});
+
+      await putTask('default', { id: '123', description: 'Test', assignee: null, status: 'open', priority: 'P1', version: 1 });
+
+      const item = mockSend.mock.calls[0][0].TransactItems[0].Put.Item;
+      expect(item).not.toHaveProperty('assigneeStatus');
+    });
+
+    test('should index the description terms after the transaction', async () => {
+      mockSend.mockResolvedValue({});
+
+      await putTask(
+        'default',
+        { id: '123', description: 'Fix failing tests in the tests', version: 2 },
+        { previousTask: { id: '123', description: 'Fix login', version: 1 } }
+      );
+
+      expect(mockSend).toHaveBeenCalledTimes(2);
+      expect(mockSend.mock.calls[1][0].RequestItems['engineering-tasks']).toEqual([
+        { PutRequest: { Item: { PK: 'WS#default#TERM#fix', SK: 'TASK#123', taskId: '123', frequency: 1, length: 4 } } },
+        { PutRequest: { Item: { PK: 'WS#default#TERM#fail', SK: 'TASK#123', taskId: '123', frequency: 1, length: 4 } } },
+        { PutRequest: { Item: { PK: 'WS#default#TERM#test', SK: 'TASK#123', taskId: '123', frequency: 2, length: 4 } } },
+        { DeleteRequest: { Key: { PK: 'WS#default#TERM#login', SK: 'TASK#123' } } }
+      ]);
+    });
+
+    test('should not fail the write when indexing fails', async () => {
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+      mockSend
+        .mockResolvedValueOnce({})
+        .mockRejectedValueOnce(new Error('Throttled'));
+
+      const task = { id: '123', description: 'Test', version: 1 };
+
+      await expect(putTask('default', task)).resolves.toEqual(task);
+      expect(consoleSpy).toHaveBeenCalledWith('DynamoDB search index error:', expect.any(Error));
+      consoleSpy.mockRestore();
+    });
+
     test('should handle DynamoDB errors', async () => {
       mockSend.mockRejectedValue(new Error('DynamoDB error'));
 
       const task = { id: '123', description: 'Test' };
 
-      await expect(putTask(task)).rejects.toThrow('Service temporarily unavailable');
+      await expect(putTask('default', task)).rejects.toThrow('Service temporarily unavailable');
+    });
+  });
+
+  describe('updateTaskAttributes', () => {
+    const storedTask = {
+      id: '123',
+      description: 'Test',
+      assignee: 'user@example.com',
+      priority: 'P2',
+      status: 'open',
+      labels: ['backend'],
+      createdAt: '2024-01-01T00:00:00.000Z',
+      version: 2,
+      counted: true
+    };
+
+    test('should set changed attributes and remove cleared ones', async () => {
+      mockSend.mockResolvedValue({});
+
+      const result = await updateTaskAttributes('default', storedTask, {
+        status: 'in-progress',
+        assignee: null,
+        updatedAt: '2024-01-02T00:00:00.000Z',
+        version: 3
+      });
+
+      const update = mockSend.mock.calls[0][0].TransactItems[0].Update;
+      expect(update.Key).toEqual({ PK: 'WS#default#TASK#123', SK: 'TASK#123' });
+      expect(update.UpdateExpression)
+        .toBe('SET #a0 = :a0, #a2 = :a2, #a3 = :a3, #a5 = :a5, #a6 = :a6, #a8 = :a8, #a9 = :a9, #a11 = :a11, #a12 = :a12 REMOVE #a1, #a4, #a7, #a10');
+      expect(update.ExpressionAttributeNames).toEqual({
+        '#a0': 'status',
+        '#a1': 'assignee',
+        '#a2': 'updatedAt',
+        '#a3': 'version',
+        '#a4': 'workspaceAssignee',
+        '#a5': 'workspaceStatus',
+        '#a6': 'workspacePriority',
+        '#a7': 'workspaceParentId',
+        '#a8': 'listShard',
+        '#a9': 'listKey',
+        '#a10': 'assigneeStatus',
+        '#a11': 'statusPriority',
+        '#a12': 'counted'
+      });
+      expect(update.ConditionExpression).toBe('version = :currentVersion');
+      expect(update.ExpressionAttributeValues).toEqual({
+        ':a0': 'in-progress',
+        ':a2': '2024-01-02T00:00:00.000Z',
+        ':a3': 3,
+        ':a5': 'WS#default#in-progress',
+        ':a6': 'WS#default#P2',
+        ':a8': expect.stringMatching(/^WS#default#TASKS#[0-3]$/),
+        ':a9': '2024-01-01T00:00:00.000Z#123',
+        ':a11': 'WS#default#in-progress#P2',
+        ':a12': true,
+        ':currentVersion': 2
+      });
+      expect(result.status).toBe('in-progress');
+      expect(result.assignee).toBeUndefined();
+    });
+
+    test('should record the changes in the history', async () => {
+      mockSend.mockResolvedValue({});
+
+      await updateTaskAttributes('default', storedTask, { priority: 'P0', version: 3 }, { actor: { type: 'apiKey', id: 'abc' } });
+
+      const items = mockSend.mock.calls[0][0].TransactItems;
+      expect(items).toHaveLength(6);
+      expect(items[1].Put.Item).toMatchObject({
+        action: 'update',
+        changes: { priority: { before: 'P2', after: 'P0' } },
+        actor: { type: 'apiKey', id: 'abc' }
+      });
+    });
+
+    test('should maintain tag index items when labels change', async () => {
+      mockSend.mockResolvedValue({});
+
+      await updateTaskAttributes('default', storedTask, { labels: ['oncall'], version: 3 });
+
+      const items = mockSend.mock.calls[0][0].TransactItems;
+      expect(items[1].Put.Item).toMatchObject({ PK: 'WS#default#TAG#oncall', SK: 'TASK#123' });
+      expect(items[2].Delete.Key).toEqual({ PK: 'WS#default#TAG#backend', SK: 'TASK#123' });
+    });
+
+    test('should reindex the task only when the description changes', async () => {
+      mockSend.mockResolvedValue({});
+
+      await updateTaskAttributes('default', storedTask, { status: 'done', version: 3 });
+      expect(mockSend).toHaveBeenCalledTimes(1);
+
+      await updateTaskAttributes('default', storedTask, { description: 'Retest', version: 3 });
+      expect(mockSend).toHaveBeenCalledTimes(3);
+      expect(mockSend.mock.calls[2][0].RequestItems['engineering-tasks']).toEqual([
+        { PutRequest: { Item: { PK: 'WS#default#TERM#retest', SK: 'TASK#123', taskId: '123', frequency: 1, length: 1 } } },
+        { DeleteRequest: { Key: { PK: 'WS#default#TERM#test', SK: 'TASK#123' } } }
+      ]);
+    });
+
+    test('should throw VersionConflictError when the version check fails', async () => {
+      const cancelled = new Error('Transaction cancelled');
+      cancelled.name = 'TransactionCanceledException';
+      cancelled.CancellationReasons = [{ Code: 'ConditionalCheckFailed' }];
+      mockSend.mockRejectedValue(cancelled);
+
+      await expect(updateTaskAttributes('default', storedTask, { status: 'done', version: 3 }))
+        .rejects.toMatchObject({ name: 'VersionConflictError' });
+    });
+
+    test('should handle DynamoDB errors', async () => {
+      mockSend.mockRejectedValue(new Error('DynamoDB error'));
+
+      await expect(updateTaskAttributes('default', storedTask, { status: 'done', version: 3 }))
+        .rejects.toThrow('Service temporarily unavailable');
+    });
+  });
+
+  describe('getIdempotencyRecord', () => {
+    test('should return the stored request hash and response', async () => {
+      const response = { statusCode: 201, headers: {}, body: '{}' };
+      mockSend.mockResolvedValue({
+        Item: { requestHash: 'abc', response, expiresAt: Math.floor(Date.now() / 1000) + 60 }
+      });
+
+      const result = await getIdempotencyRecord('default', 'caller#key-1');
+
+      expect(result).toEqual({ requestHash: 'abc', response });
+      expect(mockSend.mock.calls[0][0].Key).toEqual({
+        PK: 'WS#default#IDEMPOTENCY#caller#key-1',
+        SK: 'IDEMPOTENCY#caller#key-1'
+      });
+    });
+
+    test('should ignore expired records', async () => {
+      mockSend.mockResolvedValue({
+        Item: { requestHash: 'abc', response: {}, expiresAt: Math.floor(Date.now() / 1000) - 60 }
+      });
+
+      expect(await getIdempotencyRecord('default', 'caller#key-1')).toBeNull();
+    });
+
+    test('should return null when there is no record', async () => {
+      mockSend.mockResolvedValue({});
+
+      expect(await getIdempotencyRecord('default', 'caller#key-1')).toBeNull();
+    });
+
+    test('should handle DynamoDB errors', async () => {
+      mockSend.mockRejectedValue(new Error('DynamoDB error'));
+
+      await expect(getIdempotencyRecord('default', 'caller#key-1')).rejects.toThrow('Service temporarily unavailable');
     });
   });
 
@@ -68,7 +495,7 @@ describe('DynamoDB Module', () => {
 
       mockSend.mockResolvedValue({ Item: mockTask });
 
-      const result = await getTask('123');
+      const result = await getTask('default', '123');
 
       expect(result).toEqual(mockTask);
       expect(mockSend).toHaveBeenCalled();
@@ -77,15 +504,112 @@ describe('DynamoDB Module', () => {
     test('should return null when task not found', async () => {
       mockSend.mockResolvedValue({});
 
-      const result = await getTask('nonexistent');
+      const result = await getTask('default', 'nonexistent');
 
       expect(result).toBeNull();
     });
 
+    test('should read the task from the partition of its workspace', async () => {
+      mockSend.mockResolvedValue({});
+
+      await getTask('acme', '123');
+      await getTask('globex', '123');
+
+      expect(mockSend.mock.calls[0][0].Key).toEqual({ PK: 'WS#acme#TASK#123', SK: 'TASK#123' });
+      expect(mockSend.mock.calls[1][0].Key).toEqual({ PK: 'WS#globex#TASK#123', SK: 'TASK#123' });
+    });
+
+    test('should refuse workspaces that could reach into another partition', async () => {
+      await expect(getTask('acme#TASK#1', '123')).rejects.toThrow('Service temporarily unavailable');
+      await expect(getTask(undefined, '123')).rejects.toThrow('Service temporarily unavailable');
+      expect(mockSend).not.toHaveBeenCalled();
+    });
+
+    test('should handle DynamoDB errors', async () => {
+      mockSend.mockRejectedValue(new Error('DynamoDB error'));
+
+      await expect(getTask('default', '123')).rejects.toThrow('Service temporarily unavailable');
+    });
+
+    test('should read only the requested attributes', async () => {
+      mockSend.mockResolvedValue({ Item: { id: '123', status: 'open' } });
+
+      await getTask('default', '123', { attributes: ['id', 'status'] });
+
+      const params = mockSend.mock.calls[0][0];
+      expect(params.ProjectionExpression).toBe('#p0, #p1');
+      expect(params.ExpressionAttributeNames).toEqual({ '#p0': 'id', '#p1': 'status' });
+    });
+  });
+
+  describe('batchGetTasks', () => {
+    test('should return found tasks in request order and report missing IDs', async () => {
+      mockSend.mockResolvedValue({
+        Responses: { 'engineering-tasks': [{ id: 'c' }, { id: 'a' }] }
+      });
+
+      const result = await batchGetTasks('default', ['a', 'b', 'c', 'a']);
+
+      expect(result).toEqual({ items: [{ id: 'a' }, { id: 'c' }], notFoundIds: ['b'] });
+      expect(mockSend.mock.calls[0][0].RequestItems['engineering-tasks'].Keys).toEqual([
+        { PK: 'WS#default#TASK#a', SK: 'TASK#a' },
+        { PK: 'WS#default#TASK#b', SK: 'TASK#b' },
+        { PK: 'WS#default#TASK#c', SK: 'TASK#c' }
+      ]);
+    });
+
+    test('should read at most 100 keys per request', async () => {
+      mockSend.mockResolvedValue({});
+      const ids = Array.from({ length: 150 }, (_, index) => `id-${index}`);
+
+      const result = await batchGetTasks('default', ids);
+
+      expect(mockSend).toHaveBeenCalledTimes(2);
+      expect(mockSend.mock.calls[0][0].RequestItems['engineering-tasks'].Keys).toHaveLength(100);
+      expect(mockSend.mock.calls[1][0].RequestItems['engineering-tasks'].Keys).toHaveLength(50);
+      expect(result.notFoundIds).toHaveLength(150);
+    });
+
+    test('should read only the requested attributes and always the ID', async () => {
+      mockSend.mockResolvedValue({ Responses: { 'engineering-tasks': [{ id: 'a', status: 'open' }] } });
+
+      const result = await batchGetTasks('default', ['a'], { attributes: ['status'] });
+
+      const tableRequest = mockSend.mock.calls[0][0].RequestItems['engineering-tasks'];
+      expect(tableRequest.ProjectionExpression).toBe('#p0, #p1');
+      expect(tableRequest.ExpressionAttributeNames).toEqual({ '#p0': 'id', '#p1': 'status' });
+      expect(result.items).toEqual([{ id: 'a', status: 'open' }]);
+    });
+
+    test('should retry unprocessed keys', async () => {
+      mockSend
+        .mockResolvedValueOnce({
+          Responses: { 'engineering-tasks': [{ id: 'a' }] },
+          UnprocessedKeys: { 'engineering-tasks': { Keys: [{ PK: 'WS#default#TASK#b', SK: 'TASK#b' }] } }
+        })
+        .mockResolvedValueOnce({ Responses: { 'engineering-tasks': [{ id: 'b' }] } });
+
+      const result = await batchGetTasks('default', ['a', 'b']);
+
+      expect(result.items).toEqual([{ id: 'a' }, { id: 'b' }]);
+      expect(mockSend.mock.calls[1][0].RequestItems['engineering-tasks'].Keys).toEqual([
+        { PK: 'WS#default#TASK#b', SK: 'TASK#b' }
+      ]);
+    });
+
+    test('should give up after repeated unprocessed keys', async () => {
+      mockSend.mockResolvedValue({
+        UnprocessedKeys: { 'engineering-tasks': { Keys: [{ PK: 'WS#default#TASK#a', SK: 'TASK#a' }] } }
+      });
+
+      await expect(batchGetTasks('default', ['a'])).rejects.toThrow('Service temporarily unavailable');
+      expect(mockSend).toHaveBeenCalledTimes(5);
+    });
+
     test('should handle DynamoDB errors', async () => {
       mockSend.mockRejectedValue(new Error('DynamoDB error'));
 
-      await expect(getTask('123')).rejects.toThrow('Service temporarily unavailable');
+      await expect(batchGetTasks('default', ['a'])).rejects.toThrow('Service temporarily unavailable');
     });
   });
 
@@ -93,19 +617,290 @@ describe('DynamoDB Module', () => {
     test('should delete task from DynamoDB', async () => {
       mockSend.mockResolvedValue({});
 
-      await deleteTask('123');
+      await deleteTask('default', '123');
 
       expect(mockSend).toHaveBeenCalled();
     });
 
+    test('should cascade delete to comments and dependency edges after the task', async () => {
+      mockSend
+        .mockResolvedValueOnce({ Item: { id: '123', labels: ['oncall'] } })
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({
+          Items: [
+            { PK: 'WS#default#TASK#123', SK: 'COMMENT#2024-01-01T00:00:00.000Z#c1' },
+            { PK: 'WS#default#TASK#123', SK: 'COMMENT#2024-01-02T00:00:00.000Z#c2' }
+          ]
+        })
+        .mockResolvedValueOnce({ Items: [{ PK: 'WS#default#TASK#123', SK: 'BLOCKS#b' }] })
+        .mockResolvedValueOnce({ Items: [{ PK: 'WS#default#TASK#123', SK: 'BLOCKEDBY#a' }] })
+        .mockResolvedValueOnce({});
+
+      await deleteTask('default', '123');
+
+      expect(mockSend).toHaveBeenCalledTimes(6);
+      const finalItems = mockSend.mock.calls[1][0].TransactItems;
+      const deletedKeys = mockSend.mock.calls[5][0].RequestItems['engineering-tasks']
+        .map(request => request.DeleteRequest.Key);
+      expect(deletedKeys).toEqual([
+        { PK: 'WS#default#TASK#123', SK: 'COMMENT#2024-01-01T00:00:00.000Z#c1' },
+        { PK: 'WS#default#TASK#123', SK: 'COMMENT#2024-01-02T00:00:00.000Z#c2' },
+        { PK: 'WS#default#TASK#123', SK: 'BLOCKS#b' },
+        { PK: 'WS#default#TASK#b', SK: 'BLOCKEDBY#123' },
+        { PK: 'WS#default#TASK#a', SK: 'BLOCKS#123' },
+        { PK: 'WS#default#TASK#123', SK: 'BLOCKEDBY#a' }
+      ]);
+      expect(finalItems.slice(0, 2).map(item => item.Delete.Key)).toEqual([
+        { PK: 'WS#default#TASK#123', SK: 'TASK#123' },
+        { PK: 'WS#default#TAG#oncall', SK: 'TASK#123' }
+      ]);
+      expect(finalItems[2].Put.Item).toMatchObject({
+        taskId: '123',
+        action: 'delete',
+        changes: { labels: { before: ['oncall'], after: null } }
+      });
+    });
+
+    test('should refuse to delete a task whose version changed', async () => {
+      mockSend.mockResolvedValueOnce({ Item: { id: '123', version: 5 } });
+
+      await expect(deleteTask('default', '123', { expectedVersion: 4 }))
+        .rejects.toMatchObject({ name: 'VersionConflictError' });
+      expect(mockSend).toHaveBeenCalledTimes(1);
+    });
+
+    test('should keep comments and dependency edges when the conditional delete fails', async () => {
+      const cancelled = new Error('Transaction cancelled');
+      cancelled.name = 'TransactionCanceledException';
+      cancelled.CancellationReasons = [{ Code: 'ConditionalCheckFailed' }];
+      mockSend
+        .mockResolvedValueOnce({ Item: { id: '123', version: 4 } })
+        .mockRejectedValueOnce(cancelled);
+
+      await expect(deleteTask('default', '123', { expectedVersion: 4 }))
+        .rejects.toMatchObject({ name: 'VersionConflictError' });
+      expect(mockSend).toHaveBeenCalledTimes(2);
+      expect(mockSend.mock.calls.some(call => call[0].RequestItems)).toBe(false);
+    });
+
+    test('should retry unprocessed deletes', async () => {
+      const unprocessed = [{ DeleteRequest: { Key: { PK: 'WS#default#TASK#123', SK: 'COMMENT#x' } } }];
+      mockSend
+        .mockResolvedValueOnce({ Item: { id: '123' } })
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ Items: [{ PK: 'WS#default#TASK#123', SK: 'COMMENT#x' }] })
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ UnprocessedItems: { 'engineering-tasks': unprocessed } })
+        .mockResolvedValueOnce({});
+
+      await deleteTask('default', '123');
+
+      expect(mockSend).toHaveBeenCalledTimes(7);
+      expect(mockSend.mock.calls[6][0].RequestItems['engineering-tasks']).toEqual(unprocessed);
+    });
+
+    test('should count a counted task out in the same transaction', async () => {
+      mockSend
+        .mockResolvedValueOnce({ Item: { id: '123', status: 'blocked', priority: 'P0', counted: true } })
+        .mockResolvedValue({});
+
+      await deleteTask('default', '123');
+
+      const transaction = mockSend.mock.calls.find(call => call[0].TransactItems)[0];
+      expect(counterDeltas(transaction.TransactItems)).toEqual({
+        TOTAL: -1,
+        'status#blocked': -1,
+        'priority#P0': -1,
+        'statusPriority#blocked#P0': -1
+      });
+    });
+
     test('should handle DynamoDB errors', async () => {
       mockSend.mockRejectedValue(new Error('DynamoDB error'));
 
-      await expect(deleteTask('123')).rejects.toThrow('Service temporarily unavailable');
+      await expect(deleteTask('default', '123')).rejects.toThrow('Service temporarily unavailable');
+    });
+  });
+
+  describe('writeTaskBatch', () => {
+    const newTask = { id: 'n1', description: 'New', labels: ['backend'], createdAt: '2024-01-01T00:00:00.000Z', version: 1 };
+    const storedTask = { id: 's1', description: 'Old', createdAt: '2024-01-01T00:00:00.000Z', version: 2 };
+
+    test('should write each task in its own conditional transaction', async () => {
+      mockSend.mockImplementation(async (params) => (
+        params.ExpressionAttributeValues?.[':prefix'] === 'COMMENT#'
+          ? { Items: [{ PK: 'WS#default#TASK#s1', SK: 'COMMENT#c1' }] }
+          : {}
+      ));
+
+      const results = await writeTaskBatch('default', [
+        { type: 'put', task: newTask },
+        { type: 'delete', task: storedTask }
+      ]);
+
+      expect(results).toEqual([{ ok: true }, { ok: true }]);
+      const transactions = mockSend.mock.calls
+        .map(call => call[0].TransactItems)
+        .filter(items => items);
+      expect(transactions[0][0].Put).toMatchObject({
+        Item: { PK: 'WS#default#TASK#n1', SK: 'TASK#n1' },
+        ConditionExpression: 'attribute_not_exists(PK)'
+      });
+      expect(transactions[0][1].Put.Item).toMatchObject({ PK: 'WS#default#TAG#backend', SK: 'TASK#n1' });
+      expect(transactions[1][0].Delete).toMatchObject({
+        Key: { PK: 'WS#default#TASK#s1', SK: 'TASK#s1' },
+        ConditionExpression: 'version = :currentVersion',
+        ExpressionAttributeValues: { ':currentVersion': 2 }
+      });
+      // Comments go only once the task itself has been deleted
+      const batchWrites = mockSend.mock.calls
+        .map(call => call[0].RequestItems?.['engineering-tasks'])
+        .filter(requests => requests);
+      expect(batchWrites[batchWrites.length - 1]).toEqual([
+        { DeleteRequest: { Key: { PK: 'WS#default#TASK#s1', SK: 'COMMENT#c1' } } }
+      ]);
+    });
+
+    test('should report a conflict for a task that changed since it was read', async () => {
+      const cancelled = new Error('Transaction cancelled');
+      cancelled.name = 'TransactionCanceledException';
+      cancelled.CancellationReasons = [{ Code: 'ConditionalCheckFailed' }, { Code: 'None' }];
+      mockSend.mockImplementation(async (params) => {
+        if (params.TransactItems?.[0].Delete) {
+          throw cancelled;
+        }
+        return {};
+      });
+
+      const results = await writeTaskBatch('default', [
+        { type: 'put', task: newTask },
+        { type: 'delete', task: storedTask }
+      ]);
+
+      expect(results).toEqual([
+        { ok: true },
+        { ok: false, error: 'Version conflict', conflict: true }
+      ]);
+      // Neither the comments nor the search index of the conflicting task are touched
+      expect(mockSend.mock.calls.some(call => (
+        call[0].ExpressionAttributeValues?.[':prefix'] === 'COMMENT#'
+      ))).toBe(false);
+    });
+
+    test('should report writes that could not be stored', async () => {
+      mockSend.mockRejectedValue(new Error('DynamoDB error'));
+
+      const results = await writeTaskBatch('default', [{ type: 'put', task: newTask }]);
+
+      expect(results).toEqual([{ ok: false, error: 'Service temporarily unavailable', conflict: false }]);
+    });
+
+    test('should write everything in one transaction in transactional mode', async () => {
+      mockSend
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ Items: [{ PK: 'WS#default#TASK#s1', SK: 'BLOCKS#n9' }] })
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({});
+
+      const results = await writeTaskBatch('default', [
+        { type: 'put', task: newTask },
+        { type: 'delete', task: storedTask }
+      ], { transactional: true });
+
+      expect(results).toEqual([{ ok: true }, { ok: true }]);
+      const items = mockSend.mock.calls[3][0].TransactItems;
+      expect(items[0].Put.ConditionExpression).toBe('attribute_not_exists(PK)');
+      expect(items[3].Delete).toMatchObject({
+        Key: { PK: 'WS#default#TASK#s1', SK: 'TASK#s1' },
+        ConditionExpression: 'version = :currentVersion'
+      });
+      expect(items.slice(5, 7).map(item => item.Delete.Key)).toEqual([
+        { PK: 'WS#default#TASK#s1', SK: 'BLOCKS#n9' },
+        { PK: 'WS#default#TASK#n9', SK: 'BLOCKEDBY#s1' }
+      ]);
+    });
+
+    test('should sum the counter changes of a transactional batch', async () => {
+      mockSend.mockResolvedValue({});
+
+      await writeTaskBatch('default', [
+        { type: 'put', task: { ...newTask, status: 'open', priority: 'P1' } },
+        { type: 'put', task: { ...newTask, id: 'n2', status: 'open', priority: 'P1' } }
+      ], { transactional: true });
+
+      const counters = mockSend.mock.calls[0][0].TransactItems.filter(item => item.Update);
+      const keys = counters.map(item => `${item.Update.Key.PK}|${item.Update.Key.SK}`);
+      expect(new Set(keys).size).toBe(keys.length);
+      expect(counters
+        .filter(item => item.Update.Key.SK === 'status#open')
+        .reduce((sum, item) => sum + item.Update.ExpressionAttributeValues[':delta'], 0)).toBe(2);
+    });
+
+    test('should update the counters in the transaction of each write', async () => {
+      mockSend.mockResolvedValue({});
+
+      const results = await writeTaskBatch('default', [{ type: 'put', task: { ...newTask, status: 'open', priority: 'P1' } }]);
+
+      expect(results).toEqual([{ ok: true }]);
+      const items = mockSend.mock.calls[0][0].TransactItems;
+      expect(items[0].Put.Item).toMatchObject({ SK: 'TASK#n1' });
+      expect(counterDeltas(items)).toEqual({
+        TOTAL: 1,
+        'status#open': 1,
+        'priority#P1': 1,
+        'statusPriority#open#P1': 1
+      });
+    });
+
+    test('should point at the conflicting write when a transaction is cancelled', async () => {
+      const cancelled = new Error('Transaction cancelled');
+      cancelled.name = 'TransactionCanceledException';
+      cancelled.CancellationReasons = [{ Code: 'None' }, { Code: 'None' }, { Code: 'None' }, { Code: 'ConditionalCheckFailed' }];
+      mockSend.mockRejectedValue(cancelled);
+
+      await expect(writeTaskBatch('default', [
+        { type: 'put', task: newTask },
+        { type: 'put', task: { ...storedTask, version: 3 }, previousTask: storedTask }
+      ], { transactional: true })).rejects.toMatchObject({
+        name: 'VersionConflictError',
+        operationIndex: 1
+      });
+    });
+
+    test('should reject transactions above the DynamoDB limit', async () => {
+      mockSend.mockResolvedValue({});
+      const writes = Array.from({ length: 51 }, (_, index) => ({
+        type: 'put',
+        task: { id: `t${index}`, description: 'Task', version: 1 }
+      }));
+
+      await expect(writeTaskBatch('default', writes, { transactional: true }))
+        .rejects.toMatchObject({ name: 'BatchTooLargeError' });
+    });
+
+    test('should handle DynamoDB errors in transactional mode', async () => {
+      mockSend.mockRejectedValue(new Error('DynamoDB error'));
+
+      await expect(writeTaskBatch('default', [{ type: 'put', task: newTask }], { transactional: true }))
+        .rejects.toThrow('Service temporarily unavailable');
     });
   });
 
   describe('scanTasks', () => {
+    test('should add a FilterExpression to the task prefix filter', async () => {
+      mockSend.mockResolvedValue({ Items: [] });
+
+      await scanTasks('default', 10, undefined, {
+        filter: { expression: '#q0 = :q0', names: { '#q0': 'status' }, values: { ':q0': 'open' } }
+      });
+
+      const params = mockSend.mock.calls[0][0];
+      expect(params.FilterExpression).toBe('(begins_with(PK, :prefix) AND begins_with(SK, :sortPrefix)) AND (#q0 = :q0)');
+      expect(params.ExpressionAttributeNames).toEqual({ '#q0': 'status' });
+      expect(params.ExpressionAttributeValues).toEqual({ ':prefix': 'WS#default#TASK#', ':sortPrefix': 'TASK#', ':q0': 'open' });
+    });
+
     test('should scan all tasks', async () => {
       const mockTasks = [
         { id: '1', description: 'Task 1' },
@@ -114,7 +909,7 @@ describe('DynamoDB Module', () => {
 
       mockSend.mockResolvedValue({ Items: mockTasks });
 
-      const result = await scanTasks();
+      const result = await scanTasks('default');
 
       expect(result).toEqual({ items: mockTasks, nextToken: null });
       expect(mockSend).toHaveBeenCalled();
@@ -123,18 +918,18 @@ describe('DynamoDB Module', () => {
     test('should return empty array when no items', async () => {
       mockSend.mockResolvedValue({});
 
-      const result = await scanTasks();
+      const result = await scanTasks('default');
 
       expect(result).toEqual({ items: [], nextToken: null });
     });
 
     test('should return nextToken when available', async () => {
       const mockTasks = [{ id: '1', description: 'Task 1' }];
-      const lastKey = { PK: 'TASK#1', SK: 'TASK#1' };
+      const lastKey = { PK: 'WS#default#TASK#1', SK: 'TASK#1' };
       
       mockSend.mockResolvedValue({ Items: mockTasks, LastEvaluatedKey: lastKey });
 
-      const result = await scanTasks();
+      const result = await scanTasks('default');
 
       expect(result.items).toEqual(mockTasks);
       expect(result.nextToken).toBeTruthy();
@@ -143,99 +938,1032 @@ describe('DynamoDB Module', () => {
     test('should handle DynamoDB errors', async () => {
       mockSend.mockRejectedValue(new Error('DynamoDB error'));
 
-      await expect(scanTasks()).rejects.toThrow('Service temporarily unavailable');
+      await expect(scanTasks('default')).rejects.toThrow('Service temporarily unavailable');
     });
   });
 
-  describe('queryTasksByAssignee', () => {
-    test('should query tasks by assignee', async () => {
-      const mockTasks = [{ id: '1', assignee: 'user@example.com' }];
+  describe('queryTaskList', () => {
+    /**
+     * Answers list index queries from fixed pages per shard
+     * @param {Object} pages - Map of shard to { Items, LastEvaluatedKey }
+     */
+    const mockShards = (pages) => {
+      mockSend.mockImplementation(async params => pages[params.ExpressionAttributeValues[':shard']] || { Items: [] });
+    };
+
+    test('should query every shard and merge them newest first', async () => {
+      mockShards({
+        'WS#default#TASKS#0': { Items: [{ id: 'b', listKey: '2024-01-03#b' }] },
+        'WS#default#TASKS#2': { Items: [{ id: 'a', listKey: '2024-01-05#a' }, { id: 'c', listKey: '2024-01-01#c' }] }
+      });
+
+      const result = await queryTaskList('default', 20);
+
+      expect(mockSend).toHaveBeenCalledTimes(4);
+      expect(mockSend.mock.calls.map(call => call[0].ExpressionAttributeValues[':shard']).sort())
+        .toEqual(['WS#default#TASKS#0', 'WS#default#TASKS#1', 'WS#default#TASKS#2', 'WS#default#TASKS#3']);
+      expect(mockSend.mock.calls[0][0]).toMatchObject({
+        IndexName: 'GSI5',
+        KeyConditionExpression: 'listShard = :shard',
+        ScanIndexForward: false,
+        Limit: 20
+      });
+      expect(result.items.map(item => item.id)).toEqual(['a', 'b', 'c']);
+      expect(result.nextToken).toBeNull();
+    });
 
-      mockSend.mockResolvedValue({ Items: mockTasks });
+    test('should always read the list key when projecting', async () => {
+      mockShards({ 'WS#default#TASKS#0': { Items: [{ id: 'a', listKey: '2024-01-05#a' }] } });
 
-      const result = await queryTasksByAssignee('user@example.com');
+      await queryTaskList('default', 20, undefined, { attributes: ['id'] });
 
-      expect(result).toEqual({ items: mockTasks, nextToken: null });
-      expect(mockSend).toHaveBeenCalled();
+      expect(mockSend.mock.calls[0][0].ProjectionExpression).toBe('#p0, #p1');
+      expect(Object.values(mockSend.mock.calls[0][0].ExpressionAttributeNames)).toEqual(['id', 'listKey']);
     });
 
-    test('should return empty array when no matches', async () => {
-      mockSend.mockResolvedValue({});
+    test('should stop the page where an unfinished shard stopped reading', async () => {
+      mockShards({
+        'WS#default#TASKS#0': {
+          Items: [{ id: 'a', listKey: '2024-01-05#a' }, { id: 'b', listKey: '2024-01-03#b' }],
+          LastEvaluatedKey: { PK: 'WS#default#TASK#b', SK: 'TASK#b', listShard: 'WS#default#TASKS#0', listKey: '2024-01-03#b' }
+        },
+        'WS#default#TASKS#1': { Items: [{ id: 'c', listKey: '2024-01-04#c' }, { id: 'd', listKey: '2024-01-01#d' }] }
+      });
 
-      const result = await queryTasksByAssignee('user@example.com');
+      const first = await queryTaskList('default', 5);
 
-      expect(result).toEqual({ items: [], nextToken: null });
+      expect(first.items.map(item => item.id)).toEqual(['a', 'c', 'b']);
+
+      mockSend.mockClear();
+      mockShards({});
+      await queryTaskList('default', 5, first.nextToken);
+
+      expect(mockSend.mock.calls[0][0].KeyConditionExpression).toBe('listShard = :shard AND listKey < :cursor');
+      expect(mockSend.mock.calls[0][0].ExpressionAttributeValues[':cursor']).toBe('2024-01-03#b');
+    });
+
+    test('should continue after the last task when the limit cuts the page', async () => {
+      mockShards({
+        'WS#default#TASKS#0': { Items: [{ id: 'a', listKey: '2024-01-01#a' }] },
+        'WS#default#TASKS#1': { Items: [{ id: 'b', listKey: '2024-01-02#b' }] }
+      });
+
+      const result = await queryTaskList('default', 1, undefined, { ascending: true });
+
+      expect(mockSend.mock.calls[0][0].ScanIndexForward).toBe(true);
+      expect(result.items.map(item => item.id)).toEqual(['a']);
+
+      mockSend.mockClear();
+      mockShards({});
+      await queryTaskList('default', 1, result.nextToken, { ascending: true });
+
+      expect(mockSend.mock.calls[0][0].KeyConditionExpression).toBe('listShard = :shard AND listKey > :cursor');
+      expect(mockSend.mock.calls[0][0].ExpressionAttributeValues[':cursor']).toBe('2024-01-01#a');
+    });
+
+    test('should add a FilterExpression to every shard query', async () => {
+      mockShards({});
+
+      await queryTaskList('default', 10, undefined, {
+        filter: { expression: '#q0 = :q0', names: { '#q0': 'status' }, values: { ':q0': 'open' } }
+      });
+
+      mockSend.mock.calls.forEach(([params]) => {
+        expect(params.FilterExpression).toBe('#q0 = :q0');
+        expect(params.ExpressionAttributeValues[':q0']).toBe('open');
+      });
     });
 
     test('should handle DynamoDB errors', async () => {
       mockSend.mockRejectedValue(new Error('DynamoDB error'));
 
-      await expect(queryTasksByAssignee('user@example.com')).rejects.toThrow('Service temporarily unavailable');
+      await expect(queryTaskList('default', 10)).rejects.toThrow('Service temporarily unavailable');
     });
   });
 
-  describe('queryTasksByStatus', () => {
-    test('should query tasks by status', async () => {
-      const mockTasks = [{ id: '1', status: 'open' }];
-
-      mockSend.mockResolvedValue({ Items: mockTasks });
-
-      const result = await queryTasksByStatus('open');
+  describe('migrateLegacyItems', () => {
+    const legacyTask = {
+      PK: 'TASK#1',
+      SK: 'TASK#1',
+      id: '1',
+      description: 'Fix login',
+      assignee: 'alice',
+      status: 'open',
+      priority: 'P1',
+      labels: ['backend'],
+      createdAt: '2024-01-01T00:00:00.000Z',
+      listShard: 'TASKS#1',
+      listKey: '2024-01-01T00:00:00.000Z#1',
+      statusPriority: 'open#P1',
+      counted: true
+    };
+
+    test('should move tasks into the workspace with their index keys, tags, counts and terms', async () => {
+      mockSend.mockResolvedValueOnce({ Items: [legacyTask], LastEvaluatedKey: { PK: 'TASK#1', SK: 'TASK#1' } });
+      mockSend.mockResolvedValue({});
 
-      expect(result).toEqual({ items: mockTasks, nextToken: null });
-      expect(mockSend).toHaveBeenCalled();
+      const result = await migrateLegacyItems('acme', 100);
+
+      expect(mockSend.mock.calls[0][0]).toMatchObject({
+        FilterExpression: 'NOT begins_with(PK, :scoped) AND PK <> :apiKeys',
+        ExpressionAttributeValues: { ':scoped': 'WS#', ':apiKeys': 'APIKEYS' },
+        Limit: 100
+      });
+      const transactItems = mockSend.mock.calls[1][0].TransactItems;
+      const taskPut = transactItems[0].Put;
+      expect(taskPut.ConditionExpression).toBe('attribute_not_exists(PK)');
+      expect(taskPut.Item).toMatchObject({
+        PK: 'WS#acme#TASK#1',
+        SK: 'TASK#1',
+        workspaceAssignee: 'WS#acme#alice',
+        workspaceStatus: 'WS#acme#open',
+        listShard: expect.stringMatching(/^WS#acme#TASKS#[0-3]$/),
+        statusPriority: 'WS#acme#open#P1',
+        counted: true
+      });
+      expect(transactItems[1].Put.Item).toMatchObject({ PK: 'WS#acme#TAG#backend', SK: 'TASK#1' });
+      expect(Object.fromEntries(transactItems
+        .filter(item => item.Update?.Key.PK.startsWith('WS#acme#COUNTS#'))
+        .map(item => [item.Update.Key.SK, item.Update.ExpressionAttributeValues[':delta']]))).toMatchObject({
+        TOTAL: 1,
+        'assigneeStatus#alice#open': 1
+      });
+      expect(mockSend.mock.calls[2][0].RequestItems['engineering-tasks'][0].PutRequest.Item.PK).toBe('WS#acme#TERM#fix');
+      expect(mockSend.mock.calls[3][0]).toEqual({ TableName: 'engineering-tasks', Key: { PK: 'TASK#1', SK: 'TASK#1' } });
+      expect(result.migrated).toBe(1);
+      expect(result.nextToken).toBeTruthy();
     });
 
-    test('should return empty array when no matches', async () => {
+    test('should move comments, history and dependency edges and drop rebuilt items', async () => {
+      const comment = { PK: 'TASK#1', SK: 'COMMENT#2024-01-01T00:00:00.000Z#c1', id: 'c1', text: 'Done?' };
+      mockSend.mockResolvedValueOnce({
+        Items: [
+          comment,
+          { PK: 'TAG#backend', SK: 'TASK#1' },
+          { PK: 'COUNTS#0', SK: 'TOTAL', count: 3 }
+        ]
+      });
       mockSend.mockResolvedValue({});
 
-      const result = await queryTasksByStatus('open');
+      const result = await migrateLegacyItems('default', 100);
 
-      expect(result).toEqual({ items: [], nextToken: null });
+      expect(mockSend.mock.calls[1][0].Item).toEqual({ ...comment, PK: 'WS#default#TASK#1' });
+      expect(mockSend.mock.calls.slice(2).map(([params]) => params.Key)).toEqual([
+        { PK: 'TASK#1', SK: 'COMMENT#2024-01-01T00:00:00.000Z#c1' },
+        { PK: 'TAG#backend', SK: 'TASK#1' },
+        { PK: 'COUNTS#0', SK: 'TOTAL' }
+      ]);
+      expect(result).toEqual({ migrated: 0, nextToken: null });
+    });
+
+    test('should only reindex and delete a task an interrupted run already moved', async () => {
+      const cancelled = new Error('Transaction cancelled');
+      cancelled.name = 'TransactionCanceledException';
+      cancelled.CancellationReasons = [{ Code: 'ConditionalCheckFailed' }];
+      mockSend
+        .mockResolvedValueOnce({ Items: [legacyTask] })
+        .mockRejectedValueOnce(cancelled)
+        .mockResolvedValue({});
+
+      const result = await migrateLegacyItems('default', 100);
+
+      expect(mockSend).toHaveBeenCalledTimes(4);
+      expect(mockSend.mock.calls[2][0].RequestItems).toBeDefined();
+      expect(mockSend.mock.calls[3][0].Key).toEqual({ PK: 'TASK#1', SK: 'TASK#1' });
+      expect(result.migrated).toBe(0);
     });
 
     test('should handle DynamoDB errors', async () => {
-      mockSend.mockRejectedValue(new Error('DynamoDB error'));
+      mockSend
+        .mockResolvedValueOnce({ Items: [legacyTask] })
+        .mockRejectedValueOnce(new Error('DynamoDB error'));
 
-      await expect(queryTasksByStatus('open')).rejects.toThrow('Service temporarily unavailable');
+      await expect(migrateLegacyItems('default', 100)).rejects.toThrow('Service temporarily unavailable');
+    });
+
+    test('should reject an invalid workspace', async () => {
+      mockSend.mockResolvedValueOnce({ Items: [legacyTask] });
+
+      await expect(migrateLegacyItems('WS#acme', 100)).rejects.toThrow('Service temporarily unavailable');
+      expect(mockSend).toHaveBeenCalledTimes(1);
     });
   });
 
-  describe('queryTasksByPriority', () => {
-    test('should query tasks by priority', async () => {
-      const mockTasks = [{ id: '1', priority: 'P1' }];
+  describe('queryTaskCounters', () => {
+    test('should sum every shard of the requested counters', async () => {
+      mockSend.mockImplementation(async params => (
+        params.ExpressionAttributeValues[':prefix'] === 'status#'
+          ? { Items: [{ SK: 'status#open', count: 2 }, { SK: 'status#done', count: 1 }] }
+          : { Items: [{ SK: 'TOTAL', count: 3 }] }
+      ));
+
+      const counts = await queryTaskCounters('default', ['TOTAL', 'status#']);
+
+      expect(mockSend).toHaveBeenCalledTimes(8);
+      expect(mockSend.mock.calls.map(call => call[0].ExpressionAttributeValues[':pk']).sort()).toEqual([
+        'WS#default#COUNTS#0', 'WS#default#COUNTS#0', 'WS#default#COUNTS#1', 'WS#default#COUNTS#1',
+        'WS#default#COUNTS#2', 'WS#default#COUNTS#2', 'WS#default#COUNTS#3', 'WS#default#COUNTS#3'
+      ]);
+      expect(mockSend.mock.calls[0][0].KeyConditionExpression).toBe('PK = :pk AND begins_with(SK, :prefix)');
+      expect(counts).toEqual({ TOTAL: 12, 'status#open': 8, 'status#done': 4 });
+    });
 
-      mockSend.mockResolvedValue({ Items: mockTasks });
+    test('should follow pagination within a shard', async () => {
+      mockSend
+        .mockResolvedValueOnce({ Items: [{ SK: 'assignee#a', count: 1 }], LastEvaluatedKey: { PK: 'COUNTS#0', SK: 'assignee#a' } })
+        .mockResolvedValue({ Items: [{ SK: 'assignee#b', count: 1 }] });
 
-      const result = await queryTasksByPriority('P1');
+      const counts = await queryTaskCounters('default', ['assignee#']);
 
-      expect(result).toEqual({ items: mockTasks, nextToken: null });
-      expect(mockSend).toHaveBeenCalled();
+      expect(mockSend).toHaveBeenCalledTimes(5);
+      expect(counts).toEqual({ 'assignee#a': 1, 'assignee#b': 4 });
     });
 
-    test('should return empty array when no matches', async () => {
-      mockSend.mockResolvedValue({});
+    test('should read a prefix covered by another prefix only once', async () => {
+      mockSend.mockResolvedValue({ Items: [{ SK: 'status#open', count: 1 }] });
 
-      const result = await queryTasksByPriority('P1');
+      const counts = await queryTaskCounters('default', ['status#open', 'status#']);
 
-      expect(result).toEqual({ items: [], nextToken: null });
+      expect(mockSend).toHaveBeenCalledTimes(4);
+      expect(counts).toEqual({ 'status#open': 4 });
     });
 
     test('should handle DynamoDB errors', async () => {
       mockSend.mockRejectedValue(new Error('DynamoDB error'));
 
-      await expect(queryTasksByPriority('P1')).rejects.toThrow('Service temporarily unavailable');
+      await expect(queryTaskCounters('default', ['TOTAL'])).rejects.toThrow('Service temporarily unavailable');
     });
   });
 
-  describe('Edge Cases', () => {
+  describe('queryTasksByAssigneeStatus', () => {
+    test('should query the composite assignee#status index', async () => {
+      mockSend.mockResolvedValue({ Items: [{ id: '1' }], LastEvaluatedKey: { PK: 'WS#default#TASK#1' } });
+
+      const result = await queryTasksByAssigneeStatus('default', 'user@example.com', 'open', 10, undefined, {
+        ascending: false,
+        range: { after: '2024-01-01T00:00:00.000Z' }
+      });
+
+      const params = mockSend.mock.calls[0][0];
+      expect(params.IndexName).toBe('GSI6');
+      expect(params.KeyConditionExpression).toBe('assigneeStatus = :assigneeStatus AND #rangeKey >= :rangeAfter');
+      expect(params.ExpressionAttributeValues[':assigneeStatus']).toBe('WS#default#user@example.com#open');
+      expect(params.ScanIndexForward).toBe(false);
+      expect(result.items).toEqual([{ id: '1' }]);
+      expect(result.nextToken).toBeTruthy();
+    });
+
+    test('should handle DynamoDB errors', async () => {
+      mockSend.mockRejectedValue(new Error('DynamoDB error'));
+
+      await expect(queryTasksByAssigneeStatus('default', 'user@example.com', 'open')).rejects.toThrow('Service temporarily unavailable');
+    });
+  });
+
+  describe('queryTasksByStatusPriority', () => {
+    test('should query the composite status#priority index', async () => {
+      mockSend.mockResolvedValue({ Items: [] });
+
+      const result = await queryTasksByStatusPriority('default', 'open', 'P1', 10);
+
+      const params = mockSend.mock.calls[0][0];
+      expect(params.IndexName).toBe('GSI7');
+      expect(params.KeyConditionExpression).toBe('statusPriority = :statusPriority');
+      expect(params.ExpressionAttributeValues).toEqual({ ':statusPriority': 'WS#default#open#P1' });
+      expect(result).toEqual({ items: [], nextToken: null });
+    });
+
+    test('should handle DynamoDB errors', async () => {
+      mockSend.mockRejectedValue(new Error('DynamoDB error'));
+
+      await expect(queryTasksByStatusPriority('default', 'open', 'P1')).rejects.toThrow('Service temporarily unavailable');
+    });
+  });
+
+  describe('queryTasksByAssignee', () => {
+    test('should query tasks by assignee', async () => {
+      const mockTasks = [{ id: '1', assignee: 'user@example.com' }];
+
+      mockSend.mockResolvedValue({ Items: mockTasks });
+
+      const result = await queryTasksByAssignee('default', 'user@example.com');
+
+      expect(result).toEqual({ items: mockTasks, nextToken: null });
+      expect(mockSend).toHaveBeenCalled();
+    });
+
+    test('should return empty array when no matches', async () => {
+      mockSend.mockResolvedValue({});
+
+      const result = await queryTasksByAssignee('default', 'user@example.com');
+
+      expect(result).toEqual({ items: [], nextToken: null });
+    });
+
+    test('should handle DynamoDB errors', async () => {
+      mockSend.mockRejectedValue(new Error('DynamoDB error'));
+
+      await expect(queryTasksByAssignee('default', 'user@example.com')).rejects.toThrow('Service temporarily unavailable');
+    });
+  });
+
+  describe('queryTasksByStatus', () => {
+    test('should project the requested attributes alongside the key condition names', async () => {
+      mockSend.mockResolvedValue({ Items: [] });
+
+      await queryTasksByStatus('default', 'open', 10, undefined, {
+        attributes: ['id', 'description'],
+        range: { after: '2024-01-01T00:00:00.000Z' }
+      });
+
+      const params = mockSend.mock.calls[0][0];
+      expect(params.ProjectionExpression).toBe('#p0, #p1');
+      expect(params.ExpressionAttributeNames).toMatchObject({ '#rangeKey': 'createdAt', '#p0': 'id', '#p1': 'description' });
+    });
+
+    test('should query tasks by status', async () => {
+      const mockTasks = [{ id: '1', status: 'open' }];
+
+      mockSend.mockResolvedValue({ Items: mockTasks });
+
+      const result = await queryTasksByStatus('default', 'open');
+
+      expect(result).toEqual({ items: mockTasks, nextToken: null });
+      expect(mockSend).toHaveBeenCalled();
+    });
+
+    test('should return empty array when no matches', async () => {
+      mockSend.mockResolvedValue({});
+
+      const result = await queryTasksByStatus('default', 'open');
+
+      expect(result).toEqual({ items: [], nextToken: null });
+    });
+
+    test('should handle DynamoDB errors', async () => {
+      mockSend.mockRejectedValue(new Error('DynamoDB error'));
+
+      await expect(queryTasksByStatus('default', 'open')).rejects.toThrow('Service temporarily unavailable');
+    });
+
+    test('should push a createdAt range into the key condition', async () => {
+      mockSend.mockResolvedValue({ Items: [] });
+
+      await queryTasksByStatus('default', 'open', 10, undefined, {
+        range: { after: '2024-01-01T00:00:00.000Z', before: '2024-02-01T00:00:00.000Z' }
+      });
+
+      const params = mockSend.mock.calls[0][0];
+      expect(params.KeyConditionExpression).toBe('workspaceStatus = :status AND #rangeKey BETWEEN :rangeAfter AND :rangeBefore');
+      expect(params.ExpressionAttributeNames).toEqual({ '#rangeKey': 'createdAt' });
+      expect(params.ExpressionAttributeValues).toEqual({
+        ':status': 'WS#default#open',
+        ':rangeAfter': '2024-01-01T00:00:00.000Z',
+        ':rangeBefore': '2024-02-01T00:00:00.000Z'
+      });
+    });
+
+    test('should push a single comparison and a filter into a query', async () => {
+      mockSend.mockResolvedValue({ Items: [] });
+
+      await queryTasksByStatus('default', 'open', 10, undefined, {
+        range: { operator: '<', value: '2026-01-01T00:00:00.000Z' },
+        filter: { expression: '#q0 IN (:q0, :q1)', names: { '#q0': 'priority' }, values: { ':q0': 'P0', ':q1': 'P1' } }
+      });
+
+      const params = mockSend.mock.calls[0][0];
+      expect(params.KeyConditionExpression).toBe('workspaceStatus = :status AND #rangeKey < :rangeValue');
+      expect(params.FilterExpression).toBe('#q0 IN (:q0, :q1)');
+      expect(params.ExpressionAttributeNames).toEqual({ '#rangeKey': 'createdAt', '#q0': 'priority' });
+      expect(params.ExpressionAttributeValues).toEqual({
+        ':status': 'WS#default#open',
+        ':rangeValue': '2026-01-01T00:00:00.000Z',
+        ':q0': 'P0',
+        ':q1': 'P1'
+      });
+    });
+
+    test('should support open-ended ranges', async () => {
+      mockSend.mockResolvedValue({ Items: [] });
+
+      await queryTasksByStatus('default', 'open', 10, undefined, { range: { after: '2024-01-01T00:00:00.000Z' } });
+      await queryTasksByAssignee('default', 'user@example.com', 10, undefined, { range: { before: '2024-12-31~' } });
+
+      expect(mockSend.mock.calls[0][0].KeyConditionExpression).toBe('workspaceStatus = :status AND #rangeKey >= :rangeAfter');
+      expect(mockSend.mock.calls[1][0].KeyConditionExpression).toBe('workspaceAssignee = :assignee AND #rangeKey <= :rangeBefore');
+      expect(mockSend.mock.calls[1][0].ExpressionAttributeNames).toEqual({ '#rangeKey': 'dueDate' });
+    });
+  });
+
+  describe('queryTasksByPriority', () => {
+    test('should query tasks by priority', async () => {
+      const mockTasks = [{ id: '1', priority: 'P1' }];
+
+      mockSend.mockResolvedValue({ Items: mockTasks });
+
+      const result = await queryTasksByPriority('default', 'P1');
+
+      expect(result).toEqual({ items: mockTasks, nextToken: null });
+      expect(mockSend).toHaveBeenCalled();
+    });
+
+    test('should return empty array when no matches', async () => {
+      mockSend.mockResolvedValue({});
+
+      const result = await queryTasksByPriority('default', 'P1');
+
+      expect(result).toEqual({ items: [], nextToken: null });
+    });
+
+    test('should handle DynamoDB errors', async () => {
+      mockSend.mockRejectedValue(new Error('DynamoDB error'));
+
+      await expect(queryTasksByPriority('default', 'P1')).rejects.toThrow('Service temporarily unavailable');
+    });
+
+    test('should read the index backwards when descending', async () => {
+      mockSend.mockResolvedValue({ Items: [] });
+
+      await queryTasksByPriority('default', 'P1', 10, undefined, { ascending: false });
+
+      expect(mockSend.mock.calls[0][0].ScanIndexForward).toBe(false);
+    });
+
+    test('should leave the default index order when ascending', async () => {
+      mockSend.mockResolvedValue({ Items: [] });
+
+      await queryTasksByPriority('default', 'P1', 10, undefined, { ascending: true });
+
+      expect(mockSend.mock.calls[0][0]).not.toHaveProperty('ScanIndexForward');
+    });
+  });
+
+  describe('queryTasksInPriorityOrder', () => {
+    const decode = token => JSON.parse(Buffer.from(token, 'base64').toString());
+
+    test('should start with the P0 partition and move on when it is exhausted', async () => {
+      mockSend.mockResolvedValue({ Items: [{ id: '1', priority: 'P0' }] });
+
+      const result = await queryTasksInPriorityOrder('default', 10);
+
+      expect(mockSend.mock.calls[0][0].ExpressionAttributeValues).toEqual({ ':priority': 'WS#default#P0' });
+      expect(result.items).toEqual([{ id: '1', priority: 'P0' }]);
+      expect(decode(result.nextToken)).toEqual({ priority: 'P1' });
+    });
+
+    test('should resume inside a partition', async () => {
+      const lastKey = { PK: 'WS#default#TASK#1', SK: 'TASK#1', priority: 'P1', createdAt: '2024-01-01' };
+      mockSend.mockResolvedValue({ Items: [{ id: '2' }], LastEvaluatedKey: lastKey });
+
+      const first = await queryTasksInPriorityOrder('default', 1, Buffer.from(JSON.stringify({ priority: 'P1' })).toString('base64'));
+      expect(decode(first.nextToken).priority).toBe('P1');
+
+      mockSend.mockClear();
+      await queryTasksInPriorityOrder('default', 1, first.nextToken);
+
+      expect(mockSend.mock.calls[0][0].ExclusiveStartKey).toEqual(lastKey);
+    });
+
+    test('should walk the partitions from P4 when descending', async () => {
+      mockSend.mockResolvedValue({ Items: [] });
+
+      const result = await queryTasksInPriorityOrder('default', 10, undefined, { ascending: false });
+
+      expect(mockSend.mock.calls[0][0].ExpressionAttributeValues).toEqual({ ':priority': 'WS#default#P4' });
+      expect(mockSend.mock.calls[0][0].ScanIndexForward).toBe(false);
+      expect(decode(result.nextToken)).toEqual({ priority: 'P3' });
+    });
+
+    test('should finish after the last partition', async () => {
+      mockSend.mockResolvedValue({ Items: [] });
+
+      const result = await queryTasksInPriorityOrder('default', 10, Buffer.from(JSON.stringify({ priority: 'P4' })).toString('base64'));
+
+      expect(result.nextToken).toBeNull();
+    });
+  });
+
+  describe('queryTasksByTag', () => {
+    test('should query the tag partition and resolve tasks', async () => {
+      mockSend
+        .mockResolvedValueOnce({
+          Items: [
+            { PK: 'WS#default#TAG#oncall', SK: 'TASK#1', taskId: '1' },
+            { PK: 'WS#default#TAG#oncall', SK: 'TASK#2', taskId: '2' }
+          ],
+          LastEvaluatedKey: { PK: 'WS#default#TAG#oncall', SK: 'TASK#2' }
+        })
+        .mockResolvedValueOnce({ Responses: { 'engineering-tasks': [{ id: '1', labels: ['oncall'] }] } });
+
+      const result = await queryTasksByTag('default', 'oncall', 2);
+
+      expect(mockSend.mock.calls[0][0].ExpressionAttributeValues).toEqual({ ':pk': 'WS#default#TAG#oncall' });
+      expect(mockSend.mock.calls[0][0].IndexName).toBeUndefined();
+      expect(mockSend).toHaveBeenCalledTimes(2);
+      expect(mockSend.mock.calls[1][0].RequestItems['engineering-tasks'].Keys).toEqual([
+        { PK: 'WS#default#TASK#1', SK: 'TASK#1' },
+        { PK: 'WS#default#TASK#2', SK: 'TASK#2' }
+      ]);
+      expect(result.items).toEqual([{ id: '1', labels: ['oncall'] }]);
+      expect(result.nextToken).toBeTruthy();
+    });
+
+    test('should handle DynamoDB errors', async () => {
+      mockSend.mockRejectedValue(new Error('DynamoDB error'));
+
+      await expect(queryTasksByTag('default', 'oncall')).rejects.toThrow('Service temporarily unavailable');
+    });
+  });
+
+  describe('queryTermPostings', () => {
+    test('should read every page of the term partition', async () => {
+      mockSend
+        .mockResolvedValueOnce({
+          Items: [{ PK: 'WS#default#TERM#test', SK: 'TASK#1', taskId: '1', frequency: 2, length: 5 }],
+          LastEvaluatedKey: { PK: 'WS#default#TERM#test', SK: 'TASK#1' }
+        })
+        .mockResolvedValueOnce({
+          Items: [{ PK: 'WS#default#TERM#test', SK: 'TASK#2', taskId: '2', frequency: 1, length: 3 }]
+        });
+
+      const postings = await queryTermPostings('default', 'test');
+
+      expect(mockSend.mock.calls[0][0].ExpressionAttributeValues).toEqual({ ':pk': 'WS#default#TERM#test' });
+      expect(mockSend.mock.calls[0][0].Limit).toBe(1000);
+      expect(mockSend.mock.calls[1][0].ExclusiveStartKey).toEqual({ PK: 'WS#default#TERM#test', SK: 'TASK#1' });
+      expect(mockSend.mock.calls[1][0].Limit).toBe(999);
+      expect(postings).toEqual({
+        postings: [
+          { taskId: '1', frequency: 2, length: 5 },
+          { taskId: '2', frequency: 1, length: 3 }
+        ],
+        truncated: false
+      });
+    });
+
+    test('should report a term with more postings than are read', async () => {
+      const items = Array.from({ length: 1000 }, (_, index) => ({ taskId: String(index), frequency: 1, length: 2 }));
+      mockSend.mockResolvedValueOnce({ Items: items, LastEvaluatedKey: { PK: 'WS#default#TERM#test', SK: 'TASK#999' } });
+
+      const result = await queryTermPostings('default', 'test');
+
+      expect(mockSend).toHaveBeenCalledTimes(1);
+      expect(result.postings).toHaveLength(1000);
+      expect(result.truncated).toBe(true);
+    });
+
+    test('should handle DynamoDB errors', async () => {
+      mockSend.mockRejectedValue(new Error('DynamoDB error'));
+
+      await expect(queryTermPostings('default', 'test')).rejects.toThrow('Service temporarily unavailable');
+    });
+  });
+
+  describe('querySubtasks', () => {
+    test('should query subtasks using GSI4', async () => {
+      const mockTasks = [{ id: 'child', parentId: 'parent' }];
+      mockSend.mockResolvedValue({ Items: mockTasks });
+
+      const result = await querySubtasks('default', 'parent', 10);
+
+      expect(result).toEqual({ items: mockTasks, nextToken: null });
+      expect(mockSend.mock.calls[0][0].IndexName).toBe('GSI4');
+      expect(mockSend.mock.calls[0][0].ExpressionAttributeValues).toEqual({ ':parentId': 'WS#default#parent' });
+      expect(mockSend.mock.calls[0][0].KeyConditionExpression).toBe('workspaceParentId = :parentId');
+    });
+
+    test('should handle DynamoDB errors', async () => {
+      mockSend.mockRejectedValue(new Error('DynamoDB error'));
+
+      await expect(querySubtasks('default', 'parent')).rejects.toThrow('Service temporarily unavailable');
+    });
+  });
+
+  describe('queryAllSubtasks', () => {
+    test('should collect subtasks across pages', async () => {
+      mockSend
+        .mockResolvedValueOnce({ Items: [{ id: 'a', status: 'open' }], LastEvaluatedKey: { PK: 'WS#default#TASK#a' } })
+        .mockResolvedValueOnce({ Items: [{ id: 'b', status: 'done' }] });
+
+      const result = await queryAllSubtasks('default', 'parent');
+
+      expect(result).toEqual([{ id: 'a', status: 'open' }, { id: 'b', status: 'done' }]);
+      expect(mockSend.mock.calls[1][0].ExclusiveStartKey).toEqual({ PK: 'WS#default#TASK#a' });
+    });
+
+    test('should handle DynamoDB errors', async () => {
+      mockSend.mockRejectedValue(new Error('DynamoDB error'));
+
+      await expect(queryAllSubtasks('default', 'parent')).rejects.toThrow('Service temporarily unavailable');
+    });
+  });
+
+  describe('getTaskAncestorIds', () => {
+    test('should walk up to the root task', async () => {
+      mockSend
+        .mockResolvedValueOnce({ Item: { id: 'p', parentId: 'root' } })
+        .mockResolvedValueOnce({ Item: { id: 'root' } });
+
+      expect(await getTaskAncestorIds('default', 'p')).toEqual(['p', 'root']);
+    });
+
+    test('should return null when the first task does not exist', async () => {
+      mockSend.mockResolvedValue({});
+
+      expect(await getTaskAncestorIds('default', 'missing')).toBeNull();
+    });
+
+    test('should stop on a corrupted cycle', async () => {
+      mockSend
+        .mockResolvedValueOnce({ Item: { id: 'a', parentId: 'b' } })
+        .mockResolvedValueOnce({ Item: { id: 'b', parentId: 'a' } });
+
+      expect(await getTaskAncestorIds('default', 'a')).toEqual(['a', 'b']);
+      expect(mockSend).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('putDependency', () => {
+    test('should write both adjacency edges in one transaction', async () => {
+      mockSend.mockResolvedValue({});
+
+      await putDependency('default', 'a', 'b');
+
+      const items = mockSend.mock.calls[0][0].TransactItems.map(item => item.Put.Item);
+      expect(items[0]).toMatchObject({ PK: 'WS#default#TASK#a', SK: 'BLOCKS#b', blockerId: 'a', blockedId: 'b' });
+      expect(items[1]).toMatchObject({ PK: 'WS#default#TASK#b', SK: 'BLOCKEDBY#a', blockerId: 'a', blockedId: 'b' });
+    });
+
+    test('should handle DynamoDB errors', async () => {
+      mockSend.mockRejectedValue(new Error('DynamoDB error'));
+
+      await expect(putDependency('default', 'a', 'b')).rejects.toThrow('Service temporarily unavailable');
+    });
+
+    test('should block the task in the same transaction as the edges', async () => {
+      mockSend.mockResolvedValue({});
+      const previousTask = { id: 'b', description: 'Deploy', status: 'open', version: 1 };
+      const task = { ...previousTask, status: 'blocked', version: 2 };
+
+      await putDependency('default', 'a', 'b', { task, previousTask });
+
+      const items = mockSend.mock.calls[0][0].TransactItems;
+      expect(items[0].Put.Item).toMatchObject({ SK: 'TASK#b', status: 'blocked', version: 2 });
+      expect(items[0].Put.ConditionExpression).toBeDefined();
+      expect(items[items.length - 2].Put.Item).toMatchObject({ SK: 'BLOCKS#b' });
+      expect(items[items.length - 1].Put.Item).toMatchObject({ SK: 'BLOCKEDBY#a' });
+    });
+
+    test('should throw VersionConflictError and store no edge when the task changed', async () => {
+      const cancelled = new Error('Transaction cancelled');
+      cancelled.name = 'TransactionCanceledException';
+      cancelled.CancellationReasons = [{ Code: 'ConditionalCheckFailed' }, { Code: 'None' }];
+      mockSend.mockRejectedValue(cancelled);
+      const previousTask = { id: 'b', description: 'Deploy', status: 'open', version: 1 };
+
+      await expect(putDependency('default', 'a', 'b', {
+        task: { ...previousTask, status: 'blocked', version: 2 },
+        previousTask
+      })).rejects.toMatchObject({ name: 'VersionConflictError' });
+      expect(mockSend).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('deleteDependency', () => {
+    test('should delete both edges', async () => {
+      mockSend.mockResolvedValue({});
+
+      expect(await deleteDependency('default', 'a', 'b')).toBe(true);
+      const keys = mockSend.mock.calls[0][0].TransactItems.map(item => item.Delete.Key);
+      expect(keys).toEqual([
+        { PK: 'WS#default#TASK#a', SK: 'BLOCKS#b' },
+        { PK: 'WS#default#TASK#b', SK: 'BLOCKEDBY#a' }
+      ]);
+    });
+
+    test('should return false when the dependency does not exist', async () => {
+      const cancelled = new Error('Transaction cancelled');
+      cancelled.name = 'TransactionCanceledException';
+      cancelled.CancellationReasons = [{ Code: 'ConditionalCheckFailed' }, { Code: 'None' }];
+      mockSend.mockRejectedValue(cancelled);
+
+      expect(await deleteDependency('default', 'a', 'b')).toBe(false);
+    });
+
+    test('should handle DynamoDB errors', async () => {
+      mockSend.mockRejectedValue(new Error('DynamoDB error'));
+
+      await expect(deleteDependency('default', 'a', 'b')).rejects.toThrow('Service temporarily unavailable');
+    });
+  });
+
+  describe('queryBlockerIds', () => {
+    test('should read blocker IDs from BLOCKEDBY edges', async () => {
+      mockSend.mockResolvedValue({ Items: [{ PK: 'WS#default#TASK#b', SK: 'BLOCKEDBY#a' }] });
+
+      expect(await queryBlockerIds('default', 'b')).toEqual(['a']);
+      expect(mockSend.mock.calls[0][0].ExpressionAttributeValues[':prefix']).toBe('BLOCKEDBY#');
+    });
+
+    test('should handle DynamoDB errors', async () => {
+      mockSend.mockRejectedValue(new Error('DynamoDB error'));
+
+      await expect(queryBlockerIds('default', 'b')).rejects.toThrow('Service temporarily unavailable');
+    });
+  });
+
+  describe('queryBlockedIds', () => {
+    test('should read blocked IDs from BLOCKS edges', async () => {
+      mockSend.mockResolvedValue({ Items: [{ PK: 'WS#default#TASK#a', SK: 'BLOCKS#b' }] });
+
+      expect(await queryBlockedIds('default', 'a')).toEqual(['b']);
+    });
+
+    test('should handle DynamoDB errors', async () => {
+      mockSend.mockRejectedValue(new Error('DynamoDB error'));
+
+      await expect(queryBlockedIds('default', 'a')).rejects.toThrow('Service temporarily unavailable');
+    });
+  });
+
+  describe('queryTaskHistory', () => {
+    test('should query history items in the task partition', async () => {
+      const mockHistory = [{ taskId: '123', action: 'create' }];
+      mockSend.mockResolvedValue({ Items: mockHistory, LastEvaluatedKey: { PK: 'WS#default#TASK#123', SK: 'HISTORY#x' } });
+
+      const result = await queryTaskHistory('default', '123', 5);
+
+      expect(result.items).toEqual(mockHistory);
+      expect(result.nextToken).toBe(Buffer.from(JSON.stringify({ PK: 'WS#default#TASK#123', SK: 'HISTORY#x' })).toString('base64'));
+      expect(mockSend.mock.calls[0][0].ExpressionAttributeValues[':prefix']).toBe('HISTORY#');
+    });
+
+    test('should handle DynamoDB errors', async () => {
+      mockSend.mockRejectedValue(new Error('DynamoDB error'));
+
+      await expect(queryTaskHistory('default', '123')).rejects.toThrow('Service temporarily unavailable');
+    });
+  });
+
+  describe('putComment', () => {
+    test('should store comment next to its task', async () => {
+      mockSend.mockResolvedValue({});
+
+      const comment = {
+        id: 'c1',
+        taskId: '123',
+        text: 'Looks good',
+        createdAt: '2024-01-01T00:00:00.000Z'
+      };
+
+      const result = await putComment('default', comment);
+
+      expect(result).toEqual(comment);
+      expect(mockSend.mock.calls[0][0].Item).toEqual({
+        PK: 'WS#default#TASK#123',
+        SK: 'COMMENT#2024-01-01T00:00:00.000Z#c1',
+        ...comment
+      });
+    });
+
+    test('should handle DynamoDB errors', async () => {
+      mockSend.mockRejectedValue(new Error('DynamoDB error'));
+
+      await expect(putComment('default', { id: 'c1', taskId: '123' })).rejects.toThrow('Service temporarily unavailable');
+    });
+  });
+
+  describe('queryComments', () => {
+    test('should query comments in the task partition', async () => {
+      const mockComments = [{ id: 'c1', text: 'Hi' }];
+      mockSend.mockResolvedValue({ Items: mockComments });
+
+      const result = await queryComments('default', '123', 10);
+
+      expect(result).toEqual({ items: mockComments, nextToken: null });
+      expect(mockSend.mock.calls[0][0].ExpressionAttributeValues).toEqual({
+        ':pk': 'WS#default#TASK#123',
+        ':prefix': 'COMMENT#'
+      });
+      expect(mockSend.mock.calls[0][0].Limit).toBe(10);
+    });
+
+    test('should round-trip pagination tokens', async () => {
+      const lastKey = { PK: 'WS#default#TASK#123', SK: 'COMMENT#2024-01-01T00:00:00.000Z#c1' };
+      mockSend.mockResolvedValueOnce({ Items: [], LastEvaluatedKey: lastKey });
+
+      const { nextToken } = await queryComments('default', '123', 1);
+      mockSend.mockResolvedValueOnce({ Items: [] });
+      await queryComments('default', '123', 1, nextToken);
+
+      expect(mockSend.mock.calls[1][0].ExclusiveStartKey).toEqual(lastKey);
+    });
+
+    test('should handle DynamoDB errors', async () => {
+      mockSend.mockRejectedValue(new Error('DynamoDB error'));
+
+      await expect(queryComments('default', '123')).rejects.toThrow('Service temporarily unavailable');
+    });
+  });
+
+  describe('deleteComment', () => {
+    test('should locate and delete comment by ID', async () => {
+      const commentItem = { PK: 'WS#default#TASK#123', SK: 'COMMENT#2024-01-01T00:00:00.000Z#c1', id: 'c1' };
+      mockSend
+        .mockResolvedValueOnce({ Items: [commentItem] })
+        .mockResolvedValueOnce({});
+
+      const result = await deleteComment('default', '123', 'c1');
+
+      expect(result).toBe(true);
+      expect(mockSend.mock.calls[1][0].Key).toEqual({ PK: commentItem.PK, SK: commentItem.SK });
+    });
+
+    test('should keep searching later pages', async () => {
+      const commentItem = { PK: 'WS#default#TASK#123', SK: 'COMMENT#b#c2', id: 'c2' };
+      mockSend
+        .mockResolvedValueOnce({ Items: [], LastEvaluatedKey: { PK: 'WS#default#TASK#123', SK: 'COMMENT#a#c1' } })
+        .mockResolvedValueOnce({ Items: [commentItem] })
+        .mockResolvedValueOnce({});
+
+      expect(await deleteComment('default', '123', 'c2')).toBe(true);
+      expect(mockSend).toHaveBeenCalledTimes(3);
+    });
+
+    test('should return false when comment not found', async () => {
+      mockSend.mockResolvedValue({ Items: [] });
+
+      expect(await deleteComment('default', '123', 'missing')).toBe(false);
+      expect(mockSend).toHaveBeenCalledTimes(1);
+    });
+
+    test('should handle DynamoDB errors', async () => {
+      mockSend.mockRejectedValue(new Error('DynamoDB error'));
+
+      await expect(deleteComment('default', '123', 'c1')).rejects.toThrow('Service temporarily unavailable');
+    });
+  });
+
+  describe('countComments', () => {
+    test('should sum counts across pages', async () => {
+      mockSend
+        .mockResolvedValueOnce({ Count: 3, LastEvaluatedKey: { PK: 'WS#default#TASK#123', SK: 'COMMENT#x' } })
+        .mockResolvedValueOnce({ Count: 2 });
+
+      expect(await countComments('default', '123')).toBe(5);
+      expect(mockSend.mock.calls[0][0].Select).toBe('COUNT');
+    });
+
+    test('should handle DynamoDB errors', async () => {
+      mockSend.mockRejectedValue(new Error('DynamoDB error'));
+
+      await expect(countComments('default', '123')).rejects.toThrow('Service temporarily unavailable');
+    });
+  });
+
+  describe('API keys', () => {
+    const record = { keyId: 'a1b2c3d4e5f6', name: 'CI', hash: 'h', scopes: ['tasks:read'] };
+
+    test('should store a key record under the API keys partition', async () => {
+      mockSend.mockResolvedValue({});
+
+      expect(await putApiKey(record)).toEqual(record);
+
+      const params = mockSend.mock.calls[0][0];
+      expect(params.Item).toEqual({ PK: 'APIKEYS', SK: 'APIKEY#a1b2c3d4e5f6', ...record });
+      expect(params.ConditionExpression).toBe('attribute_not_exists(PK)');
+    });
+
+    test('should get a key record by ID', async () => {
+      mockSend.mockResolvedValue({ Item: record });
+
+      expect(await getApiKey('a1b2c3d4e5f6')).toEqual(record);
+      expect(mockSend.mock.calls[0][0].Key).toEqual({ PK: 'APIKEYS', SK: 'APIKEY#a1b2c3d4e5f6' });
+    });
+
+    test('should return null for an unknown key', async () => {
+      mockSend.mockResolvedValue({});
+
+      expect(await getApiKey('missing')).toBeNull();
+    });
+
+    test('should page through key records', async () => {
+      const lastKey = { PK: 'APIKEYS', SK: 'APIKEY#a1b2c3d4e5f6' };
+      mockSend.mockResolvedValue({ Items: [record], LastEvaluatedKey: lastKey });
+
+      const result = await queryApiKeys(1);
+
+      expect(result.items).toEqual([record]);
+      expect(JSON.parse(Buffer.from(result.nextToken, 'base64').toString())).toEqual(lastKey);
+      expect(mockSend.mock.calls[0][0].Limit).toBe(1);
+      expect(mockSend.mock.calls[0][0].FilterExpression).toBeUndefined();
+    });
+
+    test('should filter key records by workspace, counting keys without one as default', async () => {
+      mockSend.mockResolvedValue({ Items: [] });
+
+      await queryApiKeys(20, undefined, { workspace: 'acme' });
+      await queryApiKeys(20, undefined, { workspace: 'default' });
+
+      expect(mockSend.mock.calls[0][0].FilterExpression).toBe('#workspace = :workspace');
+      expect(mockSend.mock.calls[0][0].ExpressionAttributeValues[':workspace']).toBe('acme');
+      expect(mockSend.mock.calls[1][0].FilterExpression)
+        .toBe('attribute_not_exists(#workspace) OR #workspace = :workspace');
+    });
+
+    test('should update a key record and return it', async () => {
+      mockSend.mockResolvedValue({ Attributes: { ...record, disabled: true } });
+
+      const result = await updateApiKey('a1b2c3d4e5f6', { disabled: true, revokedAt: 'now' });
+
+      const params = mockSend.mock.calls[0][0];
+      expect(result.disabled).toBe(true);
+      expect(params.UpdateExpression).toBe('SET #k0 = :k0, #k1 = :k1');
+      expect(params.ExpressionAttributeNames).toEqual({ '#k0': 'disabled', '#k1': 'revokedAt' });
+      expect(params.ConditionExpression).toBe('attribute_exists(PK)');
+    });
+
+    test('should return null when updating an unknown key', async () => {
+      const conditionError = new Error('The conditional request failed');
+      conditionError.name = 'ConditionalCheckFailedException';
+      mockSend.mockRejectedValue(conditionError);
+
+      expect(await updateApiKey('missing', { disabled: true })).toBeNull();
+    });
+
+    test('should handle DynamoDB errors', async () => {
+      mockSend.mockRejectedValue(new Error('DynamoDB error'));
+
+      await expect(getApiKey('a1b2c3d4e5f6')).rejects.toThrow('Service temporarily unavailable');
+      await expect(updateApiKey('a1b2c3d4e5f6', { disabled: true })).rejects.toThrow('Service temporarily unavailable');
+    });
+  });
+
+  describe('claimSigningNonce', () => {
+    test('should store the nonce in the workspace of the signing key until it expires', async () => {
+      mockSend.mockResolvedValue({});
+
+      expect(await claimSigningNonce('acme', 'deploy-bot', 'n0nce-0123456789', 1700000300)).toBe(true);
+
+      const params = mockSend.mock.calls[0][0];
+      expect(params.Item).toEqual({
+        PK: 'WS#acme#NONCE#deploy-bot#n0nce-0123456789',
+        SK: 'NONCE#n0nce-0123456789',
+        expiresAt: 1700000300
+      });
+      expect(params.ConditionExpression).toBe('attribute_not_exists(PK) OR expiresAt < :now');
+    });
+
+    test('should refuse a nonce that was already claimed', async () => {
+      const conditionError = new Error('The conditional request failed');
+      conditionError.name = 'ConditionalCheckFailedException';
+      mockSend.mockRejectedValue(conditionError);
+
+      expect(await claimSigningNonce('default', 'deploy-bot', 'n0nce-0123456789', 1700000300)).toBe(false);
+    });
+
+    test('should handle DynamoDB errors', async () => {
+      mockSend.mockRejectedValue(new Error('DynamoDB error'));
+
+      await expect(claimSigningNonce('default', 'deploy-bot', 'n0nce-0123456789', 1700000300))
+        .rejects.toThrow('Service temporarily unavailable');
+    });
+  });
+
+  describe('Edge Cases', () => {
+    test('should skip deleting a task that does not exist', async () => {
+      mockSend.mockResolvedValue({});
+
+      await deleteTask('default', 'missing');
+
+      expect(mockSend.mock.calls.some(call => call[0].TransactItems)).toBe(false);
+    });
+
+    test('should finish removing the comments of a task whose delete was interrupted', async () => {
+      mockSend
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ Items: [{ PK: 'WS#default#TASK#gone', SK: 'COMMENT#c1' }] })
+        .mockResolvedValue({});
+
+      await deleteTask('default', 'gone');
+
+      const deletes = mockSend.mock.calls.find(call => call[0].RequestItems)[0].RequestItems['engineering-tasks'];
+      expect(deletes).toEqual([{ DeleteRequest: { Key: { PK: 'WS#default#TASK#gone', SK: 'COMMENT#c1' } } }]);
+    });
+
+    test('should return zero comments for a task without comments', async () => {
+      mockSend.mockResolvedValue({});
+
+      expect(await countComments('default', '123')).toBe(0);
+    });
+
     test('should handle pagination parameters', async () => {
       const mockTasks = [{ id: '1', description: 'Task 1' }];
-      const validToken = Buffer.from(JSON.stringify({ PK: 'TASK#1', SK: 'TASK#1' })).toString('base64');
+      const validToken = Buffer.from(JSON.stringify({ PK: 'WS#default#TASK#1', SK: 'TASK#1' })).toString('base64');
       
       mockSend.mockResolvedValue({ Items: mockTasks });
 
-      const result = await scanTasks(10, validToken);
+      const result = await scanTasks('default', 10, validToken);
 
       expect(result.items).toEqual(mockTasks);
       expect(mockSend).toHaveBeenCalled();
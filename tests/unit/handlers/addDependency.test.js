@@ -0,0 +1,160 @@
+const { handler } = require('../../../src/handlers/addDependency');
+const { getTask, putDependency, queryBlockedIds } = require('../../../src/lib/dynamodb');
+
+jest.mock('../../../src/lib/dynamodb');
+
+describe('addDependency handler', () => {
+  const originalEnv = process.env;
+  let tasks;
+
+  const buildEvent = (blockerId) => ({
+    headers: {
+      'x-api-key': 'test-api-key'
+    },
+    pathParameters: { id: 'deploy' },
+    body: JSON.stringify({ blockerId })
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...originalEnv };
+    process.env.API_KEY = 'test-api-key';
+
+    tasks = {
+      deploy: { id: 'deploy', description: 'Deploy', status: 'open' },
+      migrate: { id: 'migrate', description: 'Migrate', status: 'in-progress' },
+      review: { id: 'review', description: 'Review', status: 'done' }
+    };
+    getTask.mockImplementation(async (workspace, id) => tasks[id] || null);
+    queryBlockedIds.mockResolvedValue([]);
+    putDependency.mockResolvedValue();
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  test('should add dependency and block the task', async () => {
+    const response = await handler(buildEvent('migrate'));
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(201);
+    expect(body.blockerId).toBe('migrate');
+    expect(body.blockedId).toBe('deploy');
+    expect(body.task.status).toBe('blocked');
+    expect(putDependency).toHaveBeenCalledTimes(1);
+    expect(putDependency).toHaveBeenCalledWith('default', 'migrate', 'deploy', expect.objectContaining({
+      task: expect.objectContaining({ id: 'deploy', status: 'blocked' }),
+      previousTask: tasks.deploy
+    }));
+  });
+
+  test('should not block the task in a workspace without the blocked status', async () => {
+    process.env.WORKSPACE_CONFIG = JSON.stringify({ default: { statuses: ['open', 'in-progress', 'done'] } });
+
+    const response = await handler(buildEvent('migrate'));
+
+    expect(response.statusCode).toBe(201);
+    expect(JSON.parse(response.body).task.status).toBe('open');
+    expect(putDependency).toHaveBeenCalledWith('default', 'migrate', 'deploy');
+  });
+
+  test('should not change status for a finished blocker', async () => {
+    const response = await handler(buildEvent('review'));
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(201);
+    expect(body.task.status).toBe('open');
+    expect(putDependency).toHaveBeenCalledWith('default', 'review', 'deploy');
+  });
+
+  test('should reject dependencies that create a cycle', async () => {
+    // deploy already blocks release, which blocks migrate
+    const edges = { deploy: ['release'], release: ['migrate'] };
+    queryBlockedIds.mockImplementation(async (workspace, id) => edges[id] || []);
+
+    const response = await handler(buildEvent('migrate'));
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(409);
+    expect(body.error).toBe('Dependency would create a cycle');
+    expect(putDependency).not.toHaveBeenCalled();
+  });
+
+  test('should return 404 for non-existent task', async () => {
+    delete tasks.deploy;
+
+    const response = await handler(buildEvent('migrate'));
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(404);
+    expect(body.error).toBe('Task not found');
+  });
+
+  test('should return 404 for non-existent blocker', async () => {
+    const response = await handler(buildEvent('missing'));
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(404);
+    expect(body.error).toBe('Blocker task not found');
+  });
+
+  test('should handle DynamoDB errors', async () => {
+    putDependency.mockRejectedValue(new Error('DynamoDB error'));
+
+    const response = await handler(buildEvent('migrate'));
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(500);
+    expect(body.error).toBe('Internal server error: adding dependency');
+  });
+
+  describe('Edge Cases', () => {
+    test('should reject self-dependency', async () => {
+      const response = await handler(buildEvent('deploy'));
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(400);
+      expect(body.error).toBe('Task cannot block itself');
+    });
+
+    test('should require blockerId', async () => {
+      const response = await handler({ ...buildEvent(), body: '{}' });
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(400);
+      expect(body.error).toBe('Blocker ID is required');
+    });
+
+    test('should handle invalid JSON body', async () => {
+      const response = await handler({ ...buildEvent(), body: 'nope' });
+
+      expect(response.statusCode).toBe(400);
+    });
+
+    test('should return 409 without an edge when the task changes concurrently', async () => {
+      const conflict = new Error('Version conflict');
+      conflict.name = 'VersionConflictError';
+      putDependency.mockRejectedValue(conflict);
+
+      const response = await handler(buildEvent('migrate'));
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(409);
+      expect(body.error).toBe('Task was modified concurrently; retry the request');
+      expect(putDependency).toHaveBeenCalledTimes(1);
+      expect(putDependency).toHaveBeenCalledWith('default', 'migrate', 'deploy', expect.objectContaining({
+        previousTask: tasks.deploy
+      }));
+    });
+
+    test('should keep an already blocked task unchanged', async () => {
+      tasks.deploy.status = 'blocked';
+
+      const response = await handler(buildEvent('migrate'));
+
+      expect(response.statusCode).toBe(201);
+      expect(putDependency).toHaveBeenCalledWith('default', 'migrate', 'deploy');
+    });
+  });
+});
@@ -0,0 +1,345 @@
+const { handler } = require('../../../src/handlers/batchTasks');
+const {
+  getTask,
+  getTaskAncestorIds,
+  queryBlockerIds,
+  queryAllSubtasks,
+  writeTaskBatch,
+  getApiKey
+} = require('../../../src/lib/dynamodb');
+const { generateApiKey } = require('../../../src/lib/auth');
+
+jest.mock('../../../src/lib/dynamodb');
+
+describe('batchTasks handler', () => {
+  const originalEnv = process.env;
+  const storedTasks = {
+    t1: { id: 't1', description: 'First', priority: 'P2', status: 'open', labels: [], version: 2 },
+    t2: { id: 't2', description: 'Second', priority: 'P3', status: 'open', labels: [], version: 1 }
+  };
+
+  /**
+   * Builds a batch request event
+   * @param {Object} body - Request body
+   * @returns {Object} API Gateway event
+   */
+  const batchEvent = (body) => ({
+    headers: {
+      'x-api-key': 'test-api-key'
+    },
+    body: JSON.stringify(body)
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...originalEnv };
+    process.env.API_KEY = 'test-api-key';
+    getTask.mockImplementation(async (workspace, id) => storedTasks[id] || null);
+    queryAllSubtasks.mockResolvedValue([]);
+    queryBlockerIds.mockResolvedValue([]);
+    writeTaskBatch.mockImplementation(async (workspace, writes) => writes.map(() => ({ ok: true })));
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  test('should apply create, update and delete operations', async () => {
+    const response = await handler(batchEvent({
+      operations: [
+        { op: 'create', task: { description: 'New task', priority: 'P1' } },
+        { op: 'update', id: 't1', task: { status: 'in-progress' } },
+        { op: 'delete', id: 't2' }
+      ]
+    }));
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(200);
+    expect(body.succeeded).toBe(3);
+    expect(body.failed).toBe(0);
+    expect(body.results.map(result => result.statusCode)).toEqual([201, 200, 204]);
+    expect(body.results[0].task.description).toBe('New task');
+    expect(body.results[1].task.status).toBe('in-progress');
+    expect(body.results[2].id).toBe('t2');
+
+    const [workspace, writes, options] = writeTaskBatch.mock.calls[0];
+    expect(workspace).toBe('default');
+    expect(writes.map(write => write.type)).toEqual(['put', 'put', 'delete']);
+    expect(writes[1].task.version).toBe(3);
+    expect(writes[1].previousTask).toBe(storedTasks.t1);
+    expect(options).toEqual({ transactional: false, actor: { type: 'apiKey', id: expect.any(String) } });
+  });
+
+  test('should report invalid operations and write the valid ones', async () => {
+    const response = await handler(batchEvent({
+      operations: [
+        { op: 'create', task: { description: '' } },
+        { op: 'update', id: 'missing', task: { status: 'done' } },
+        { op: 'create', task: { description: 'Valid' } }
+      ]
+    }));
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(200);
+    expect(body.failed).toBe(2);
+    expect(body.results[0].statusCode).toBe(400);
+    expect(body.results[1]).toMatchObject({ statusCode: 404, error: 'Task not found' });
+    expect(body.results[2].statusCode).toBe(201);
+    expect(writeTaskBatch.mock.calls[0][1]).toHaveLength(1);
+  });
+
+  test('should report writes that failed', async () => {
+    writeTaskBatch.mockResolvedValue([{ ok: false, error: 'Service temporarily unavailable' }]);
+
+    const response = await handler(batchEvent({
+      operations: [{ op: 'create', task: { description: 'New task' } }]
+    }));
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(200);
+    expect(body.results[0]).toMatchObject({ statusCode: 500, error: 'Internal server error: creating task' });
+  });
+
+  test('should report a conflict for a task changed while the batch was written', async () => {
+    writeTaskBatch.mockResolvedValue([
+      { ok: false, error: 'Version conflict', conflict: true },
+      { ok: true }
+    ]);
+
+    const response = await handler(batchEvent({
+      operations: [
+        { op: 'update', id: 't1', task: { status: 'in-progress' } },
+        { op: 'create', task: { description: 'New task' } }
+      ]
+    }));
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(200);
+    expect(body.results[0]).toMatchObject({
+      statusCode: 409,
+      error: 'Task was modified concurrently; retry the request'
+    });
+    expect(body.results[1].statusCode).toBe(201);
+    expect(body).toMatchObject({ succeeded: 1, failed: 1 });
+  });
+
+  test('should refuse stale versions', async () => {
+    const response = await handler(batchEvent({
+      operations: [{ op: 'update', id: 't1', version: 1, task: { status: 'done' } }]
+    }));
+    const body = JSON.parse(response.body);
+
+    expect(body.results[0].statusCode).toBe(412);
+  });
+
+  test('should refuse to delete tasks with subtasks', async () => {
+    queryAllSubtasks.mockResolvedValue([{ id: 'child' }]);
+
+    const response = await handler(batchEvent({
+      operations: [{ op: 'delete', id: 't1' }]
+    }));
+    const body = JSON.parse(response.body);
+
+    expect(body.results[0]).toMatchObject({ statusCode: 409, error: 'Task has subtasks; delete them first' });
+    expect(writeTaskBatch).toHaveBeenCalledWith('default', [], expect.any(Object));
+  });
+
+  test('should refuse to finish blocked tasks', async () => {
+    queryBlockerIds.mockResolvedValue(['t2']);
+
+    const response = await handler(batchEvent({
+      operations: [{ op: 'update', id: 't1', task: { status: 'done' } }]
+    }));
+    const body = JSON.parse(response.body);
+
+    expect(body.results[0]).toMatchObject({ statusCode: 409, error: 'Task is blocked by unfinished tasks: t2' });
+  });
+
+  test('should validate parents of created tasks', async () => {
+    getTaskAncestorIds.mockResolvedValue(null);
+
+    const response = await handler(batchEvent({
+      operations: [{ op: 'create', task: { description: 'Child', parentId: 'missing' } }]
+    }));
+    const body = JSON.parse(response.body);
+
+    expect(body.results[0]).toMatchObject({ statusCode: 400, error: 'Parent task not found' });
+  });
+
+  describe('Transactional mode', () => {
+    test('should write all operations in one transaction', async () => {
+      const response = await handler(batchEvent({
+        transactional: true,
+        operations: [
+          { op: 'create', task: { description: 'New task' } },
+          { op: 'delete', id: 't2' }
+        ]
+      }));
+
+      expect(response.statusCode).toBe(200);
+      expect(writeTaskBatch.mock.calls[0][2].transactional).toBe(true);
+    });
+
+    test('should reject the whole batch when one operation is invalid', async () => {
+      const response = await handler(batchEvent({
+        transactional: true,
+        operations: [
+          { op: 'create', task: { description: 'New task' } },
+          { op: 'update', id: 't1', task: { priority: 'P9' } }
+        ]
+      }));
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(400);
+      expect(body.error).toBe('Batch rejected; no operations were applied');
+      expect(body.results[0]).toMatchObject({ statusCode: 424, error: 'Not applied' });
+      expect(body.results[1].statusCode).toBe(400);
+      expect(writeTaskBatch).not.toHaveBeenCalled();
+    });
+
+    test('should return 409 when a task changes before the transaction commits', async () => {
+      const conflict = new Error('Task has been modified concurrently');
+      conflict.name = 'VersionConflictError';
+      conflict.operationIndex = 1;
+      writeTaskBatch.mockRejectedValue(conflict);
+
+      const response = await handler(batchEvent({
+        transactional: true,
+        operations: [
+          { op: 'create', task: { description: 'New task' } },
+          { op: 'update', id: 't1', task: { status: 'in-progress' } }
+        ]
+      }));
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(409);
+      expect(body.results.map(result => result.statusCode)).toEqual([424, 412]);
+    });
+
+    test('should return 400 when the transaction would be too large', async () => {
+      const tooLarge = new Error('Transactional batch needs 120 writes; the limit is 100');
+      tooLarge.name = 'BatchTooLargeError';
+      writeTaskBatch.mockRejectedValue(tooLarge);
+
+      const response = await handler(batchEvent({
+        transactional: true,
+        operations: [{ op: 'create', task: { description: 'New task' } }]
+      }));
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(400);
+      expect(body.error).toBe('Transactional batch needs 120 writes; the limit is 100');
+    });
+  });
+
+  test('should fail operations whose scope the API key lacks', async () => {
+    const { keyId, apiKey, hash } = generateApiKey();
+    getApiKey.mockResolvedValue({ keyId, hash, scopes: ['tasks:write'] });
+
+    const response = await handler({
+      headers: { 'x-api-key': apiKey },
+      body: JSON.stringify({
+        operations: [
+          { op: 'update', id: 't1', task: { status: 'done' } },
+          { op: 'delete', id: 't2' }
+        ]
+      })
+    });
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(200);
+    expect(body.failed).toBe(1);
+    expect(body.results[0].statusCode).toBe(200);
+    expect(body.results[1]).toMatchObject({ statusCode: 403, error: 'API key does not have the tasks:delete scope' });
+    expect(writeTaskBatch.mock.calls[0][1]).toHaveLength(1);
+  });
+
+  test('should fail operations the authorization rules deny', async () => {
+    const { keyId, apiKey, hash } = generateApiKey();
+    getApiKey.mockResolvedValue({ keyId, hash, scopes: ['tasks:write', 'tasks:delete', 'role:member'] });
+
+    const response = await handler({
+      headers: { 'x-api-key': apiKey },
+      body: JSON.stringify({
+        operations: [
+          { op: 'create', task: { description: 'Unassigned' } },
+          { op: 'delete', id: 't2' }
+        ]
+      })
+    });
+    const body = JSON.parse(response.body);
+
+    expect(body.results[0].statusCode).toBe(201);
+    expect(body.results[1]).toMatchObject({
+      statusCode: 403,
+      error: 'Denied by rule leads-delete-tasks: only leads can delete tasks'
+    });
+  });
+
+  describe('Edge Cases', () => {
+    test('should return 401 without an API key', async () => {
+      const response = await handler({ headers: {}, body: '{}' });
+
+      expect(response.statusCode).toBe(401);
+    });
+
+    test('should return 400 for invalid JSON', async () => {
+      const response = await handler({ headers: { 'x-api-key': 'test-api-key' }, body: 'invalid json{' });
+
+      expect(response.statusCode).toBe(400);
+    });
+
+    test('should return 400 for an empty batch', async () => {
+      const response = await handler(batchEvent({ operations: [] }));
+
+      expect(response.statusCode).toBe(400);
+    });
+
+    test('should return 400 for too many operations', async () => {
+      const operations = Array.from({ length: 101 }, () => ({ op: 'create', task: { description: 'Task' } }));
+
+      const response = await handler(batchEvent({ operations }));
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(400);
+      expect(body.error).toBe('A batch must not contain more than 100 operations');
+    });
+
+    test('should return 400 for a non-boolean transactional flag', async () => {
+      const response = await handler(batchEvent({ transactional: 'yes', operations: [{ op: 'delete', id: 't1' }] }));
+
+      expect(response.statusCode).toBe(400);
+    });
+
+    test('should reject unknown operations', async () => {
+      const response = await handler(batchEvent({ operations: [{ op: 'upsert', task: {} }, null] }));
+      const body = JSON.parse(response.body);
+
+      expect(body.results[0].statusCode).toBe(400);
+      expect(body.results[1]).toMatchObject({ op: null, statusCode: 400 });
+    });
+
+    test('should reject touching the same task twice', async () => {
+      const response = await handler(batchEvent({
+        operations: [
+          { op: 'update', id: 't1', task: { status: 'in-progress' } },
+          { op: 'delete', id: 't1' }
+        ]
+      }));
+      const body = JSON.parse(response.body);
+
+      expect(body.results[0].statusCode).toBe(200);
+      expect(body.results[1]).toMatchObject({ statusCode: 400, error: 'Task appears more than once in the batch' });
+    });
+
+    test('should handle DynamoDB errors', async () => {
+      getTask.mockRejectedValue(new Error('DynamoDB error'));
+
+      const response = await handler(batchEvent({ operations: [{ op: 'delete', id: 't1' }] }));
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(500);
+      expect(body.error).toBe('Internal server error: processing task batch');
+    });
+  });
+});
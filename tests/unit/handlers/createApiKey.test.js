@@ -0,0 +1,137 @@
+const { handler } = require('../../../src/handlers/createApiKey');
+const { putApiKey, getApiKey } = require('../../../src/lib/dynamodb');
+const { generateApiKey } = require('../../../src/lib/auth');
+
+jest.mock('../../../src/lib/dynamodb');
+
+describe('createApiKey handler', () => {
+  const originalEnv = process.env;
+
+  /**
+   * Builds an issue key request event
+   * @param {Object} body - Request body
+   * @returns {Object} API Gateway event
+   */
+  const createEvent = (body) => ({
+    headers: { 'x-api-key': 'test-api-key' },
+    body: JSON.stringify(body)
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...originalEnv };
+    process.env.API_KEY = 'test-api-key';
+    putApiKey.mockImplementation(async record => record);
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  test('should issue a key and return it once', async () => {
+    const response = await handler(createEvent({ name: 'CI pipeline', scopes: ['tasks:read', 'tasks:write'] }));
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(201);
+    expect(body.id).toMatch(/^[0-9a-f]{12}$/);
+    expect(body.prefix).toBe(`tk_${body.id}`);
+    expect(body.apiKey.startsWith(`${body.prefix}_`)).toBe(true);
+    expect(body.scopes).toEqual(['tasks:read', 'tasks:write']);
+    expect(body.disabled).toBe(false);
+    expect(body.hash).toBeUndefined();
+  });
+
+  test('should store only the hash of the key', async () => {
+    const response = await handler(createEvent({ name: 'CI', scopes: ['tasks:read'], expiresAt: '2999-01-01' }));
+    const body = JSON.parse(response.body);
+    const stored = putApiKey.mock.calls[0][0];
+
+    expect(stored.keyId).toBe(body.id);
+    expect(stored.hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(JSON.stringify(stored)).not.toContain(body.apiKey);
+    expect(stored.expiresAt).toBe('2999-01-01');
+    expect(stored.createdBy.type).toBe('apiKey');
+    expect(stored.workspace).toBe('default');
+  });
+
+  test('should issue keys for another workspace to administrators of the default workspace', async () => {
+    const response = await handler(createEvent({ name: 'Acme CI', scopes: ['tasks:read'], workspace: 'acme' }));
+
+    expect(response.statusCode).toBe(201);
+    expect(JSON.parse(response.body).workspace).toBe('acme');
+    expect(putApiKey.mock.calls[0][0].workspace).toBe('acme');
+  });
+
+  test('should keep administrators of other workspaces to their own workspace', async () => {
+    const { keyId, apiKey, hash } = generateApiKey();
+    getApiKey.mockResolvedValue({ keyId, hash, scopes: ['keys:admin'], workspace: 'acme' });
+    const event = (body) => ({ headers: { 'x-api-key': apiKey }, body: JSON.stringify(body) });
+
+    const own = await handler(event({ name: 'Acme CI', scopes: ['tasks:read'] }));
+    const other = await handler(event({ name: 'Globex CI', scopes: ['tasks:read'], workspace: 'globex' }));
+
+    expect(own.statusCode).toBe(201);
+    expect(putApiKey.mock.calls[0][0].workspace).toBe('acme');
+    expect(other.statusCode).toBe(403);
+    expect(JSON.parse(other.body).error).toBe('Cannot issue API keys for another workspace');
+    expect(putApiKey).toHaveBeenCalledTimes(1);
+  });
+
+  test('should return 400 for invalid input', async () => {
+    const response = await handler(createEvent({ scopes: ['tasks:everything'] }));
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(400);
+    expect(body.error).toContain('Name is required');
+    expect(body.error).toContain('Scopes must be from');
+    expect(putApiKey).not.toHaveBeenCalled();
+  });
+
+  test('should return 403 for a key without the keys:admin scope', async () => {
+    const { keyId, apiKey, hash } = generateApiKey();
+    getApiKey.mockResolvedValue({ keyId, hash, scopes: ['tasks:read', 'tasks:write', 'tasks:delete'] });
+
+    const response = await handler({ headers: { 'x-api-key': apiKey }, body: '{}' });
+
+    expect(response.statusCode).toBe(403);
+    expect(JSON.parse(response.body).error).toBe('API key does not have the keys:admin scope');
+  });
+
+  test('should return 401 without an API key', async () => {
+    const response = await handler({ headers: {}, body: '{}' });
+
+    expect(response.statusCode).toBe(401);
+  });
+
+  test('should handle DynamoDB errors', async () => {
+    putApiKey.mockRejectedValue(new Error('Service temporarily unavailable'));
+
+    const response = await handler(createEvent({ name: 'CI', scopes: ['tasks:read'] }));
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(500);
+    expect(body.error).toBe('Internal server error: issuing API key');
+  });
+
+  describe('Edge Cases', () => {
+    test('should return 400 for invalid JSON', async () => {
+      const response = await handler({ headers: { 'x-api-key': 'test-api-key' }, body: 'invalid json{' });
+
+      expect(response.statusCode).toBe(400);
+      expect(JSON.parse(response.body).error).toBe('Invalid JSON in request body');
+    });
+
+    test('should return 400 for an expiry in the past', async () => {
+      const response = await handler(createEvent({ name: 'CI', scopes: ['tasks:read'], expiresAt: '2020-01-01' }));
+
+      expect(response.statusCode).toBe(400);
+      expect(JSON.parse(response.body).error).toBe('Expiry must be in the future');
+    });
+
+    test('should trim the key name', async () => {
+      const response = await handler(createEvent({ name: '  CI  ', scopes: ['keys:admin'] }));
+
+      expect(JSON.parse(response.body).name).toBe('CI');
+    });
+  });
+});
@@ -0,0 +1,201 @@
+const { handler } = require('../../../src/handlers/createComment');
+const { getTask, putComment, getApiKey } = require('../../../src/lib/dynamodb');
+const { generateApiKey } = require('../../../src/lib/auth');
+
+jest.mock('../../../src/lib/dynamodb');
+
+describe('createComment handler', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...originalEnv };
+    process.env.API_KEY = 'test-api-key';
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  test('should create comment on existing task, authored by the caller', async () => {
+    const { keyId, apiKey, hash } = generateApiKey();
+    getApiKey.mockResolvedValue({ keyId, hash, name: 'CI pipeline', scopes: ['tasks:write'] });
+    getTask.mockResolvedValue({ id: '123', description: 'Test task' });
+    putComment.mockImplementation(async (workspace, comment) => comment);
+
+    const event = {
+      headers: {
+        'x-api-key': apiKey
+      },
+      pathParameters: { id: '123' },
+      body: JSON.stringify({ text: 'Looks good' })
+    };
+
+    const response = await handler(event);
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(201);
+    expect(body.id).toBeDefined();
+    expect(body.taskId).toBe('123');
+    expect(body.text).toBe('Looks good');
+    expect(body.author).toBe('CI pipeline');
+    expect(body.createdAt).toBeDefined();
+    expect(putComment).toHaveBeenCalledWith('default', expect.objectContaining({ taskId: '123', text: 'Looks good' }));
+  });
+
+  test('should return 403 for a restricted role commenting on someone else\'s task', async () => {
+    process.env.OWN_TASKS_ONLY_ROLES = 'member';
+    const { keyId, apiKey, hash } = generateApiKey();
+    getApiKey.mockResolvedValue({ keyId, hash, scopes: ['tasks:write', 'role:member'] });
+    getTask.mockResolvedValue({ id: '123', description: 'Test task', assignee: 'bob@example.com' });
+
+    const response = await handler({
+      headers: { 'x-api-key': apiKey },
+      pathParameters: { id: '123' },
+      body: JSON.stringify({ text: 'Looks good' })
+    });
+
+    expect(response.statusCode).toBe(403);
+    expect(JSON.parse(response.body).error)
+      .toBe('Denied by rule own-tasks-only: this role can only see tasks assigned to the caller');
+    expect(putComment).not.toHaveBeenCalled();
+  });
+
+  test('should return 404 for non-existent task', async () => {
+    getTask.mockResolvedValue(null);
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      pathParameters: { id: 'nonexistent' },
+      body: JSON.stringify({ text: 'Hello' })
+    };
+
+    const response = await handler(event);
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(404);
+    expect(body.error).toBe('Task not found');
+    expect(putComment).not.toHaveBeenCalled();
+  });
+
+  test('should return 400 for missing text', async () => {
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      pathParameters: { id: '123' },
+      body: JSON.stringify({})
+    };
+
+    const response = await handler(event);
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(400);
+    expect(body.error).toContain('Comment text is required');
+  });
+
+  test('should return 400 for invalid JSON', async () => {
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      pathParameters: { id: '123' },
+      body: '{invalid'
+    };
+
+    const response = await handler(event);
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(400);
+    expect(body.error).toBe('Invalid JSON in request body');
+  });
+
+  test('should handle DynamoDB errors', async () => {
+    getTask.mockResolvedValue({ id: '123' });
+    putComment.mockRejectedValue(new Error('DynamoDB error'));
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      pathParameters: { id: '123' },
+      body: JSON.stringify({ text: 'Hello' })
+    };
+
+    const response = await handler(event);
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(500);
+    expect(body.error).toBe('Internal server error: creating comment');
+  });
+
+  test('should return 401 for missing API key', async () => {
+    const event = {
+      headers: {},
+      pathParameters: { id: '123' },
+      body: JSON.stringify({ text: 'Hello' })
+    };
+
+    const response = await handler(event);
+
+    expect(response.statusCode).toBe(401);
+  });
+
+  describe('Edge Cases', () => {
+    test('should return 400 for missing task ID', async () => {
+      const event = {
+        headers: {
+          'x-api-key': 'test-api-key'
+        },
+        pathParameters: null,
+        body: JSON.stringify({ text: 'Hello' })
+      };
+
+      const response = await handler(event);
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(400);
+      expect(body.error).toBe('Task ID is required');
+    });
+
+    test('should reject an author supplied in the body', async () => {
+      getTask.mockResolvedValue({ id: '123' });
+
+      const event = {
+        headers: {
+          'x-api-key': 'test-api-key'
+        },
+        pathParameters: { id: '123' },
+        body: JSON.stringify({ text: 'Hello', author: 'someone.else@example.com' })
+      };
+
+      const response = await handler(event);
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(400);
+      expect(body.error).toBe('Comment author is taken from the caller and cannot be set');
+      expect(putComment).not.toHaveBeenCalled();
+    });
+
+    test('should name a key without a name by its ID', async () => {
+      getTask.mockResolvedValue({ id: '123' });
+      putComment.mockImplementation(async (workspace, comment) => comment);
+
+      const event = {
+        headers: {
+          'x-api-key': 'test-api-key'
+        },
+        pathParameters: { id: '123' },
+        body: JSON.stringify({ text: 'Hello' })
+      };
+
+      const response = await handler(event);
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(201);
+      expect(body.author).toMatch(/^[0-9a-f]{12}$/);
+    });
+  });
+});
@@ -1,5 +1,6 @@
 const { handler } = require('../../../src/handlers/createTask');
-const { putTask } = require('../../../src/lib/dynamodb');
+const { putTask, getTaskAncestorIds, getIdempotencyRecord, getApiKey } = require('../../../src/lib/dynamodb');
+const { generateApiKey } = require('../../../src/lib/auth');
 
 jest.mock('../../../src/lib/dynamodb');
 
@@ -46,6 +47,25 @@ describe('createTask handler', () => {
     expect(body.updatedAt).toBeDefined();
   });
 
+  test('should start at version 1 and return its ETag', async () => {
+    putTask.mockResolvedValue({});
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      body: JSON.stringify({
+        description: 'Versioned task'
+      })
+    };
+
+    const response = await handler(event);
+
+    expect(response.statusCode).toBe(201);
+    expect(response.headers.ETag).toBe('"1"');
+    expect(putTask.mock.calls[0][1].version).toBe(1);
+  });
+
   test('should create task with defaults', async () => {
     putTask.mockResolvedValue({});
 
@@ -68,6 +88,36 @@ describe('createTask handler', () => {
     expect(body.dueDate).toBeNull();
   });
 
+  test('should return 500 for a malformed WORKSPACE_CONFIG setting', async () => {
+    process.env.WORKSPACE_CONFIG = 'acme=P3';
+
+    const response = await handler({
+      headers: { 'x-api-key': 'test-api-key' },
+      body: JSON.stringify({ description: 'New task' })
+    });
+
+    expect(response.statusCode).toBe(500);
+    expect(JSON.parse(response.body).error).toBe('Internal server error: creating task');
+    expect(putTask).not.toHaveBeenCalled();
+  });
+
+  test('should apply the default priority and statuses of the caller\'s workspace', async () => {
+    process.env.WORKSPACE_CONFIG = JSON.stringify({ acme: { statuses: ['open', 'done'], defaultPriority: 'P3' } });
+    const { keyId, apiKey, hash } = generateApiKey();
+    getApiKey.mockResolvedValue({ keyId, hash, scopes: ['tasks:write'], workspace: 'acme' });
+    putTask.mockResolvedValue({});
+    const event = (body) => ({ headers: { 'x-api-key': apiKey }, body: JSON.stringify(body) });
+
+    const created = await handler(event({ description: 'Acme task' }));
+    const rejected = await handler(event({ description: 'Acme task', status: 'blocked' }));
+
+    expect(created.statusCode).toBe(201);
+    expect(JSON.parse(created.body).priority).toBe('P3');
+    expect(putTask.mock.calls[0][0]).toBe('acme');
+    expect(rejected.statusCode).toBe(400);
+    expect(JSON.parse(rejected.body).error).toBe('Status must be one of: open, done');
+  });
+
   test('should reject missing description', async () => {
     const event = {
       headers: {
@@ -167,6 +217,181 @@ describe('createTask handler', () => {
     expect(body.error).toBe('Invalid API key');
   });
 
+  test('should create task with labels', async () => {
+    putTask.mockResolvedValue({});
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      body: JSON.stringify({ description: 'Rotate certs', labels: ['oncall', 'backend'] })
+    };
+
+    const response = await handler(event);
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(201);
+    expect(body.labels).toEqual(['oncall', 'backend']);
+    expect(putTask).toHaveBeenCalledWith(
+      'default',
+      expect.objectContaining({ labels: ['oncall', 'backend'] }),
+      { actor: { type: 'apiKey', id: expect.any(String) }, idempotency: null }
+    );
+  });
+
+  describe('Idempotency', () => {
+    const idempotentEvent = (body, key = 'retry-123') => ({
+      headers: {
+        'x-api-key': 'test-api-key',
+        'Idempotency-Key': key
+      },
+      body: JSON.stringify(body)
+    });
+
+    test('should store the response with the idempotency key', async () => {
+      getIdempotencyRecord.mockResolvedValue(null);
+      putTask.mockResolvedValue({});
+
+      const response = await handler(idempotentEvent({ description: 'Import sprint' }));
+
+      expect(response.statusCode).toBe(201);
+      const { idempotency } = putTask.mock.calls[0][2];
+      expect(idempotency.key).toMatch(/^[0-9a-f]{12}#retry-123$/);
+      expect(idempotency.requestHash).toMatch(/^[0-9a-f]{64}$/);
+      expect(idempotency.response).toEqual(response);
+    });
+
+    test('should replay the stored response for the same request', async () => {
+      const first = idempotentEvent({ description: 'Import sprint' });
+      getIdempotencyRecord.mockResolvedValue(null);
+      putTask.mockResolvedValue({});
+      const firstResponse = await handler(first);
+      const stored = putTask.mock.calls[0][2].idempotency;
+
+      jest.clearAllMocks();
+      getIdempotencyRecord.mockResolvedValue({ requestHash: stored.requestHash, response: stored.response });
+
+      const replay = await handler(idempotentEvent({ description: 'Import sprint' }));
+
+      expect(replay).toEqual(firstResponse);
+      expect(getIdempotencyRecord).toHaveBeenCalledWith('default', stored.key);
+      expect(putTask).not.toHaveBeenCalled();
+    });
+
+    test('should return 422 when the key is reused with a different body', async () => {
+      getIdempotencyRecord.mockResolvedValue({ requestHash: 'other', response: { statusCode: 201 } });
+
+      const response = await handler(idempotentEvent({ description: 'Something else' }));
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(422);
+      expect(body.error).toBe('Idempotency-Key was already used with a different request body');
+      expect(putTask).not.toHaveBeenCalled();
+    });
+
+    test('should replay the winner when a concurrent request claims the key first', async () => {
+      const conflict = new Error('Idempotency key is already in use');
+      conflict.name = 'IdempotencyConflictError';
+      const winnerResponse = { statusCode: 201, headers: {}, body: '{"id":"winner"}' };
+      getIdempotencyRecord.mockResolvedValueOnce(null);
+      putTask.mockImplementation(async (workspace, task, options) => {
+        getIdempotencyRecord.mockResolvedValueOnce({
+          requestHash: options.idempotency.requestHash,
+          response: winnerResponse
+        });
+        throw conflict;
+      });
+
+      const response = await handler(idempotentEvent({ description: 'Import sprint' }));
+
+      expect(response).toEqual(winnerResponse);
+    });
+
+    test('should reject an empty idempotency key', async () => {
+      const response = await handler(idempotentEvent({ description: 'Import sprint' }, ' '));
+
+      expect(response.statusCode).toBe(400);
+      expect(getIdempotencyRecord).not.toHaveBeenCalled();
+    });
+
+    test('should not look up records without an idempotency key', async () => {
+      putTask.mockResolvedValue({});
+
+      await handler({
+        headers: { 'x-api-key': 'test-api-key' },
+        body: JSON.stringify({ description: 'Import sprint' })
+      });
+
+      expect(getIdempotencyRecord).not.toHaveBeenCalled();
+    });
+  });
+
+  test('should reject invalid labels', async () => {
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      body: JSON.stringify({ description: 'Rotate certs', labels: ['on call'] })
+    };
+
+    const response = await handler(event);
+
+    expect(response.statusCode).toBe(400);
+    expect(putTask).not.toHaveBeenCalled();
+  });
+
+  test('should create subtask under an existing parent', async () => {
+    putTask.mockResolvedValue({});
+    getTaskAncestorIds.mockResolvedValue(['epic-1']);
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      body: JSON.stringify({ description: 'Subtask', parentId: 'epic-1' })
+    };
+
+    const response = await handler(event);
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(201);
+    expect(body.parentId).toBe('epic-1');
+    expect(getTaskAncestorIds).toHaveBeenCalledWith('default', 'epic-1');
+  });
+
+  test('should reject subtask of a non-existent parent', async () => {
+    getTaskAncestorIds.mockResolvedValue(null);
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      body: JSON.stringify({ description: 'Subtask', parentId: 'missing' })
+    };
+
+    const response = await handler(event);
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(400);
+    expect(body.error).toContain('Parent task not found');
+    expect(putTask).not.toHaveBeenCalled();
+  });
+
+  test('should return 403 when a member assigns a task to someone else', async () => {
+    const { keyId, apiKey, hash } = generateApiKey();
+    getApiKey.mockResolvedValue({ keyId, hash, scopes: ['tasks:write', 'role:member'] });
+
+    const response = await handler({
+      headers: { 'x-api-key': apiKey },
+      body: JSON.stringify({ description: 'Fix login', assignee: 'bob@example.com' })
+    });
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(403);
+    expect(body.error).toBe('Denied by rule leads-reassign-tasks: only leads can assign tasks to someone else');
+    expect(putTask).not.toHaveBeenCalled();
+  });
+
   describe('Edge Cases', () => {
     test('should handle null body', async () => {
       const event = {
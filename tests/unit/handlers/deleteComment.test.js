@@ -0,0 +1,160 @@
+const { handler } = require('../../../src/handlers/deleteComment');
+const { getTask, deleteComment, getApiKey } = require('../../../src/lib/dynamodb');
+const { generateApiKey } = require('../../../src/lib/auth');
+
+jest.mock('../../../src/lib/dynamodb');
+
+describe('deleteComment handler', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...originalEnv };
+    process.env.API_KEY = 'test-api-key';
+    getTask.mockResolvedValue({ id: '123', description: 'Test task', assignee: 'bob@example.com' });
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  test('should delete existing comment', async () => {
+    deleteComment.mockResolvedValue(true);
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      pathParameters: { id: '123', commentId: 'c1' }
+    };
+
+    const response = await handler(event);
+
+    expect(response.statusCode).toBe(204);
+    expect(response.body).toBe('');
+    expect(deleteComment).toHaveBeenCalledWith('default', '123', 'c1');
+  });
+
+  test('should return 404 for non-existent comment', async () => {
+    deleteComment.mockResolvedValue(false);
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      pathParameters: { id: '123', commentId: 'missing' }
+    };
+
+    const response = await handler(event);
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(404);
+    expect(body.error).toBe('Comment not found');
+  });
+
+  test('should return 404 when the task does not exist', async () => {
+    getTask.mockResolvedValue(null);
+
+    const response = await handler({
+      headers: { 'x-api-key': 'test-api-key' },
+      pathParameters: { id: 'missing', commentId: 'c1' }
+    });
+
+    expect(response.statusCode).toBe(404);
+    expect(JSON.parse(response.body).error).toBe('Task not found');
+    expect(deleteComment).not.toHaveBeenCalled();
+  });
+
+  test('should return 403 for a restricted role removing comments on someone else\'s task', async () => {
+    process.env.OWN_TASKS_ONLY_ROLES = 'member';
+    const { keyId, apiKey, hash } = generateApiKey();
+    getApiKey.mockResolvedValue({ keyId, hash, scopes: ['tasks:delete', 'role:member'] });
+
+    const response = await handler({
+      headers: { 'x-api-key': apiKey },
+      pathParameters: { id: '123', commentId: 'c1' }
+    });
+
+    expect(response.statusCode).toBe(403);
+    expect(JSON.parse(response.body).error)
+      .toBe('Denied by rule own-tasks-only: this role can only see tasks assigned to the caller');
+    expect(getTask).toHaveBeenCalledWith('default', '123');
+    expect(deleteComment).not.toHaveBeenCalled();
+  });
+
+  test('should return 403 for a viewer', async () => {
+    const { keyId, apiKey, hash } = generateApiKey();
+    getApiKey.mockResolvedValue({ keyId, hash, scopes: ['tasks:delete', 'role:viewer'] });
+
+    const response = await handler({
+      headers: { 'x-api-key': apiKey },
+      pathParameters: { id: '123', commentId: 'c1' }
+    });
+
+    expect(response.statusCode).toBe(403);
+    expect(JSON.parse(response.body).error).toMatch(/viewers-are-read-only/);
+  });
+
+  test('should handle DynamoDB errors', async () => {
+    deleteComment.mockRejectedValue(new Error('DynamoDB error'));
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      pathParameters: { id: '123', commentId: 'c1' }
+    };
+
+    const response = await handler(event);
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(500);
+    expect(body.error).toBe('Internal server error: deleting comment');
+  });
+
+  test('should return 401 for invalid API key', async () => {
+    const event = {
+      headers: {
+        'x-api-key': 'wrong-key'
+      },
+      pathParameters: { id: '123', commentId: 'c1' }
+    };
+
+    const response = await handler(event);
+
+    expect(response.statusCode).toBe(401);
+    expect(deleteComment).not.toHaveBeenCalled();
+  });
+
+  describe('Edge Cases', () => {
+    test('should return 400 for missing comment ID', async () => {
+      const event = {
+        headers: {
+          'x-api-key': 'test-api-key'
+        },
+        pathParameters: { id: '123' }
+      };
+
+      const response = await handler(event);
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(400);
+      expect(body.error).toBe('Comment ID is required');
+    });
+
+    test('should return 400 for missing task ID', async () => {
+      const event = {
+        headers: {
+          'x-api-key': 'test-api-key'
+        },
+        pathParameters: null
+      };
+
+      const response = await handler(event);
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(400);
+      expect(body.error).toBe('Task ID is required');
+    });
+  });
+});
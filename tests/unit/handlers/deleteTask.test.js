@@ -1,5 +1,6 @@
 const { handler } = require('../../../src/handlers/deleteTask');
-const { getTask, deleteTask } = require('../../../src/lib/dynamodb');
+const { getTask, deleteTask, queryAllSubtasks, getApiKey } = require('../../../src/lib/dynamodb');
+const { generateApiKey } = require('../../../src/lib/auth');
 
 jest.mock('../../../src/lib/dynamodb');
 
@@ -10,6 +11,7 @@ describe('deleteTask handler', () => {
     jest.clearAllMocks();
     process.env = { ...originalEnv };
     process.env.API_KEY = 'test-api-key';
+    queryAllSubtasks.mockResolvedValue([]);
   });
 
   afterEach(() => {
@@ -36,7 +38,86 @@ describe('deleteTask handler', () => {
 
     expect(response.statusCode).toBe(204);
     expect(response.body).toBe('');
-    expect(deleteTask).toHaveBeenCalledWith('123');
+    expect(deleteTask).toHaveBeenCalledWith('default', '123', {
+      actor: { type: 'apiKey', id: expect.any(String) },
+      expectedVersion: 0
+    });
+  });
+
+  test('should return 412 when If-Match does not match', async () => {
+    getTask.mockResolvedValue({ id: '123', description: 'Test task', version: 3 });
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key',
+        'If-Match': '"2"'
+      },
+      pathParameters: { id: '123' }
+    };
+
+    const response = await handler(event);
+
+    expect(response.statusCode).toBe(412);
+    expect(deleteTask).not.toHaveBeenCalled();
+  });
+
+  test('should return 412 when the task changes before it is deleted', async () => {
+    const conflict = new Error('Task has been modified concurrently');
+    conflict.name = 'VersionConflictError';
+    getTask.mockResolvedValue({ id: '123', description: 'Test task', version: 3 });
+    deleteTask.mockRejectedValue(conflict);
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key',
+        'if-match': '"3"'
+      },
+      pathParameters: { id: '123' }
+    };
+
+    const response = await handler(event);
+
+    expect(response.statusCode).toBe(412);
+    expect(deleteTask).toHaveBeenCalledWith('default', '123', expect.objectContaining({ expectedVersion: 3 }));
+  });
+
+  test('should refuse to delete a parent without cascade', async () => {
+    getTask.mockResolvedValue({ id: '123', description: 'Epic' });
+    queryAllSubtasks.mockImplementation(async (workspace, id) => (id === '123' ? [{ id: 'child' }] : []));
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      pathParameters: { id: '123' }
+    };
+
+    const response = await handler(event);
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(409);
+    expect(body.error).toBe('Task has subtasks; use cascade=true to delete them as well');
+    expect(deleteTask).not.toHaveBeenCalled();
+  });
+
+  test('should cascade delete subtasks deepest first', async () => {
+    const tree = { '123': [{ id: 'child' }], child: [{ id: 'grandchild' }] };
+    getTask.mockResolvedValue({ id: '123', description: 'Epic' });
+    queryAllSubtasks.mockImplementation(async (workspace, id) => tree[id] || []);
+    deleteTask.mockResolvedValue();
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      pathParameters: { id: '123' },
+      queryStringParameters: { cascade: 'true' }
+    };
+
+    const response = await handler(event);
+
+    expect(response.statusCode).toBe(204);
+    expect(deleteTask.mock.calls.map(call => call[1])).toEqual(['grandchild', 'child', '123']);
   });
 
   test('should return 404 for non-existent task', async () => {
@@ -118,7 +199,48 @@ describe('deleteTask handler', () => {
     expect(body.error).toBe('Invalid API key');
   });
 
+  test('should return 403 for an API key without the tasks:delete scope', async () => {
+    const { keyId, apiKey, hash } = generateApiKey();
+    getApiKey.mockResolvedValue({ keyId, hash, scopes: ['tasks:read', 'tasks:write'] });
+
+    const response = await handler({ headers: { 'x-api-key': apiKey }, pathParameters: { id: '123' } });
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(403);
+    expect(body.error).toBe('API key does not have the tasks:delete scope');
+    expect(deleteTask).not.toHaveBeenCalled();
+  });
+
+  test('should return 403 with the failed rule when a member deletes a task', async () => {
+    const { keyId, apiKey, hash } = generateApiKey();
+    getApiKey.mockResolvedValue({ keyId, hash, scopes: ['tasks:delete', 'role:member'] });
+    getTask.mockResolvedValue({ id: '123', description: 'Task', version: 1 });
+
+    const response = await handler({ headers: { 'x-api-key': apiKey }, pathParameters: { id: '123' } });
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(403);
+    expect(body.error).toBe('Denied by rule leads-delete-tasks: only leads can delete tasks');
+    expect(deleteTask).not.toHaveBeenCalled();
+  });
+
   describe('Edge Cases', () => {
+    test('should return 400 for invalid cascade value', async () => {
+      const event = {
+        headers: {
+          'x-api-key': 'test-api-key'
+        },
+        pathParameters: { id: '123' },
+        queryStringParameters: { cascade: 'yes' }
+      };
+
+      const response = await handler(event);
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(400);
+      expect(body.error).toBe('Cascade must be true or false');
+    });
+
     test('should handle null pathParameters', async () => {
       const event = {
         headers: {
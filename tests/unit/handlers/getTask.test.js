@@ -1,5 +1,18 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { handler } = require('../../../src/handlers/getTask');
-const { getTask } = require('../../../src/lib/dynamodb');
+const {
+  getTask,
+  batchGetTasks,
+  countComments,
+  queryAllSubtasks,
+  queryBlockerIds,
+  queryBlockedIds,
+  getApiKey
+} = require('../../../src/lib/dynamodb');
+const { generateApiKey } = require('../../../src/lib/auth');
 
 jest.mock('../../../src/lib/dynamodb');
 
@@ -10,6 +23,7 @@ describe('getTask handler', () => {
     jest.clearAllMocks();
     process.env = { ...originalEnv };
     process.env.API_KEY = 'test-api-key';
+    queryAllSubtasks.mockResolvedValue([]);
   });
 
   afterEach(() => {
@@ -45,6 +59,41 @@ describe('getTask handler', () => {
     expect(body.description).toBe('Test task');
   });
 
+  test('should return the ETag of the task', async () => {
+    getTask.mockResolvedValue({ id: '123', description: 'Test task', version: 7 });
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      pathParameters: { id: '123' }
+    };
+
+    const response = await handler(event);
+
+    expect(response.statusCode).toBe(200);
+    expect(response.headers.ETag).toBe('"7"');
+  });
+
+  test('should return 304 when If-None-Match matches', async () => {
+    getTask.mockResolvedValue({ id: '123', description: 'Test task', version: 7 });
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key',
+        'If-None-Match': '"7"'
+      },
+      pathParameters: { id: '123' }
+    };
+
+    const response = await handler(event);
+
+    expect(response.statusCode).toBe(304);
+    expect(response.body).toBe('');
+    expect(response.headers.ETag).toBe('"7"');
+    expect(queryAllSubtasks).not.toHaveBeenCalled();
+  });
+
   test('should return 404 for non-existent task', async () => {
     getTask.mockResolvedValue(null);
 
@@ -122,7 +171,269 @@ describe('getTask handler', () => {
     expect(body.error).toBe('Invalid API key');
   });
 
+  test('should include comment count when requested', async () => {
+    getTask.mockResolvedValue({ id: '123', description: 'Test task' });
+    countComments.mockResolvedValue(4);
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      pathParameters: { id: '123' },
+      queryStringParameters: { include: 'commentCount' }
+    };
+
+    const response = await handler(event);
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(200);
+    expect(body.commentCount).toBe(4);
+    expect(countComments).toHaveBeenCalledWith('default', '123');
+  });
+
+  test('should include subtask progress', async () => {
+    getTask.mockResolvedValue({ id: '123', description: 'Epic', status: 'in-progress' });
+    queryAllSubtasks.mockResolvedValue([
+      { id: 'a', status: 'done' },
+      { id: 'b', status: 'done' },
+      { id: 'c', status: 'blocked' }
+    ]);
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      pathParameters: { id: '123' }
+    };
+
+    const response = await handler(event);
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(200);
+    expect(body.subtaskProgress).toEqual({
+      total: 3,
+      byStatus: { open: 0, 'in-progress': 0, blocked: 1, done: 2 }
+    });
+    expect(queryAllSubtasks).toHaveBeenCalledWith('default', '123');
+  });
+
+  test('should expand dependencies when requested', async () => {
+    const tasks = {
+      '123': { id: '123', description: 'Deploy', status: 'blocked' },
+      a: { id: 'a', description: 'Migrate schema', status: 'in-progress' },
+      b: { id: 'b', description: 'Announce release', status: 'open' }
+    };
+    getTask.mockImplementation(async (workspace, id) => tasks[id] || null);
+    batchGetTasks.mockImplementation(async (workspace, ids) => ({
+      items: ids.filter(id => tasks[id]).map(id => tasks[id]),
+      notFoundIds: ids.filter(id => !tasks[id])
+    }));
+    queryBlockerIds.mockResolvedValue(['a', 'deleted']);
+    queryBlockedIds.mockResolvedValue(['b']);
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      pathParameters: { id: '123' },
+      queryStringParameters: { include: 'dependencies,commentCount' }
+    };
+    countComments.mockResolvedValue(0);
+
+    const response = await handler(event);
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(200);
+    expect(body.dependencies.blockedBy.map(task => task.id)).toEqual(['a']);
+    expect(body.dependencies.blocks.map(task => task.id)).toEqual(['b']);
+    expect(body.commentCount).toBe(0);
+    expect(batchGetTasks).toHaveBeenCalledTimes(1);
+    expect(batchGetTasks).toHaveBeenCalledWith('default', ['a', 'deleted', 'b']);
+    expect(getTask).toHaveBeenCalledTimes(1);
+  });
+
+  test('should not count comments by default', async () => {
+    getTask.mockResolvedValue({ id: '123', description: 'Test task' });
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      pathParameters: { id: '123' }
+    };
+
+    const response = await handler(event);
+    const body = JSON.parse(response.body);
+
+    expect(body.commentCount).toBeUndefined();
+    expect(countComments).not.toHaveBeenCalled();
+  });
+
+  test('should return only the selected fields', async () => {
+    getTask.mockResolvedValue({ id: '123', description: 'Test task', status: 'open', version: 3 });
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      pathParameters: { id: '123' },
+      queryStringParameters: { fields: 'id,status' }
+    };
+
+    const response = await handler(event);
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(200);
+    expect(body).toEqual({ id: '123', status: 'open' });
+    expect(response.headers.ETag).toBe('"3"');
+    expect(getTask).toHaveBeenCalledWith('default', '123', { attributes: ['id', 'status', 'version'] });
+    expect(queryAllSubtasks).not.toHaveBeenCalled();
+  });
+
+  test('should roll up subtasks when subtaskProgress is selected', async () => {
+    getTask.mockResolvedValue({ id: '123', description: 'Epic' });
+    queryAllSubtasks.mockResolvedValue([{ id: 'a', status: 'done' }]);
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      pathParameters: { id: '123' },
+      queryStringParameters: { fields: 'subtaskProgress' }
+    };
+
+    const response = await handler(event);
+    const body = JSON.parse(response.body);
+
+    expect(body).toEqual({
+      subtaskProgress: { total: 1, byStatus: { open: 0, 'in-progress': 0, blocked: 0, done: 1 } }
+    });
+    expect(getTask).toHaveBeenCalledWith('default', '123', { attributes: ['version'] });
+  });
+
+  test('should return 403 for a task the caller may not see', async () => {
+    process.env.OWN_TASKS_ONLY_ROLES = 'viewer';
+    const { keyId, apiKey, hash } = generateApiKey();
+    getApiKey.mockResolvedValue({ keyId, hash, scopes: ['tasks:read', 'role:viewer'] });
+    getTask.mockResolvedValue({ id: '123', description: 'Task', assignee: 'user@example.com' });
+
+    const response = await handler({
+      headers: { 'x-api-key': apiKey },
+      pathParameters: { id: '123' },
+      queryStringParameters: { fields: 'id,description' }
+    });
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(403);
+    expect(body.error).toBe('Denied by rule own-tasks-only: this role can only see tasks assigned to the caller');
+    expect(getTask.mock.calls[0][2].attributes).toContain('assignee');
+  });
+
+  describe('Visibility', () => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'get-jwks-'));
+    const jwksFile = path.join(tempDir, 'jwks.json');
+
+    /**
+     * Builds a request from a member restricted to their own tasks
+     * @param {Object} queryStringParameters - Query parameters
+     * @returns {Object} API Gateway event
+     */
+    const memberEvent = (queryStringParameters) => {
+      const claims = {
+        iss: 'https://login.example.com',
+        aud: 'engineering-task-api',
+        sub: 'user-1',
+        email: 'user1@example.com',
+        groups: ['engineers'],
+        exp: Math.floor(Date.now() / 1000) + 300
+      };
+      const header = Buffer.from(JSON.stringify({ alg: 'ES256' })).toString('base64url');
+      const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+      const signature = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), { key: privateKey, dsaEncoding: 'ieee-p1363' });
+
+      return {
+        headers: { authorization: `Bearer ${header}.${payload}.${signature.toString('base64url')}` },
+        pathParameters: { id: '123' },
+        queryStringParameters
+      };
+    };
+
+    beforeAll(() => {
+      fs.writeFileSync(jwksFile, JSON.stringify({ keys: [publicKey.export({ format: 'jwk' })] }));
+    });
+
+    afterAll(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+      process.env.JWKS_FILE = jwksFile;
+      process.env.JWT_ISSUER = 'https://login.example.com';
+      process.env.JWT_AUDIENCE = 'engineering-task-api';
+      process.env.ROLE_GROUPS = JSON.stringify({ engineers: 'member' });
+      process.env.OWN_TASKS_ONLY_ROLES = 'member';
+    });
+
+    test('should leave dependencies the caller may not see out of include=dependencies', async () => {
+      getTask.mockResolvedValue({ id: '123', description: 'Deploy', assignee: 'user1@example.com' });
+      queryBlockerIds.mockResolvedValue(['mine', 'theirs']);
+      queryBlockedIds.mockResolvedValue(['unassigned']);
+      batchGetTasks.mockResolvedValue({
+        items: [
+          { id: 'mine', description: 'Migrate', assignee: 'user1@example.com' },
+          { id: 'theirs', description: 'Rotate keys', assignee: 'user2@example.com' },
+          { id: 'unassigned', description: 'Announce' }
+        ],
+        notFoundIds: []
+      });
+
+      const response = await handler(memberEvent({ include: 'dependencies' }));
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(200);
+      expect(body.dependencies).toEqual({
+        blockedBy: [expect.objectContaining({ id: 'mine' })],
+        blocks: []
+      });
+    });
+  });
+
   describe('Edge Cases', () => {
+    test('should return 400 for unknown fields', async () => {
+      const event = {
+        headers: {
+          'x-api-key': 'test-api-key'
+        },
+        pathParameters: { id: '123' },
+        queryStringParameters: { fields: 'id,secret' }
+      };
+
+      const response = await handler(event);
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(400);
+      expect(body.error).toMatch(/^Fields must be a comma-separated list of: id, description/);
+      expect(getTask).not.toHaveBeenCalled();
+    });
+
+    test('should return 400 for unknown include value', async () => {
+      const event = {
+        headers: {
+          'x-api-key': 'test-api-key'
+        },
+        pathParameters: { id: '123' },
+        queryStringParameters: { include: 'everything' }
+      };
+
+      const response = await handler(event);
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(400);
+      expect(body.error).toBe('Include must be one of: commentCount, dependencies');
+      expect(getTask).not.toHaveBeenCalled();
+    });
+
     test('should handle null pathParameters', async () => {
       const event = {
         headers: {
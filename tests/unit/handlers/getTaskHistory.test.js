@@ -0,0 +1,152 @@
+const { handler } = require('../../../src/handlers/getTaskHistory');
+const { getTask, queryTaskHistory } = require('../../../src/lib/dynamodb');
+const { signNextToken, openNextToken } = require('../../../src/lib/pagination');
+
+jest.mock('../../../src/lib/dynamodb');
+
+describe('getTaskHistory handler', () => {
+  const originalEnv = process.env;
+  const mockHistory = [
+    {
+      PK: 'TASK#123',
+      SK: 'HISTORY#2024-01-01T00:00:00.000Z#h1',
+      taskId: '123',
+      action: 'create',
+      changes: { description: { before: null, after: 'Test task' } },
+      actor: { type: 'apiKey', id: 'abc' },
+      timestamp: '2024-01-01T00:00:00.000Z'
+    }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...originalEnv };
+    process.env.API_KEY = 'test-api-key';
+    process.env.PAGINATION_SECRET = 'test-pagination-secret';
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  test('should list history entries', async () => {
+    queryTaskHistory.mockResolvedValue({ items: mockHistory, nextToken: null });
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      pathParameters: { id: '123' }
+    };
+
+    const response = await handler(event);
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(200);
+    expect(body.history).toHaveLength(1);
+    expect(body.history[0].action).toBe('create');
+    expect(body.history[0].SK).toBeUndefined();
+    expect(queryTaskHistory).toHaveBeenCalledWith('default', '123', 20, undefined);
+    expect(getTask).not.toHaveBeenCalled();
+  });
+
+  test('should paginate with nextToken', async () => {
+    const token = Buffer.from(JSON.stringify({ PK: 'TASK#123', SK: 'HISTORY#x' })).toString('base64');
+    queryTaskHistory.mockResolvedValue({ items: mockHistory, nextToken: token });
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      pathParameters: { id: '123' },
+      queryStringParameters: { limit: '1', nextToken: signNextToken(token, { list: 'history', workspace: 'default', taskId: '123' }) }
+    };
+
+    const response = await handler(event);
+    const body = JSON.parse(response.body);
+
+    expect(openNextToken(body.nextToken, { list: 'history', workspace: 'default', taskId: '123' })).toEqual({ key: token });
+    expect(queryTaskHistory).toHaveBeenCalledWith('default', '123', 1, token);
+  });
+
+  test('should return 404 for unknown task without history', async () => {
+    queryTaskHistory.mockResolvedValue({ items: [], nextToken: null });
+    getTask.mockResolvedValue(null);
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      pathParameters: { id: 'missing' }
+    };
+
+    const response = await handler(event);
+
+    expect(response.statusCode).toBe(404);
+  });
+
+  test('should handle DynamoDB errors', async () => {
+    queryTaskHistory.mockRejectedValue(new Error('DynamoDB error'));
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      pathParameters: { id: '123' }
+    };
+
+    const response = await handler(event);
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(500);
+    expect(body.error).toBe('Internal server error: retrieving task history');
+  });
+
+  describe('Edge Cases', () => {
+    test('should return history of a deleted task', async () => {
+      queryTaskHistory.mockResolvedValue({
+        items: [...mockHistory, { ...mockHistory[0], action: 'delete' }],
+        nextToken: null
+      });
+
+      const event = {
+        headers: {
+          'x-api-key': 'test-api-key'
+        },
+        pathParameters: { id: '123' }
+      };
+
+      const response = await handler(event);
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(200);
+      expect(body.history.map(entry => entry.action)).toEqual(['create', 'delete']);
+    });
+
+    test('should return 400 for invalid nextToken', async () => {
+      const event = {
+        headers: {
+          'x-api-key': 'test-api-key'
+        },
+        pathParameters: { id: '123' },
+        queryStringParameters: { nextToken: '%%%' }
+      };
+
+      const response = await handler(event);
+
+      expect(response.statusCode).toBe(400);
+    });
+
+    test('should return 400 for missing task ID', async () => {
+      const event = {
+        headers: {
+          'x-api-key': 'test-api-key'
+        }
+      };
+
+      const response = await handler(event);
+
+      expect(response.statusCode).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,127 @@
+const { handler } = require('../../../src/handlers/listApiKeys');
+const { queryApiKeys, getApiKey } = require('../../../src/lib/dynamodb');
+const { generateApiKey } = require('../../../src/lib/auth');
+const { signNextToken, openNextToken } = require('../../../src/lib/pagination');
+
+jest.mock('../../../src/lib/dynamodb');
+
+describe('listApiKeys handler', () => {
+  const originalEnv = process.env;
+  const mockKeys = [
+    {
+      PK: 'APIKEYS',
+      SK: 'APIKEY#a1b2c3d4e5f6',
+      keyId: 'a1b2c3d4e5f6',
+      name: 'CI',
+      hash: 'secret-hash',
+      scopes: ['tasks:read'],
+      disabled: false,
+      createdAt: '2024-01-01T00:00:00.000Z',
+      updatedAt: '2024-01-01T00:00:00.000Z'
+    }
+  ];
+
+  /**
+   * Builds a list keys request event
+   * @param {Object} queryStringParameters - Query parameters
+   * @returns {Object} API Gateway event
+   */
+  const listEvent = (queryStringParameters) => ({
+    headers: { 'x-api-key': 'test-api-key' },
+    queryStringParameters
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...originalEnv };
+    process.env.API_KEY = 'test-api-key';
+    process.env.PAGINATION_SECRET = 'test-pagination-secret';
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  test('should list keys without their hashes', async () => {
+    queryApiKeys.mockResolvedValue({ items: mockKeys, nextToken: null });
+
+    const response = await handler(listEvent(null));
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(200);
+    expect(body.apiKeys).toHaveLength(1);
+    expect(body.apiKeys[0]).toMatchObject({ id: 'a1b2c3d4e5f6', prefix: 'tk_a1b2c3d4e5f6', name: 'CI' });
+    expect(body.apiKeys[0].hash).toBeUndefined();
+    expect(body.nextToken).toBeUndefined();
+    expect(queryApiKeys).toHaveBeenCalledWith(20, undefined, { workspace: undefined });
+  });
+
+  test('should paginate with a signed nextToken', async () => {
+    const pageKey = Buffer.from(JSON.stringify({ PK: 'APIKEYS', SK: 'APIKEY#a1b2c3d4e5f6' })).toString('base64');
+    queryApiKeys.mockResolvedValue({ items: mockKeys, nextToken: pageKey });
+
+    const first = JSON.parse((await handler(listEvent({ limit: '1' }))).body);
+
+    expect(openNextToken(first.nextToken, { list: 'apiKeys' }).key).toBe(pageKey);
+
+    await handler(listEvent({ limit: '1', nextToken: first.nextToken }));
+
+    expect(queryApiKeys).toHaveBeenLastCalledWith(1, pageKey, { workspace: undefined });
+  });
+
+  test('should list only the keys of their own workspace to other administrators', async () => {
+    const { keyId, apiKey, hash } = generateApiKey();
+    getApiKey.mockResolvedValue({ keyId, hash, scopes: ['keys:admin'], workspace: 'acme' });
+    queryApiKeys.mockResolvedValue({ items: [{ ...mockKeys[0], workspace: 'acme' }], nextToken: 'page-2' });
+
+    const response = await handler({ headers: { 'x-api-key': apiKey }, queryStringParameters: null });
+    const body = JSON.parse(response.body);
+
+    expect(queryApiKeys).toHaveBeenCalledWith(20, undefined, { workspace: 'acme' });
+    expect(body.apiKeys[0].workspace).toBe('acme');
+    expect(openNextToken(body.nextToken, { list: 'apiKeys', workspace: 'acme' }).key).toBe('page-2');
+    expect(openNextToken(body.nextToken, { list: 'apiKeys' }).error).toBeDefined();
+  });
+
+  test('should return 400 for invalid limit', async () => {
+    const response = await handler(listEvent({ limit: '0' }));
+
+    expect(response.statusCode).toBe(400);
+    expect(queryApiKeys).not.toHaveBeenCalled();
+  });
+
+  test('should return 401 without an API key', async () => {
+    const response = await handler({ headers: {} });
+
+    expect(response.statusCode).toBe(401);
+  });
+
+  test('should handle DynamoDB errors', async () => {
+    queryApiKeys.mockRejectedValue(new Error('Service temporarily unavailable'));
+
+    const response = await handler(listEvent(null));
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(500);
+    expect(body.error).toBe('Internal server error: listing API keys');
+  });
+
+  describe('Edge Cases', () => {
+    test('should return 400 for a nextToken issued for another list', async () => {
+      const token = signNextToken(Buffer.from('{}').toString('base64'), { list: 'history', taskId: '123' });
+
+      const response = await handler(listEvent({ nextToken: token }));
+
+      expect(response.statusCode).toBe(400);
+      expect(queryApiKeys).not.toHaveBeenCalled();
+    });
+
+    test('should return an empty list when no keys exist', async () => {
+      queryApiKeys.mockResolvedValue({ items: [], nextToken: null });
+
+      const response = await handler(listEvent(null));
+
+      expect(JSON.parse(response.body).apiKeys).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,191 @@
+const { handler } = require('../../../src/handlers/listComments');
+const { getTask, queryComments, getApiKey } = require('../../../src/lib/dynamodb');
+const { signNextToken, openNextToken } = require('../../../src/lib/pagination');
+const { generateApiKey } = require('../../../src/lib/auth');
+
+jest.mock('../../../src/lib/dynamodb');
+
+describe('listComments handler', () => {
+  const originalEnv = process.env;
+  const mockComments = [
+    {
+      PK: 'TASK#123',
+      SK: 'COMMENT#2024-01-01T00:00:00.000Z#c1',
+      id: 'c1',
+      taskId: '123',
+      text: 'First',
+      author: 'user@example.com',
+      createdAt: '2024-01-01T00:00:00.000Z'
+    }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...originalEnv };
+    process.env.API_KEY = 'test-api-key';
+    process.env.PAGINATION_SECRET = 'test-pagination-secret';
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  test('should list comments of a task', async () => {
+    getTask.mockResolvedValue({ id: '123' });
+    queryComments.mockResolvedValue({ items: mockComments, nextToken: null });
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      pathParameters: { id: '123' },
+      queryStringParameters: null
+    };
+
+    const response = await handler(event);
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(200);
+    expect(body.comments).toHaveLength(1);
+    expect(body.comments[0].PK).toBeUndefined();
+    expect(body.nextToken).toBeUndefined();
+    expect(queryComments).toHaveBeenCalledWith('default', '123', 20, undefined);
+  });
+
+  test('should pass pagination parameters and return nextToken', async () => {
+    const token = Buffer.from(JSON.stringify({ PK: 'TASK#123', SK: 'COMMENT#x' })).toString('base64');
+    getTask.mockResolvedValue({ id: '123' });
+    queryComments.mockResolvedValue({ items: mockComments, nextToken: token });
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      pathParameters: { id: '123' },
+      queryStringParameters: { limit: '5', nextToken: signNextToken(token, { list: 'comments', workspace: 'default', taskId: '123' }) }
+    };
+
+    const response = await handler(event);
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(200);
+    expect(openNextToken(body.nextToken, { list: 'comments', workspace: 'default', taskId: '123' })).toEqual({ key: token });
+    expect(queryComments).toHaveBeenCalledWith('default', '123', 5, token);
+  });
+
+  test('should return 404 for non-existent task', async () => {
+    getTask.mockResolvedValue(null);
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      pathParameters: { id: 'nonexistent' }
+    };
+
+    const response = await handler(event);
+
+    expect(response.statusCode).toBe(404);
+    expect(queryComments).not.toHaveBeenCalled();
+  });
+
+  test('should return 400 for invalid limit', async () => {
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      pathParameters: { id: '123' },
+      queryStringParameters: { limit: '500' }
+    };
+
+    const response = await handler(event);
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(400);
+    expect(body.error).toBe('Limit must not exceed 100');
+  });
+
+  test('should handle DynamoDB errors', async () => {
+    getTask.mockResolvedValue({ id: '123' });
+    queryComments.mockRejectedValue(new Error('DynamoDB error'));
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      pathParameters: { id: '123' }
+    };
+
+    const response = await handler(event);
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(500);
+    expect(body.error).toBe('Internal server error: listing comments');
+  });
+
+  test('should return 403 for a task the caller may not see', async () => {
+    process.env.OWN_TASKS_ONLY_ROLES = 'viewer';
+    const { keyId, apiKey, hash } = generateApiKey();
+    getApiKey.mockResolvedValue({ keyId, hash, scopes: ['tasks:read', 'role:viewer'] });
+    getTask.mockResolvedValue({ id: '123', assignee: 'user@example.com' });
+
+    const response = await handler({ headers: { 'x-api-key': apiKey }, pathParameters: { id: '123' } });
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(403);
+    expect(body.error).toBe('Denied by rule own-tasks-only: this role can only see tasks assigned to the caller');
+    expect(queryComments).not.toHaveBeenCalled();
+  });
+
+  describe('Edge Cases', () => {
+    test('should return 400 for invalid nextToken', async () => {
+      const event = {
+        headers: {
+          'x-api-key': 'test-api-key'
+        },
+        pathParameters: { id: '123' },
+        queryStringParameters: { nextToken: 'not-base64!' }
+      };
+
+      const response = await handler(event);
+
+      expect(response.statusCode).toBe(400);
+    });
+
+    test('should return 400 for a nextToken issued for another task', async () => {
+      const token = Buffer.from(JSON.stringify({ PK: 'TASK#456', SK: 'COMMENT#x' })).toString('base64');
+      const event = {
+        headers: {
+          'x-api-key': 'test-api-key'
+        },
+        pathParameters: { id: '123' },
+        queryStringParameters: { nextToken: signNextToken(token, { list: 'comments', workspace: 'default', taskId: '456' }) }
+      };
+
+      const response = await handler(event);
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(400);
+      expect(body.error).toBe('nextToken was issued for a different query');
+      expect(queryComments).not.toHaveBeenCalled();
+    });
+
+    test('should return empty list for task without comments', async () => {
+      getTask.mockResolvedValue({ id: '123' });
+      queryComments.mockResolvedValue({ items: [], nextToken: null });
+
+      const event = {
+        headers: {
+          'x-api-key': 'test-api-key'
+        },
+        pathParameters: { id: '123' }
+      };
+
+      const response = await handler(event);
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(200);
+      expect(body.comments).toEqual([]);
+    });
+  });
+});
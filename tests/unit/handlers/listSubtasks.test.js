@@ -0,0 +1,139 @@
+const { handler } = require('../../../src/handlers/listSubtasks');
+const { getTask, querySubtasks } = require('../../../src/lib/dynamodb');
+const { signNextToken, openNextToken } = require('../../../src/lib/pagination');
+
+jest.mock('../../../src/lib/dynamodb');
+
+describe('listSubtasks handler', () => {
+  const originalEnv = process.env;
+  const mockSubtasks = [
+    {
+      PK: 'TASK#child',
+      SK: 'TASK#child',
+      id: 'child',
+      description: 'Subtask',
+      priority: 'P2',
+      status: 'open',
+      parentId: '123',
+      createdAt: '2024-01-01T00:00:00.000Z',
+      updatedAt: '2024-01-01T00:00:00.000Z'
+    }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...originalEnv };
+    process.env.API_KEY = 'test-api-key';
+    process.env.PAGINATION_SECRET = 'test-pagination-secret';
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  test('should list subtasks of a task', async () => {
+    getTask.mockResolvedValue({ id: '123' });
+    querySubtasks.mockResolvedValue({ items: mockSubtasks, nextToken: null });
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      pathParameters: { id: '123' }
+    };
+
+    const response = await handler(event);
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(200);
+    expect(body.tasks).toHaveLength(1);
+    expect(body.tasks[0].parentId).toBe('123');
+    expect(body.tasks[0].PK).toBeUndefined();
+    expect(querySubtasks).toHaveBeenCalledWith('default', '123', 20, undefined);
+  });
+
+  test('should return nextToken when more subtasks are available', async () => {
+    const token = Buffer.from(JSON.stringify({ PK: 'TASK#child' })).toString('base64');
+    getTask.mockResolvedValue({ id: '123' });
+    querySubtasks.mockResolvedValue({ items: mockSubtasks, nextToken: token });
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      pathParameters: { id: '123' },
+      queryStringParameters: { limit: '1' }
+    };
+
+    const response = await handler(event);
+    const body = JSON.parse(response.body);
+
+    expect(openNextToken(body.nextToken, { list: 'subtasks', workspace: 'default', taskId: '123' })).toEqual({ key: token });
+    expect(querySubtasks).toHaveBeenCalledWith('default', '123', 1, undefined);
+  });
+
+  test('should return 404 for non-existent task', async () => {
+    getTask.mockResolvedValue(null);
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      pathParameters: { id: 'missing' }
+    };
+
+    const response = await handler(event);
+
+    expect(response.statusCode).toBe(404);
+    expect(querySubtasks).not.toHaveBeenCalled();
+  });
+
+  test('should handle DynamoDB errors', async () => {
+    getTask.mockResolvedValue({ id: '123' });
+    querySubtasks.mockRejectedValue(new Error('DynamoDB error'));
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      pathParameters: { id: '123' }
+    };
+
+    const response = await handler(event);
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(500);
+    expect(body.error).toBe('Internal server error: listing subtasks');
+  });
+
+  describe('Edge Cases', () => {
+    test('should return 400 for missing task ID', async () => {
+      const event = {
+        headers: {
+          'x-api-key': 'test-api-key'
+        },
+        pathParameters: null
+      };
+
+      const response = await handler(event);
+
+      expect(response.statusCode).toBe(400);
+    });
+
+    test('should return 400 for invalid limit', async () => {
+      const event = {
+        headers: {
+          'x-api-key': 'test-api-key'
+        },
+        pathParameters: { id: '123' },
+        queryStringParameters: { limit: '0' }
+      };
+
+      const response = await handler(event);
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(400);
+      expect(body.error).toBe('Limit must be at least 1');
+    });
+  });
+});
@@ -1,11 +1,23 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { handler } = require('../../../src/handlers/listTasks');
 const {
-  scanTasks,
+  queryTaskList,
   queryTasksByAssignee,
   queryTasksByStatus,
-  queryTasksByPriority
+  queryTasksByPriority,
+  queryTasksByAssigneeStatus,
+  queryTasksByStatusPriority,
+  queryTasksInPriorityOrder,
+  queryTasksByTag,
+  queryTaskCounters,
+  batchGetTasks
 } = require('../../../src/lib/dynamodb');
 
+const { signNextToken, openNextToken } = require('../../../src/lib/pagination');
+
 jest.mock('../../../src/lib/dynamodb');
 
 describe('listTasks handler', () => {
@@ -37,6 +49,7 @@ describe('listTasks handler', () => {
     jest.clearAllMocks();
     process.env = { ...originalEnv };
     process.env.API_KEY = 'test-api-key';
+    process.env.PAGINATION_SECRET = 'test-pagination-secret';
   });
 
   afterEach(() => {
@@ -44,7 +57,7 @@ describe('listTasks handler', () => {
   });
 
   test('should list all tasks without filters', async () => {
-    scanTasks.mockResolvedValue({ items: mockTasks, nextToken: null });
+    queryTaskList.mockResolvedValue({ items: mockTasks, nextToken: null });
 
     const event = {
       headers: {
@@ -58,7 +71,7 @@ describe('listTasks handler', () => {
 
     expect(response.statusCode).toBe(200);
     expect(body.tasks).toHaveLength(2);
-    expect(scanTasks).toHaveBeenCalledWith(20, undefined);
+    expect(queryTaskList).toHaveBeenCalledWith('default', 20, undefined);
   });
 
   test('should filter by assignee', async () => {
@@ -79,7 +92,7 @@ describe('listTasks handler', () => {
     expect(response.statusCode).toBe(200);
     expect(body.tasks).toHaveLength(1);
     expect(body.tasks[0].assignee).toBe('user1@example.com');
-    expect(queryTasksByAssignee).toHaveBeenCalledWith('user1@example.com', 20, undefined);
+    expect(queryTasksByAssignee).toHaveBeenCalledWith('default', 'user1@example.com', 20, undefined);
   });
 
   test('should filter by status', async () => {
@@ -123,7 +136,7 @@ describe('listTasks handler', () => {
   });
 
   test('should filter by due date', async () => {
-    scanTasks.mockResolvedValue({ items: mockTasks, nextToken: null });
+    queryTaskList.mockResolvedValue({ items: mockTasks, nextToken: null });
 
     const event = {
       headers: {
@@ -143,7 +156,7 @@ describe('listTasks handler', () => {
   });
 
   test('should apply multiple filters', async () => {
-    queryTasksByAssignee.mockResolvedValue({ items: mockTasks, nextToken: null });
+    queryTasksByAssigneeStatus.mockResolvedValue({ items: [mockTasks[0]], nextToken: null });
 
     const event = {
       headers: {
@@ -162,10 +175,56 @@ describe('listTasks handler', () => {
     expect(body.tasks).toHaveLength(1);
     expect(body.tasks[0].assignee).toBe('user1@example.com');
     expect(body.tasks[0].status).toBe('open');
+    expect(queryTasksByAssigneeStatus).toHaveBeenCalledWith('default', 'user1@example.com', 'open', 20, undefined);
+    expect(queryTasksByAssignee).not.toHaveBeenCalled();
+  });
+
+  test('should use the status#priority index when both are given', async () => {
+    queryTasksByStatusPriority.mockResolvedValue({ items: [mockTasks[0]], nextToken: null });
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      queryStringParameters: {
+        status: 'open',
+        priority: 'P1',
+        createdAfter: '2024-01-01'
+      }
+    };
+
+    const response = await handler(event);
+
+    expect(response.statusCode).toBe(200);
+    expect(queryTasksByStatusPriority).toHaveBeenCalledWith('default', 'open', 'P1', 20, undefined, {
+      range: { after: '2024-01-01T00:00:00.000Z', before: undefined }
+    });
+    expect(queryTasksByStatus).not.toHaveBeenCalled();
+  });
+
+  test('should use the assignee#status index for tasks without a due date', async () => {
+    queryTasksByAssigneeStatus.mockResolvedValue({ items: [{ ...mockTasks[0], dueDate: undefined }], nextToken: null });
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      queryStringParameters: {
+        assignee: 'user1@example.com',
+        status: 'open',
+        hasDueDate: 'false'
+      }
+    };
+
+    const response = await handler(event);
+    const body = JSON.parse(response.body);
+
+    expect(body.tasks).toHaveLength(1);
+    expect(queryTasksByAssigneeStatus).toHaveBeenCalledWith('default', 'user1@example.com', 'open', 20, undefined);
   });
 
   test('should return empty array when no matches', async () => {
-    scanTasks.mockResolvedValue({ items: [], nextToken: null });
+    queryTaskList.mockResolvedValue({ items: [], nextToken: null });
 
     const event = {
       headers: {
@@ -212,7 +271,7 @@ describe('listTasks handler', () => {
   });
 
   test('should handle DynamoDB errors', async () => {
-    scanTasks.mockRejectedValue(new Error('DynamoDB error'));
+    queryTaskList.mockRejectedValue(new Error('DynamoDB error'));
 
     const event = {
       headers: {
@@ -256,289 +315,1239 @@ describe('listTasks handler', () => {
     expect(body.error).toBe('Invalid API key');
   });
 
-  describe('Pagination', () => {
-    test('should use default limit of 20', async () => {
-      scanTasks.mockResolvedValue({ items: mockTasks, nextToken: null });
+  test('should filter by tag with a key query', async () => {
+    const taggedTask = { ...mockTasks[0], labels: ['oncall'] };
+    queryTasksByTag.mockResolvedValue({ items: [taggedTask], nextToken: null });
 
-      const event = {
-        headers: {
-          'x-api-key': 'test-api-key'
-        },
-        queryStringParameters: null
-      };
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      queryStringParameters: {
+        tag: 'oncall'
+      }
+    };
 
-      await handler(event);
+    const response = await handler(event);
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(200);
+    expect(body.tasks).toHaveLength(1);
+    expect(body.tasks[0].labels).toEqual(['oncall']);
+    expect(queryTasksByTag).toHaveBeenCalledWith('default', 'oncall', 20, undefined);
+    expect(queryTaskList).not.toHaveBeenCalled();
+  });
 
-      expect(scanTasks).toHaveBeenCalledWith(20, undefined);
+  test('should combine tag with status filter', async () => {
+    queryTasksByTag.mockResolvedValue({
+      items: [
+        { ...mockTasks[0], labels: ['oncall'] },
+        { ...mockTasks[1], labels: ['oncall'] }
+      ],
+      nextToken: null
     });
 
-    test('should accept custom limit', async () => {
-      scanTasks.mockResolvedValue({ items: mockTasks, nextToken: null });
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      queryStringParameters: {
+        tag: 'oncall',
+        status: 'open'
+      }
+    };
 
-      const event = {
-        headers: {
-          'x-api-key': 'test-api-key'
-        },
-        queryStringParameters: {
-          limit: '50'
-        }
-      };
+    const response = await handler(event);
+    const body = JSON.parse(response.body);
 
-      await handler(event);
+    expect(response.statusCode).toBe(200);
+    expect(body.tasks.map(task => task.id)).toEqual(['1']);
+    expect(queryTasksByStatus).not.toHaveBeenCalled();
+  });
 
-      expect(scanTasks).toHaveBeenCalledWith(50, undefined);
+  test('should prefer assignee index and filter tag in code', async () => {
+    queryTasksByAssignee.mockResolvedValue({
+      items: [
+        { ...mockTasks[0], labels: ['backend'] },
+        { ...mockTasks[0], id: '3', labels: ['oncall'] }
+      ],
+      nextToken: null
     });
 
-    test('should pass nextToken to DynamoDB', async () => {
-      const token = 'test-token';
-      scanTasks.mockResolvedValue({ items: mockTasks, nextToken: null });
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      queryStringParameters: {
+        assignee: 'user1@example.com',
+        tag: 'oncall'
+      }
+    };
+
+    const response = await handler(event);
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(200);
+    expect(body.tasks.map(task => task.id)).toEqual(['3']);
+    expect(queryTasksByTag).not.toHaveBeenCalled();
+  });
+
+  test('should return 400 for invalid tag', async () => {
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      queryStringParameters: {
+        tag: 'On Call'
+      }
+    };
+
+    const response = await handler(event);
+
+    expect(response.statusCode).toBe(400);
+  });
+
+  describe('Filling pages', () => {
+    test('should keep querying until the page is full', async () => {
+      queryTasksByAssignee
+        .mockResolvedValueOnce({ items: [mockTasks[1]], nextToken: 'page-2' })
+        .mockResolvedValueOnce({ items: [mockTasks[0]], nextToken: null });
 
       const event = {
         headers: {
           'x-api-key': 'test-api-key'
         },
         queryStringParameters: {
-          nextToken: token
+          assignee: 'user1@example.com',
+          priority: 'P1',
+          limit: '1'
         }
       };
 
-      await handler(event);
+      const response = await handler(event);
+      const body = JSON.parse(response.body);
 
-      expect(scanTasks).toHaveBeenCalledWith(20, token);
+      expect(response.statusCode).toBe(200);
+      expect(body.tasks.map(task => task.id)).toEqual(['1']);
+      expect(body.truncated).toBe(false);
+      expect(body.nextToken).toBeUndefined();
+      expect(queryTasksByAssignee).toHaveBeenNthCalledWith(2, 'default', 'user1@example.com', 1, 'page-2');
     });
 
-    test('should return nextToken when more results available', async () => {
-      const nextToken = 'next-page-token';
-      scanTasks.mockResolvedValue({ items: mockTasks, nextToken });
+    test('should report a page truncated by the read budget', async () => {
+      queryTasksByStatus.mockResolvedValue({ items: [], nextToken: 'more' });
 
       const event = {
         headers: {
           'x-api-key': 'test-api-key'
         },
-        queryStringParameters: null
+        queryStringParameters: {
+          status: 'open',
+          dueDateBefore: '2020-01-01',
+          limit: '100'
+        }
       };
 
       const response = await handler(event);
       const body = JSON.parse(response.body);
 
-      expect(body.nextToken).toBe(nextToken);
+      expect(response.statusCode).toBe(200);
+      expect(body.tasks).toEqual([]);
+      expect(body.truncated).toBe(true);
+      expect(openNextToken(body.nextToken, { list: 'tasks', workspace: 'default', status: 'open', dueDateBefore: '2020-01-01' }))
+        .toEqual({ key: 'more' });
+      expect(queryTasksByStatus).toHaveBeenCalledTimes(10);
     });
+  });
 
-    test('should not return nextToken when no more results', async () => {
-      scanTasks.mockResolvedValue({ items: mockTasks, nextToken: null });
+  describe('Get by IDs', () => {
+    test('should fetch the requested tasks and report missing IDs', async () => {
+      batchGetTasks.mockResolvedValue({ items: [mockTasks[1], mockTasks[0]], notFoundIds: ['3'] });
 
       const event = {
         headers: {
           'x-api-key': 'test-api-key'
         },
-        queryStringParameters: null
+        queryStringParameters: { ids: '2, 3,1' }
       };
 
       const response = await handler(event);
       const body = JSON.parse(response.body);
 
-      expect(body.nextToken).toBeUndefined();
+      expect(response.statusCode).toBe(200);
+      expect(batchGetTasks).toHaveBeenCalledWith('default', ['2', '3', '1']);
+      expect(body.tasks.map(task => task.id)).toEqual(['2', '1']);
+      expect(body.tasks[0]).toHaveProperty('labels', []);
+      expect(body.notFound).toEqual(['3']);
+      expect(queryTaskList).not.toHaveBeenCalled();
     });
 
-    test('should reject limit below minimum', async () => {
+    test('should reject ids combined with filters', async () => {
       const event = {
         headers: {
           'x-api-key': 'test-api-key'
         },
-        queryStringParameters: {
-          limit: '0'
-        }
+        queryStringParameters: { ids: '1,2', status: 'open' }
       };
 
       const response = await handler(event);
       const body = JSON.parse(response.body);
 
       expect(response.statusCode).toBe(400);
-      expect(body.error).toBe('Limit must be at least 1');
+      expect(body.error).toBe('ids cannot be combined with other query parameters');
     });
 
-    test('should reject limit above maximum', async () => {
+    test('should reject an empty ID', async () => {
       const event = {
         headers: {
           'x-api-key': 'test-api-key'
         },
-        queryStringParameters: {
-          limit: '101'
-        }
+        queryStringParameters: { ids: '1,,2' }
       };
 
       const response = await handler(event);
-      const body = JSON.parse(response.body);
 
       expect(response.statusCode).toBe(400);
-      expect(body.error).toBe('Limit must not exceed 100');
+      expect(batchGetTasks).not.toHaveBeenCalled();
     });
 
-    test('should reject non-numeric limit', async () => {
+    test('should return only the selected fields of the requested tasks', async () => {
+      batchGetTasks.mockResolvedValue({ items: [mockTasks[0]], notFoundIds: [] });
+
       const event = {
         headers: {
           'x-api-key': 'test-api-key'
         },
-        queryStringParameters: {
-          limit: 'abc'
-        }
+        queryStringParameters: { ids: '1', fields: 'id,status' }
       };
 
       const response = await handler(event);
       const body = JSON.parse(response.body);
 
-      expect(response.statusCode).toBe(400);
-      expect(body.error).toBe('Limit must be a number');
+      expect(response.statusCode).toBe(200);
+      expect(batchGetTasks).toHaveBeenCalledWith('default', ['1'], { attributes: ['id', 'status'] });
+      expect(body.tasks).toEqual([{ id: '1', status: 'open' }]);
     });
+  });
 
-    test('should work with pagination and filters', async () => {
-      const nextToken = 'next-page-token';
-      queryTasksByAssignee.mockResolvedValue({ items: [mockTasks[0]], nextToken });
+  describe('Sparse fields', () => {
+    test('should return only the selected fields', async () => {
+      queryTaskList.mockResolvedValue({ items: mockTasks, nextToken: null });
 
       const event = {
         headers: {
           'x-api-key': 'test-api-key'
         },
-        queryStringParameters: {
-          assignee: 'user1@example.com',
-          limit: '10',
-          nextToken: 'prev-token'
-        }
+        queryStringParameters: { fields: 'id, description' }
       };
 
       const response = await handler(event);
       const body = JSON.parse(response.body);
 
       expect(response.statusCode).toBe(200);
-      expect(body.tasks).toHaveLength(1);
-      expect(body.nextToken).toBe(nextToken);
-      expect(queryTasksByAssignee).toHaveBeenCalledWith('user1@example.com', 10, 'prev-token');
+      expect(body.tasks).toEqual([
+        { id: '1', description: 'Task 1' },
+        { id: '2', description: 'Task 2' }
+      ]);
+      expect(queryTaskList.mock.calls[0][3].attributes).toEqual(['id', 'description']);
     });
-  });
 
-  describe('Edge Cases', () => {
-    test('should handle decimal limit', async () => {
+    test('should also read the attributes used for filtering and sorting', async () => {
+      queryTasksByTag.mockResolvedValue({ items: mockTasks, nextToken: null });
+
       const event = {
         headers: {
           'x-api-key': 'test-api-key'
         },
-        queryStringParameters: {
-          limit: '20.5'
-        }
+        queryStringParameters: { status: 'open', tag: 'backend', sort: 'dueDate', fields: 'description' }
       };
 
       const response = await handler(event);
       const body = JSON.parse(response.body);
 
-      expect(response.statusCode).toBe(400);
-      expect(body.error).toBe('Limit must be an integer');
+      expect(response.statusCode).toBe(200);
+      expect(queryTasksByTag.mock.calls[0][4].attributes.sort())
+        .toEqual(['description', 'dueDate', 'id', 'labels', 'status']);
+      body.tasks.forEach(task => expect(Object.keys(task)).toEqual(['description']));
     });
 
-    test('should return 400 for invalid base64 nextToken', async () => {
+    test('should return 400 for unknown fields', async () => {
       const event = {
         headers: {
           'x-api-key': 'test-api-key'
         },
-        queryStringParameters: {
-          nextToken: 'not-valid-base64!!!'
-        }
+        queryStringParameters: { fields: 'id,subtaskProgress' }
       };
 
       const response = await handler(event);
       const body = JSON.parse(response.body);
 
       expect(response.statusCode).toBe(400);
-      expect(body.error).toBe('Invalid nextToken parameter');
+      expect(body.error).toBe(
+        'Fields must be a comma-separated list of: id, description, assignee, priority, status, dueDate, parentId, labels, createdAt, updatedAt'
+      );
+      expect(queryTaskList).not.toHaveBeenCalled();
     });
+  });
 
-    test('should return 400 for malformed base64 nextToken', async () => {
-      const event = {
-        headers: {
-          'x-api-key': 'test-api-key'
-        },
-        queryStringParameters: {
-          nextToken: '@#$%^&*'
-        }
-      };
+  describe('Counts', () => {
+    /**
+     * Builds a list event carrying the API key
+     * @param {Object} queryStringParameters - Query parameters
+     * @returns {Object} API Gateway event
+     */
+    const listEvent = (queryStringParameters) => ({
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      queryStringParameters
+    });
 
-      const response = await handler(event);
+    beforeEach(() => {
+      queryTaskList.mockResolvedValue({ items: mockTasks, nextToken: null });
+      queryTasksByStatus.mockResolvedValue({ items: [mockTasks[0]], nextToken: null });
+      queryTasksByAssigneeStatus.mockResolvedValue({ items: [mockTasks[0]], nextToken: null });
+      queryTaskCounters.mockResolvedValue({
+        TOTAL: 340,
+        'status#open': 200,
+        'status#blocked': 12,
+        'priority#P0': 3,
+        'assignee#user1@example.com': 5,
+        'assignee#gone@example.com': 0,
+        'assigneeStatus#user1@example.com#open': 4
+      });
+    });
+
+    test('should return the total number of tasks', async () => {
+      const response = await handler(listEvent({ includeTotal: 'true', limit: '2' }));
       const body = JSON.parse(response.body);
 
-      expect(response.statusCode).toBe(400);
-      expect(body.error).toBe('Invalid nextToken parameter');
+      expect(response.statusCode).toBe(200);
+      expect(body.total).toBe(340);
+      expect(body.tasks).toHaveLength(2);
+      expect(queryTaskCounters).toHaveBeenCalledWith('default', ['TOTAL']);
     });
 
-    test('should return 400 for base64 nextToken that decodes to non-JSON', async () => {
-      const nonJsonToken = Buffer.from('not a json string').toString('base64');
-      const event = {
-        headers: {
-          'x-api-key': 'test-api-key'
-        },
-        queryStringParameters: {
-          nextToken: nonJsonToken
-        }
-      };
+    test('should count the tasks matching a status filter', async () => {
+      const response = await handler(listEvent({ status: 'open', includeTotal: 'true' }));
+      const body = JSON.parse(response.body);
 
-      const response = await handler(event);
+      expect(body.total).toBe(200);
+      expect(queryTaskCounters).toHaveBeenCalledWith('default', ['status#open']);
+    });
+
+    test('should count the tasks matching a composite filter pair', async () => {
+      const response = await handler(listEvent({ assignee: 'user1@example.com', status: 'open', includeTotal: 'true' }));
       const body = JSON.parse(response.body);
 
-      expect(response.statusCode).toBe(400);
-      expect(body.error).toBe('Invalid nextToken parameter');
+      expect(body.total).toBe(4);
+      expect(queryTaskCounters).toHaveBeenCalledWith('default', ['assigneeStatus#user1@example.com#open']);
     });
 
-    test('should return 400 for empty nextToken', async () => {
-      const event = {
-        headers: {
-          'x-api-key': 'test-api-key'
-        },
-        queryStringParameters: {
-          nextToken: ''
-        }
-      };
+    test('should return facet counts', async () => {
+      const response = await handler(listEvent({ facets: 'status,priority,assignee' }));
+      const body = JSON.parse(response.body);
 
-      const response = await handler(event);
+      expect(response.statusCode).toBe(200);
+      expect(queryTaskCounters).toHaveBeenCalledWith('default', ['status#', 'priority#', 'assignee#']);
+      expect(body.facets).toEqual({
+        status: { open: 200, 'in-progress': 0, blocked: 12, done: 0 },
+        priority: { P0: 3, P1: 0, P2: 0, P3: 0, P4: 0 },
+        assignee: { 'user1@example.com': 5 }
+      });
+      expect(body.total).toBeUndefined();
+    });
+
+    test('should not read counters unless asked to', async () => {
+      const response = await handler(listEvent({ includeTotal: 'false' }));
       const body = JSON.parse(response.body);
 
-      expect(response.statusCode).toBe(400);
-      expect(body.error).toBe('Invalid nextToken parameter');
+      expect(response.statusCode).toBe(200);
+      expect(body.total).toBeUndefined();
+      expect(body.facets).toBeUndefined();
+      expect(queryTaskCounters).not.toHaveBeenCalled();
     });
 
-    test('should accept valid base64-encoded JSON nextToken', async () => {
-      const validKey = { PK: 'TASK#123', SK: 'TASK#123' };
-      const validToken = Buffer.from(JSON.stringify(validKey)).toString('base64');
-      scanTasks.mockResolvedValue({ items: mockTasks, nextToken: null });
+    test('should reject includeTotal with filters that have no counter', async () => {
+      const tagged = await handler(listEvent({ tag: 'oncall', includeTotal: 'true' }));
+      const query = await handler(listEvent({ q: 'status:open', includeTotal: 'true' }));
 
-      const event = {
-        headers: {
-          'x-api-key': 'test-api-key'
-        },
-        queryStringParameters: {
-          nextToken: validToken
-        }
-      };
+      expect(tagged.statusCode).toBe(400);
+      expect(JSON.parse(tagged.body).error).toMatch(/^includeTotal can only be combined with no filters/);
+      expect(query.statusCode).toBe(400);
+      expect(queryTaskCounters).not.toHaveBeenCalled();
+    });
 
-      const response = await handler(event);
+    test('should reject invalid includeTotal and facets values', async () => {
+      const total = await handler(listEvent({ includeTotal: 'yes' }));
+      const facets = await handler(listEvent({ facets: 'status,tag' }));
+
+      expect(JSON.parse(total.body).error).toBe('includeTotal must be true or false');
+      expect(JSON.parse(facets.body).error).toBe('Facets must be a comma-separated list of: status, priority, assignee');
+    });
+  });
+
+  describe('Sorting', () => {
+    /**
+     * Builds a list event carrying the API key
+     * @param {Object} queryStringParameters - Query parameters
+     * @returns {Object} API Gateway event
+     */
+    const listEvent = (queryStringParameters) => ({
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      queryStringParameters
+    });
+
+    test('should sort by due date using the assignee index', async () => {
+      queryTasksByAssignee.mockResolvedValue({ items: [mockTasks[0]], nextToken: null });
+
+      const response = await handler(listEvent({ assignee: 'user1@example.com', sort: '-dueDate' }));
 
       expect(response.statusCode).toBe(200);
-      expect(scanTasks).toHaveBeenCalledWith(20, validToken);
+      expect(queryTasksByAssignee).toHaveBeenCalledWith('default', 'user1@example.com', 20, undefined, { ascending: false });
     });
 
-    test('should return 400 for invalid nextToken with filters', async () => {
-      const event = {
-        headers: {
-          'x-api-key': 'test-api-key'
-        },
-        queryStringParameters: {
-          assignee: 'user@example.com',
-          nextToken: 'invalid!!!'
-        }
-      };
+    test('should sort by creation date using the status index', async () => {
+      queryTasksByStatus.mockResolvedValue({ items: [mockTasks[0]], nextToken: null });
 
-      const response = await handler(event);
-      const body = JSON.parse(response.body);
+      await handler(listEvent({ status: 'open', sort: '-createdAt' }));
 
-      expect(response.statusCode).toBe(400);
-      expect(body.error).toBe('Invalid nextToken parameter');
+      expect(queryTasksByStatus).toHaveBeenCalledWith('default', 'open', 20, undefined, { ascending: false });
+    });
+
+    test('should sort by creation date using the list index without filters', async () => {
+      queryTaskList.mockResolvedValue({ items: [mockTasks[0]], nextToken: null });
+
+      await handler(listEvent({ sort: 'createdAt' }));
+
+      expect(queryTaskList).toHaveBeenCalledWith('default', 20, undefined, { ascending: true });
+    });
+
+    test('should sort by priority by walking the priority index', async () => {
+      queryTasksInPriorityOrder.mockResolvedValue({ items: mockTasks, nextToken: null });
+
+      const response = await handler(listEvent({ status: 'open', sort: 'priority' }));
+      const body = JSON.parse(response.body);
+
+      expect(queryTasksInPriorityOrder).toHaveBeenCalledWith('default', 20, undefined, { ascending: true });
+      expect(queryTasksByStatus).not.toHaveBeenCalled();
+      expect(body.tasks.map(task => task.id)).toEqual(['1']);
+    });
+
+    test('should use the priority index when filtering by priority', async () => {
+      queryTasksByStatusPriority.mockResolvedValue({ items: [mockTasks[0]], nextToken: null });
+
+      await handler(listEvent({ status: 'open', priority: 'P1', sort: 'priority' }));
+
+      expect(queryTasksByStatusPriority).toHaveBeenCalledWith('default', 'open', 'P1', 20, undefined, { ascending: true });
+      expect(queryTasksInPriorityOrder).not.toHaveBeenCalled();
+    });
+
+    test('should sort in memory when no index provides the order', async () => {
+      const tasks = [
+        { ...mockTasks[0], id: 'a', updatedAt: '2024-03-01T00:00:00.000Z' },
+        { ...mockTasks[0], id: 'b', updatedAt: '2024-05-01T00:00:00.000Z' },
+        { ...mockTasks[0], id: 'c', updatedAt: '2024-04-01T00:00:00.000Z' }
+      ];
+      queryTaskList
+        .mockResolvedValueOnce({ items: tasks.slice(0, 2), nextToken: 'page-2' })
+        .mockResolvedValueOnce({ items: tasks.slice(2), nextToken: null });
+
+      const response = await handler(listEvent({ sort: '-updatedAt', limit: '2' }));
+      const body = JSON.parse(response.body);
+
+      expect(body.tasks.map(task => task.id)).toEqual(['b', 'c']);
+      expect(body.nextToken).toBeDefined();
+      expect(queryTaskList).toHaveBeenCalledWith('default', 1000, undefined);
+
+      queryTaskList.mockReset();
+      queryTaskList
+        .mockResolvedValueOnce({ items: tasks.slice(0, 2), nextToken: 'page-2' })
+        .mockResolvedValueOnce({ items: tasks.slice(2), nextToken: null });
+
+      const nextResponse = await handler(listEvent({ sort: '-updatedAt', limit: '2', nextToken: body.nextToken }));
+      const nextBody = JSON.parse(nextResponse.body);
+
+      expect(nextBody.tasks.map(task => task.id)).toEqual(['a']);
+      expect(nextBody.nextToken).toBeUndefined();
+    });
+
+    test('should order priorities by rank and put tasks without a due date last', async () => {
+      const tasks = [
+        { ...mockTasks[0], id: 'a', priority: 'P3', dueDate: null },
+        { ...mockTasks[0], id: 'b', priority: 'P0', dueDate: '2024-06-01' },
+        { ...mockTasks[0], id: 'c', priority: 'P1', dueDate: '2024-02-01' }
+      ];
+      queryTasksByTag.mockResolvedValue({ items: tasks, nextToken: null });
+
+      const byPriority = JSON.parse((await handler(listEvent({ tag: 'oncall', sort: 'priority' }))).body);
+      const byDueDate = JSON.parse((await handler(listEvent({ tag: 'oncall', sort: '-dueDate' }))).body);
+
+      expect(byPriority.tasks.map(task => task.id)).toEqual(['b', 'c', 'a']);
+      expect(byDueDate.tasks.map(task => task.id)).toEqual(['b', 'c', 'a']);
+    });
+
+    test('should reject a nextToken issued for another sort order', async () => {
+      const response = await handler(listEvent({
+        sort: 'updatedAt',
+        nextToken: signNextToken('cursor', { list: 'tasks', workspace: 'default', sort: '-updatedAt' })
+      }));
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(400);
+      expect(body.error).toBe('nextToken was issued for a different query');
+    });
+
+    test('should return 400 for an unknown sort field', async () => {
+      const response = await handler(listEvent({ sort: 'assignee' }));
+
+      expect(response.statusCode).toBe(400);
+    });
+
+    test('should return 400 when there are too many tasks to sort in memory', async () => {
+      queryTaskList.mockResolvedValue({ items: [mockTasks[0]], nextToken: 'more' });
+
+      const response = await handler(listEvent({ sort: 'updatedAt' }));
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(400);
+      expect(body.error).toMatch(/^Too many tasks to sort/);
+    });
+  });
+
+  describe('Date ranges', () => {
+    /**
+     * Builds a list event carrying the API key
+     * @param {Object} queryStringParameters - Query parameters
+     * @returns {Object} API Gateway event
+     */
+    const listEvent = (queryStringParameters) => ({
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      queryStringParameters
+    });
+
+    test('should push a created range into the status index key condition', async () => {
+      queryTasksByStatus.mockResolvedValue({ items: [mockTasks[0]], nextToken: null });
+
+      const response = await handler(listEvent({
+        status: 'open',
+        createdAfter: '2023-12-01',
+        createdBefore: '2024-01-31'
+      }));
+      const body = JSON.parse(response.body);
+
+      expect(queryTasksByStatus).toHaveBeenCalledWith('default', 'open', 20, undefined, {
+        range: { after: '2023-12-01T00:00:00.000Z', before: '2024-01-31T00:00:00.000Z' }
+      });
+      expect(body.tasks).toHaveLength(1);
+    });
+
+    test('should widen a due date range on the assignee index and check it exactly in code', async () => {
+      queryTasksByAssignee.mockResolvedValue({
+        items: [
+          { ...mockTasks[0], id: 'a', dueDate: '2024-12-31' },
+          { ...mockTasks[0], id: 'b', dueDate: '2024-12-31T10:00:00.000Z' }
+        ],
+        nextToken: null
+      });
+
+      const response = await handler(listEvent({
+        assignee: 'user1@example.com',
+        dueDateAfter: '2024-12-01',
+        dueDateBefore: '2024-12-31'
+      }));
+      const body = JSON.parse(response.body);
+
+      expect(queryTasksByAssignee).toHaveBeenCalledWith('default', 'user1@example.com', 20, undefined, {
+        range: { after: '2024-12-01', before: '2024-12-31~' }
+      });
+      expect(body.tasks.map(task => task.id)).toEqual(['a']);
+    });
+
+    test('should filter ranges no index covers in code', async () => {
+      queryTaskList.mockResolvedValue({ items: mockTasks, nextToken: null });
+
+      const response = await handler(listEvent({ updatedAfter: '2024-01-02', createdBefore: '2024-01-05' }));
+      const body = JSON.parse(response.body);
+
+      expect(queryTaskList).toHaveBeenCalledWith('default', 20, undefined);
+      expect(body.tasks.map(task => task.id)).toEqual(['2']);
+    });
+
+    test('should filter on hasDueDate', async () => {
+      const undated = { ...mockTasks[1], id: '3', dueDate: null };
+      queryTaskList.mockResolvedValue({ items: [...mockTasks, undated], nextToken: null });
+
+      const withDueDate = JSON.parse((await handler(listEvent({ hasDueDate: 'true' }))).body);
+      const withoutDueDate = JSON.parse((await handler(listEvent({ hasDueDate: 'false' }))).body);
+
+      expect(withDueDate.tasks.map(task => task.id)).toEqual(['1', '2']);
+      expect(withoutDueDate.tasks.map(task => task.id)).toEqual(['3']);
+    });
+
+    test('should not use the assignee index for tasks without a due date', async () => {
+      const undated = { ...mockTasks[0], id: '3', dueDate: null };
+      queryTaskList.mockResolvedValue({ items: [...mockTasks, undated], nextToken: null });
+
+      const response = await handler(listEvent({ assignee: 'user1@example.com', hasDueDate: 'false' }));
+      const body = JSON.parse(response.body);
+
+      expect(queryTasksByAssignee).not.toHaveBeenCalled();
+      expect(body.tasks.map(task => task.id)).toEqual(['3']);
+    });
+
+    test('should reject a range whose start is after its end', async () => {
+      const response = await handler(listEvent({ createdAfter: '2024-02-01', createdBefore: '2024-01-01' }));
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(400);
+      expect(body.error).toBe('createdAfter must not be later than createdBefore');
+    });
+
+    test('should reject an invalid date', async () => {
+      const response = await handler(listEvent({ updatedBefore: '2024-02-30' }));
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(400);
+      expect(body.error).toBe('updatedBefore: Invalid date value');
+    });
+
+    test('should reject an invalid hasDueDate value', async () => {
+      const response = await handler(listEvent({ hasDueDate: 'yes' }));
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(400);
+      expect(body.error).toBe('hasDueDate must be true or false');
+    });
+
+    test('should reject hasDueDate=false combined with a due date range', async () => {
+      const response = await handler(listEvent({ hasDueDate: 'false', dueDateAfter: '2024-01-01' }));
+
+      expect(response.statusCode).toBe(400);
+    });
+  });
+
+  describe('Query language', () => {
+    /**
+     * Builds a list event carrying the API key
+     * @param {Object} queryStringParameters - Query parameters
+     * @returns {Object} API Gateway event
+     */
+    const listEvent = (queryStringParameters) => ({
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      queryStringParameters
+    });
+
+    test('should query the best index and filter the rest in DynamoDB', async () => {
+      queryTasksByAssigneeStatus.mockResolvedValue({ items: [mockTasks[0]], nextToken: null });
+
+      const response = await handler(listEvent({
+        q: 'status:in-progress AND priority:(P0 OR P1) AND due<2026-11-01 AND assignee:alice@x.com'
+      }));
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(200);
+      expect(body.tasks).toHaveLength(1);
+      expect(queryTasksByAssigneeStatus).toHaveBeenCalledWith('default', 'alice@x.com', 'in-progress', 20, undefined, {
+        filter: {
+          expression: '#q0 IN (:q0, :q1) AND #q1 < :q2',
+          names: { '#q0': 'priority', '#q1': 'dueDate' },
+          values: { ':q0': 'P0', ':q1': 'P1', ':q2': '2026-11-01' }
+        }
+      });
+    });
+
+    test('should read the list index with a FilterExpression when no index applies', async () => {
+      queryTaskList.mockResolvedValue({ items: mockTasks, nextToken: null });
+
+      const response = await handler(listEvent({ q: 'status:open OR tag:oncall' }));
+      const body = JSON.parse(response.body);
+
+      // Filtering is left to DynamoDB, so every returned task is kept
+      expect(body.tasks).toHaveLength(2);
+      expect(queryTaskList).toHaveBeenCalledWith('default', 20, undefined, {
+        filter: {
+          expression: '#q0 = :q0 OR contains(#q1, :q1)',
+          names: { '#q0': 'status', '#q1': 'labels' },
+          values: { ':q0': 'open', ':q1': 'oncall' }
+        }
+      });
+    });
+
+    test('should check what the key condition cannot express in code', async () => {
+      queryTasksByStatus.mockResolvedValue({
+        items: [
+          { ...mockTasks[0], id: 'on-bound', createdAt: '2026-01-01T23:59:59.999Z' },
+          { ...mockTasks[0], id: 'inside', createdAt: '2026-01-15T00:00:00.000Z' }
+        ],
+        nextToken: null
+      });
+
+      const response = await handler(listEvent({ q: 'status:open AND created>2026-01-01 AND created<2026-02-01' }));
+      const body = JSON.parse(response.body);
+
+      expect(body.tasks.map(task => task.id)).toEqual(['inside']);
+      expect(queryTasksByStatus).toHaveBeenCalledWith('default', 'open', 20, undefined, {
+        range: { after: '2026-01-01T23:59:59.999Z', before: '2026-02-01T00:00:00.000Z' }
+      });
+    });
+
+    test('should combine q with an index-backed sort', async () => {
+      queryTasksByStatus.mockResolvedValue({ items: [], nextToken: null });
+
+      await handler(listEvent({ q: 'status:open', sort: '-createdAt' }));
+
+      expect(queryTasksByStatus).toHaveBeenCalledWith('default', 'open', 20, undefined, { ascending: false });
+    });
+
+    test('should return 400 with the position of a syntax error', async () => {
+      const response = await handler(listEvent({ q: 'status:open AND priority:P9' }));
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(400);
+      expect(body.error).toBe('Invalid q: Position 26: Invalid priority "P9"; expected one of: P0, P1, P2, P3, P4');
+    });
+
+    test('should reject q combined with other filter parameters', async () => {
+      const response = await handler(listEvent({ q: 'status:open', assignee: 'user1@example.com' }));
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(400);
+      expect(body.error).toBe('q cannot be combined with other filter parameters');
+    });
+
+    test('should reject a nextToken issued for another query', async () => {
+      const response = await handler(listEvent({
+        q: 'status:done',
+        nextToken: signNextToken('page-2', { list: 'tasks', workspace: 'default', q: 'status:open' })
+      }));
+
+      expect(response.statusCode).toBe(400);
+    });
+  });
+
+  describe('Pagination', () => {
+    test('should use default limit of 20', async () => {
+      queryTaskList.mockResolvedValue({ items: mockTasks, nextToken: null });
+
+      const event = {
+        headers: {
+          'x-api-key': 'test-api-key'
+        },
+        queryStringParameters: null
+      };
+
+      await handler(event);
+
+      expect(queryTaskList).toHaveBeenCalledWith('default', 20, undefined);
+    });
+
+    test('should accept custom limit', async () => {
+      queryTaskList.mockResolvedValue({ items: mockTasks, nextToken: null });
+
+      const event = {
+        headers: {
+          'x-api-key': 'test-api-key'
+        },
+        queryStringParameters: {
+          limit: '50'
+        }
+      };
+
+      await handler(event);
+
+      expect(queryTaskList).toHaveBeenCalledWith('default', 50, undefined);
+    });
+
+    test('should pass nextToken to DynamoDB', async () => {
+      const token = 'test-token';
+      queryTaskList.mockResolvedValue({ items: mockTasks, nextToken: null });
+
+      const event = {
+        headers: {
+          'x-api-key': 'test-api-key'
+        },
+        queryStringParameters: {
+          nextToken: signNextToken(token, { list: 'tasks', workspace: 'default' })
+        }
+      };
+
+      await handler(event);
+
+      expect(queryTaskList).toHaveBeenCalledWith('default', 20, token);
+    });
+
+    test('should return nextToken when more results available', async () => {
+      const nextToken = 'next-page-token';
+      queryTaskList.mockResolvedValue({ items: mockTasks, nextToken });
+
+      const event = {
+        headers: {
+          'x-api-key': 'test-api-key'
+        },
+        queryStringParameters: null
+      };
+
+      const response = await handler(event);
+      const body = JSON.parse(response.body);
+
+      expect(openNextToken(body.nextToken, { list: 'tasks', workspace: 'default' })).toEqual({ key: nextToken });
+    });
+
+    test('should not return nextToken when no more results', async () => {
+      queryTaskList.mockResolvedValue({ items: mockTasks, nextToken: null });
+
+      const event = {
+        headers: {
+          'x-api-key': 'test-api-key'
+        },
+        queryStringParameters: null
+      };
+
+      const response = await handler(event);
+      const body = JSON.parse(response.body);
+
+      expect(body.nextToken).toBeUndefined();
+    });
+
+    test('should reject limit below minimum', async () => {
+      const event = {
+        headers: {
+          'x-api-key': 'test-api-key'
+        },
+        queryStringParameters: {
+          limit: '0'
+        }
+      };
+
+      const response = await handler(event);
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(400);
+      expect(body.error).toBe('Limit must be at least 1');
+    });
+
+    test('should reject limit above maximum', async () => {
+      const event = {
+        headers: {
+          'x-api-key': 'test-api-key'
+        },
+        queryStringParameters: {
+          limit: '101'
+        }
+      };
+
+      const response = await handler(event);
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(400);
+      expect(body.error).toBe('Limit must not exceed 100');
+    });
+
+    test('should reject non-numeric limit', async () => {
+      const event = {
+        headers: {
+          'x-api-key': 'test-api-key'
+        },
+        queryStringParameters: {
+          limit: 'abc'
+        }
+      };
+
+      const response = await handler(event);
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(400);
+      expect(body.error).toBe('Limit must be a number');
+    });
+
+    test('should work with pagination and filters', async () => {
+      const nextToken = 'next-page-token';
+      queryTasksByAssignee.mockResolvedValue({ items: [mockTasks[0]], nextToken });
+
+      const event = {
+        headers: {
+          'x-api-key': 'test-api-key'
+        },
+        queryStringParameters: {
+          assignee: 'user1@example.com',
+          limit: '10',
+          nextToken: signNextToken('prev-token', { list: 'tasks', workspace: 'default', assignee: 'user1@example.com' })
+        }
+      };
+
+      const response = await handler(event);
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(200);
+      expect(body.tasks).toHaveLength(1);
+      expect(openNextToken(body.nextToken, { list: 'tasks', workspace: 'default', assignee: 'user1@example.com' }))
+        .toEqual({ key: nextToken });
+      expect(queryTasksByAssignee).toHaveBeenCalledWith('default', 'user1@example.com', 10, 'prev-token');
+    });
+  });
+
+  describe('Visibility', () => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'list-jwks-'));
+    const jwksFile = path.join(tempDir, 'jwks.json');
+
+    /**
+     * Builds a list request from a member restricted to their own tasks
+     * @param {Object} queryStringParameters - Query parameters
+     * @returns {Object} API Gateway event
+     */
+    const memberEvent = (queryStringParameters) => {
+      const claims = {
+        iss: 'https://login.example.com',
+        aud: 'engineering-task-api',
+        sub: 'user-1',
+        email: 'user1@example.com',
+        groups: ['engineers'],
+        exp: Math.floor(Date.now() / 1000) + 300
+      };
+      const header = Buffer.from(JSON.stringify({ alg: 'ES256' })).toString('base64url');
+      const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+      const signature = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), { key: privateKey, dsaEncoding: 'ieee-p1363' });
+
+      return {
+        headers: { authorization: `Bearer ${header}.${payload}.${signature.toString('base64url')}` },
+        queryStringParameters
+      };
+    };
+
+    beforeAll(() => {
+      fs.writeFileSync(jwksFile, JSON.stringify({ keys: [publicKey.export({ format: 'jwk' })] }));
+    });
+
+    afterAll(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+      process.env.JWKS_FILE = jwksFile;
+      process.env.JWT_ISSUER = 'https://login.example.com';
+      process.env.JWT_AUDIENCE = 'engineering-task-api';
+      process.env.ROLE_GROUPS = JSON.stringify({ engineers: 'member' });
+      process.env.OWN_TASKS_ONLY_ROLES = 'member';
+    });
+
+    test('should list only the caller\'s tasks for restricted roles, with or without a due date', async () => {
+      const undatedTask = { ...mockTasks[0], id: 'undated', dueDate: null };
+      queryTaskList.mockResolvedValue({ items: [mockTasks[0], mockTasks[1], undatedTask], nextToken: null });
+
+      const response = await handler(memberEvent(null));
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(200);
+      // GSI1 leaves out tasks without a due date, so the list index is read instead
+      expect(queryTasksByAssignee).not.toHaveBeenCalled();
+      expect(body.tasks.map(task => task.id)).toEqual(['1', 'undated']);
+    });
+
+    test('should read the assignee#status index for a restricted caller\'s status filter', async () => {
+      queryTasksByAssigneeStatus.mockResolvedValue({ items: [mockTasks[0]], nextToken: null });
+
+      const response = await handler(memberEvent({ status: 'open' }));
+
+      expect(response.statusCode).toBe(200);
+      expect(queryTasksByAssigneeStatus).toHaveBeenCalledWith('default', 'user1@example.com', 'open', 20, undefined);
+    });
+
+    test('should return 500 for a malformed ROLE_GROUPS setting', async () => {
+      process.env.ROLE_GROUPS = 'engineers=member';
+
+      const response = await handler(memberEvent(null));
+
+      expect(response.statusCode).toBe(500);
+      expect(JSON.parse(response.body).error).toBe('Internal server error: listing tasks');
+    });
+
+    test('should return 403 when listing another assignee\'s tasks', async () => {
+      const response = await handler(memberEvent({ assignee: 'user2@example.com' }));
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(403);
+      expect(body.error).toBe('Denied by rule own-tasks-only: this role can only see tasks assigned to the caller');
+      expect(queryTasksByAssignee).not.toHaveBeenCalled();
+    });
+
+    test('should filter q results to the caller\'s tasks', async () => {
+      queryTasksByStatus.mockResolvedValue({ items: mockTasks, nextToken: null });
+
+      const response = await handler(memberEvent({ q: 'status:open' }));
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(200);
+      expect(body.tasks.map(task => task.id)).toEqual(['1']);
+    });
+
+    test('should report tasks the caller may not see as not found', async () => {
+      batchGetTasks.mockResolvedValue({ items: mockTasks, notFoundIds: ['3'] });
+
+      const response = await handler(memberEvent({ ids: '1,2,3', fields: 'id' }));
+      const body = JSON.parse(response.body);
+
+      expect(body.tasks).toEqual([{ id: '1' }]);
+      expect(body.notFound).toEqual(['3', '2']);
+      expect(batchGetTasks).toHaveBeenCalledWith('default', ['1', '2', '3'], { attributes: ['id', 'assignee'] });
+    });
+
+    test('should return 403 for facets, which count every task', async () => {
+      const response = await handler(memberEvent({ facets: 'status' }));
+
+      expect(response.statusCode).toBe(403);
+      expect(queryTaskCounters).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Edge Cases', () => {
+    test('should handle decimal limit', async () => {
+      const event = {
+        headers: {
+          'x-api-key': 'test-api-key'
+        },
+        queryStringParameters: {
+          limit: '20.5'
+        }
+      };
+
+      const response = await handler(event);
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(400);
+      expect(body.error).toBe('Limit must be an integer');
+    });
+
+    test('should return 400 for invalid base64 nextToken', async () => {
+      const event = {
+        headers: {
+          'x-api-key': 'test-api-key'
+        },
+        queryStringParameters: {
+          nextToken: 'not-valid-base64!!!'
+        }
+      };
+
+      const response = await handler(event);
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(400);
+      expect(body.error).toBe('Invalid nextToken parameter');
+    });
+
+    test('should return 400 for malformed base64 nextToken', async () => {
+      const event = {
+        headers: {
+          'x-api-key': 'test-api-key'
+        },
+        queryStringParameters: {
+          nextToken: '@#$%^&*'
+        }
+      };
+
+      const response = await handler(event);
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(400);
+      expect(body.error).toBe('Invalid nextToken parameter');
+    });
+
+    test('should return 400 for base64 nextToken that decodes to non-JSON', async () => {
+      const nonJsonToken = Buffer.from('not a json string').toString('base64');
+      const event = {
+        headers: {
+          'x-api-key': 'test-api-key'
+        },
+        queryStringParameters: {
+          nextToken: nonJsonToken
+        }
+      };
+
+      const response = await handler(event);
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(400);
+      expect(body.error).toBe('Invalid nextToken parameter');
+    });
+
+    test('should return 400 for empty nextToken', async () => {
+      const event = {
+        headers: {
+          'x-api-key': 'test-api-key'
+        },
+        queryStringParameters: {
+          nextToken: ''
+        }
+      };
+
+      const response = await handler(event);
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(400);
+      expect(body.error).toBe('Invalid nextToken parameter');
+    });
+
+    test('should accept a signed nextToken', async () => {
+      const validKey = { PK: 'TASK#123', SK: 'TASK#123' };
+      const validToken = Buffer.from(JSON.stringify(validKey)).toString('base64');
+      queryTaskList.mockResolvedValue({ items: mockTasks, nextToken: null });
+
+      const event = {
+        headers: {
+          'x-api-key': 'test-api-key'
+        },
+        queryStringParameters: {
+          nextToken: signNextToken(validToken, { list: 'tasks', workspace: 'default' })
+        }
+      };
+
+      const response = await handler(event);
+
+      expect(response.statusCode).toBe(200);
+      expect(queryTaskList).toHaveBeenCalledWith('default', 20, validToken);
+    });
+
+    test('should return 400 for invalid nextToken with filters', async () => {
+      const event = {
+        headers: {
+          'x-api-key': 'test-api-key'
+        },
+        queryStringParameters: {
+          assignee: 'user@example.com',
+          nextToken: 'invalid!!!'
+        }
+      };
+
+      const response = await handler(event);
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(400);
+      expect(body.error).toBe('Invalid nextToken parameter');
+    });
+
+    test('should return 400 for an unsigned base64 JSON nextToken', async () => {
+      const unsignedToken = Buffer.from(JSON.stringify({ PK: 'TASK#123', SK: 'TASK#123' })).toString('base64');
+
+      const event = {
+        headers: {
+          'x-api-key': 'test-api-key'
+        },
+        queryStringParameters: {
+          nextToken: unsignedToken
+        }
+      };
+
+      const response = await handler(event);
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(400);
+      expect(body.error).toBe('Invalid nextToken parameter');
+      expect(queryTaskList).not.toHaveBeenCalled();
+    });
+
+    test('should return 400 for a tampered nextToken', async () => {
+      const payload = JSON.parse(Buffer.from(signNextToken('page-2', { list: 'tasks', workspace: 'default' }), 'base64').toString('utf8'));
+      payload.k = 'page-3';
+
+      const event = {
+        headers: {
+          'x-api-key': 'test-api-key'
+        },
+        queryStringParameters: {
+          nextToken: Buffer.from(JSON.stringify(payload)).toString('base64')
+        }
+      };
+
+      const response = await handler(event);
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(400);
+      expect(body.error).toBe('nextToken has been tampered with');
+      expect(queryTaskList).not.toHaveBeenCalled();
+    });
+
+    test('should return 400 for a nextToken issued with different filters', async () => {
+      const event = {
+        headers: {
+          'x-api-key': 'test-api-key'
+        },
+        queryStringParameters: {
+          status: 'done',
+          nextToken: signNextToken('page-2', { list: 'tasks', workspace: 'default', status: 'open' })
+        }
+      };
+
+      const response = await handler(event);
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(400);
+      expect(body.error).toBe('nextToken was issued for a different query');
+      expect(queryTasksByStatus).not.toHaveBeenCalled();
+    });
+
+    test('should accept a nextToken when only the limit changed', async () => {
+      queryTasksByStatus.mockResolvedValue({ items: [], nextToken: null });
+
+      const event = {
+        headers: {
+          'x-api-key': 'test-api-key'
+        },
+        queryStringParameters: {
+          status: 'open',
+          limit: '5',
+          nextToken: signNextToken('page-2', { list: 'tasks', workspace: 'default', status: 'open' })
+        }
+      };
+
+      const response = await handler(event);
+
+      expect(response.statusCode).toBe(200);
+      expect(queryTasksByStatus).toHaveBeenCalledWith('default', 'open', 5, 'page-2');
+    });
+
+    test('should return 400 for an expired nextToken', async () => {
+      const issuedAt = Date.now();
+      const token = signNextToken('page-2', { list: 'tasks', workspace: 'default' });
+      const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(issuedAt + 25 * 60 * 60 * 1000);
+
+      const event = {
+        headers: {
+          'x-api-key': 'test-api-key'
+        },
+        queryStringParameters: {
+          nextToken: token
+        }
+      };
+
+      const response = await handler(event);
+      const body = JSON.parse(response.body);
+      nowSpy.mockRestore();
+
+      expect(response.statusCode).toBe(400);
+      expect(body.error).toBe('nextToken has expired');
+    });
+
+    test('should return 500 when the pagination secret is not configured', async () => {
+      delete process.env.PAGINATION_SECRET;
+      queryTaskList.mockResolvedValue({ items: mockTasks, nextToken: 'page-2' });
+
+      const event = {
+        headers: {
+          'x-api-key': 'test-api-key'
+        },
+        queryStringParameters: null
+      };
+
+      const response = await handler(event);
+
+      expect(response.statusCode).toBe(500);
     });
   });
 });
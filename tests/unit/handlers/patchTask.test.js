@@ -0,0 +1,244 @@
+const { handler } = require('../../../src/handlers/patchTask');
+const {
+  getTask,
+  updateTaskAttributes,
+  getTaskAncestorIds,
+  queryBlockerIds
+} = require('../../../src/lib/dynamodb');
+
+jest.mock('../../../src/lib/dynamodb');
+
+describe('patchTask handler', () => {
+  const originalEnv = process.env;
+  const mockExistingTask = {
+    id: '123',
+    description: 'Original task',
+    assignee: 'user1@example.com',
+    priority: 'P2',
+    status: 'open',
+    dueDate: '2024-12-31',
+    labels: ['backend'],
+    createdAt: '2024-01-01T00:00:00.000Z',
+    updatedAt: '2024-01-01T00:00:00.000Z',
+    version: 2
+  };
+
+  /**
+   * Builds a PATCH event
+   * @param {string} contentType - Patch media type
+   * @param {*} patch - Patch document
+   * @param {Object} [headers] - Additional headers
+   * @returns {Object} API Gateway event
+   */
+  const patchEvent = (contentType, patch, headers = {}) => ({
+    headers: {
+      'x-api-key': 'test-api-key',
+      'content-type': contentType,
+      ...headers
+    },
+    pathParameters: { id: '123' },
+    body: JSON.stringify(patch)
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...originalEnv };
+    process.env.API_KEY = 'test-api-key';
+    getTask.mockResolvedValue(mockExistingTask);
+    updateTaskAttributes.mockImplementation(async (workspace, task, changes) => ({ ...task, ...changes }));
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  test('should apply a merge patch and write only changed attributes', async () => {
+    const response = await handler(patchEvent('application/merge-patch+json', {
+      status: 'in-progress',
+      priority: 'P2'
+    }));
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(200);
+    expect(body.status).toBe('in-progress');
+    expect(response.headers.ETag).toBe('"3"');
+    expect(updateTaskAttributes).toHaveBeenCalledWith(
+      'default',
+      mockExistingTask,
+      { status: 'in-progress', updatedAt: expect.any(String), version: 3 },
+      { actor: { type: 'apiKey', id: expect.any(String) } }
+    );
+  });
+
+  test('should clear optional fields set to null in a merge patch', async () => {
+    const response = await handler(patchEvent('application/merge-patch+json', { assignee: null }));
+
+    expect(response.statusCode).toBe(200);
+    expect(updateTaskAttributes.mock.calls[0][2].assignee).toBeNull();
+  });
+
+  test('should apply a JSON patch', async () => {
+    const response = await handler(patchEvent('application/json-patch+json', [
+      { op: 'test', path: '/status', value: 'open' },
+      { op: 'add', path: '/labels/-', value: 'oncall' }
+    ]));
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(200);
+    expect(body.labels).toEqual(['backend', 'oncall']);
+    expect(updateTaskAttributes.mock.calls[0][2].labels).toEqual(['backend', 'oncall']);
+  });
+
+  test('should return 409 when a JSON patch test fails', async () => {
+    const response = await handler(patchEvent('application/json-patch+json', [
+      { op: 'test', path: '/status', value: 'done' },
+      { op: 'replace', path: '/priority', value: 'P0' }
+    ]));
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(409);
+    expect(body.error).toBe('Patch test failed at /status');
+    expect(updateTaskAttributes).not.toHaveBeenCalled();
+  });
+
+  test('should return 400 for a malformed JSON patch', async () => {
+    const response = await handler(patchEvent('application/json-patch+json', [
+      { op: 'replace', path: '/missing/field', value: 1 }
+    ]));
+
+    expect(response.statusCode).toBe(400);
+    expect(updateTaskAttributes).not.toHaveBeenCalled();
+  });
+
+  test('should validate the patched task', async () => {
+    const response = await handler(patchEvent('application/merge-patch+json', { priority: 'P9' }));
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(400);
+    expect(body.error).toContain('Priority must be one of');
+    expect(updateTaskAttributes).not.toHaveBeenCalled();
+  });
+
+  test('should reject removing required fields', async () => {
+    const response = await handler(patchEvent('application/json-patch+json', [
+      { op: 'remove', path: '/status' }
+    ]));
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(400);
+    expect(body.error).toBe('Field cannot be removed: status');
+  });
+
+  test('should reject changes to read-only fields', async () => {
+    const response = await handler(patchEvent('application/merge-patch+json', { id: 'other' }));
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(400);
+    expect(body.error).toBe('Field is read-only: id');
+  });
+
+  test('should reject unknown fields', async () => {
+    const response = await handler(patchEvent('application/merge-patch+json', { owner: 'me' }));
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(400);
+    expect(body.error).toBe('Unknown task field: owner');
+  });
+
+  test('should return 415 for other content types', async () => {
+    const response = await handler(patchEvent('application/json', { status: 'done' }));
+
+    expect(response.statusCode).toBe(415);
+    expect(getTask).not.toHaveBeenCalled();
+  });
+
+  test('should return 404 for non-existent task', async () => {
+    getTask.mockResolvedValue(null);
+
+    const response = await handler(patchEvent('application/merge-patch+json', { status: 'done' }));
+
+    expect(response.statusCode).toBe(404);
+  });
+
+  test('should return 412 when If-Match does not match', async () => {
+    const response = await handler(patchEvent(
+      'application/merge-patch+json',
+      { status: 'in-progress' },
+      { 'If-Match': '"1"' }
+    ));
+
+    expect(response.statusCode).toBe(412);
+    expect(updateTaskAttributes).not.toHaveBeenCalled();
+  });
+
+  test('should reject a new parent that creates a cycle', async () => {
+    getTaskAncestorIds.mockResolvedValue(['child', '123']);
+
+    const response = await handler(patchEvent('application/merge-patch+json', { parentId: 'child' }));
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(400);
+    expect(body.error).toContain('Parent ID would create a cycle in the task hierarchy');
+  });
+
+  test('should refuse to finish a task with unfinished blockers', async () => {
+    queryBlockerIds.mockResolvedValue(['b1']);
+    getTask.mockImplementation(async (workspace, id) => (
+      id === '123' ? mockExistingTask : { id: 'b1', status: 'open' }
+    ));
+
+    const response = await handler(patchEvent('application/merge-patch+json', { status: 'done' }));
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(409);
+    expect(body.error).toBe('Task is blocked by unfinished tasks: b1');
+  });
+
+  describe('Edge Cases', () => {
+    test('should accept media type parameters', async () => {
+      const response = await handler(patchEvent(
+        'application/merge-patch+json; charset=utf-8',
+        { status: 'in-progress' }
+      ));
+
+      expect(response.statusCode).toBe(200);
+    });
+
+    test('should not write when nothing changes', async () => {
+      const response = await handler(patchEvent('application/merge-patch+json', { status: 'open' }));
+
+      expect(response.statusCode).toBe(200);
+      expect(response.headers.ETag).toBe('"2"');
+      expect(updateTaskAttributes).not.toHaveBeenCalled();
+    });
+
+    test('should return 400 for invalid JSON', async () => {
+      const event = patchEvent('application/merge-patch+json', {});
+      event.body = 'invalid json{';
+
+      const response = await handler(event);
+
+      expect(response.statusCode).toBe(400);
+    });
+
+    test('should return 412 when a concurrent write wins', async () => {
+      const conflict = new Error('Task has been modified concurrently');
+      conflict.name = 'VersionConflictError';
+      updateTaskAttributes.mockRejectedValue(conflict);
+
+      const response = await handler(patchEvent('application/merge-patch+json', { status: 'in-progress' }));
+
+      expect(response.statusCode).toBe(412);
+    });
+
+    test('should handle DynamoDB errors', async () => {
+      updateTaskAttributes.mockRejectedValue(new Error('DynamoDB error'));
+
+      const response = await handler(patchEvent('application/merge-patch+json', { status: 'in-progress' }));
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(500);
+      expect(body.error).toBe('Internal server error: patching task');
+    });
+  });
+});
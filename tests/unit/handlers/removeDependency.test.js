@@ -0,0 +1,116 @@
+const { handler } = require('../../../src/handlers/removeDependency');
+const { getTask, deleteDependency } = require('../../../src/lib/dynamodb');
+
+jest.mock('../../../src/lib/dynamodb');
+
+describe('removeDependency handler', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...originalEnv };
+    process.env.API_KEY = 'test-api-key';
+
+    getTask.mockResolvedValue({ id: 'deploy', description: 'Deploy', status: 'blocked' });
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  test('should remove existing dependency', async () => {
+    deleteDependency.mockResolvedValue(true);
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      pathParameters: { id: 'deploy', blockerId: 'migrate' }
+    };
+
+    const response = await handler(event);
+
+    expect(response.statusCode).toBe(204);
+    expect(deleteDependency).toHaveBeenCalledWith('default', 'migrate', 'deploy');
+  });
+
+  test('should return 404 for non-existent dependency', async () => {
+    deleteDependency.mockResolvedValue(false);
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      pathParameters: { id: 'deploy', blockerId: 'migrate' }
+    };
+
+    const response = await handler(event);
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(404);
+    expect(body.error).toBe('Dependency not found');
+  });
+
+  test('should return 404 for non-existent task', async () => {
+    getTask.mockResolvedValue(null);
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      pathParameters: { id: 'deploy', blockerId: 'migrate' }
+    };
+
+    const response = await handler(event);
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(404);
+    expect(body.error).toBe('Task not found');
+    expect(deleteDependency).not.toHaveBeenCalled();
+  });
+
+  test('should handle DynamoDB errors', async () => {
+    deleteDependency.mockRejectedValue(new Error('DynamoDB error'));
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      pathParameters: { id: 'deploy', blockerId: 'migrate' }
+    };
+
+    const response = await handler(event);
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(500);
+    expect(body.error).toBe('Internal server error: removing dependency');
+  });
+
+  describe('Edge Cases', () => {
+    test('should return 400 for missing blocker ID', async () => {
+      const event = {
+        headers: {
+          'x-api-key': 'test-api-key'
+        },
+        pathParameters: { id: 'deploy' }
+      };
+
+      const response = await handler(event);
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(400);
+      expect(body.error).toBe('Blocker ID is required');
+    });
+
+    test('should return 401 for missing API key', async () => {
+      const event = {
+        headers: {},
+        pathParameters: { id: 'deploy', blockerId: 'migrate' }
+      };
+
+      const response = await handler(event);
+
+      expect(response.statusCode).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const { handler } = require('../../../src/handlers/revokeApiKey');
+const { getApiKey, updateApiKey } = require('../../../src/lib/dynamodb');
+const { generateApiKey } = require('../../../src/lib/auth');
+
+jest.mock('../../../src/lib/dynamodb');
+
+describe('revokeApiKey handler', () => {
+  const originalEnv = process.env;
+  const storedKey = {
+    keyId: 'a1b2c3d4e5f6',
+    name: 'CI',
+    hash: 'hash',
+    scopes: ['tasks:read'],
+    disabled: false,
+    createdAt: '2024-01-01T00:00:00.000Z',
+    updatedAt: '2024-01-01T00:00:00.000Z'
+  };
+
+  /**
+   * Builds a revoke key request event
+   * @param {string} id - Key ID
+   * @returns {Object} API Gateway event
+   */
+  const revokeEvent = (id) => ({
+    headers: { 'x-api-key': 'test-api-key' },
+    pathParameters: { id }
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...originalEnv };
+    process.env.API_KEY = 'test-api-key';
+    getApiKey.mockResolvedValue(storedKey);
+    updateApiKey.mockImplementation(async (keyId, changes) => ({ ...storedKey, ...changes }));
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  test('should disable the key and keep its record', async () => {
+    const response = await handler(revokeEvent('a1b2c3d4e5f6'));
+    const body = JSON.parse(response.body);
+    const [keyId, changes] = updateApiKey.mock.calls[0];
+
+    expect(response.statusCode).toBe(200);
+    expect(keyId).toBe('a1b2c3d4e5f6');
+    expect(changes.disabled).toBe(true);
+    expect(body.disabled).toBe(true);
+    expect(body.revokedAt).toBe(changes.revokedAt);
+    expect(body.hash).toBeUndefined();
+  });
+
+  test('should return 404 for an unknown key', async () => {
+    getApiKey.mockResolvedValue(null);
+
+    const response = await handler(revokeEvent('missing'));
+
+    expect(response.statusCode).toBe(404);
+    expect(JSON.parse(response.body).error).toBe('API key not found');
+    expect(updateApiKey).not.toHaveBeenCalled();
+  });
+
+  test('should return 404 for a key of a workspace the caller does not administer', async () => {
+    const { keyId, apiKey, hash } = generateApiKey();
+    getApiKey.mockImplementation(async (id) => (id === keyId
+      ? { keyId, hash, scopes: ['keys:admin'], workspace: 'acme' }
+      : { ...storedKey, workspace: 'globex' }));
+
+    const response = await handler({ headers: { 'x-api-key': apiKey }, pathParameters: { id: 'a1b2c3d4e5f6' } });
+
+    expect(response.statusCode).toBe(404);
+    expect(updateApiKey).not.toHaveBeenCalled();
+  });
+
+  test('should return 401 without an API key', async () => {
+    const response = await handler({ headers: {}, pathParameters: { id: 'a1b2c3d4e5f6' } });
+
+    expect(response.statusCode).toBe(401);
+    expect(updateApiKey).not.toHaveBeenCalled();
+  });
+
+  test('should handle DynamoDB errors', async () => {
+    updateApiKey.mockRejectedValue(new Error('Service temporarily unavailable'));
+
+    const response = await handler(revokeEvent('a1b2c3d4e5f6'));
+
+    expect(response.statusCode).toBe(500);
+    expect(JSON.parse(response.body).error).toBe('Internal server error: revoking API key');
+  });
+
+  describe('Edge Cases', () => {
+    test('should return 400 for missing key ID', async () => {
+      const response = await handler({ headers: { 'x-api-key': 'test-api-key' } });
+
+      expect(response.statusCode).toBe(400);
+      expect(JSON.parse(response.body).error).toBe('API key ID is required');
+    });
+  });
+});
@@ -0,0 +1,106 @@
+const { handler } = require('../../../src/handlers/rotateApiKey');
+const { getApiKey, updateApiKey } = require('../../../src/lib/dynamodb');
+
+jest.mock('../../../src/lib/dynamodb');
+
+describe('rotateApiKey handler', () => {
+  const originalEnv = process.env;
+  const storedKey = {
+    keyId: 'a1b2c3d4e5f6',
+    name: 'CI',
+    hash: 'old-hash',
+    scopes: ['tasks:read'],
+    disabled: false,
+    createdAt: '2024-01-01T00:00:00.000Z',
+    updatedAt: '2024-01-01T00:00:00.000Z'
+  };
+
+  /**
+   * Builds a rotate key request event
+   * @param {string} id - Key ID
+   * @returns {Object} API Gateway event
+   */
+  const rotateEvent = (id) => ({
+    headers: { 'x-api-key': 'test-api-key' },
+    pathParameters: { id }
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...originalEnv };
+    process.env.API_KEY = 'test-api-key';
+    getApiKey.mockResolvedValue(storedKey);
+    updateApiKey.mockImplementation(async (keyId, changes) => ({ ...storedKey, ...changes }));
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  test('should replace the key secret and return the new key once', async () => {
+    const response = await handler(rotateEvent('a1b2c3d4e5f6'));
+    const body = JSON.parse(response.body);
+    const [keyId, changes] = updateApiKey.mock.calls[0];
+
+    expect(response.statusCode).toBe(200);
+    expect(keyId).toBe('a1b2c3d4e5f6');
+    expect(changes.hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(changes.hash).not.toBe('old-hash');
+    expect(body.apiKey.startsWith('tk_a1b2c3d4e5f6_')).toBe(true);
+    expect(body.rotatedAt).toBe(changes.rotatedAt);
+    expect(body.scopes).toEqual(['tasks:read']);
+    expect(body.hash).toBeUndefined();
+  });
+
+  test('should return 404 for an unknown key', async () => {
+    getApiKey.mockResolvedValue(null);
+
+    const response = await handler(rotateEvent('missing'));
+
+    expect(response.statusCode).toBe(404);
+    expect(JSON.parse(response.body).error).toBe('API key not found');
+    expect(updateApiKey).not.toHaveBeenCalled();
+  });
+
+  test('should return 409 for a revoked key', async () => {
+    getApiKey.mockResolvedValue({ ...storedKey, disabled: true });
+
+    const response = await handler(rotateEvent('a1b2c3d4e5f6'));
+
+    expect(response.statusCode).toBe(409);
+    expect(JSON.parse(response.body).error).toBe('API key has been revoked');
+    expect(updateApiKey).not.toHaveBeenCalled();
+  });
+
+  test('should return 401 without an API key', async () => {
+    const response = await handler({ headers: {}, pathParameters: { id: 'a1b2c3d4e5f6' } });
+
+    expect(response.statusCode).toBe(401);
+  });
+
+  test('should handle DynamoDB errors', async () => {
+    updateApiKey.mockRejectedValue(new Error('Service temporarily unavailable'));
+
+    const response = await handler(rotateEvent('a1b2c3d4e5f6'));
+
+    expect(response.statusCode).toBe(500);
+    expect(JSON.parse(response.body).error).toBe('Internal server error: rotating API key');
+  });
+
+  describe('Edge Cases', () => {
+    test('should return 400 for missing key ID', async () => {
+      const response = await handler({ headers: { 'x-api-key': 'test-api-key' }, pathParameters: null });
+
+      expect(response.statusCode).toBe(400);
+      expect(JSON.parse(response.body).error).toBe('API key ID is required');
+    });
+
+    test('should return 404 when the key is deleted during rotation', async () => {
+      updateApiKey.mockResolvedValue(null);
+
+      const response = await handler(rotateEvent('a1b2c3d4e5f6'));
+
+      expect(response.statusCode).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,198 @@
+const { handler } = require('../../../src/handlers/searchTasks');
+const { queryTermPostings, batchGetTasks, getApiKey } = require('../../../src/lib/dynamodb');
+const { signNextToken, openNextToken } = require('../../../src/lib/pagination');
+const { generateApiKey } = require('../../../src/lib/auth');
+
+jest.mock('../../../src/lib/dynamodb');
+
+describe('searchTasks handler', () => {
+  const originalEnv = process.env;
+  const tasks = {
+    1: { PK: 'TASK#1', SK: 'TASK#1', id: '1', description: 'Fix flaky login tests', priority: 'P1', status: 'open' },
+    2: { PK: 'TASK#2', SK: 'TASK#2', id: '2', description: 'Login tests time out and login tests fail', priority: 'P2', status: 'open' },
+    3: { PK: 'TASK#3', SK: 'TASK#3', id: '3', description: 'Write tests for the API', priority: 'P3', status: 'open' }
+  };
+  const postings = {
+    login: [
+      { taskId: '1', frequency: 1, length: 4 },
+      { taskId: '2', frequency: 2, length: 6 }
+    ],
+    test: [
+      { taskId: '1', frequency: 1, length: 4 },
+      { taskId: '2', frequency: 2, length: 6 },
+      { taskId: '3', frequency: 1, length: 3 }
+    ]
+  };
+
+  /**
+   * Builds a search request event
+   * @param {Object} queryStringParameters - Query parameters
+   * @returns {Object} API Gateway event
+   */
+  const searchEvent = (queryStringParameters) => ({
+    headers: { 'x-api-key': 'test-api-key' },
+    queryStringParameters
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...originalEnv };
+    process.env.API_KEY = 'test-api-key';
+    process.env.PAGINATION_SECRET = 'test-pagination-secret';
+
+    queryTermPostings.mockImplementation(async (workspace, term) => ({ postings: postings[term] || [], truncated: false }));
+    batchGetTasks.mockImplementation(async (workspace, ids) => ({
+      items: ids.filter(id => tasks[id]).map(id => tasks[id]),
+      notFoundIds: ids.filter(id => !tasks[id])
+    }));
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  test('should return tasks containing every term, best match first', async () => {
+    const response = await handler(searchEvent({ q: 'Login testing' }));
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(200);
+    expect(queryTermPostings).toHaveBeenCalledWith('default', 'login');
+    expect(queryTermPostings).toHaveBeenCalledWith('default', 'test');
+    expect(body.results.map(result => result.task.id)).toEqual(['2', '1']);
+    expect(body.results[0].score).toBeGreaterThan(body.results[1].score);
+    expect(body.results[0].task.PK).toBeUndefined();
+    expect(body.nextToken).toBeUndefined();
+  });
+
+  test('should highlight matching words in the snippet', async () => {
+    const response = await handler(searchEvent({ q: 'login tests' }));
+    const body = JSON.parse(response.body);
+
+    expect(body.results[1].snippet).toBe('Fix flaky <mark>login</mark> <mark>tests</mark>');
+  });
+
+  test('should page through results with a signed nextToken', async () => {
+    const first = JSON.parse((await handler(searchEvent({ q: 'tests', limit: '2' }))).body);
+
+    expect(first.results).toHaveLength(2);
+    expect(openNextToken(first.nextToken, { list: 'search', workspace: 'default', q: 'tests' }).key).toBeTruthy();
+
+    const second = JSON.parse((await handler(searchEvent({ q: 'tests', limit: '2', nextToken: first.nextToken }))).body);
+
+    expect(second.results).toHaveLength(1);
+    expect(second.nextToken).toBeUndefined();
+    expect([...first.results, ...second.results].map(result => result.task.id).sort()).toEqual(['1', '2', '3']);
+  });
+
+  test('should return 400 without a query', async () => {
+    const response = await handler(searchEvent(null));
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(400);
+    expect(body.error).toBe('Search query (q) is required');
+  });
+
+  test('should return 400 for invalid limit', async () => {
+    const response = await handler(searchEvent({ q: 'tests', limit: '500' }));
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(400);
+    expect(body.error).toBe('Limit must not exceed 100');
+  });
+
+  test('should return 401 without an API key', async () => {
+    const response = await handler({ headers: {}, queryStringParameters: { q: 'tests' } });
+
+    expect(response.statusCode).toBe(401);
+    expect(queryTermPostings).not.toHaveBeenCalled();
+  });
+
+  test('should handle DynamoDB errors', async () => {
+    queryTermPostings.mockRejectedValue(new Error('Service temporarily unavailable'));
+
+    const response = await handler(searchEvent({ q: 'tests' }));
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(500);
+    expect(body.error).toBe('Internal server error: searching tasks');
+  });
+
+  test('should leave out tasks the caller may not see', async () => {
+    process.env.OWN_TASKS_ONLY_ROLES = 'viewer';
+    const { keyId, apiKey, hash } = generateApiKey();
+    getApiKey.mockResolvedValue({ keyId, hash, scopes: ['tasks:read', 'role:viewer'] });
+
+    const response = await handler({ headers: { 'x-api-key': apiKey }, queryStringParameters: { q: 'login' } });
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(200);
+    expect(batchGetTasks).toHaveBeenCalledWith('default', ['2', '1']);
+    expect(body.results).toEqual([]);
+  });
+
+  describe('Edge Cases', () => {
+    test('should return 400 for a query of stop words only', async () => {
+      const response = await handler(searchEvent({ q: 'the and of' }));
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(400);
+      expect(body.error).toBe('Search query must contain at least one searchable word');
+    });
+
+    test('should return 400 for too many words or characters', async () => {
+      const manyWords = await handler(searchEvent({ q: 'one two three four five six seven eight nine ten eleven' }));
+      const tooLong = await handler(searchEvent({ q: 'a'.repeat(201) }));
+
+      expect(JSON.parse(manyWords.body).error).toBe('Search query must not contain more than 10 words');
+      expect(JSON.parse(tooLong.body).error).toBe('Search query must not exceed 200 characters');
+    });
+
+    test('should return 400 for a nextToken issued for another query', async () => {
+      const token = signNextToken(Buffer.from(JSON.stringify({ offset: 2 })).toString('base64'), { list: 'search', workspace: 'default', q: 'login' });
+
+      const response = await handler(searchEvent({ q: 'tests', nextToken: token }));
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(400);
+      expect(body.error).toBe('nextToken was issued for a different query');
+    });
+
+    test('should report results cut short by a very common word', async () => {
+      queryTermPostings.mockImplementation(async (workspace, term) => ({
+        postings: postings[term] || [],
+        truncated: term === 'test'
+      }));
+
+      const response = await handler(searchEvent({ q: 'login testing' }));
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(200);
+      expect(body.truncated).toBe(true);
+      expect(body.results.length).toBeGreaterThan(0);
+    });
+
+    test('should return an empty list when nothing matches', async () => {
+      const response = await handler(searchEvent({ q: 'database' }));
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(200);
+      expect(body.results).toEqual([]);
+      expect(batchGetTasks).toHaveBeenCalledWith('default', []);
+    });
+
+    test('should skip deleted tasks and tasks whose description no longer matches', async () => {
+      queryTermPostings.mockImplementation(async () => ({
+        postings: [
+          { taskId: '3', frequency: 1, length: 3 },
+          { taskId: 'deleted', frequency: 1, length: 1 }
+        ],
+        truncated: false
+      }));
+
+      const response = await handler(searchEvent({ q: 'login' }));
+      const body = JSON.parse(response.body);
+
+      expect(body.results).toEqual([]);
+    });
+  });
+});
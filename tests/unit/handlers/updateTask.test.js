@@ -1,5 +1,6 @@
 const { handler } = require('../../../src/handlers/updateTask');
-const { getTask, putTask } = require('../../../src/lib/dynamodb');
+const { getTask, putTask, getTaskAncestorIds, queryBlockerIds, getApiKey } = require('../../../src/lib/dynamodb');
+const { generateApiKey } = require('../../../src/lib/auth');
 
 jest.mock('../../../src/lib/dynamodb');
 
@@ -50,6 +51,83 @@ describe('updateTask handler', () => {
     expect(body.status).toBe('open'); // Unchanged
   });
 
+  test('should increment the version and return the new ETag', async () => {
+    getTask.mockResolvedValue({ ...mockExistingTask, version: 2 });
+    putTask.mockResolvedValue({});
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key',
+        'If-Match': '"2"'
+      },
+      pathParameters: { id: '123' },
+      body: JSON.stringify({ priority: 'P1' })
+    };
+
+    const response = await handler(event);
+
+    expect(response.statusCode).toBe(200);
+    expect(response.headers.ETag).toBe('"3"');
+    expect(putTask.mock.calls[0][1].version).toBe(3);
+  });
+
+  test('should return 412 when If-Match does not match', async () => {
+    getTask.mockResolvedValue({ ...mockExistingTask, version: 2 });
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key',
+        'if-match': '"1"'
+      },
+      pathParameters: { id: '123' },
+      body: JSON.stringify({ priority: 'P1' })
+    };
+
+    const response = await handler(event);
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(412);
+    expect(body.error).toBe('Task has been modified; fetch the latest version and retry');
+    expect(putTask).not.toHaveBeenCalled();
+  });
+
+  test('should return 428 when If-Match is required but missing', async () => {
+    process.env.REQUIRE_IF_MATCH = 'true';
+    getTask.mockResolvedValue(mockExistingTask);
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      pathParameters: { id: '123' },
+      body: JSON.stringify({ priority: 'P1' })
+    };
+
+    const response = await handler(event);
+
+    expect(response.statusCode).toBe(428);
+    expect(putTask).not.toHaveBeenCalled();
+  });
+
+  test('should return 412 when a concurrent write wins', async () => {
+    const conflict = new Error('Task has been modified concurrently');
+    conflict.name = 'VersionConflictError';
+    getTask.mockResolvedValue(mockExistingTask);
+    putTask.mockRejectedValue(conflict);
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      pathParameters: { id: '123' },
+      body: JSON.stringify({ priority: 'P1' })
+    };
+
+    const response = await handler(event);
+
+    expect(response.statusCode).toBe(412);
+  });
+
   test('should preserve immutable fields', async () => {
     getTask.mockResolvedValue(mockExistingTask);
     putTask.mockResolvedValue({});
@@ -180,7 +258,187 @@ describe('updateTask handler', () => {
     expect(body.error).toBe('Invalid API key');
   });
 
+  test('should refuse to complete a task with unfinished blockers', async () => {
+    getTask.mockImplementation(async (workspace, id) => (id === '123'
+      ? mockExistingTask
+      : { id, status: id === 'finished' ? 'done' : 'in-progress' }));
+    queryBlockerIds.mockResolvedValue(['finished', 'pending']);
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      pathParameters: { id: '123' },
+      body: JSON.stringify({ status: 'done' })
+    };
+
+    const response = await handler(event);
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(409);
+    expect(body.error).toBe('Task is blocked by unfinished tasks: pending');
+    expect(putTask).not.toHaveBeenCalled();
+  });
+
+  test('should complete a task whose blockers are done', async () => {
+    getTask.mockImplementation(async (workspace, id) => (id === '123' ? mockExistingTask : { id, status: 'done' }));
+    queryBlockerIds.mockResolvedValue(['finished']);
+    putTask.mockResolvedValue({});
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      pathParameters: { id: '123' },
+      body: JSON.stringify({ status: 'done' })
+    };
+
+    const response = await handler(event);
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(200);
+    expect(body.status).toBe('done');
+  });
+
+  test('should replace labels and pass the stored task for index cleanup', async () => {
+    const existing = { ...mockExistingTask, labels: ['backend'] };
+    getTask.mockResolvedValue(existing);
+    putTask.mockResolvedValue({});
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      pathParameters: { id: '123' },
+      body: JSON.stringify({ labels: ['oncall'] })
+    };
+
+    const response = await handler(event);
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(200);
+    expect(body.labels).toEqual(['oncall']);
+    expect(putTask).toHaveBeenCalledWith(
+      'default',
+      expect.objectContaining({ labels: ['oncall'] }),
+      { previousTask: existing, actor: { type: 'apiKey', id: expect.any(String) } }
+    );
+  });
+
+  test('should move task under a new parent', async () => {
+    getTask.mockResolvedValue(mockExistingTask);
+    getTaskAncestorIds.mockResolvedValue(['epic-1']);
+    putTask.mockResolvedValue({});
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      pathParameters: { id: '123' },
+      body: JSON.stringify({ parentId: 'epic-1' })
+    };
+
+    const response = await handler(event);
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(200);
+    expect(body.parentId).toBe('epic-1');
+  });
+
+  test('should reject parent changes that create a cycle', async () => {
+    getTask.mockResolvedValue(mockExistingTask);
+    getTaskAncestorIds.mockResolvedValue(['child-of-123', '123']);
+
+    const event = {
+      headers: {
+        'x-api-key': 'test-api-key'
+      },
+      pathParameters: { id: '123' },
+      body: JSON.stringify({ parentId: 'child-of-123' })
+    };
+
+    const response = await handler(event);
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(400);
+    expect(body.error).toContain('Parent ID would create a cycle in the task hierarchy');
+    expect(putTask).not.toHaveBeenCalled();
+  });
+
+  test('should let a task keep a status its workspace no longer allows', async () => {
+    process.env.WORKSPACE_CONFIG = JSON.stringify({ default: { statuses: ['open', 'done'] } });
+    getTask.mockResolvedValue({ ...mockExistingTask, status: 'in-progress' });
+    putTask.mockResolvedValue({});
+    const event = (body) => ({
+      headers: { 'x-api-key': 'test-api-key' },
+      pathParameters: { id: '123' },
+      body: JSON.stringify(body)
+    });
+
+    const kept = await handler(event({ description: 'Renamed', status: 'in-progress' }));
+    const rejected = await handler(event({ description: 'Renamed', status: 'blocked' }));
+
+    expect(kept.statusCode).toBe(200);
+    expect(rejected.statusCode).toBe(400);
+    expect(JSON.parse(rejected.body).error).toBe('Status must be one of: open, done');
+  });
+
+  test('should return 403 with the failed rule for a viewer', async () => {
+    const { keyId, apiKey, hash } = generateApiKey();
+    getApiKey.mockResolvedValue({ keyId, hash, scopes: ['tasks:read', 'tasks:write', 'role:viewer'] });
+    getTask.mockResolvedValue(mockExistingTask);
+
+    const response = await handler({
+      headers: { 'x-api-key': apiKey },
+      pathParameters: { id: '123' },
+      body: JSON.stringify({ status: 'done' })
+    });
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(403);
+    expect(body.error).toBe('Denied by rule viewers-are-read-only: viewers cannot change tasks');
+    expect(putTask).not.toHaveBeenCalled();
+  });
+
   describe('Edge Cases', () => {
+    test('should reject task as its own parent without lookup', async () => {
+      getTask.mockResolvedValue(mockExistingTask);
+
+      const event = {
+        headers: {
+          'x-api-key': 'test-api-key'
+        },
+        pathParameters: { id: '123' },
+        body: JSON.stringify({ parentId: '123' })
+      };
+
+      const response = await handler(event);
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(400);
+      expect(body.error).toContain('Task cannot be its own parent');
+      expect(getTaskAncestorIds).not.toHaveBeenCalled();
+    });
+
+    test('should allow detaching from parent', async () => {
+      getTask.mockResolvedValue({ ...mockExistingTask, parentId: 'epic-1' });
+      putTask.mockResolvedValue({});
+
+      const event = {
+        headers: {
+          'x-api-key': 'test-api-key'
+        },
+        pathParameters: { id: '123' },
+        body: JSON.stringify({ parentId: null })
+      };
+
+      const response = await handler(event);
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(200);
+      expect(body.parentId).toBeNull();
+    });
+
     test('should handle DynamoDB errors', async () => {
       getTask.mockResolvedValue(mockExistingTask);
       putTask.mockRejectedValue(new Error('DynamoDB error'));
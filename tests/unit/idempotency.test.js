@@ -0,0 +1,83 @@
+const { validateIdempotencyKey, getIdempotencyContext, replayResponse } = require('../../src/lib/idempotency');
+
+describe('Idempotency Module', () => {
+  describe('validateIdempotencyKey', () => {
+    test('should accept a key', () => {
+      expect(validateIdempotencyKey({ headers: { 'Idempotency-Key': 'abc-123' } })).toBeNull();
+    });
+
+    test('should accept requests without a key', () => {
+      expect(validateIdempotencyKey({ headers: {} })).toBeNull();
+    });
+
+    test('should reject an empty key', () => {
+      const result = validateIdempotencyKey({ headers: { 'idempotency-key': '' } });
+
+      expect(result.statusCode).toBe(400);
+      expect(JSON.parse(result.body).error).toBe('Idempotency-Key must not be empty');
+    });
+
+    test('should reject keys longer than 255 characters', () => {
+      const result = validateIdempotencyKey({ headers: { 'idempotency-key': 'a'.repeat(256) } });
+
+      expect(result.statusCode).toBe(400);
+    });
+  });
+
+  describe('getIdempotencyContext', () => {
+    test('should scope the key to the caller', () => {
+      const first = getIdempotencyContext({ headers: { 'x-api-key': 'key-a', 'Idempotency-Key': 'k' }, body: '{}' });
+      const second = getIdempotencyContext({ headers: { 'x-api-key': 'key-b', 'Idempotency-Key': 'k' }, body: '{}' });
+
+      expect(first.key).toMatch(/#k$/);
+      expect(first.key).not.toBe(second.key);
+    });
+
+    test('should hash the request body', () => {
+      const event = { headers: { 'Idempotency-Key': 'k' }, body: '{"description":"a"}' };
+      const other = { headers: { 'Idempotency-Key': 'k' }, body: '{"description":"b"}' };
+
+      expect(getIdempotencyContext(event).requestHash).toBe(getIdempotencyContext(event).requestHash);
+      expect(getIdempotencyContext(event).requestHash).not.toBe(getIdempotencyContext(other).requestHash);
+    });
+
+    test('should return null without a key', () => {
+      expect(getIdempotencyContext({ headers: {}, body: '{}' })).toBeNull();
+    });
+  });
+
+  describe('replayResponse', () => {
+    test('should return the stored response for the same request', () => {
+      const response = { statusCode: 201, headers: { ETag: '"1"' }, body: '{"id":"1"}' };
+
+      expect(replayResponse({ requestHash: 'abc', response }, { requestHash: 'abc' })).toBe(response);
+    });
+
+    test('should return 422 for a different request', () => {
+      const result = replayResponse({ requestHash: 'abc', response: {} }, { requestHash: 'def' });
+
+      expect(result.statusCode).toBe(422);
+    });
+  });
+
+  describe('Edge Cases', () => {
+    test('should hash a missing body like an empty one', () => {
+      const withoutBody = getIdempotencyContext({ headers: { 'Idempotency-Key': 'k' } });
+      const emptyBody = getIdempotencyContext({ headers: { 'Idempotency-Key': 'k' }, body: '' });
+
+      expect(withoutBody.requestHash).toBe(emptyBody.requestHash);
+    });
+
+    test('should reject a whitespace-only key', () => {
+      expect(validateIdempotencyKey({ headers: { 'Idempotency-Key': '   ' } }).statusCode).toBe(400);
+    });
+
+    test('should read the key whatever the casing of the header', () => {
+      const upper = getIdempotencyContext({ headers: { 'IDEMPOTENCY-KEY': 'k' }, body: '{}' });
+      const usual = getIdempotencyContext({ headers: { 'Idempotency-Key': 'k' }, body: '{}' });
+
+      expect(upper).toEqual(usual);
+      expect(validateIdempotencyKey({ headers: { 'IDEMPOTENCY-KEY': '' } }).statusCode).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { jwtConfig, verifyJwt } = require('../../src/lib/jwt');
+
+describe('JWT Module', () => {
+  const originalEnv = process.env;
+  const rsaKeys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const ecKeys = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const otherKeys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwks = {
+    keys: [
+      { ...rsaKeys.publicKey.export({ format: 'jwk' }), kid: 'rsa-1', use: 'sig' },
+      { ...ecKeys.publicKey.export({ format: 'jwk' }), kid: 'ec-1' }
+    ]
+  };
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwks-'));
+  const jwksFile = path.join(tempDir, 'jwks.json');
+  const now = Math.floor(Date.now() / 1000);
+  const validClaims = {
+    iss: 'https://login.example.com',
+    aud: 'engineering-task-api',
+    sub: 'user-123',
+    email: 'alice@example.com',
+    exp: now + 300
+  };
+
+  /**
+   * Signs a JWT with a test key
+   * @param {Object} claims - Token payload
+   * @param {Object} [options] - { alg, kid, privateKey }
+   * @returns {string} Compact JWT
+   */
+  const signToken = (claims, options = {}) => {
+    const { alg = 'RS256', kid = alg === 'ES256' ? 'ec-1' : 'rsa-1' } = options;
+    const privateKey = options.privateKey || (alg === 'ES256' ? ecKeys.privateKey : rsaKeys.privateKey);
+    const header = Buffer.from(JSON.stringify({ alg, kid, typ: 'JWT' })).toString('base64url');
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    const signature = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), {
+      key: privateKey,
+      dsaEncoding: 'ieee-p1363'
+    });
+
+    return `${header}.${payload}.${signature.toString('base64url')}`;
+  };
+
+  /**
+   * Verifies a token and returns the error it throws
+   * @param {string} token - Compact JWT
+   * @param {Object} [config] - Settings overriding the test configuration
+   * @returns {Promise<Error|null>} Thrown error, or null if the token verified
+   */
+  const verifyError = async (token, config = {}) => {
+    try {
+      await verifyJwt(token, { ...jwtConfig(), ...config });
+      return null;
+    } catch (err) {
+      return err;
+    }
+  };
+
+  beforeAll(() => {
+    fs.writeFileSync(jwksFile, JSON.stringify(jwks));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+    process.env.JWKS_FILE = jwksFile;
+    process.env.JWT_ISSUER = 'https://login.example.com';
+    process.env.JWT_AUDIENCE = 'engineering-task-api';
+    delete process.env.JWKS_URL;
+    delete process.env.JWT_CLOCK_SKEW_SECONDS;
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    jest.restoreAllMocks();
+  });
+
+  describe('jwtConfig', () => {
+    test('should read the settings from the environment', () => {
+      expect(jwtConfig()).toEqual({
+        jwksFile,
+        jwksUrl: undefined,
+        issuer: 'https://login.example.com',
+        audience: 'engineering-task-api',
+        clockSkew: 60
+      });
+    });
+
+    test('should return null unless a JWKS, issuer and audience are configured', () => {
+      delete process.env.JWT_AUDIENCE;
+
+      expect(jwtConfig()).toBeNull();
+    });
+  });
+
+  describe('verifyJwt', () => {
+    test('should accept an RS256 token and return its claims', async () => {
+      expect(await verifyJwt(signToken(validClaims), jwtConfig())).toEqual(validClaims);
+    });
+
+    test('should accept an ES256 token', async () => {
+      const claims = await verifyJwt(signToken(validClaims, { alg: 'ES256' }), jwtConfig());
+
+      expect(claims.sub).toBe('user-123');
+    });
+
+    test('should accept any listed audience', async () => {
+      const token = signToken({ ...validClaims, aud: ['other-api', 'engineering-task-api'] });
+
+      expect((await verifyJwt(token, jwtConfig())).sub).toBe('user-123');
+    });
+
+    test('should reject a token signed by another key', async () => {
+      const err = await verifyError(signToken(validClaims, { privateKey: otherKeys.privateKey }));
+
+      expect(err.name).toBe('TokenError');
+      expect(err.message).toBe('Bearer token signature is invalid');
+    });
+
+    test('should reject a tampered payload', async () => {
+      const [header, , signature] = signToken(validClaims).split('.');
+      const payload = Buffer.from(JSON.stringify({ ...validClaims, sub: 'admin' })).toString('base64url');
+
+      expect((await verifyError(`${header}.${payload}.${signature}`)).message).toBe('Bearer token signature is invalid');
+    });
+
+    test('should reject an untrusted issuer or another audience', async () => {
+      expect((await verifyError(signToken({ ...validClaims, iss: 'https://evil.example.com' }))).message)
+        .toBe('Bearer token issuer is not trusted');
+      expect((await verifyError(signToken({ ...validClaims, aud: 'other-api' }))).message)
+        .toBe('Bearer token audience does not match');
+    });
+
+    test('should reject expired and not yet valid tokens beyond the clock skew', async () => {
+      expect((await verifyError(signToken({ ...validClaims, exp: now - 61 }))).message).toBe('Bearer token has expired');
+      expect((await verifyError(signToken({ ...validClaims, nbf: now + 120 }))).message)
+        .toBe('Bearer token is not yet valid');
+    });
+
+    test('should tolerate clock skew', async () => {
+      const token = signToken({ ...validClaims, exp: now - 30, nbf: now + 30 });
+
+      expect(await verifyError(token)).toBeNull();
+      expect((await verifyError(token, { clockSkew: 0 })).message).toBe('Bearer token has expired');
+    });
+
+    test('should fetch a JWKS URL once and cache it', async () => {
+      const fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true, json: async () => jwks });
+      const config = { ...jwtConfig(), jwksFile: undefined, jwksUrl: 'https://login.example.com/cached-jwks.json' };
+
+      await verifyJwt(signToken(validClaims), config);
+      await verifyJwt(signToken(validClaims, { alg: 'ES256' }), config);
+
+      expect(fetchSpy).toHaveBeenCalledTimes(1);
+      expect(fetchSpy).toHaveBeenCalledWith('https://login.example.com/cached-jwks.json', {
+        signal: expect.any(AbortSignal)
+      });
+    });
+  });
+
+  describe('Edge Cases', () => {
+    test('should reject malformed tokens', async () => {
+      expect((await verifyError('not-a-jwt')).message).toBe('Malformed bearer token');
+      expect((await verifyError('a.b.c')).message).toBe('Malformed bearer token');
+    });
+
+    test('should reject unsupported algorithms, including none', async () => {
+      const header = Buffer.from(JSON.stringify({ alg: 'none' })).toString('base64url');
+      const payload = Buffer.from(JSON.stringify(validClaims)).toString('base64url');
+
+      expect((await verifyError(`${header}.${payload}.`)).message)
+        .toBe('Bearer token algorithm must be one of: RS256, ES256');
+    });
+
+    test('should not verify a token with a key of another type', async () => {
+      const token = signToken(validClaims, { alg: 'ES256', kid: 'rsa-1' });
+
+      expect((await verifyError(token)).message).toBe('Bearer token signing key is unknown');
+    });
+
+    test('should reject an unknown key ID', async () => {
+      expect((await verifyError(signToken(validClaims, { kid: 'rotated-away' }))).message)
+        .toBe('Bearer token signing key is unknown');
+    });
+
+    test('should require expiry and subject claims', async () => {
+      const { exp, ...withoutExpiry } = validClaims;
+      const { sub, ...withoutSubject } = validClaims;
+
+      expect((await verifyError(signToken(withoutExpiry))).message).toBe('Bearer token must have an expiry');
+      expect((await verifyError(signToken(withoutSubject))).message).toBe('Bearer token must have a subject');
+    });
+
+    test('should report JWKS fetch failures as an unavailable JWKS', async () => {
+      jest.spyOn(global, 'fetch').mockResolvedValue({ ok: false, status: 503 });
+      const config = { ...jwtConfig(), jwksFile: undefined, jwksUrl: 'https://login.example.com/failing-jwks.json' };
+
+      const err = await verifyError(signToken(validClaims), config);
+
+      expect(err.name).toBe('JwksUnavailableError');
+      expect(err.message).toBe('JWKS request failed with status 503');
+    });
+
+    test('should give up on a JWKS URL that does not answer in time', async () => {
+      jest.spyOn(global, 'fetch').mockImplementation((url, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason));
+      }));
+      const config = { ...jwtConfig(), jwksFile: undefined, jwksUrl: 'https://login.example.com/slow-jwks.json' };
+
+      const err = await verifyError(signToken(validClaims), config);
+
+      expect(err.name).toBe('JwksUnavailableError');
+      expect(err.message).toMatch(/^JWKS request failed: /);
+    });
+  });
+});
@@ -0,0 +1,234 @@
+const { fillPage, sortPage, signNextToken, openNextToken } = require('../../src/lib/pagination');
+
+describe('Pagination Module', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, PAGINATION_SECRET: 'test-pagination-secret' };
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Builds a fake paginated source over a list of numbers
+   * @param {number[]} data - Items of the source
+   * @returns {Function} jest mock implementing fetchPage
+   */
+  const sourceOf = (data) => jest.fn(async (limit, nextToken) => {
+    const start = nextToken ? Number(nextToken) : 0;
+    const end = Math.min(start + limit, data.length);
+    return {
+      items: data.slice(start, end),
+      nextToken: end < data.length ? String(end) : null
+    };
+  });
+
+  const numbers = Array.from({ length: 50 }, (_, index) => index);
+
+  describe('fillPage', () => {
+    test('should return a single read when nothing is filtered', async () => {
+      const fetchPage = sourceOf(numbers);
+
+      const result = await fillPage(fetchPage, { limit: 10 });
+
+      expect(result).toEqual({ items: numbers.slice(0, 10), nextToken: '10', truncated: false });
+      expect(fetchPage).toHaveBeenCalledTimes(1);
+      expect(fetchPage).toHaveBeenCalledWith(10, undefined);
+    });
+
+    test('should keep reading until the page is full', async () => {
+      const fetchPage = sourceOf(numbers);
+
+      const result = await fillPage(fetchPage, { limit: 5, filter: n => n % 3 === 0 });
+
+      expect(result.items).toEqual([0, 3, 6, 9, 12]);
+      expect(result.truncated).toBe(false);
+      expect(fetchPage.mock.calls.map(call => call[0])).toEqual([5, 3, 2, 1, 1, 1]);
+    });
+
+    test('should resume exactly after the last returned item', async () => {
+      const fetchPage = sourceOf(numbers);
+
+      const first = await fillPage(fetchPage, { limit: 3, filter: n => n % 2 === 0 });
+      const second = await fillPage(fetchPage, { limit: 3, nextToken: first.nextToken, filter: n => n % 2 === 0 });
+
+      expect(first.items).toEqual([0, 2, 4]);
+      expect(second.items).toEqual([6, 8, 10]);
+    });
+
+    test('should stop when the data runs out', async () => {
+      const result = await fillPage(sourceOf(numbers), { limit: 10, filter: n => n > 45 });
+
+      expect(result).toEqual({ items: [46, 47, 48, 49], nextToken: null, truncated: false });
+    });
+
+    test('should report a page cut short by the read budget', async () => {
+      const fetchPage = sourceOf(numbers);
+
+      const result = await fillPage(fetchPage, { limit: 10, filter: n => n > 40, readBudget: 25 });
+
+      expect(result.items).toEqual([]);
+      expect(result.truncated).toBe(true);
+      expect(result.nextToken).toBe('25');
+    });
+  });
+
+  describe('sortPage', () => {
+    const byValueDescending = (a, b) => b.value - a.value || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+    const cursorOf = item => ({ id: item.id, value: item.value });
+    const items = [
+      { id: 'a', value: 1 },
+      { id: 'b', value: 3 },
+      { id: 'c', value: 2 },
+      { id: 'd', value: 3 },
+      { id: 'e', value: 5 }
+    ];
+    const objectSource = (data) => jest.fn(async (limit, nextToken) => {
+      const start = nextToken ? Number(nextToken) : 0;
+      const end = Math.min(start + 2, data.length);
+      return { items: data.slice(start, end), nextToken: end < data.length ? String(end) : null };
+    });
+
+    test('should read the whole source and return the first page in order', async () => {
+      const fetchPage = objectSource(items);
+
+      const result = await sortPage(fetchPage, { limit: 2, compare: byValueDescending, cursorOf });
+
+      expect(result.items.map(item => item.id)).toEqual(['e', 'b']);
+      expect(result.nextToken).not.toBeNull();
+      expect(fetchPage).toHaveBeenCalledTimes(3);
+    });
+
+    test('should resume after the cursor and break ties on the id', async () => {
+      const first = await sortPage(objectSource(items), { limit: 2, compare: byValueDescending, cursorOf });
+      const second = await sortPage(objectSource(items), {
+        limit: 2, nextToken: first.nextToken, compare: byValueDescending, cursorOf
+      });
+      const third = await sortPage(objectSource(items), {
+        limit: 2, nextToken: second.nextToken, compare: byValueDescending, cursorOf
+      });
+
+      expect(second.items.map(item => item.id)).toEqual(['d', 'c']);
+      expect(third.items.map(item => item.id)).toEqual(['a']);
+      expect(third.nextToken).toBeNull();
+    });
+
+    test('should stay stable when an earlier item is removed between pages', async () => {
+      const first = await sortPage(objectSource(items), { limit: 2, compare: byValueDescending, cursorOf });
+      const remaining = items.filter(item => item.id !== 'e');
+
+      const second = await sortPage(objectSource(remaining), {
+        limit: 2, nextToken: first.nextToken, compare: byValueDescending, cursorOf
+      });
+
+      expect(second.items.map(item => item.id)).toEqual(['d', 'c']);
+    });
+
+    test('should apply the filter before sorting', async () => {
+      const result = await sortPage(objectSource(items), {
+        limit: 10, filter: item => item.value > 2, compare: byValueDescending, cursorOf
+      });
+
+      expect(result.items.map(item => item.id)).toEqual(['e', 'b', 'd']);
+    });
+
+    test('should throw SortBudgetError when the source exceeds the budget', async () => {
+      await expect(sortPage(objectSource(items), {
+        limit: 2, compare: byValueDescending, cursorOf, readBudget: 3
+      })).rejects.toMatchObject({ name: 'SortBudgetError' });
+    });
+  });
+
+  describe('signNextToken / openNextToken', () => {
+    const binding = { list: 'tasks', status: 'open' };
+
+    test('should round-trip the inner token', () => {
+      const token = signNextToken('inner', binding);
+
+      expect(token).not.toContain('inner');
+      expect(openNextToken(token, binding)).toEqual({ key: 'inner' });
+    });
+
+    test('should return null when there is no next page', () => {
+      expect(signNextToken(null, binding)).toBeNull();
+    });
+
+    test('should ignore parameter order and unset parameters', () => {
+      const token = signNextToken('inner', { status: 'open', list: 'tasks', assignee: undefined });
+
+      expect(openNextToken(token, binding)).toEqual({ key: 'inner' });
+    });
+
+    test('should reject a token signed with another secret', () => {
+      const token = signNextToken('inner', binding);
+      process.env.PAGINATION_SECRET = 'rotated-secret';
+
+      expect(openNextToken(token, binding)).toEqual({ error: 'nextToken has been tampered with' });
+    });
+
+    test('should reject a token for another query', () => {
+      const token = signNextToken('inner', binding);
+
+      expect(openNextToken(token, { list: 'tasks', status: 'done' }))
+        .toEqual({ error: 'nextToken was issued for a different query' });
+    });
+
+    test('should reject an expired token', () => {
+      const token = signNextToken('inner', binding);
+      jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 24 * 60 * 60 * 1000 + 1000);
+
+      expect(openNextToken(token, binding)).toEqual({ error: 'nextToken has expired' });
+    });
+
+    test('should throw when the secret is not configured', () => {
+      delete process.env.PAGINATION_SECRET;
+
+      expect(() => signNextToken('inner', binding))
+        .toThrow('PAGINATION_SECRET environment variable not configured');
+    });
+  });
+
+  describe('Edge Cases', () => {
+    test('should not read more than the budget allows', async () => {
+      const fetchPage = sourceOf(numbers);
+
+      await fillPage(fetchPage, { limit: 20, readBudget: 5 });
+
+      expect(fetchPage).toHaveBeenCalledWith(5, undefined);
+      expect(fetchPage).toHaveBeenCalledTimes(1);
+    });
+
+    test('should bound the reads of a small page with a selective filter', async () => {
+      const rows = Array.from({ length: 2000 }, (_, index) => index);
+      const fetchPage = sourceOf(rows);
+
+      const result = await fillPage(fetchPage, { limit: 1, filter: n => n === 1999 });
+
+      expect(fetchPage).toHaveBeenCalledTimes(25);
+      expect(result).toEqual({ items: [], nextToken: '25', truncated: true });
+    });
+
+    test('should handle an empty source', async () => {
+      const result = await fillPage(sourceOf([]), { limit: 10 });
+
+      expect(result).toEqual({ items: [], nextToken: null, truncated: false });
+    });
+
+    test('should reject a token with missing fields', () => {
+      const token = Buffer.from(JSON.stringify({ k: 'inner' })).toString('base64');
+
+      expect(openNextToken(token, {})).toEqual({ error: 'Invalid nextToken parameter' });
+    });
+
+    test('should reject a token with a truncated signature', () => {
+      const payload = JSON.parse(Buffer.from(signNextToken('inner', {}), 'base64').toString('utf8'));
+      payload.s = payload.s.slice(0, 10);
+      const token = Buffer.from(JSON.stringify(payload)).toString('base64');
+
+      expect(openNextToken(token, {})).toEqual({ error: 'nextToken has been tampered with' });
+    });
+  });
+});
@@ -0,0 +1,164 @@
+const { applyMergePatch, applyJsonPatch } = require('../../src/lib/patch');
+
+describe('Patch Module', () => {
+  const task = {
+    id: '123',
+    description: 'Test task',
+    assignee: 'user@example.com',
+    status: 'open',
+    labels: ['backend', 'oncall']
+  };
+
+  describe('applyMergePatch', () => {
+    test('should replace members present in the patch', () => {
+      const result = applyMergePatch(task, { status: 'done' });
+
+      expect(result.status).toBe('done');
+      expect(result.description).toBe('Test task');
+    });
+
+    test('should remove members set to null', () => {
+      const result = applyMergePatch(task, { assignee: null });
+
+      expect(result).not.toHaveProperty('assignee');
+    });
+
+    test('should replace arrays as a whole', () => {
+      expect(applyMergePatch(task, { labels: ['frontend'] }).labels).toEqual(['frontend']);
+    });
+
+    test('should merge nested objects recursively', () => {
+      const result = applyMergePatch({ a: { b: 1, c: 2 } }, { a: { c: null, d: 3 } });
+
+      expect(result).toEqual({ a: { b: 1, d: 3 } });
+    });
+
+    test('should not modify the target', () => {
+      applyMergePatch(task, { status: 'done' });
+
+      expect(task.status).toBe('open');
+    });
+  });
+
+  describe('applyJsonPatch', () => {
+    test('should replace a value', () => {
+      const result = applyJsonPatch(task, [{ op: 'replace', path: '/status', value: 'done' }]);
+
+      expect(result.status).toBe('done');
+    });
+
+    test('should add to the end of an array', () => {
+      const result = applyJsonPatch(task, [{ op: 'add', path: '/labels/-', value: 'urgent' }]);
+
+      expect(result.labels).toEqual(['backend', 'oncall', 'urgent']);
+    });
+
+    test('should insert into an array at an index', () => {
+      const result = applyJsonPatch(task, [{ op: 'add', path: '/labels/0', value: 'urgent' }]);
+
+      expect(result.labels).toEqual(['urgent', 'backend', 'oncall']);
+    });
+
+    test('should remove a value', () => {
+      const result = applyJsonPatch(task, [
+        { op: 'remove', path: '/assignee' },
+        { op: 'remove', path: '/labels/0' }
+      ]);
+
+      expect(result).not.toHaveProperty('assignee');
+      expect(result.labels).toEqual(['oncall']);
+    });
+
+    test('should move and copy values', () => {
+      const result = applyJsonPatch({ a: 1, b: [] }, [
+        { op: 'copy', from: '/a', path: '/b/-' },
+        { op: 'move', from: '/a', path: '/c' }
+      ]);
+
+      expect(result).toEqual({ b: [1], c: 1 });
+    });
+
+    test('should apply operations after a passing test', () => {
+      const result = applyJsonPatch(task, [
+        { op: 'test', path: '/labels', value: ['backend', 'oncall'] },
+        { op: 'replace', path: '/status', value: 'in-progress' }
+      ]);
+
+      expect(result.status).toBe('in-progress');
+    });
+
+    test('should throw PatchTestFailedError when a test fails', () => {
+      expect(() => applyJsonPatch(task, [
+        { op: 'test', path: '/status', value: 'done' },
+        { op: 'replace', path: '/status', value: 'in-progress' }
+      ])).toThrow(expect.objectContaining({
+        name: 'PatchTestFailedError',
+        message: 'Patch test failed at /status'
+      }));
+    });
+
+    test('should throw PatchError for unsupported operations', () => {
+      expect(() => applyJsonPatch(task, [{ op: 'merge', path: '/status' }]))
+        .toThrow(expect.objectContaining({ name: 'PatchError' }));
+    });
+
+    test('should throw PatchError when replacing a missing path', () => {
+      expect(() => applyJsonPatch(task, [{ op: 'replace', path: '/dueDate', value: '2024-12-31' }]))
+        .toThrow('Path does not exist: /dueDate');
+    });
+
+    test('should throw PatchError when the patch is not an array', () => {
+      expect(() => applyJsonPatch(task, { op: 'remove', path: '/status' }))
+        .toThrow('JSON Patch must be an array of operations');
+    });
+
+    test('should not modify the document when an operation fails', () => {
+      expect(() => applyJsonPatch(task, [
+        { op: 'remove', path: '/assignee' },
+        { op: 'test', path: '/status', value: 'done' }
+      ])).toThrow();
+
+      expect(task.assignee).toBe('user@example.com');
+    });
+  });
+
+  describe('Edge Cases', () => {
+    test('should unescape ~0 and ~1 in pointers', () => {
+      const result = applyJsonPatch({ 'a/b': 1, 'c~d': 2 }, [
+        { op: 'replace', path: '/a~1b', value: 3 },
+        { op: 'remove', path: '/c~0d' }
+      ]);
+
+      expect(result).toEqual({ 'a/b': 3 });
+    });
+
+    test('should reject out-of-bounds array indexes', () => {
+      expect(() => applyJsonPatch(task, [{ op: 'remove', path: '/labels/2' }]))
+        .toThrow('Array index out of bounds in path: /labels/2');
+    });
+
+    test('should reject leading zeros in array indexes', () => {
+      expect(() => applyJsonPatch(task, [{ op: 'remove', path: '/labels/01' }]))
+        .toThrow('Invalid array index in path: /labels/01');
+    });
+
+    test('should treat a test on a missing path as failed', () => {
+      expect(() => applyJsonPatch(task, [{ op: 'test', path: '/dueDate', value: null }]))
+        .toThrow(expect.objectContaining({ name: 'PatchTestFailedError' }));
+    });
+
+    test('should compare objects regardless of key order', () => {
+      expect(() => applyJsonPatch({ a: { x: 1, y: 2 } }, [{ op: 'test', path: '/a', value: { y: 2, x: 1 } }]))
+        .not.toThrow();
+    });
+
+    test('should refuse to move a value into its own child', () => {
+      expect(() => applyJsonPatch({ a: { b: {} } }, [{ op: 'move', from: '/a', path: '/a/b/c' }]))
+        .toThrow('Cannot move /a into one of its children');
+    });
+
+    test('should replace the whole document with a non-object merge patch', () => {
+      expect(applyMergePatch(task, ['x'])).toEqual(['x']);
+    });
+  });
+});
@@ -0,0 +1,157 @@
+const { callerRole, seesOwnTasksOnly, checkPolicy, POLICY_RULES } = require('../../src/lib/policy');
+
+describe('Policy Module', () => {
+  const originalEnv = process.env;
+  const ownTask = { id: '1', assignee: 'alice@example.com' };
+  const otherTask = { id: '2', assignee: 'bob@example.com' };
+
+  /**
+   * Builds a user caller
+   * @param {string[]} groups - Groups of the user
+   * @returns {Object} Caller as returned by getCaller
+   */
+  const user = (groups) => ({
+    type: 'user',
+    id: 'user-1',
+    email: 'alice@example.com',
+    groups,
+    scopes: ['tasks:read', 'tasks:write', 'tasks:delete']
+  });
+
+  /**
+   * Builds an API key caller
+   * @param {string[]} scopes - Scopes of the key
+   * @returns {Object} Caller as returned by getCaller
+   */
+  const apiKey = (scopes) => ({ type: 'apiKey', id: 'a1b2c3d4e5f6', scopes });
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+    process.env.ROLE_GROUPS = JSON.stringify({ 'eng-leads': 'lead', engineers: 'member', staff: 'viewer' });
+    delete process.env.OWN_TASKS_ONLY_ROLES;
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  describe('callerRole', () => {
+    test('should take the most privileged role mapped to a user group', () => {
+      expect(callerRole(user(['staff', 'engineers']))).toBe('member');
+      expect(callerRole(user(['eng-leads', 'staff']))).toBe('lead');
+    });
+
+    test('should make users without a mapped group viewers', () => {
+      expect(callerRole(user(['marketing']))).toBe('viewer');
+    });
+
+    test('should take the role of an API key from its role scope', () => {
+      expect(callerRole(apiKey(['tasks:read', 'role:lead']))).toBe('lead');
+    });
+
+    test('should take the role of a signing key from its role scope', () => {
+      const signingKey = { type: 'signingKey', id: 'deploy-bot', scopes: ['tasks:write', 'role:member'] };
+
+      expect(callerRole(signingKey)).toBe('member');
+      expect(callerRole({ ...signingKey, scopes: ['tasks:write'] })).toBeNull();
+    });
+
+    test('should leave callers without a role unrestricted', () => {
+      delete process.env.ROLE_GROUPS;
+
+      expect(callerRole(user(['engineers']))).toBeNull();
+      expect(callerRole(apiKey(['tasks:read', 'tasks:write']))).toBeNull();
+      expect(checkPolicy(apiKey(['tasks:write']), 'delete', { task: otherTask })).toBeNull();
+    });
+  });
+
+  describe('checkPolicy', () => {
+    test('should keep viewers read-only', () => {
+      const viewer = user(['staff']);
+
+      expect(checkPolicy(viewer, 'read', { task: otherTask })).toBeNull();
+      expect(checkPolicy(viewer, 'update', { task: ownTask, changes: {} }))
+        .toBe('Denied by rule viewers-are-read-only: viewers cannot change tasks');
+      expect(checkPolicy(viewer, 'comment', { task: ownTask })).toMatch(/viewers-are-read-only/);
+    });
+
+    test('should let members update only tasks assigned to them', () => {
+      const member = user(['engineers']);
+
+      expect(checkPolicy(member, 'update', { task: ownTask, changes: { status: 'done' } })).toBeNull();
+      expect(checkPolicy(member, 'update', { task: otherTask, changes: { status: 'done' } }))
+        .toBe('Denied by rule members-update-own-tasks: members can only update tasks assigned to them');
+    });
+
+    test('should let only leads reassign tasks', () => {
+      const member = user(['engineers']);
+      const lead = user(['eng-leads']);
+
+      expect(checkPolicy(member, 'update', { task: ownTask, changes: { assignee: 'bob@example.com' } }))
+        .toBe('Denied by rule leads-reassign-tasks: only leads can assign tasks to someone else');
+      expect(checkPolicy(member, 'create', { changes: { assignee: 'bob@example.com' } })).toMatch(/leads-reassign-tasks/);
+      expect(checkPolicy(lead, 'update', { task: otherTask, changes: { assignee: 'carol@example.com' } })).toBeNull();
+    });
+
+    test('should let members take unassigned tasks and create their own', () => {
+      const member = user(['engineers']);
+
+      expect(checkPolicy(member, 'create', { changes: { assignee: 'alice@example.com' } })).toBeNull();
+      expect(checkPolicy(member, 'create', { changes: { description: 'Unassigned' } })).toBeNull();
+      expect(checkPolicy(member, 'update', { task: ownTask, changes: { assignee: 'alice@example.com' } })).toBeNull();
+    });
+
+    test('should let only leads delete tasks', () => {
+      expect(checkPolicy(user(['engineers']), 'delete', { task: ownTask }))
+        .toBe('Denied by rule leads-delete-tasks: only leads can delete tasks');
+      expect(checkPolicy(user(['eng-leads']), 'delete', { task: otherTask })).toBeNull();
+    });
+
+    test('should let members comment on any task', () => {
+      expect(checkPolicy(user(['engineers']), 'comment', { task: otherTask })).toBeNull();
+    });
+
+    test('should restrict configured roles to their own tasks', () => {
+      process.env.OWN_TASKS_ONLY_ROLES = 'viewer, member';
+      const member = user(['engineers']);
+
+      expect(seesOwnTasksOnly(member)).toBe(true);
+      expect(seesOwnTasksOnly(user(['eng-leads']))).toBe(false);
+      expect(checkPolicy(member, 'read', { task: ownTask })).toBeNull();
+      expect(checkPolicy(member, 'read', { task: otherTask }))
+        .toBe('Denied by rule own-tasks-only: this role can only see tasks assigned to the caller');
+    });
+  });
+
+  describe('Edge Cases', () => {
+    test('should give member API keys no tasks of their own', () => {
+      process.env.OWN_TASKS_ONLY_ROLES = 'member';
+      const memberKey = apiKey(['tasks:read', 'tasks:write', 'role:member']);
+
+      expect(checkPolicy(memberKey, 'update', { task: { assignee: null } })).toMatch(/members-update-own-tasks/);
+      expect(checkPolicy(memberKey, 'read', { task: { assignee: undefined } })).toMatch(/own-tasks-only/);
+    });
+
+    test('should not treat an unassigned task as the caller\'s own', () => {
+      const member = { ...user(['engineers']), email: null };
+
+      expect(checkPolicy(member, 'update', { task: { assignee: null } })).toMatch(/members-update-own-tasks/);
+    });
+
+    test('should allow everything for unauthenticated checks', () => {
+      expect(checkPolicy(null, 'delete', { task: otherTask })).toBeNull();
+    });
+
+    test('should name every rule uniquely', () => {
+      const names = POLICY_RULES.map(rule => rule.name);
+
+      expect(new Set(names).size).toBe(names.length);
+    });
+
+    test('should fail loudly on an invalid ROLE_GROUPS setting', () => {
+      process.env.ROLE_GROUPS = 'eng-leads=lead';
+
+      expect(() => callerRole(user(['eng-leads']))).toThrow(/^ROLE_GROUPS is not valid JSON/);
+    });
+  });
+});
@@ -0,0 +1,264 @@
+const { parseQuery, planQuery } = require('../../src/lib/query');
+
+describe('Query Module', () => {
+  /**
+   * Parses a query and returns the error it throws
+   * @param {string} input - Query text
+   * @returns {Error|null} Thrown error, or null if the query parsed
+   */
+  const parseError = (input) => {
+    try {
+      parseQuery(input);
+      return null;
+    } catch (err) {
+      return err;
+    }
+  };
+
+  describe('parseQuery', () => {
+    test('should parse a single term', () => {
+      expect(parseQuery('status:open')).toEqual({
+        type: 'term',
+        field: 'status',
+        operator: ':',
+        values: ['open'],
+        position: 1
+      });
+    });
+
+    test('should parse value lists and comparisons', () => {
+      const tree = parseQuery('priority:(P0 OR P1) AND due<2026-11-01');
+
+      expect(tree.type).toBe('and');
+      expect(tree.children[0].values).toEqual(['P0', 'P1']);
+      expect(tree.children[1]).toMatchObject({ field: 'due', operator: '<', values: ['2026-11-01'] });
+    });
+
+    test('should bind AND tighter than OR and NOT tighter than AND', () => {
+      const tree = parseQuery('status:open OR NOT status:done AND tag:oncall');
+
+      expect(tree.type).toBe('or');
+      expect(tree.children[1].type).toBe('and');
+      expect(tree.children[1].children[0]).toMatchObject({ type: 'not', child: { field: 'status' } });
+    });
+
+    test('should parse parenthesised groups', () => {
+      const tree = parseQuery('(status:open OR status:blocked) AND priority:P0');
+
+      expect(tree.type).toBe('and');
+      expect(tree.children[0].type).toBe('or');
+    });
+
+    test('should accept quoted values and timestamps', () => {
+      const tree = parseQuery('assignee:"Alice (Ops)" AND created>=2026-01-01T10:00:00Z');
+
+      expect(tree.children[0].values).toEqual(['Alice (Ops)']);
+      expect(tree.children[1].values).toEqual(['2026-01-01T10:00:00Z']);
+    });
+  });
+
+  describe('planQuery', () => {
+    test('should use the assignee index and push the due date into the key condition', () => {
+      const plan = planQuery(parseQuery('priority:(P0 OR P1) AND due<2026-11-01 AND assignee:alice@x.com'));
+
+      expect(plan.index).toBe('assignee');
+      expect(plan.keyValue).toBe('alice@x.com');
+      expect(plan.range).toEqual({ operator: '<', value: '2026-11-01' });
+      expect(plan.filter).toEqual({
+        expression: '#q0 IN (:q0, :q1)',
+        names: { '#q0': 'priority' },
+        values: { ':q0': 'P0', ':q1': 'P1' }
+      });
+    });
+
+    test('should prefer the composite assignee#status index', () => {
+      const plan = planQuery(parseQuery(
+        'status:in-progress AND priority:(P0 OR P1) AND due<2026-11-01 AND assignee:alice@x.com'
+      ));
+
+      expect(plan.index).toBe('assigneeStatus');
+      expect(plan.keyValue).toEqual(['alice@x.com', 'in-progress']);
+      expect(plan.range).toBeNull();
+      expect(plan.filter).toEqual({
+        expression: '#q0 IN (:q0, :q1) AND #q1 < :q2',
+        names: { '#q0': 'priority', '#q1': 'dueDate' },
+        values: { ':q0': 'P0', ':q1': 'P1', ':q2': '2026-11-01' }
+      });
+    });
+
+    test('should use the composite status#priority index with a created range', () => {
+      const plan = planQuery(parseQuery('priority:P0 AND created>2026-01-01 AND status:open'));
+
+      expect(plan.index).toBe('statusPriority');
+      expect(plan.keyValue).toEqual(['open', 'P0']);
+      expect(plan.range).toEqual({ operator: '>', value: '2026-01-01T23:59:59.999Z' });
+      expect(plan.filter).toBeNull();
+    });
+
+    test('should turn an inclusive created range into BETWEEN', () => {
+      const plan = planQuery(parseQuery('status:open AND created>=2026-01-01 AND created<=2026-02-01'));
+
+      expect(plan.index).toBe('status');
+      expect(plan.range).toEqual({ after: '2026-01-01T00:00:00.000Z', before: '2026-02-01T23:59:59.999Z' });
+      expect(plan.filter).toBeNull();
+    });
+
+    test('should take in the whole day for date-only <= and > bounds', () => {
+      const due = planQuery(parseQuery('assignee:a@x.com AND due<=2026-11-01'));
+      const created = planQuery(parseQuery('created>2026-01-01 AND tag:oncall'));
+
+      expect(due.range).toEqual({ operator: '<=', value: '2026-11-01~' });
+      expect('2026-11-01T18:00:00.000Z' <= due.range.value).toBe(true);
+      expect(created.filter.values[':q0']).toBe('2026-01-01T23:59:59.999Z');
+    });
+
+    test('should compare timestamps exactly', () => {
+      const plan = planQuery(parseQuery('assignee:a@x.com AND due<=2026-11-01T12:00:00.000Z'));
+
+      expect(plan.range).toEqual({ operator: '<=', value: '2026-11-01T12:00:00.000Z' });
+    });
+
+    test('should fold two exclusive bounds into BETWEEN and check them in code', () => {
+      const plan = planQuery(parseQuery('status:open AND created>2026-01-01 AND created<2026-02-01'));
+
+      expect(plan.range).toEqual({ after: '2026-01-01T23:59:59.999Z', before: '2026-02-01T00:00:00.000Z' });
+      expect(plan.filter).toBeNull();
+      expect(plan.check.attributes).toEqual(['createdAt']);
+      expect(plan.check.matches({ createdAt: '2026-01-15T00:00:00.000Z' })).toBe(true);
+      expect(plan.check.matches({ createdAt: '2026-01-01T00:00:00.000Z' })).toBe(false);
+      expect(plan.check.matches({ createdAt: '2026-02-01T00:00:00.000Z' })).toBe(false);
+    });
+
+    test('should use the tightest of several bounds on the range key', () => {
+      const plan = planQuery(parseQuery('priority:P1 AND created<2026-03-01 AND created<=2026-02-01 AND created<2026-02-01'));
+
+      expect(plan.range).toEqual({ operator: '<', value: '2026-02-01T00:00:00.000Z' });
+      expect(plan.filter).toBeNull();
+      expect(plan.check).toBeNull();
+    });
+
+    test('should check range key terms under NOT or OR in code', () => {
+      const plan = planQuery(parseQuery('assignee:a@x.com AND NOT due<2026-01-01 AND due<2026-03-01 AND tag:oncall'));
+
+      expect(plan.range).toEqual({ operator: '<', value: '2026-03-01' });
+      expect(plan.filter.expression).toBe('contains(#q0, :q0)');
+      expect(plan.check.attributes).toEqual(['dueDate']);
+      expect(plan.check.matches({ dueDate: '2026-02-01' })).toBe(true);
+      expect(plan.check.matches({ dueDate: '2025-12-01' })).toBe(false);
+    });
+
+    test('should never reference the range key of the chosen index in the filter', () => {
+      const rangeAttributes = { assignee: 'dueDate', status: 'createdAt', priority: 'createdAt',
+        assigneeStatus: 'createdAt', statusPriority: 'createdAt' };
+      const queries = [
+        'status:open AND created>2026-01-01 AND created<2026-02-01',
+        'status:open AND created>=2026-01-01 AND created>2026-01-02 AND created<=2026-02-01',
+        'assignee:a@x.com AND NOT due<2026-01-01 AND due<2026-03-01',
+        'assignee:a@x.com AND (due<2026-01-01 OR tag:oncall)',
+        'priority:P0 AND status:open AND created>2026-01-01 AND created<2026-02-01',
+        'assignee:a@x.com AND status:open AND NOT created>2026-01-01',
+        'priority:P2 AND created>=2026-03-01 AND created<=2026-02-01'
+      ];
+
+      queries.forEach(query => {
+        const plan = planQuery(parseQuery(query));
+        expect(Object.values(plan.filter?.names || {})).not.toContain(rangeAttributes[plan.index]);
+      });
+    });
+
+    test('should key the range of the unkeyed index when told its range key', () => {
+      const plan = planQuery(parseQuery('tag:oncall AND created>2026-01-01'), { unkeyedRangeField: 'created' });
+
+      expect(plan.index).toBeNull();
+      expect(plan.range).toEqual({ operator: '>', value: '2026-01-01T23:59:59.999Z' });
+      expect(plan.filter.names).toEqual({ '#q0': 'labels' });
+    });
+
+    test('should scan with a filter when no equality term is available', () => {
+      const plan = planQuery(parseQuery('NOT tag:oncall OR updated>2026-01-01'));
+
+      expect(plan.index).toBeNull();
+      expect(plan.range).toBeNull();
+      expect(plan.filter).toEqual({
+        expression: '(NOT (contains(#q0, :q0))) OR #q1 > :q1',
+        names: { '#q0': 'labels', '#q1': 'updatedAt' },
+        values: { ':q0': 'oncall', ':q1': '2026-01-01T23:59:59.999Z' }
+      });
+    });
+
+    test('should not use a key term that is part of an OR', () => {
+      const plan = planQuery(parseQuery('status:open OR priority:P0'));
+
+      expect(plan.index).toBeNull();
+      expect(plan.filter.expression).toBe('#q0 = :q0 OR #q1 = :q1');
+    });
+
+    test('should look inside parenthesised ANDs for the key', () => {
+      const plan = planQuery(parseQuery('(status:open AND tag:oncall) AND due<2026-01-01'));
+
+      expect(plan.index).toBe('status');
+      expect(plan.filter.expression).toBe('contains(#q0, :q0) AND #q1 < :q1');
+    });
+  });
+
+  describe('Edge Cases', () => {
+    test('should report invalid enum values with their position', () => {
+      const err = parseError('priority:P1 AND status:opn');
+
+      expect(err.name).toBe('QueryError');
+      expect(err.position).toBe(24);
+      expect(err.message).toBe('Position 24: Invalid status "opn"; expected one of: open, in-progress, blocked, done');
+    });
+
+    test('should report unknown fields', () => {
+      expect(parseError('owner:alice').message).toMatch(/^Position 1: Unknown field "owner"/);
+    });
+
+    test('should report unbalanced parentheses', () => {
+      expect(parseError('(status:open').message)
+        .toBe('Position 13: Missing ")" for the parenthesis opened at position 1');
+      expect(parseError('status:open)').message).toBe('Position 12: Unexpected ")"');
+    });
+
+    test('should report missing operators between terms', () => {
+      expect(parseError('status:open priority:P1').message).toBe('Position 13: Expected AND or OR');
+    });
+
+    test('should report a dangling operator', () => {
+      expect(parseError('status:open AND').message).toBe('Position 16: Unexpected end of query');
+    });
+
+    test('should require comparisons on date fields and ":" elsewhere', () => {
+      expect(parseError('due:2026-01-01').message).toMatch(/requires a comparison/);
+      expect(parseError('status<open').message).toMatch(/only supports ":"/);
+    });
+
+    test('should reject invalid dates and labels', () => {
+      expect(parseError('due<2026-02-30').message).toBe('Position 5: Invalid date value');
+      expect(parseError('tag:On-Call').name).toBe('QueryError');
+    });
+
+    test('should reject unterminated quotes and empty queries', () => {
+      expect(parseError('assignee:"alice').message).toBe('Position 10: Unterminated quoted value');
+      expect(parseError('   ').message).toBe('Position 1: Query must not be empty');
+    });
+
+    test('should not build a BETWEEN from bounds that exclude each other', () => {
+      const plan = planQuery(parseQuery('status:open AND created>=2026-03-01 AND created<=2026-02-01'));
+
+      expect(plan.range).toEqual({ operator: '>=', value: '2026-03-01T00:00:00.000Z' });
+      expect(plan.check.matches({ createdAt: '2026-03-02T00:00:00.000Z' })).toBe(false);
+    });
+
+    test('should not match missing attributes in code checks', () => {
+      const plan = planQuery(parseQuery('assignee:a@x.com AND (due<2026-01-01 OR tag:oncall)'));
+
+      expect(plan.check.matches({ labels: [] })).toBe(false);
+      expect(plan.check.matches({ labels: ['oncall'] })).toBe(true);
+    });
+
+    test('should reject overly long queries', () => {
+      expect(parseError(`assignee:${'a'.repeat(1000)}`).message).toMatch(/must not exceed 1000 characters/);
+    });
+  });
+});
@@ -1,4 +1,12 @@
-const { success, error, formatTask } = require('../../src/lib/response');
+const {
+  success,
+  error,
+  formatTask,
+  summarizeSubtasks,
+  formatComment,
+  formatHistoryEntry,
+  formatApiKey
+} = require('../../src/lib/response');
 
 describe('Response Module', () => {
   describe('success', () => {
@@ -92,11 +100,42 @@ describe('Response Module', () => {
         priority: 'P1',
         status: 'open',
         dueDate: '2024-12-31',
+        parentId: null,
+        labels: [],
         createdAt: '2024-01-01T00:00:00.000Z',
         updatedAt: '2024-01-01T00:00:00.000Z'
       });
     });
 
+    test('should include parentId and subtask progress', () => {
+      const formatted = formatTask(
+        { id: '123', parentId: 'epic-1', status: 'open' },
+        { subtasks: [{ id: 'a', status: 'done' }, { id: 'b', status: 'open' }] }
+      );
+
+      expect(formatted.parentId).toBe('epic-1');
+      expect(formatted.subtaskProgress).toEqual({
+        total: 2,
+        byStatus: { open: 1, 'in-progress': 0, blocked: 0, done: 1 }
+      });
+    });
+
+    test('should keep only the selected fields', () => {
+      const formatted = formatTask(
+        { PK: 'TASK#1', SK: 'TASK#1', id: '1', description: 'Epic', status: 'open' },
+        { subtasks: [] },
+        ['id', 'subtaskProgress']
+      );
+
+      expect(formatted).toEqual({ id: '1', subtaskProgress: { total: 0, byStatus: { open: 0, 'in-progress': 0, blocked: 0, done: 0 } } });
+    });
+
+    test('should omit subtask progress when subtasks are not provided', () => {
+      const formatted = formatTask({ id: '123' });
+
+      expect(formatted.subtaskProgress).toBeUndefined();
+    });
+
     test('should format task without optional fields', () => {
       const taskItem = {
         id: '123',
@@ -159,6 +198,119 @@ describe('Response Module', () => {
     });
   });
 
+  describe('summarizeSubtasks', () => {
+    test('should return zero counts for no subtasks', () => {
+      expect(summarizeSubtasks([])).toEqual({
+        total: 0,
+        byStatus: { open: 0, 'in-progress': 0, blocked: 0, done: 0 }
+      });
+    });
+
+    test('should ignore unknown statuses in byStatus', () => {
+      const summary = summarizeSubtasks([{ status: 'archived' }, { status: 'done' }]);
+
+      expect(summary.total).toBe(2);
+      expect(summary.byStatus.done).toBe(1);
+      expect(summary.byStatus.archived).toBeUndefined();
+    });
+  });
+
+  describe('formatComment', () => {
+    test('should format comment item without key attributes', () => {
+      const commentItem = {
+        PK: 'TASK#123',
+        SK: 'COMMENT#2024-01-01T00:00:00.000Z#c1',
+        id: 'c1',
+        taskId: '123',
+        text: 'Looks good',
+        author: 'user@example.com',
+        createdAt: '2024-01-01T00:00:00.000Z'
+      };
+
+      expect(formatComment(commentItem)).toEqual({
+        id: 'c1',
+        taskId: '123',
+        text: 'Looks good',
+        author: 'user@example.com',
+        createdAt: '2024-01-01T00:00:00.000Z'
+      });
+    });
+
+    test('should default missing author to null', () => {
+      expect(formatComment({ id: 'c1', text: 'Hi' }).author).toBeNull();
+    });
+
+    test('should handle null input', () => {
+      expect(formatComment(null)).toBeNull();
+    });
+  });
+
+  describe('formatHistoryEntry', () => {
+    test('should format history item without key attributes', () => {
+      const historyItem = {
+        PK: 'TASK#123',
+        SK: 'HISTORY#2024-01-01T00:00:00.000Z#h1',
+        taskId: '123',
+        action: 'update',
+        changes: { status: { before: 'open', after: 'done' } },
+        actor: { type: 'apiKey', id: 'abc' },
+        timestamp: '2024-01-01T00:00:00.000Z'
+      };
+
+      expect(formatHistoryEntry(historyItem)).toEqual({
+        taskId: '123',
+        action: 'update',
+        changes: { status: { before: 'open', after: 'done' } },
+        actor: { type: 'apiKey', id: 'abc' },
+        timestamp: '2024-01-01T00:00:00.000Z'
+      });
+    });
+
+    test('should handle null input', () => {
+      expect(formatHistoryEntry(null)).toBeNull();
+    });
+  });
+
+  describe('formatApiKey', () => {
+    test('should format key item without its hash', () => {
+      const apiKeyItem = {
+        PK: 'APIKEYS',
+        SK: 'APIKEY#a1b2c3d4e5f6',
+        keyId: 'a1b2c3d4e5f6',
+        name: 'CI',
+        hash: 'secret-hash',
+        scopes: ['tasks:read'],
+        disabled: false,
+        expiresAt: null,
+        createdBy: { type: 'apiKey', id: 'abc' },
+        createdAt: '2024-01-01T00:00:00.000Z',
+        updatedAt: '2024-01-01T00:00:00.000Z'
+      };
+
+      expect(formatApiKey(apiKeyItem)).toEqual({
+        id: 'a1b2c3d4e5f6',
+        name: 'CI',
+        prefix: 'tk_a1b2c3d4e5f6',
+        scopes: ['tasks:read'],
+        workspace: 'default',
+        disabled: false,
+        expiresAt: null,
+        createdAt: '2024-01-01T00:00:00.000Z',
+        updatedAt: '2024-01-01T00:00:00.000Z',
+        rotatedAt: null,
+        revokedAt: null
+      });
+    });
+
+    test('should report the workspace of the key', () => {
+      expect(formatApiKey({ keyId: 'a1b2c3d4e5f6', workspace: 'acme' }).workspace).toBe('acme');
+    });
+
+    test('should handle null input', () => {
+      expect(formatApiKey(null)).toBeNull();
+    });
+  });
+
   describe('Edge Cases', () => {
     test('should handle success with null body', () => {
       const response = success(200, null);
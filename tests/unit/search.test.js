@@ -0,0 +1,85 @@
+const { stem, tokenize, taskTerms, highlight } = require('../../src/lib/search');
+
+describe('Search Module', () => {
+  describe('stem', () => {
+    test('should fold plurals', () => {
+      expect(stem('tests')).toBe('test');
+      expect(stem('caresses')).toBe('caress');
+      expect(stem('ponies')).toBe('poni');
+      expect(stem('class')).toBe('class');
+    });
+
+    test('should fold past tense and gerunds', () => {
+      expect(stem('testing')).toBe('test');
+      expect(stem('tested')).toBe('test');
+      expect(stem('failing')).toBe('fail');
+      expect(stem('hopping')).toBe('hop');
+      expect(stem('filing')).toBe('file');
+      expect(stem('agreed')).toBe('agree');
+    });
+
+    test('should turn a terminal y into i', () => {
+      expect(stem('flaky')).toBe('flaki');
+      expect(stem('flakies')).toBe('flaki');
+    });
+  });
+
+  describe('tokenize', () => {
+    test('should lowercase, stem and drop stop words', () => {
+      expect(tokenize('Fix the FLAKY login Tests')).toEqual(['fix', 'flaki', 'login', 'test']);
+    });
+
+    test('should split on punctuation and keep numbers', () => {
+      expect(tokenize('api-gateway: v2 (timeouts)')).toEqual(['api', 'gatewai', 'v2', 'timeout']);
+    });
+  });
+
+  describe('taskTerms', () => {
+    test('should count terms of the description', () => {
+      const { terms, length } = taskTerms({ description: 'Test the tests', assignee: 'tester' });
+
+      expect([...terms]).toEqual([['test', 2]]);
+      expect(length).toBe(2);
+    });
+  });
+
+  describe('highlight', () => {
+    test('should mark every matching word', () => {
+      expect(highlight('Fix flaky tests; the test runner is flaky', ['flaki', 'test']))
+        .toBe('Fix <mark>flaky</mark> <mark>tests</mark>; the <mark>test</mark> runner is <mark>flaky</mark>');
+    });
+
+    test('should cut long text around the first match', () => {
+      const text = `${'intro '.repeat(40)}the failing test ${'outro '.repeat(40)}`.trim();
+      const snippet = highlight(text, ['fail']);
+
+      expect(snippet.startsWith('…intro')).toBe(true);
+      expect(snippet.endsWith('…')).toBe(true);
+      expect(snippet).toContain('<mark>failing</mark>');
+      expect(snippet.length).toBeLessThan(200);
+    });
+  });
+
+  describe('Edge Cases', () => {
+    test('should leave short and non-alphabetic words unstemmed', () => {
+      expect(stem('is')).toBe('is');
+      expect(stem('v2s')).toBe('v2s');
+    });
+
+    test('should return no terms for text without words', () => {
+      expect(tokenize('')).toEqual([]);
+      expect(tokenize(undefined)).toEqual([]);
+      expect(tokenize('the and of')).toEqual([]);
+    });
+
+    test('should escape HTML in snippets', () => {
+      expect(highlight('<script>test</script> & "tests"', ['test']))
+        .toBe('&lt;script&gt;<mark>test</mark>&lt;/script&gt; &amp; &quot;<mark>tests</mark>&quot;');
+    });
+
+    test('should return the start of the text when nothing matches', () => {
+      expect(highlight('Nothing to see here', ['test'])).toBe('Nothing to see here');
+      expect(highlight(undefined, ['test'])).toBe('');
+    });
+  });
+});
@@ -5,7 +5,17 @@ const {
   validateDateFormat,
   validateDescription,
   validateAssignee,
+  validateLabel,
+  validateLabels,
+  validateParentId,
+  validateCommentInput,
+  validateApiKeyInput,
+  validateWorkspace,
+  validateDependencyInput,
+  validateTaskIds,
   validateLimit,
+  validateSort,
+  validateFields,
   validateNextToken,
   VALID_PRIORITIES,
   VALID_STATUSES
@@ -102,6 +112,11 @@ describe('Validation Module', () => {
       const error = validateStatus(1);
       expect(error).toContain('Status must be one of');
     });
+
+    test('should check against the statuses given', () => {
+      expect(validateStatus('open', ['open', 'done'])).toBeNull();
+      expect(validateStatus('blocked', ['open', 'done'])).toBe('Status must be one of: open, done');
+    });
   });
 
   describe('validateDateFormat', () => {
@@ -282,6 +297,14 @@ describe('Validation Module', () => {
       expect(result.valid).toBe(true);
       expect(result.errors).toHaveLength(0);
     });
+
+    test('should only accept the statuses of the workspace, except the stored one', () => {
+      const context = { statuses: ['open', 'done'], currentStatus: 'blocked' };
+
+      expect(validateTaskInput({ description: 'Valid task', status: 'in-progress' }, context).errors)
+        .toContain('Status must be one of: open, done');
+      expect(validateTaskInput({ description: 'Valid task', status: 'blocked' }, context).valid).toBe(true);
+    });
   });
 
   describe('validateLimit', () => {
@@ -344,6 +367,46 @@ describe('Validation Module', () => {
     });
   });
 
+  describe('validateSort', () => {
+    test('should accept every sort field in both directions', () => {
+      ['dueDate', 'createdAt', 'priority', 'updatedAt'].forEach(field => {
+        expect(validateSort(field)).toBeNull();
+        expect(validateSort(`-${field}`)).toBeNull();
+      });
+    });
+
+    test('should reject unknown fields', () => {
+      expect(validateSort('assignee')).toBe(
+        'Sort must be one of: dueDate, createdAt, priority, updatedAt (prefix with - for descending order)'
+      );
+    });
+
+    test('should reject empty and doubly negated values', () => {
+      expect(validateSort('')).not.toBeNull();
+      expect(validateSort('--createdAt')).not.toBeNull();
+    });
+  });
+
+  describe('validateFields', () => {
+    test('should accept a list of task attributes', () => {
+      expect(validateFields('id,status, description')).toBeNull();
+      expect(validateFields('labels')).toBeNull();
+    });
+
+    test('should reject unknown and empty names', () => {
+      expect(validateFields('id,secret')).toBe(
+        'Fields must be a comma-separated list of: id, description, assignee, priority, status, dueDate, parentId, labels, createdAt, updatedAt'
+      );
+      expect(validateFields('')).not.toBeNull();
+      expect(validateFields('id,,status')).not.toBeNull();
+    });
+
+    test('should check against a custom list of names', () => {
+      expect(validateFields('subtaskProgress', ['id', 'subtaskProgress'])).toBeNull();
+      expect(validateFields('status', ['id'])).toBe('Fields must be a comma-separated list of: id');
+    });
+  });
+
   describe('validateNextToken', () => {
     test('should accept valid base64-encoded JSON token', () => {
       const validKey = { PK: 'TASK#123', SK: 'TASK#123' };
@@ -397,4 +460,222 @@ describe('Validation Module', () => {
       expect(validateNextToken(invalidJson)).toBe('Invalid nextToken parameter');
     });
   });
+
+  describe('validateLabels', () => {
+    test('should accept valid labels', () => {
+      expect(validateLabels(['backend', 'oncall', 'tech-debt', 'q4_2024'])).toBeNull();
+    });
+
+    test('should accept empty array', () => {
+      expect(validateLabels([])).toBeNull();
+    });
+
+    test('should reject non-array', () => {
+      expect(validateLabels('backend')).toBe('Labels must be an array');
+    });
+
+    test('should reject more than 10 labels', () => {
+      const labels = Array.from({ length: 11 }, (_, i) => `label-${i}`);
+      expect(validateLabels(labels)).toBe('A task must not have more than 10 labels');
+    });
+
+    test('should reject duplicate labels', () => {
+      expect(validateLabels(['oncall', 'oncall'])).toBe('Labels must be unique');
+    });
+
+    test('should reject invalid label inside array', () => {
+      expect(validateLabels(['ok', 'Not OK'])).toContain('Label may only contain');
+    });
+
+    test('should be applied by validateTaskInput', () => {
+      const result = validateTaskInput({ description: 'Task', labels: [42] });
+      expect(result.errors).toContain('Label must be a non-empty string');
+    });
+  });
+
+  describe('validateLabel', () => {
+    test('should reject label exceeding 32 characters', () => {
+      expect(validateLabel('a'.repeat(33))).toBe('Label must not exceed 32 characters');
+    });
+
+    test('should reject uppercase characters', () => {
+      expect(validateLabel('Backend')).toContain('lowercase letters');
+    });
+
+    test('should reject leading hyphen', () => {
+      expect(validateLabel('-backend')).toContain('must start with a letter or digit');
+    });
+
+    test('should reject empty string', () => {
+      expect(validateLabel('')).toBe('Label must be a non-empty string');
+    });
+  });
+
+  describe('validateParentId', () => {
+    test('should accept an existing parent', () => {
+      expect(validateParentId('p1', { taskId: 't1', ancestorIds: ['p1', 'root'] })).toBeNull();
+    });
+
+    test('should accept parentId when no lookup was done', () => {
+      expect(validateParentId('p1')).toBeNull();
+    });
+
+    test('should reject non-string parentId', () => {
+      expect(validateParentId(42)).toBe('Parent ID must be a non-empty string');
+    });
+
+    test('should reject task as its own parent', () => {
+      expect(validateParentId('t1', { taskId: 't1' })).toBe('Task cannot be its own parent');
+    });
+
+    test('should reject missing parent', () => {
+      expect(validateParentId('p1', { ancestorIds: null })).toBe('Parent task not found');
+    });
+
+    test('should reject cycles', () => {
+      const error = validateParentId('child', { taskId: 't1', ancestorIds: ['child', 't1', 'root'] });
+      expect(error).toBe('Parent ID would create a cycle in the task hierarchy');
+    });
+
+    test('should be applied by validateTaskInput', () => {
+      const result = validateTaskInput({ description: 'Task', parentId: 'p1' }, { ancestorIds: null });
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('Parent task not found');
+    });
+  });
+
+  describe('validateDependencyInput', () => {
+    test('should accept blockerId', () => {
+      expect(validateDependencyInput({ blockerId: 'abc' }).valid).toBe(true);
+    });
+
+    test('should require blockerId', () => {
+      expect(validateDependencyInput({}).errors).toContain('Blocker ID is required');
+    });
+
+    test('should reject empty blockerId', () => {
+      expect(validateDependencyInput({ blockerId: ' ' }).errors).toContain('Blocker ID must be a non-empty string');
+    });
+  });
+
+  describe('validateTaskIds', () => {
+    test('should accept a list of IDs', () => {
+      expect(validateTaskIds(['a', 'b'])).toBeNull();
+    });
+
+    test('should require at least one ID', () => {
+      expect(validateTaskIds([])).toBe('At least one task ID is required');
+    });
+
+    test('should reject more than 100 IDs', () => {
+      const ids = Array.from({ length: 101 }, (_, index) => `id-${index}`);
+      expect(validateTaskIds(ids)).toBe('Must not request more than 100 task IDs');
+    });
+
+    test('should reject empty IDs', () => {
+      expect(validateTaskIds(['a', ''])).toBe('Task IDs must be non-empty strings');
+    });
+  });
+
+  describe('validateApiKeyInput', () => {
+    test('should accept a named key with scopes', () => {
+      const result = validateApiKeyInput({ name: 'CI', scopes: ['tasks:read', 'tasks:write'] });
+      expect(result.valid).toBe(true);
+      expect(result.errors).toHaveLength(0);
+    });
+
+    test('should accept a future expiry', () => {
+      expect(validateApiKeyInput({ name: 'CI', scopes: ['tasks:read'], expiresAt: '2999-01-01' }).valid).toBe(true);
+    });
+
+    test('should require a name', () => {
+      expect(validateApiKeyInput({ scopes: ['tasks:read'] }).errors).toContain('Name is required');
+      expect(validateApiKeyInput({ name: '  ', scopes: ['tasks:read'] }).errors).toContain('Name is required');
+    });
+
+    test('should reject names exceeding 100 characters', () => {
+      expect(validateApiKeyInput({ name: 'a'.repeat(101), scopes: ['tasks:read'] }).errors)
+        .toContain('Name must not exceed 100 characters');
+    });
+
+    test('should require a non-empty array of known scopes', () => {
+      expect(validateApiKeyInput({ name: 'CI' }).errors).toContain('Scopes must be a non-empty array');
+      expect(validateApiKeyInput({ name: 'CI', scopes: [] }).errors).toContain('Scopes must be a non-empty array');
+      expect(validateApiKeyInput({ name: 'CI', scopes: ['tasks:admin'] }).errors)
+        .toContain('Scopes must be from: tasks:read, tasks:write, tasks:delete, keys:admin, role:viewer, role:member, role:lead');
+    });
+
+    test('should accept at most one role scope', () => {
+      expect(validateApiKeyInput({ name: 'CI', scopes: ['tasks:read', 'role:viewer'] }).valid).toBe(true);
+      expect(validateApiKeyInput({ name: 'CI', scopes: ['role:viewer', 'role:lead'] }).errors)
+        .toContain('Scopes must not contain more than one role');
+    });
+
+    test('should reject duplicate scopes', () => {
+      expect(validateApiKeyInput({ name: 'CI', scopes: ['tasks:read', 'tasks:read'] }).errors)
+        .toContain('Scopes must not contain duplicates');
+    });
+
+    test('should reject invalid and past expiry dates', () => {
+      expect(validateApiKeyInput({ name: 'CI', scopes: ['tasks:read'], expiresAt: 'soon' }).errors[0])
+        .toMatch(/^Expiry: /);
+      expect(validateApiKeyInput({ name: 'CI', scopes: ['tasks:read'], expiresAt: '2020-01-01' }).errors)
+        .toContain('Expiry must be in the future');
+    });
+
+    test('should validate the workspace of the key', () => {
+      expect(validateApiKeyInput({ name: 'CI', scopes: ['tasks:read'], workspace: 'acme' }).valid).toBe(true);
+      expect(validateApiKeyInput({ name: 'CI', scopes: ['tasks:read'], workspace: 'Acme Corp' }).errors[0])
+        .toMatch(/^Workspace must be/);
+    });
+  });
+
+  describe('validateWorkspace', () => {
+    test('should accept lowercase letters, digits and hyphens', () => {
+      expect(validateWorkspace('default')).toBeNull();
+      expect(validateWorkspace('team-42')).toBeNull();
+    });
+
+    test('should reject IDs that could break out of the key prefix', () => {
+      expect(validateWorkspace('acme#TASK#1')).toContain('Workspace must be');
+      expect(validateWorkspace('-acme')).toContain('Workspace must be');
+      expect(validateWorkspace('')).toContain('Workspace must be');
+      expect(validateWorkspace('a'.repeat(64))).toContain('Workspace must be');
+      expect(validateWorkspace(42)).toContain('Workspace must be');
+    });
+  });
+
+  describe('validateCommentInput', () => {
+    test('should accept valid comment', () => {
+      const result = validateCommentInput({ text: 'Looks good' });
+      expect(result.valid).toBe(true);
+      expect(result.errors).toHaveLength(0);
+    });
+
+    test('should reject missing text', () => {
+      const result = validateCommentInput({});
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('Comment text is required');
+    });
+
+    test('should reject non-string text', () => {
+      expect(validateCommentInput({ text: 42 }).errors).toContain('Comment text must be a string');
+    });
+
+    test('should reject text exceeding 2000 characters', () => {
+      const result = validateCommentInput({ text: 'a'.repeat(2001) });
+      expect(result.errors).toContain('Comment text must not exceed 2000 characters');
+    });
+
+    test('should reject a client-supplied author', () => {
+      const result = validateCommentInput({ text: 'Hi', author: 'user@example.com' });
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('Comment author is taken from the caller and cannot be set');
+    });
+
+    test('should reject whitespace-only text', () => {
+      const result = validateCommentInput({ text: '   ' });
+      expect(result.errors).toContain('Comment text cannot be empty or whitespace only');
+    });
+  });
 });
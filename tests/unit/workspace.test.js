@@ -0,0 +1,88 @@
+const { DEFAULT_WORKSPACE, workspaceConfig, administersWorkspace } = require('../../src/lib/workspace');
+
+describe('Workspace Module', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+    process.env.WORKSPACE_CONFIG = JSON.stringify({
+      acme: { statuses: ['done', 'open'], defaultPriority: 'P3' },
+      globex: { defaultPriority: 'P1' }
+    });
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  describe('workspaceConfig', () => {
+    test('should read the settings of a configured workspace, statuses in their usual order', () => {
+      expect(workspaceConfig('acme')).toEqual({ statuses: ['open', 'done'], defaultPriority: 'P3' });
+    });
+
+    test('should allow every status and default to P2 where not configured', () => {
+      expect(workspaceConfig('globex')).toEqual({
+        statuses: ['open', 'in-progress', 'blocked', 'done'],
+        defaultPriority: 'P1'
+      });
+      expect(workspaceConfig('initech').defaultPriority).toBe('P2');
+    });
+
+    test('should use the defaults when WORKSPACE_CONFIG is unset', () => {
+      delete process.env.WORKSPACE_CONFIG;
+
+      expect(workspaceConfig(DEFAULT_WORKSPACE)).toEqual({
+        statuses: ['open', 'in-progress', 'blocked', 'done'],
+        defaultPriority: 'P2'
+      });
+    });
+  });
+
+  describe('administersWorkspace', () => {
+    test('should let administrators manage the keys of their own workspace', () => {
+      expect(administersWorkspace({ workspace: 'acme' }, 'acme')).toBe(true);
+      expect(administersWorkspace({ workspace: 'acme' }, 'globex')).toBe(false);
+    });
+
+    test('should let administrators of the default workspace manage every workspace', () => {
+      expect(administersWorkspace({ workspace: DEFAULT_WORKSPACE }, 'globex')).toBe(true);
+    });
+  });
+
+  describe('Edge Cases', () => {
+    test('should require every workspace to allow the open status', () => {
+      process.env.WORKSPACE_CONFIG = JSON.stringify({ acme: { statuses: ['done'] } });
+
+      expect(() => workspaceConfig('acme')).toThrow('WORKSPACE_CONFIG statuses of acme must include open');
+    });
+
+    test('should reject unknown statuses and priorities', () => {
+      process.env.WORKSPACE_CONFIG = JSON.stringify({
+        acme: { statuses: ['open', 'archived'] },
+        globex: { defaultPriority: 'urgent' }
+      });
+
+      expect(() => workspaceConfig('acme')).toThrow(/must include open and be from: open, in-progress, blocked, done/);
+      expect(() => workspaceConfig('globex')).toThrow('WORKSPACE_CONFIG defaultPriority of globex must be one of: P0, P1, P2, P3, P4');
+    });
+
+    test('should treat null settings as unset', () => {
+      process.env.WORKSPACE_CONFIG = JSON.stringify({ acme: { statuses: null, defaultPriority: 'P1' } });
+
+      expect(workspaceConfig('acme')).toEqual({
+        statuses: ['open', 'in-progress', 'blocked', 'done'],
+        defaultPriority: 'P1'
+      });
+    });
+
+    test('should fail loudly on an invalid WORKSPACE_CONFIG setting', () => {
+      process.env.WORKSPACE_CONFIG = 'acme=open';
+
+      expect(() => workspaceConfig('acme')).toThrow(/^WORKSPACE_CONFIG is not valid JSON/);
+    });
+
+    test('should not read inherited object properties as workspace settings', () => {
+      expect(workspaceConfig('constructor')).toEqual(workspaceConfig('initech'));
+    });
+  });
+});